@@ -1,15 +1,62 @@
 /**
- * Adobe I/O Runtime Action for AEM Assets to MLE Synchronization
- * This action processes AEM asset events and synchronizes metadata with Media Logic Engine (MLE)
+ * Adobe I/O Runtime Action for AEM Assets Synchronization
+ * This action processes AEM asset events and synchronizes metadata with the destinations
+ * selected by SYNC_DESTINATIONS (Media Logic Engine by default, PCM and PIM optionally)
+ * using the same sync core (lib/sync-core.js) as the Express service.
+ *
+ * I/O Events deliver to the action as a raw HTTP web action, and each delivery is verified
+ * like the service's webhook (lib/webhook-verification.js) before it is parsed: digital
+ * signatures, the AEM_WEBHOOK_SECRET HMAC and the IO_EVENTS_CLIENT_ID recipient. Triggers,
+ * rules and direct invocations are not web requests; OpenWhisk authenticates those callers.
+ *
+ * The action keeps no sync state (lib/sync-state.js), so it cannot tell which assets the
+ * destinations hold: an asset whose approval is withdrawn is skipped, not revoked, and
+ * REVOCATION_ACTION is not an action setting. Expired assets are deleted when an event
+ * arrives for them, and delete events delete. Run the service's reconciliation with --fix
+ * to remove assets whose approval was withdrawn.
  */
 
-const fetch = require('node-fetch');
+const { createSyncCore, EventProcessor, EventHandlerRegistry, MetadataMapper, ApprovalRules } = require('./lib/sync-core');
+const { loadConfig } = require('./lib/config-schema');
+const { TenantRouter } = require('./lib/tenant-router');
+const { WebhookVerifier, PublicKeyCache } = require('./lib/webhook-verification');
+const { MemoryStore } = require('./lib/file-store');
+const { createLogger, withCorrelation } = require('./lib/logger');
+const defaultMetadataMapping = require('./config/metadata-mapping.json');
+const defaultApprovalRules = require('./config/approval-rules.json');
+
+// I/O Events public keys, kept for as long as the container stays warm
+const publicKeyStore = new MemoryStore();
 
 // Main action function
 async function main(params) {
-    const logger = createLogger(params.LOG_LEVEL || 'info');
-    
+    const logger = createLogger({ level: params.LOG_LEVEL || 'info', service: 'aem-asset-sync-action' });
+
+    const request = params.__ow_method ? readWebRequest(params) : { params };
+    if (request.error) {
+        return createErrorResponse(400, request.error);
+    }
+
+    return withCorrelation({ correlationId: getCorrelationId(request.params) }, () => handleEvent(request, logger));
+}
+
+async function handleEvent(request, logger) {
+    const { params } = request;
+
     try {
+        // I/O Events registration handshake: echo the challenge back
+        if (params.challenge) {
+            return { statusCode: 200, body: { challenge: params.challenge } };
+        }
+
+        if (request.rawBody) {
+            const verification = await createWebhookVerifier(params, logger).verify(request.rawBody, params.__ow_headers || {});
+            if (!verification.valid) {
+                logger.warn('Webhook verification failed', { error: verification.error });
+                return createErrorResponse(401, verification.error);
+            }
+        }
+
         logger.info('Processing AEM asset event', { eventType: params.type });
         
         // Validate required parameters
@@ -19,18 +66,27 @@ async function main(params) {
         }
 
         // Extract event data
-        const eventData = extractEventData(params);
-        
-        // Check if asset is approved
-        if (!isAssetApproved(eventData.metadata)) {
-            logger.info('Asset not approved, skipping sync', { assetPath: eventData.assetPath });
-            return createSuccessResponse('skipped', 'Asset not approved for publication');
+        const eventData = EventProcessor.extractEventData(params);
+
+        const syncCore = createSyncCore(getSyncCoreOptions(params, logger));
+
+        // Event types without a handler are reported, never guessed from their name
+        if (!eventData.eventType || !syncCore.eventHandlers.accepts(eventData.eventType)) {
+            logger.warn('Unknown event type, ignoring', { eventType: eventData.eventType });
+            return createSuccessResponse('ignored', `No handler is registered for event type ${eventData.eventType || '(none)'}`);
         }
 
         // Process synchronization
-        const syncResults = await processSynchronization(eventData, params, logger);
+        const result = await syncCore.eventProcessor.processAssetEvent(eventData);
+
+        if (result.status === 'skipped') {
+            return createSuccessResponse('skipped', result.reason, { rejectedBy: result.rejectedBy });
+        }
+        if (result.status !== 'completed') {
+            return createSuccessResponse(result.status, 'Metadata synchronization failed', result);
+        }
         
-        return createSuccessResponse('completed', 'Metadata synchronized successfully', syncResults);
+        return createSuccessResponse('completed', 'Metadata synchronized successfully', result);
         
     } catch (error) {
         logger.error('Action execution failed', error);
@@ -38,421 +94,165 @@ async function main(params) {
     }
 }
 
-// Logger utility
-function createLogger(level) {
-    const levels = { debug: 0, info: 1, warn: 2, error: 3 };
-    const currentLevel = levels[level] || 1;
-    
-    return {
-        debug: (msg, data) => currentLevel <= 0 && console.log(`[DEBUG] ${msg}`, data || ''),
-        info: (msg, data) => currentLevel <= 1 && console.log(`[INFO] ${msg}`, data || ''),
-        warn: (msg, data) => currentLevel <= 2 && console.warn(`[WARN] ${msg}`, data || ''),
-        error: (msg, error) => currentLevel <= 3 && console.error(`[ERROR] ${msg}`, error || '')
-    };
-}
-
-// Parameter validation
-function validateParams(params) {
-    const required = ['MLE_API_URL', 'OAUTH_CLIENT_ID', 'OAUTH_CLIENT_SECRET', 'OAUTH_TOKEN_URL'];
-    
-    for (const param of required) {
-        if (!params[param]) {
-            return { valid: false, error: `Missing required parameter: ${param}` };
+// Raw HTTP web requests carry the query string and the body unparsed, so the signatures
+// can be checked over the exact bytes that were delivered. The body is base64 encoded
+// unless its content type is text or JSON; the query only carries the handshake challenge.
+function readWebRequest(params) {
+    const headers = params.__ow_headers || {};
+    const body = params.__ow_body || '';
+    const rawBody = Buffer.from(body, /^(text\/|application\/([\w.-]+\+)?json)/.test(headers['content-type'] || '') ? 'utf8' : 'base64');
+
+    let event = {};
+    if (rawBody.length > 0) {
+        try {
+            event = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            return { error: 'Request body is not valid JSON' };
         }
     }
-    
-    if (!params.data || !params.data.payload) {
-        return { valid: false, error: 'Missing event payload data' };
-    }
-    
-    return { valid: true };
-}
 
-// Extract event data from parameters
-function extractEventData(params) {
-    const payload = params.data.payload;
-    
-    return {
-        assetPath: payload.path || payload.assetPath,
-        metadata: payload.metadata || payload.properties || {},
-        eventType: params.type,
-        timestamp: params.data.timestamp || new Date().toISOString()
-    };
+    // The action's inputs win over the request, which must not override the verification settings
+    const challenge = new URLSearchParams(params.__ow_query || '').get('challenge');
+    return { params: { ...event, ...(challenge && { challenge }), ...params }, rawBody };
 }
 
-// Check if asset is approved for publication
-function isAssetApproved(metadata) {
-    const approvalFields = [
-        'dam:status',
-        'dam:approvalStatus', 
-        'cq:workflowStatus',
-        'jcr:content/metadata/dam:status'
-    ];
-    
-    return approvalFields.some(field => {
-        const value = metadata[field];
-        return value && (value.toLowerCase() === 'approved' || value.toLowerCase() === 'published');
+// The service's webhook verification, configured from the action params
+function createWebhookVerifier(params, logger) {
+    const { config } = loadConfig({ deployment: 'runtime', env: params });
+
+    return new WebhookVerifier({
+        hmacSecret: config.aemWebhookSecret,
+        requireDigitalSignature: config.requireDigitalSignature,
+        clientId: config.ioEventsClientId,
+        publicKeys: new PublicKeyCache({
+            baseUrl: config.publicKeyBaseUrl,
+            ttlMs: config.publicKeyTtl,
+            store: publicKeyStore,
+            logger
+        }),
+        logger
     });
 }
 
-// OAuth token management
-async function getAccessToken(params) {
-    try {
-        const response = await fetch(params.OAUTH_TOKEN_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: new URLSearchParams({
-                grant_type: 'client_credentials',
-                client_id: params.OAUTH_CLIENT_ID,
-                client_secret: params.OAUTH_CLIENT_SECRET,
-                scope: 'api:write'
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`OAuth request failed: ${response.statusText}`);
-        }
-
-        const tokenData = await response.json();
-        return tokenData.access_token;
-    } catch (error) {
-        throw new Error(`Failed to obtain access token: ${error.message}`);
-    }
-}
-
-// Metadata transformation for MLE
-function transformForMLE(metadata, assetPath, eventType) {
-    const mimeType = metadata['dc:format'] || getMimeTypeFromPath(assetPath);
-    
-    return {
-        // Core asset identification
-        assetId: metadata['jcr:uuid'] || extractAssetIdFromPath(assetPath),
-        assetPath: assetPath,
-        assetUrl: constructAssetUrl(assetPath),
-        
-        // Media properties
-        mediaType: getMediaType(mimeType),
-        mimeType: mimeType,
-        fileSize: metadata['dam:size'],
-        fileName: extractFileNameFromPath(assetPath),
-        
-        // Dimensions and technical metadata
-        dimensions: {
-            width: metadata['tiff:ImageWidth'] || metadata['exif:PixelXDimension'],
-            height: metadata['tiff:ImageLength'] || metadata['exif:PixelYDimension']
-        },
-        
-        // Content metadata
-        title: metadata['dc:title'] || metadata['jcr:title'],
-        description: metadata['dc:description'],
-        altText: metadata['dam:altText'] || metadata['dc:title'],
-        
-        // Classification and tagging
-        tags: extractTags(metadata),
-        categories: extractCategories(metadata),
-        keywords: extractKeywords(metadata),
-        
-        // Business metadata
-        brand: metadata['dam:brand'],
-        campaign: metadata['dam:campaign'],
-        productType: metadata['dam:productType'],
-        usage: metadata['dam:usage'] || 'web',
-        
-        // Status and workflow
-        approvalStatus: getApprovalStatus(metadata),
-        publishStatus: 'published',
-        workflowStatus: metadata['cq:workflowStatus'],
-        
-        // Timestamps
-        createdDate: metadata['jcr:created'] || metadata['dam:created'],
-        modifiedDate: metadata['jcr:lastModified'] || metadata['dam:lastModified'],
-        publishedDate: new Date().toISOString(),
-        
-        // Technical metadata
-        colorSpace: metadata['tiff:ColorSpace'],
-        resolution: metadata['tiff:XResolution'],
-        orientation: metadata['tiff:Orientation'],
-        
-        // Rights and licensing
-        copyright: metadata['dc:rights'],
-        license: metadata['xmpRights:UsageTerms'],
-        creator: metadata['dc:creator'],
-        
-        // Event context
-        eventType: eventType,
-        sourceSystem: 'AEM'
-    };
-}
-
-// Utility functions
-function extractTags(metadata) {
-    const tags = [];
-    
-    if (metadata['cq:tags']) {
-        tags.push(...(Array.isArray(metadata['cq:tags']) ? metadata['cq:tags'] : [metadata['cq:tags']]));
-    }
-    if (metadata['dam:tags']) {
-        tags.push(...(Array.isArray(metadata['dam:tags']) ? metadata['dam:tags'] : [metadata['dam:tags']]));
-    }
-    
-    return [...new Set(tags)];
+// Correlation id: the caller's x-request-id, else the AEM event id, else the activation id
+function getCorrelationId(params) {
+    const headers = params.__ow_headers || {};
+    return headers['x-request-id'] || params.event_id || params.id || process.env.__OW_ACTIVATION_ID;
 }
 
-function extractCategories(metadata) {
-    const categories = [];
-    
-    if (metadata['dc:subject']) {
-        categories.push(...(Array.isArray(metadata['dc:subject']) ? metadata['dc:subject'] : [metadata['dc:subject']]));
-    }
-    if (metadata['dam:category']) {
-        categories.push(...(Array.isArray(metadata['dam:category']) ? metadata['dam:category'] : [metadata['dam:category']]));
+// Parameter validation against the Runtime settings of lib/config-schema.js: each enabled
+// destination needs its API URL, and typed params (URLs, enums, JSON) must parse
+function validateParams(params) {
+    const { errors } = loadConfig({ deployment: 'runtime', env: params });
+    if (errors.length > 0) {
+        return { valid: false, error: `Invalid parameters: ${errors.join('; ')}` };
     }
-    
-    return [...new Set(categories)];
-}
 
-function extractKeywords(metadata) {
-    const keywords = [];
-    
-    if (metadata['dc:keywords']) {
-        keywords.push(...(Array.isArray(metadata['dc:keywords']) ? metadata['dc:keywords'] : [metadata['dc:keywords']]));
+    // CloudEvents carry the event in `data`; the legacy shape nests it in `data.payload`
+    if (!params.data || (!params.specversion && !params.data.payload)) {
+        return { valid: false, error: 'Missing event payload data' };
     }
     
-    return [...new Set(keywords)];
-}
-
-function getMediaType(mimeType) {
-    if (!mimeType) return 'unknown';
-    
-    if (mimeType.startsWith('image/')) return 'image';
-    if (mimeType.startsWith('video/')) return 'video';
-    if (mimeType.startsWith('audio/')) return 'audio';
-    if (mimeType.includes('pdf')) return 'document';
-    if (mimeType.includes('text/')) return 'text';
-    
-    return 'other';
+    return { valid: true };
 }
 
-function getMimeTypeFromPath(assetPath) {
-    const extension = assetPath.split('.').pop().toLowerCase();
-    const mimeTypes = {
-        'jpg': 'image/jpeg',
-        'jpeg': 'image/jpeg',
-        'png': 'image/png',
-        'gif': 'image/gif',
-        'svg': 'image/svg+xml',
-        'mp4': 'video/mp4',
-        'mov': 'video/quicktime',
-        'pdf': 'application/pdf',
-        'txt': 'text/plain'
+// Map action params onto the shared sync core configuration
+function getSyncCoreOptions(params, logger) {
+    return {
+        destinations: params.SYNC_DESTINATIONS,
+        mleApiUrl: params.MLE_API_URL,
+        mleApiVersion: params.MLE_API_VERSION || 'v1',
+        oauthClientId: params.OAUTH_CLIENT_ID,
+        oauthClientSecret: params.OAUTH_CLIENT_SECRET,
+        oauthTokenUrl: params.OAUTH_TOKEN_URL,
+        authMethod: params.AUTH_METHOD,
+        oauthScope: params.OAUTH_SCOPE,
+        oauthRefreshMargin: params.OAUTH_REFRESH_MARGIN ? parseInt(params.OAUTH_REFRESH_MARGIN, 10) : undefined,
+        oauthPrivateKey: params.OAUTH_PRIVATE_KEY,
+        oauthKeyId: params.OAUTH_KEY_ID,
+        oauthJwtAlgorithm: params.OAUTH_JWT_ALGORITHM,
+        apiKey: params.AUTH_API_KEY,
+        apiKeyHeader: params.AUTH_API_KEY_HEADER,
+        aemAuthorUrl: params.AEM_AUTHOR_URL,
+        aemPublishUrl: params.AEM_PUBLISH_URL,
+        aemAccessToken: params.AEM_ACCESS_TOKEN,
+        renditions: params.MLE_RENDITIONS,
+        renditionMaxBytes: params.MLE_RENDITION_MAX_BYTES ? parseInt(params.MLE_RENDITION_MAX_BYTES, 10) : undefined,
+        renditionUploadMode: params.MLE_RENDITION_UPLOAD,
+        pcm: {
+            apiUrl: params.PCM_API_URL,
+            oauthClientId: params.PCM_OAUTH_CLIENT_ID,
+            oauthClientSecret: params.PCM_OAUTH_CLIENT_SECRET,
+            oauthTokenUrl: params.PCM_OAUTH_TOKEN_URL,
+            authMethod: params.PCM_AUTH_METHOD,
+            oauthScope: params.PCM_OAUTH_SCOPE,
+            apiKey: params.PCM_AUTH_API_KEY
+        },
+        pim: {
+            apiUrl: params.PIM_API_URL,
+            oauthClientId: params.PIM_OAUTH_CLIENT_ID,
+            oauthClientSecret: params.PIM_OAUTH_CLIENT_SECRET,
+            oauthTokenUrl: params.PIM_OAUTH_TOKEN_URL,
+            authMethod: params.PIM_AUTH_METHOD,
+            oauthScope: params.PIM_OAUTH_SCOPE,
+            apiKey: params.PIM_AUTH_API_KEY
+        },
+        mapper: createMetadataMapper(params),
+        approvalRules: createApprovalRules(params),
+        tenants: createTenantRouter(params),
+        eventHandlers: createEventHandlers(params),
+        logger
     };
-    return mimeTypes[extension] || 'application/octet-stream';
 }
 
-function getApprovalStatus(metadata) {
-    const approvalFields = [
-        'dam:status',
-        'dam:approvalStatus',
-        'cq:workflowStatus'
-    ];
-
-    for (const field of approvalFields) {
-        const value = metadata[field];
-        if (value && (value.toLowerCase() === 'approved' || value.toLowerCase() === 'published')) {
-            return 'approved';
-        }
+// Field mappings come from config/metadata-mapping.json, or from the METADATA_MAPPING param when set
+function createMetadataMapper(params) {
+    if (!params.METADATA_MAPPING) {
+        return new MetadataMapper(defaultMetadataMapping);
     }
-    return 'pending';
-}
 
-function extractAssetIdFromPath(assetPath) {
-    return assetPath.split('/').pop().replace(/\.[^/.]+$/, '');
-}
-
-function extractFileNameFromPath(assetPath) {
-    return assetPath.split('/').pop();
-}
+    const mapping = typeof params.METADATA_MAPPING === 'string'
+        ? JSON.parse(params.METADATA_MAPPING)
+        : params.METADATA_MAPPING;
 
-function constructAssetUrl(assetPath) {
-    return `https://your-aem-instance.com${assetPath}`;
+    return new MetadataMapper(mapping);
 }
 
-// Send data to MLE system
-async function sendToMLE(data, params, logger) {
-    try {
-        const token = await getAccessToken(params);
-        const apiVersion = params.MLE_API_VERSION || 'v1';
-        
-        const response = await fetch(`${params.MLE_API_URL}/${apiVersion}/assets`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'X-API-Version': apiVersion,
-                'X-Source-System': 'AEM'
-            },
-            body: JSON.stringify(data)
-        });
-
-        if (!response.ok) {
-            throw new Error(`MLE API request failed: ${response.statusText}`);
-        }
-
-        const result = await response.json();
-        logger.info('Successfully sent metadata to MLE', { 
-            assetId: data.assetId,
-            mediaType: data.mediaType
-        });
-        return {
-            success: true,
-            mleAssetId: result.id || result.assetId,
-            status: result.status,
-            message: result.message,
-            responseData: result
-        };
-    } catch (error) {
-        logger.error('Failed to send metadata to MLE', error);
-        return {
-            success: false,
-            error: error.message,
-            retryable: isRetryableError(error)
-        };
+// Tenant routing comes from the TENANTS param; "${NAME}" values in it are read from the
+// action params, and mapping profiles must be inline since the action has no config files
+function createTenantRouter(params) {
+    if (!params.TENANTS) {
+        return undefined;
     }
-}
-
-// Update data in MLE system
-async function updateMLE(assetId, data, params, logger) {
-    try {
-        const token = await getAccessToken(params);
-        const apiVersion = params.MLE_API_VERSION || 'v1';
-        
-        const response = await fetch(`${params.MLE_API_URL}/${apiVersion}/assets/${assetId}`, {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'X-API-Version': apiVersion,
-                'X-Source-System': 'AEM'
-            },
-            body: JSON.stringify(data)
-        });
-
-        if (!response.ok) {
-            throw new Error(`MLE API update failed: ${response.statusText}`);
-        }
 
-        const result = await response.json();
-        logger.info('Successfully updated metadata in MLE', { 
-            assetId: assetId,
-            mediaType: data.mediaType
-        });
-        return {
-            success: true,
-            mleAssetId: result.id || assetId,
-            status: result.status,
-            message: result.message,
-            responseData: result
-        };
-    } catch (error) {
-        logger.error('Failed to update metadata in MLE', error);
-        return {
-            success: false,
-            error: error.message,
-            retryable: isRetryableError(error)
-        };
-    }
+    const table = typeof params.TENANTS === 'string' ? JSON.parse(params.TENANTS) : params.TENANTS;
+    return new TenantRouter(table, { env: params });
 }
 
-// Delete asset from MLE system
-async function deleteFromMLE(assetId, params, logger) {
-    try {
-        const token = await getAccessToken(params);
-        const apiVersion = params.MLE_API_VERSION || 'v1';
-        
-        const response = await fetch(`${params.MLE_API_URL}/${apiVersion}/assets/${assetId}`, {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'X-API-Version': apiVersion,
-                'X-Source-System': 'AEM'
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error(`MLE API delete failed: ${response.statusText}`);
-        }
-
-        logger.info('Successfully deleted asset from MLE', { assetId: assetId });
-        return {
-            success: true,
-            message: 'Asset deleted successfully'
-        };
-    } catch (error) {
-        logger.error('Failed to delete asset from MLE', error);
-        return {
-            success: false,
-            error: error.message
-        };
+// Event types beyond the built-in ones are mapped to handlers by the EVENT_HANDLERS param
+function createEventHandlers(params) {
+    if (!params.EVENT_HANDLERS) {
+        return undefined;
     }
-}
-
-function isRetryableError(error) {
-    if (!error.response) return true; // Network errors are retryable
-    
-    const status = error.response?.status;
-    return status >= 500 || status === 429; // Server errors and rate limits are retryable
-}
 
-// Process synchronization with MLE system
-async function processSynchronization(eventData, params, logger) {
-    const result = {
-        mle: null,
-        status: 'processing',
-        errors: [],
-        assetId: eventData.metadata['jcr:uuid'] || extractAssetIdFromPath(eventData.assetPath)
-    };
-
-    try {
-        // Transform metadata for MLE
-        const mleData = transformForMLE(eventData.metadata, eventData.assetPath, eventData.eventType);
-        
-        // Determine operation based on event type
-        let mleResult;
-        if (eventData.eventType.includes('created') || eventData.eventType.includes('published')) {
-            mleResult = await sendToMLE(mleData, params, logger);
-        } else if (eventData.eventType.includes('updated') || eventData.eventType.includes('modified')) {
-            mleResult = await updateMLE(mleData.assetId, mleData, params, logger);
-        } else if (eventData.eventType.includes('deleted') || eventData.eventType.includes('removed')) {
-            mleResult = await deleteFromMLE(mleData.assetId, params, logger);
-        } else {
-            // Default to create/update
-            mleResult = await sendToMLE(mleData, params, logger);
-        }
+    const handlers = typeof params.EVENT_HANDLERS === 'string'
+        ? JSON.parse(params.EVENT_HANDLERS)
+        : params.EVENT_HANDLERS;
 
-        result.mle = mleResult;
-        result.status = mleResult.success ? 'completed' : 'failed';
-        
-        if (!mleResult.success) {
-            result.errors.push({
-                system: 'MLE',
-                error: mleResult.error,
-                retryable: mleResult.retryable
-            });
-        }
+    return new EventHandlerRegistry(handlers);
+}
 
-    } catch (error) {
-        logger.error('Unexpected error processing asset event', error);
-        result.errors.push({
-            system: 'MLE',
-            error: error.message,
-            retryable: true
-        });
-        result.status = 'error';
+// Approval rules come from config/approval-rules.json, or from the APPROVAL_RULES param when set
+function createApprovalRules(params) {
+    if (!params.APPROVAL_RULES) {
+        return new ApprovalRules(defaultApprovalRules);
     }
 
-    return result;
+    const ruleSet = typeof params.APPROVAL_RULES === 'string'
+        ? JSON.parse(params.APPROVAL_RULES)
+        : params.APPROVAL_RULES;
+
+    return new ApprovalRules(ruleSet);
 }
 
 // Response helpers
@@ -0,0 +1,111 @@
+/**
+ * Backfill CLI for AEM-MLE Synchronization
+ * Synchronizes assets that were approved before the sync service was deployed by
+ * walking a DAM folder through the AEM Assets HTTP API.
+ *
+ * Usage:
+ *   node aem-mle-backfill.js --folder /content/dam/products [--no-recursive] [--dry-run]
+ *                            [--batch-size 20] [--delay 1000] [--report report.json]
+ *   node aem-mle-backfill.js --resume <runId>
+ *   node aem-mle-backfill.js --list
+ *
+ * Uses the same environment variables and CONFIG_FILE as aem-mle-sync-service.js; logs go
+ * to stderr.
+ */
+
+const fs = require('fs');
+const { loadSyncComponents } = require('./lib/sync-components');
+const { BackfillRunner } = require('./lib/backfill');
+const { DAM_ROOT, isDamFolder } = require('./lib/aem-assets-client');
+
+function parseArgs(argv) {
+    const args = { recursive: true, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--folder': args.folderPath = argv[++i]; break;
+            case '--resume': args.resumeRunId = argv[++i]; break;
+            case '--batch-size': args.batchSize = parseInt(argv[++i], 10); break;
+            case '--delay': args.batchDelayMs = parseInt(argv[++i], 10); break;
+            case '--report': args.reportFile = argv[++i]; break;
+            case '--no-recursive': args.recursive = false; break;
+            case '--dry-run': args.dryRun = true; break;
+            case '--list': args.list = true; break;
+            case '--help': args.help = true; break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return args;
+}
+
+function printUsage() {
+    console.log('Usage: node aem-mle-backfill.js --folder <damFolder> [--no-recursive] [--dry-run] [--batch-size n] [--delay ms] [--report file]');
+    console.log('       node aem-mle-backfill.js --resume <runId> [--report file]');
+    console.log('       node aem-mle-backfill.js --list');
+}
+
+async function runBackfill(argv) {
+    const args = parseArgs(argv);
+
+    if (args.help) {
+        printUsage();
+        return 0;
+    }
+
+    const overrides = {};
+    if (args.batchSize) overrides.batchSize = args.batchSize;
+    if (args.batchDelayMs !== undefined) overrides.batchDelayMs = args.batchDelayMs;
+    // The sync service's components without its job queue: the running service owns that
+    const { createBackfillRunner, flush } = loadSyncComponents('aem-mle-backfill');
+    const runner = createBackfillRunner(overrides);
+
+    if (args.list) {
+        console.log(JSON.stringify(runner.listRuns().map(BackfillRunner.toReport), null, 2));
+        return 0;
+    }
+
+    if (!args.resumeRunId && (!args.folderPath || !isDamFolder(args.folderPath))) {
+        printUsage();
+        throw new Error(`--folder must be a DAM folder below ${DAM_ROOT}`);
+    }
+
+    const run = await runner.run(args);
+    await flush();
+    const report = BackfillRunner.toReport(run);
+
+    console.log('\n📊 Backfill Summary');
+    console.log('===================');
+    console.log(`Run:      ${report.runId} (${report.status})`);
+    console.log(`Folder:   ${report.folderPath}${report.dryRun ? ' [dry run]' : ''}`);
+    console.log(`Scanned:  ${report.summary.scanned}`);
+    console.log(`Approved: ${report.summary.approved}`);
+    console.log(`Synced:   ${report.summary.synced}`);
+    console.log(`Skipped:  ${report.summary.skipped}`);
+    console.log(`Failed:   ${report.summary.failed}`);
+    if (report.status !== 'completed') {
+        console.log(`\nResume with: node aem-mle-backfill.js --resume ${report.runId}`);
+    } else if (report.summary.failed > 0) {
+        console.log(`\nRetry the failed assets with: node aem-mle-backfill.js --resume ${report.runId}`);
+    }
+
+    if (args.reportFile) {
+        fs.writeFileSync(args.reportFile, JSON.stringify(report, null, 2));
+        console.log(`\nReport written to ${args.reportFile}`);
+    }
+
+    return report.status === 'completed' && report.summary.failed === 0 ? 0 : 1;
+}
+
+// Run if this script is executed directly
+if (require.main === module) {
+    runBackfill(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('💥 Backfill failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { runBackfill, parseArgs };
@@ -0,0 +1,87 @@
+/**
+ * Reconciliation CLI for AEM-MLE Synchronization
+ * Reports assets that are missing from MLE, orphaned in MLE or stale compared with
+ * the current AEM metadata, and optionally fixes them.
+ *
+ * Usage:
+ *   node aem-mle-reconcile.js --folder /content/dam/products [--no-recursive]
+ *                             [--format json|csv] [--output report.csv] [--fix]
+ *
+ * Uses the same environment variables and CONFIG_FILE as aem-mle-sync-service.js; logs go
+ * to stderr, so the report printed on stdout can be piped.
+ */
+
+const fs = require('fs');
+const { loadSyncComponents } = require('./lib/sync-components');
+const { Reconciler } = require('./lib/reconciler');
+const { DAM_ROOT, isDamFolder } = require('./lib/aem-assets-client');
+
+function parseArgs(argv) {
+    const args = { recursive: true, fix: false, format: 'json' };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--folder': args.folderPath = argv[++i]; break;
+            case '--format': args.format = argv[++i]; break;
+            case '--output': args.outputFile = argv[++i]; break;
+            case '--no-recursive': args.recursive = false; break;
+            case '--fix': args.fix = true; break;
+            case '--help': args.help = true; break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return args;
+}
+
+function printUsage() {
+    console.log('Usage: node aem-mle-reconcile.js --folder <damFolder> [--no-recursive] [--format json|csv] [--output file] [--fix]');
+}
+
+async function runReconciliation(argv) {
+    const args = parseArgs(argv);
+
+    if (args.help) {
+        printUsage();
+        return 0;
+    }
+    if (!args.folderPath || !isDamFolder(args.folderPath)) {
+        printUsage();
+        throw new Error(`--folder must be a DAM folder below ${DAM_ROOT}`);
+    }
+    if (!['json', 'csv'].includes(args.format)) {
+        throw new Error(`Unsupported format: ${args.format}`);
+    }
+
+    const { reconciler, flush } = loadSyncComponents('aem-mle-reconcile');
+    const report = await reconciler.run(args);
+    await flush();
+    const output = args.format === 'csv' ? Reconciler.toCsv(report) : `${JSON.stringify(report, null, 2)}\n`;
+
+    if (args.outputFile) {
+        fs.writeFileSync(args.outputFile, output);
+        console.error(`Report written to ${args.outputFile}`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    const { summary } = report;
+    console.error(`In sync: ${summary.inSync}, missing: ${summary.missing}, orphaned: ${summary.orphaned}, stale: ${summary.stale}` +
+        (report.fix ? `, fixed: ${summary.fixed}, fix failures: ${summary.fixFailed}` : ''));
+
+    const drift = summary.missing + summary.orphaned + summary.stale;
+    return (report.fix ? summary.fixFailed : drift) === 0 ? 0 : 1;
+}
+
+// Run if this script is executed directly
+if (require.main === module) {
+    runReconciliation(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('💥 Reconciliation failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { runReconciliation, parseArgs };
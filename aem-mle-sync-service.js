@@ -1,577 +1,415 @@
 const express = require('express');
-const axios = require('axios');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
+const fs = require('fs');
+const path = require('path');
+const { EventProcessor } = require('./lib/sync-core');
+const { JobQueue } = require('./lib/job-queue');
+const { IdempotencyStore } = require('./lib/idempotency-store');
+const { FileStore } = require('./lib/file-store');
+const { DAM_ROOT, isDamFolder } = require('./lib/aem-assets-client');
+const { BackfillRunner } = require('./lib/backfill');
+const { Reconciler } = require('./lib/reconciler');
+const { createLogger, withCorrelation } = require('./lib/logger');
+const { createSyncMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { HealthChecker } = require('./lib/health-checks');
+const { ExpirySweeper } = require('./lib/expiry-sweeper');
+const { WebhookVerifier, PublicKeyCache } = require('./lib/webhook-verification');
+const { createAdminAuth, maskSecrets } = require('./lib/admin-auth');
+const { renderAdminPage } = require('./lib/admin-ui');
+const { formatConfigErrors } = require('./lib/config-schema');
+const { checkConfig, startService, loadServiceConfig } = require('./lib/service-main');
+const { DEFAULT_TENANT } = require('./lib/tenant-router');
+const { createSyncComponents } = require('./lib/sync-components');
 
 const app = express();
-app.use(express.json({ limit: '10mb' }));
-
-// Configuration
-const CONFIG = {
-    port: process.env.PORT || 3000,
-    aemWebhookSecret: process.env.AEM_WEBHOOK_SECRET,
-    mleApiUrl: process.env.MLE_API_URL || 'https://your-mle-system.com/api',
-    mleApiVersion: process.env.MLE_API_VERSION || 'v1',
-    oauthClientId: process.env.OAUTH_CLIENT_ID,
-    oauthClientSecret: process.env.OAUTH_CLIENT_SECRET,
-    oauthTokenUrl: process.env.OAUTH_TOKEN_URL,
-    logLevel: process.env.LOG_LEVEL || 'info',
-    aemAuthorUrl: process.env.AEM_AUTHOR_URL,
-    aemPublishUrl: process.env.AEM_PUBLISH_URL
-};
-
-// Logging utility
-const logger = {
-    info: (msg, data) => console.log(`[INFO] ${msg}`, data || ''),
-    error: (msg, error) => console.error(`[ERROR] ${msg}`, error || ''),
-    debug: (msg, data) => CONFIG.logLevel === 'debug' && console.log(`[DEBUG] ${msg}`, data || '')
-};
-
-// Webhook signature verification
-function verifyWebhookSignature(payload, signature, secret) {
-    const expectedSignature = crypto
-        .createHmac('sha256', secret)
-        .update(payload)
-        .digest('hex');
-    
-    return crypto.timingSafeEqual(
-        Buffer.from(signature, 'hex'),
-        Buffer.from(expectedSignature, 'hex')
-    );
+// Keep the raw body: webhook signatures are computed over the exact bytes AEM sent.
+// CloudEvents deliveries use application/cloudevents+json.
+app.use(express.json({
+    limit: '10mb',
+    type: ['application/json', 'application/*+json'],
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+
+// Correlation id: the caller's x-request-id, else the AEM event id, else a new id.
+// Everything logged while handling the request carries it.
+app.use((req, res, next) => {
+    req.correlationId = req.get('x-request-id') || req.get('ce-id') || req.body?.event_id || req.body?.id || crypto.randomUUID();
+    res.set('x-request-id', req.correlationId);
+    withCorrelation({ correlationId: req.correlationId }, next);
+});
+
+// Run directly, --check-config and an invalid configuration exit here (lib/service-main.js);
+// entrypoints such as aem-pcm-sync-service.js check it before loading this module
+if (require.main === module) {
+    checkConfig();
 }
 
-// OAuth 2.0 Token Management
-class TokenManager {
-    constructor() {
-        this.accessToken = null;
-        this.tokenExpiry = null;
-    }
+// Configuration: environment variables, then the JSON file named by CONFIG_FILE or
+// --config <path>, then the defaults in lib/config-schema.js
+const configResult = loadServiceConfig();
+const CONFIG = configResult.config;
 
-    async getAccessToken() {
-        if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-            return this.accessToken;
-        }
+// Fail fast: an invalid configuration stops the service before anything is created
+if (configResult.errors.length > 0) {
+    throw new Error(formatConfigErrors(configResult.errors));
+}
 
-        try {
-            const response = await axios.post(CONFIG.oauthTokenUrl, {
-                grant_type: 'client_credentials',
-                client_id: CONFIG.oauthClientId,
-                client_secret: CONFIG.oauthClientSecret,
-                scope: 'api:write'
-            }, {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            });
+// Structured JSON logging with per-request/per-job correlation ids
+const logger = createLogger({ level: CONFIG.logLevel, service: 'aem-mle-sync-service' });
+configResult.warnings.forEach(warning => logger.warn(warning));
 
-            this.accessToken = response.data.access_token;
-            this.tokenExpiry = Date.now() + (response.data.expires_in * 1000) - 60000; // 1 minute buffer
-            
-            logger.info('OAuth token refreshed successfully');
-            return this.accessToken;
-        } catch (error) {
-            logger.error('Failed to obtain OAuth token', error.response?.data || error.message);
-            throw new Error('Authentication failed');
-        }
-    }
-}
+// Prometheus metrics exposed on GET /metrics
+const metrics = createSyncMetrics();
 
-const tokenManager = new TokenManager();
-
-// Asset metadata transformer for MLE
-class MetadataTransformer {
-    static transformForMLE(aemMetadata, assetPath, eventType) {
-        const assetUrl = this.constructAssetUrl(assetPath);
-        const mimeType = aemMetadata['dc:format'] || this.getMimeTypeFromPath(assetPath);
-        
-        return {
-            // Core asset identification
-            assetId: aemMetadata['jcr:uuid'] || this.extractAssetIdFromPath(assetPath),
-            assetPath: assetPath,
-            assetUrl: assetUrl,
-            publicUrl: this.constructPublicUrl(assetPath),
-            
-            // Media properties
-            mediaType: this.getMediaType(mimeType),
-            mimeType: mimeType,
-            fileSize: aemMetadata['dam:size'],
-            fileName: this.extractFileNameFromPath(assetPath),
-            
-            // Dimensions and technical metadata
-            dimensions: {
-                width: aemMetadata['tiff:ImageWidth'] || aemMetadata['exif:PixelXDimension'],
-                height: aemMetadata['tiff:ImageLength'] || aemMetadata['exif:PixelYDimension']
-            },
-            
-            // Content metadata
-            title: aemMetadata['dc:title'] || aemMetadata['jcr:title'],
-            description: aemMetadata['dc:description'],
-            altText: aemMetadata['dam:altText'] || aemMetadata['dc:title'],
-            
-            // Classification and tagging
-            tags: this.extractTags(aemMetadata),
-            categories: this.extractCategories(aemMetadata),
-            keywords: this.extractKeywords(aemMetadata),
-            
-            // Business metadata
-            brand: aemMetadata['dam:brand'],
-            campaign: aemMetadata['dam:campaign'],
-            productType: aemMetadata['dam:productType'],
-            usage: aemMetadata['dam:usage'] || 'web',
-            
-            // Status and workflow
-            approvalStatus: this.getApprovalStatus(aemMetadata),
-            publishStatus: 'published',
-            workflowStatus: aemMetadata['cq:workflowStatus'],
-            
-            // Timestamps
-            createdDate: aemMetadata['jcr:created'] || aemMetadata['dam:created'],
-            modifiedDate: aemMetadata['jcr:lastModified'] || aemMetadata['dam:lastModified'],
-            publishedDate: new Date().toISOString(),
-            
-            // Technical metadata
-            colorSpace: aemMetadata['tiff:ColorSpace'],
-            resolution: aemMetadata['tiff:XResolution'],
-            orientation: aemMetadata['tiff:Orientation'],
-            
-            // Rights and licensing
-            copyright: aemMetadata['dc:rights'],
-            license: aemMetadata['xmpRights:UsageTerms'],
-            creator: aemMetadata['dc:creator'],
-            
-            // Event context
-            eventType: eventType,
-            sourceSystem: 'AEM',
-            apiVersion: CONFIG.mleApiVersion,
-            
-            // Additional metadata
-            customMetadata: this.extractCustomMetadata(aemMetadata)
-        };
-    }
+// Sync state, sync core, AEM client, backfill runners and reconciler, shared with the CLIs
+const { syncState, syncCore, aemClient, createBackfillRunner, reconciler, flush: flushSyncComponents } = createSyncComponents(CONFIG, { logger, metrics });
 
-    static extractTags(metadata) {
-        const tags = [];
-        
-        // Extract from various tag fields
-        if (metadata['cq:tags']) {
-            const cqTags = Array.isArray(metadata['cq:tags']) ? metadata['cq:tags'] : [metadata['cq:tags']];
-            tags.push(...cqTags);
-        }
-        if (metadata['dam:tags']) {
-            const damTags = Array.isArray(metadata['dam:tags']) ? metadata['dam:tags'] : [metadata['dam:tags']];
-            tags.push(...damTags);
-        }
-        
-        return [...new Set(tags)]; // Remove duplicates
-    }
+const backfillRunner = createBackfillRunner();
+const reconciliationReports = new FileStore(path.join(CONFIG.dataDir, 'reconciliation-reports.json'));
 
-    static extractCategories(metadata) {
-        const categories = [];
-        
-        if (metadata['dc:subject']) {
-            const subjects = Array.isArray(metadata['dc:subject']) ? metadata['dc:subject'] : [metadata['dc:subject']];
-            categories.push(...subjects);
-        }
-        if (metadata['dam:category']) {
-            const damCategories = Array.isArray(metadata['dam:category']) ? metadata['dam:category'] : [metadata['dam:category']];
-            categories.push(...damCategories);
-        }
-        
-        return [...new Set(categories)];
-    }
+// Manual syncs from the admin UI run through the job queue like webhook events
+const MANUAL_SYNC_EVENT_TYPE = 'com.adobe.aem.assets.manual-sync';
+
+// Job result status -> events counter outcome
+const EVENT_OUTCOMES = { completed: 'processed', skipped: 'skipped' };
+
+function countEvent(eventType, outcome, tenant) {
+    metrics.events.inc({ event_type: eventType || 'unknown', outcome, tenant: tenant || DEFAULT_TENANT });
+}
 
-    static extractKeywords(metadata) {
-        const keywords = [];
-        
-        if (metadata['dc:keywords']) {
-            const dcKeywords = Array.isArray(metadata['dc:keywords']) ? metadata['dc:keywords'] : [metadata['dc:keywords']];
-            keywords.push(...dcKeywords);
+// Durable job queue for destination synchronization
+const jobQueue = new JobQueue({
+    dataDir: CONFIG.dataDir,
+    maxAttempts: CONFIG.retryAttempts,
+    baseDelayMs: CONFIG.retryDelay,
+    maxDelayMs: CONFIG.retryMaxDelay,
+    retentionMs: CONFIG.jobRetention,
+    // Retries only go to the destinations that failed on the previous attempt
+    handler: async (payload, job) => {
+        if (payload.events) {
+            return runBatchJob(payload, job);
         }
-        
-        return [...new Set(keywords)];
-    }
 
-    static getMediaType(mimeType) {
-        if (!mimeType) return 'unknown';
-        
-        if (mimeType.startsWith('image/')) return 'image';
-        if (mimeType.startsWith('video/')) return 'video';
-        if (mimeType.startsWith('audio/')) return 'audio';
-        if (mimeType.includes('pdf')) return 'document';
-        if (mimeType.includes('text/')) return 'text';
-        
-        return 'other';
-    }
+        const result = await syncCore.eventProcessor.processAssetEvent(payload, { systems: job.pendingSystems });
+        job.pendingSystems = (result.errors || []).map(error => error.system);
+        countEvent(payload.eventType, EVENT_OUTCOMES[result.status] || 'failed', result.tenant);
+        return result;
+    },
+    logger
+});
 
-    static getMimeTypeFromPath(assetPath) {
-        const extension = assetPath.split('.').pop().toLowerCase();
-        const mimeTypes = {
-            'jpg': 'image/jpeg',
-            'jpeg': 'image/jpeg',
-            'png': 'image/png',
-            'gif': 'image/gif',
-            'svg': 'image/svg+xml',
-            'mp4': 'video/mp4',
-            'mov': 'video/quicktime',
-            'pdf': 'application/pdf',
-            'txt': 'text/plain'
-        };
-        return mimeTypes[extension] || 'application/octet-stream';
-    }
+// Batch jobs keep pendingSystems per asset path, so a retry only syncs the events that
+// failed; results of the other events are carried over from earlier attempts
+async function runBatchJob(payload, job) {
+    const pending = job.pendingSystems;
+    const events = pending ? payload.events.filter(event => pending[event.assetPath]) : payload.events;
 
-    static getApprovalStatus(metadata) {
-        const approvalFields = [
-            'dam:status',
-            'dam:approvalStatus',
-            'cq:workflowStatus'
-        ];
-
-        for (const field of approvalFields) {
-            const value = metadata[field];
-            if (value && (value.toLowerCase() === 'approved' || value.toLowerCase() === 'published')) {
-                return 'approved';
-            }
-        }
-        return 'pending';
-    }
+    const result = await syncCore.eventProcessor.processAssetEvents(events, { systems: pending });
+    result.events.forEach(event => countEvent(event.eventType, EVENT_OUTCOMES[event.status] || 'failed', event.tenant));
+
+    job.pendingSystems = {};
+    result.events
+        .filter(event => event.errors && event.errors.length > 0)
+        .forEach(event => { job.pendingSystems[event.assetPath] = event.errors.map(error => error.system); });
+
+    const latest = new Map(result.events.map(event => [event.assetPath, event]));
+    const previous = new Map((job.result?.events || []).map(event => [event.assetPath, event]));
+    result.events = payload.events.map(event => latest.get(event.assetPath) || previous.get(event.assetPath));
+
+    return result;
+}
+
+// Expired assets are revoked through the job queue like any other event
+const expirySweeper = new ExpirySweeper({
+    syncState,
+    enqueue: eventData => jobQueue.enqueue(eventData),
+    isPending: jobId => ['queued', 'processing'].includes(jobQueue.getJob(jobId)?.status),
+    intervalMs: CONFIG.expirySweepInterval,
+    logger
+});
 
-    static extractCustomMetadata(metadata) {
-        const customFields = {};
-        const standardFields = [
-            'jcr:uuid', 'jcr:created', 'jcr:lastModified', 'jcr:title',
-            'dc:title', 'dc:description', 'dc:format', 'dc:rights', 'dc:creator', 'dc:subject', 'dc:keywords',
-            'dam:size', 'dam:status', 'dam:brand', 'dam:campaign', 'dam:productType', 'dam:usage', 'dam:altText',
-            'tiff:ImageWidth', 'tiff:ImageLength', 'tiff:ColorSpace', 'tiff:XResolution', 'tiff:Orientation',
-            'exif:PixelXDimension', 'exif:PixelYDimension',
-            'cq:tags', 'cq:workflowStatus',
-            'xmpRights:UsageTerms'
-        ];
-
-        Object.keys(metadata).forEach(key => {
-            if (!standardFields.includes(key) && !key.startsWith('jcr:') && !key.startsWith('rep:')) {
-                customFields[key] = metadata[key];
-            }
+// Queue gauges are read on every scrape; the oldest pending job shows sync lag
+metrics.registry.gauge('aem_sync_queue_depth', 'Jobs queued or being processed', [], gauge => gauge.set({}, jobQueue.getDepth()));
+metrics.registry.gauge('aem_sync_queue_oldest_job_age_seconds', 'Age of the oldest queued or processing job', [],
+    gauge => gauge.set({}, jobQueue.getOldestPendingAge() / 1000));
+metrics.registry.gauge('aem_sync_dead_letters', 'Jobs in the dead-letter store', [], gauge => gauge.set({}, jobQueue.getDeadLetterCount()));
+
+// MLE circuit breaker state (1 for the current state) and calls waiting for the rate
+// limiter, per tenant MLE instance
+const mleInstances = [...syncCore.tenants.values()];
+if (syncCore.circuitBreaker) {
+    metrics.registry.gauge('aem_sync_mle_circuit_state', 'MLE circuit breaker state', ['state', 'tenant'], gauge => {
+        mleInstances.forEach(({ tenant, circuitBreaker }) => {
+            ['closed', 'open', 'half_open'].forEach(state => gauge.set({ state, tenant }, circuitBreaker.state === state ? 1 : 0));
         });
+    });
+}
+if (syncCore.rateLimiter) {
+    metrics.registry.gauge('aem_sync_mle_rate_limit_pending', 'MLE calls waiting for a rate limit token', ['tenant'],
+        gauge => mleInstances.forEach(({ tenant, rateLimiter }) => gauge.set({ tenant }, rateLimiter.getPending())));
+}
 
-        return customFields;
+// Readiness probes: every destination's OAuth client, each tenant's MLE, and the persistent queue
+const healthChecker = new HealthChecker({
+    timeoutMs: CONFIG.healthCheckTimeout,
+    cacheTtlMs: CONFIG.healthCheckCacheTtl,
+    logger,
+    checks: {
+        oauth: () => Promise.all(syncCore.tokenManagers.map(tokenManager => tokenManager.getAuthHeaders())),
+        ...(syncCore.destinations.some(destination => destination.name === 'MLE')
+            ? Object.fromEntries(mleInstances.map(({ tenant, mleClient }) => [
+                tenant === DEFAULT_TENANT ? 'mle' : `mle:${tenant}`,
+                () => mleClient.ping()
+            ]))
+            : {}),
+        queue: checkQueue
     }
+});
 
-    static extractAssetIdFromPath(assetPath) {
-        return assetPath.split('/').pop().replace(/\.[^/.]+$/, '');
-    }
+// The data directory must be writable and the queue worker running
+async function checkQueue() {
+    const probeFile = path.join(CONFIG.dataDir, '.health-probe');
+    await fs.promises.writeFile(probeFile, new Date().toISOString());
+    await fs.promises.unlink(probeFile);
 
-    static extractFileNameFromPath(assetPath) {
-        return assetPath.split('/').pop();
+    if (!jobQueue.isStarted()) {
+        throw new Error('Job queue worker is not running');
     }
 
-    static constructAssetUrl(assetPath) {
-        return `${CONFIG.aemAuthorUrl}${assetPath}`;
-    }
+    return { details: { queueDepth: jobQueue.getDepth(), deadLetters: jobQueue.getDeadLetterCount() } };
+}
 
-    static constructPublicUrl(assetPath) {
-        return `${CONFIG.aemPublishUrl}${assetPath}`;
-    }
+// Webhook signatures: I/O Events digital signatures and the legacy shared-secret HMAC, and
+// the recipient client id of each delivery
+const webhookVerifier = new WebhookVerifier({
+    hmacSecret: CONFIG.aemWebhookSecret,
+    requireDigitalSignature: CONFIG.requireDigitalSignature,
+    clientId: CONFIG.ioEventsClientId,
+    publicKeys: new PublicKeyCache({
+        baseUrl: CONFIG.publicKeyBaseUrl,
+        ttlMs: CONFIG.publicKeyTtl,
+        store: new FileStore(path.join(CONFIG.dataDir, 'public-keys.json')),
+        logger
+    }),
+    logger
+});
+
+// De-duplication of AEM I/O Events redeliveries
+const idempotencyStore = new IdempotencyStore({
+    ttlMs: CONFIG.idempotencyTtl,
+    filePath: CONFIG.idempotencyStore === 'file' ? path.join(CONFIG.dataDir, 'idempotency.json') : null
+});
+
+// Deliveries are acknowledged once their jobs and idempotency keys are on disk
+function persistAccepted() {
+    return Promise.all([jobQueue.flush(), idempotencyStore.flush()]);
 }
 
-// MLE API Client
-class MLEClient {
-    static async sendAssetMetadata(transformedData) {
-        try {
-            const token = await tokenManager.getAccessToken();
-            
-            const endpoint = `${CONFIG.mleApiUrl}/${CONFIG.mleApiVersion}/assets`;
-            
-            const response = await axios.post(endpoint, transformedData, {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json',
-                    'X-API-Version': CONFIG.mleApiVersion,
-                    'X-Source-System': 'AEM'
-                },
-                timeout: 30000
-            });
+// Look up an earlier delivery of the same event; failed jobs may be delivered again
+function findDuplicateDelivery(idempotencyKey) {
+    const seen = idempotencyStore.get(idempotencyKey);
+    if (!seen) return null;
 
-            logger.info('Successfully sent asset metadata to MLE', { 
-                assetId: transformedData.assetId,
-                mediaType: transformedData.mediaType,
-                status: response.status
-            });
-            
-            return {
-                success: true,
-                mleAssetId: response.data.id || response.data.assetId,
-                status: response.data.status,
-                message: response.data.message,
-                responseData: response.data
-            };
-        } catch (error) {
-            const errorDetails = {
-                assetId: transformedData.assetId,
-                error: error.response?.data || error.message,
-                status: error.response?.status,
-                endpoint: `${CONFIG.mleApiUrl}/${CONFIG.mleApiVersion}/assets`
-            };
-            
-            logger.error('Failed to send asset metadata to MLE', errorDetails);
-            
-            return {
-                success: false,
-                error: errorDetails,
-                retryable: this.isRetryableError(error)
-            };
-        }
+    const job = jobQueue.getJob(seen.jobId);
+    if (job && job.status === 'failed') {
+        idempotencyStore.release(idempotencyKey);
+        return null;
     }
 
-    static async updateAssetMetadata(assetId, transformedData) {
-        try {
-            const token = await tokenManager.getAccessToken();
-            
-            const endpoint = `${CONFIG.mleApiUrl}/${CONFIG.mleApiVersion}/assets/${assetId}`;
-            
-            const response = await axios.put(endpoint, transformedData, {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json',
-                    'X-API-Version': CONFIG.mleApiVersion,
-                    'X-Source-System': 'AEM'
-                },
-                timeout: 30000
-            });
+    return seen;
+}
 
-            logger.info('Successfully updated asset metadata in MLE', { 
-                assetId: assetId,
-                mediaType: transformedData.mediaType,
-                status: response.status
-            });
-            
-            return {
-                success: true,
-                mleAssetId: response.data.id || assetId,
-                status: response.data.status,
-                message: response.data.message,
-                responseData: response.data
-            };
-        } catch (error) {
-            const errorDetails = {
-                assetId: assetId,
-                error: error.response?.data || error.message,
-                status: error.response?.status,
-                endpoint: `${CONFIG.mleApiUrl}/${CONFIG.mleApiVersion}/assets/${assetId}`
-            };
-            
-            logger.error('Failed to update asset metadata in MLE', errorDetails);
-            
-            return {
-                success: false,
-                error: errorDetails,
-                retryable: this.isRetryableError(error)
-            };
-        }
+// I/O Events registration handshake: echo the challenge back
+app.get('/webhook/aem-events', (req, res) => {
+    if (!req.query.challenge) {
+        return res.status(400).json({ error: 'Missing challenge' });
+    }
+    res.status(200).json({ challenge: req.query.challenge });
+});
+
+// Webhook checks shared by single and batch deliveries: an event type with a handler,
+// asset path present, and not a redelivery of an event that is already synchronized
+function screenEvent(eventData) {
+    const tenant = syncCore.tenantRouter.resolve(eventData.assetPath, eventData.metadata);
+    logger.info('Received AEM event', { eventType: eventData.eventType, eventId: eventData.eventId, tenant });
+    countEvent(eventData.eventType, 'received', tenant);
+
+    // Event types without a handler are reported, never guessed from their name
+    if (!eventData.eventType || !syncCore.eventHandlers.accepts(eventData.eventType)) {
+        logger.warn('Unknown event type, ignoring', { eventType: eventData.eventType });
+        countEvent(eventData.eventType, 'ignored', tenant);
+        return { status: 'ignored', reason: `No handler is registered for event type ${eventData.eventType || '(none)'}` };
     }
 
-    static async deleteAsset(assetId) {
-        try {
-            const token = await tokenManager.getAccessToken();
-            
-            const endpoint = `${CONFIG.mleApiUrl}/${CONFIG.mleApiVersion}/assets/${assetId}`;
-            
-            const response = await axios.delete(endpoint, {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'X-API-Version': CONFIG.mleApiVersion,
-                    'X-Source-System': 'AEM'
-                },
-                timeout: 30000
-            });
+    if (!eventData.assetPath) {
+        logger.error('Event payload missing asset path', { eventType: eventData.eventType });
+        return { status: 'invalid', error: 'Missing asset path in event payload' };
+    }
 
-            logger.info('Successfully deleted asset from MLE', { 
-                assetId: assetId,
-                status: response.status
-            });
-            
-            return {
-                success: true,
-                message: 'Asset deleted successfully'
-            };
-        } catch (error) {
-            const errorDetails = {
-                assetId: assetId,
-                error: error.response?.data || error.message,
-                status: error.response?.status
-            };
-            
-            logger.error('Failed to delete asset from MLE', errorDetails);
-            
-            return {
-                success: false,
-                error: errorDetails
-            };
-        }
+    // Acknowledge redeliveries without synchronizing them again
+    const idempotencyKey = IdempotencyStore.deriveKey(
+        eventData,
+        eventData.eventId ? null : syncCore.transformer.transformForMLE(eventData.metadata, eventData.assetPath, eventData.eventType)
+    );
+    const duplicate = idempotencyKey && findDuplicateDelivery(idempotencyKey);
+    if (duplicate) {
+        logger.info('Duplicate event delivery, skipping', { idempotencyKey, jobId: duplicate.jobId });
+        countEvent(eventData.eventType, 'duplicate', tenant);
+        return { status: 'duplicate', jobId: duplicate.jobId, firstSeenAt: duplicate.firstSeenAt };
     }
 
-    static isRetryableError(error) {
-        if (!error.response) return true; // Network errors are retryable
-        
-        const status = error.response.status;
-        return status >= 500 || status === 429; // Server errors and rate limits are retryable
+    return { status: 'accepted', idempotencyKey };
+}
+
+async function verifyWebhook(req, res) {
+    const verification = await webhookVerifier.verify(req.rawBody, req.headers);
+    if (!verification.valid) {
+        logger.error('Webhook signature verification failed', { reason: verification.error });
+        res.status(401).json({ error: verification.error });
+        return false;
     }
+    return true;
 }
 
-// Event processor for MLE integration
-class EventProcessor {
-    static async processAssetEvent(eventData) {
-        const { assetPath, metadata, eventType } = eventData;
-        
-        logger.info('Processing asset event for MLE', { assetPath, eventType });
-        logger.debug('Asset metadata', metadata);
-
-        // Check if asset is approved for publication
-        // In AEM Assets as a Cloud Service, approval is indicated by metadata status
-        if (!this.isAssetApproved(metadata)) {
-            logger.info('Asset not approved, skipping MLE synchronization', { assetPath, eventType });
-            return { status: 'skipped', reason: 'Asset not approved for publication' };
+// Webhook endpoint for AEM events
+// Events are validated and enqueued; MLE synchronization happens in the background
+app.post('/webhook/aem-events', async (req, res) => {
+    try {
+        if (req.body?.challenge && !req.body.data) {
+            return res.status(200).json({ challenge: req.body.challenge });
         }
-        
-        logger.info('Asset approved, proceeding with MLE synchronization', { assetPath, eventType });
-
-        const result = {
-            mle: null,
-            status: 'processing',
-            errors: [],
-            assetId: metadata['jcr:uuid'] || MetadataTransformer.extractAssetIdFromPath(assetPath)
-        };
-
-        try {
-            // Transform metadata for MLE
-            const mleData = MetadataTransformer.transformForMLE(metadata, assetPath, eventType);
-            
-            // Determine operation based on event type
-            let mleResult;
-            if (eventType.includes('created') || eventType.includes('published')) {
-                mleResult = await MLEClient.sendAssetMetadata(mleData);
-            } else if (eventType.includes('updated') || eventType.includes('modified')) {
-                mleResult = await MLEClient.updateAssetMetadata(mleData.assetId, mleData);
-            } else if (eventType.includes('deleted') || eventType.includes('removed')) {
-                mleResult = await MLEClient.deleteAsset(mleData.assetId);
-            } else {
-                // Default to create/update
-                mleResult = await MLEClient.sendAssetMetadata(mleData);
-            }
-
-            result.mle = mleResult;
-            result.status = mleResult.success ? 'completed' : 'failed';
-            
-            if (!mleResult.success) {
-                result.errors.push({
-                    system: 'MLE',
-                    error: mleResult.error,
-                    retryable: mleResult.retryable
-                });
-            }
-
-        } catch (error) {
-            logger.error('Unexpected error processing asset event', error);
-            result.errors.push({
-                system: 'MLE',
-                error: error.message,
-                retryable: true
+        if (!await verifyWebhook(req, res)) return;
+
+        const eventData = EventProcessor.extractEventData(req.body || {}, req.headers);
+        eventData.correlationId = req.correlationId;
+
+        const screening = screenEvent(eventData);
+        if (screening.status === 'ignored') {
+            return res.status(200).json({ status: 'ignored', reason: screening.reason });
+        }
+        if (screening.status === 'invalid') {
+            return res.status(400).json({ error: screening.error });
+        }
+        if (screening.status === 'duplicate') {
+            return res.status(200).json({
+                status: 'duplicate',
+                jobId: screening.jobId,
+                statusUrl: `/jobs/${screening.jobId}`,
+                firstSeenAt: screening.firstSeenAt,
+                timestamp: new Date().toISOString()
             });
-            result.status = 'error';
         }
 
-        // Log final result
-        if (result.status === 'completed') {
-            logger.info('Asset successfully synchronized to MLE', {
-                assetId: result.assetId,
-                mleAssetId: result.mle?.mleAssetId
-            });
-        } else {
-            logger.error('Asset synchronization failed', {
-                assetId: result.assetId,
-                errors: result.errors
-            });
+        // Enqueue the event and acknowledge immediately. A moved folder becomes one batch
+        // job moving every asset below it, retried per asset like any batch.
+        const folderMove = syncCore.eventProcessor.expandFolderMove(eventData);
+        const job = folderMove
+            ? jobQueue.enqueue({ correlationId: eventData.correlationId, events: folderMove })
+            : jobQueue.enqueue(eventData);
+        if (screening.idempotencyKey) {
+            idempotencyStore.remember(screening.idempotencyKey, { jobId: job.id });
         }
+        await persistAccepted();
 
-        return result;
+        res.status(202).json({
+            status: 'accepted',
+            jobId: job.id,
+            statusUrl: `/jobs/${job.id}`,
+            assets: folderMove ? folderMove.length : undefined,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Error processing webhook', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
     }
+});
 
-    static isAssetApproved(metadata) {
-        // Check various approval status fields
-        const approvalFields = [
-            'dam:status',
-            'dam:approvalStatus',
-            'cq:workflowStatus',
-            'jcr:content/metadata/dam:status'
-        ];
-
-        for (const field of approvalFields) {
-            const value = metadata[field];
-            if (value && (value.toLowerCase() === 'approved' || value.toLowerCase() === 'published')) {
-                return true;
-            }
-        }
+// Keep only the last event per asset path, in order of arrival
+function coalesceByAsset(events) {
+    const latest = new Map();
+    events.forEach(event => {
+        latest.delete(event.assetPath);
+        latest.set(event.assetPath, event);
+    });
+    return [...latest.values()];
+}
 
-        return false;
+// Batch events wait BATCH_COALESCE_WINDOW ms in one job; batches arriving in the
+// meantime are merged into it, the last event per asset winning
+function enqueueBatch(events, correlationId) {
+    const windowStart = new Date(Date.now() - CONFIG.batchCoalesceWindow).toISOString();
+    const waiting = CONFIG.batchCoalesceWindow > 0 && jobQueue.findWaitingJob(job => (
+        job.payload.events &&
+        job.createdAt >= windowStart &&
+        job.payload.events.length + events.length <= CONFIG.batchMaxEvents
+    ));
+
+    if (waiting) {
+        const merged = coalesceByAsset([...waiting.payload.events, ...events]);
+        logger.info('Batch events coalesced into waiting job', { jobId: waiting.id, events: merged.length });
+        return jobQueue.updatePayload(waiting.id, { ...waiting.payload, events: merged });
     }
 
-    static shouldProcessEvent(eventType) {
-        // Define which event types should trigger MLE synchronization
-        // For AEM Assets as a Cloud Service (Assets Only), focus on metadata and workflow events
-        const processableEvents = [
-            // Primary event - when metadata is updated (including dam:status = "approved")
-            'com.adobe.aem.assets.metadata.updated', // Metadata updated (including status changes)
-            
-            // Workflow events - approval workflows completion
-            'com.adobe.aem.workflow.completed',      // Workflow completed (approval workflows)
-            
-            // Asset lifecycle events
-            'com.adobe.aem.assets.created',         // Asset created (may be pre-approved)
-            'com.adobe.aem.assets.updated',         // Asset updated (general updates)
-            
-            // Cleanup events
-            'com.adobe.aem.assets.deleted',         // Asset deleted
-            'com.adobe.aem.assets.removed'          // Asset removed
-            
-            // Note: No publish/activate events in Assets-only Cloud Service
-            // Assets are managed in author environment only, no separate publish tier
-        ];
-
-        return processableEvents.some(event => eventType.includes(event.split('.').pop()));
-    }
+    return jobQueue.enqueue({ correlationId, events: coalesceByAsset(events) }, { delayMs: CONFIG.batchCoalesceWindow });
 }
 
-// Webhook endpoint for AEM events
-app.post('/webhook/aem-events', async (req, res) => {
+// Batch webhook: an array of events (or { events: [...] }) in one delivery, synchronized
+// by a single job with an MLE bulk upsert. The response reports a status per event.
+app.post('/webhook/aem-events/batch', async (req, res) => {
     try {
-        // Verify webhook signature if configured
-        if (CONFIG.aemWebhookSecret) {
-            const signature = req.headers['x-adobe-signature'];
-            if (!signature || !verifyWebhookSignature(JSON.stringify(req.body), signature, CONFIG.aemWebhookSecret)) {
-                logger.error('Invalid webhook signature');
-                return res.status(401).json({ error: 'Invalid signature' });
-            }
+        if (!await verifyWebhook(req, res)) return;
+
+        const deliveries = Array.isArray(req.body) ? req.body : req.body?.events;
+        if (!Array.isArray(deliveries) || deliveries.length === 0) {
+            return res.status(400).json({ error: 'Expected a non-empty array of events' });
         }
+        if (deliveries.length > CONFIG.batchMaxEvents) {
+            return res.status(413).json({ error: `Batch exceeds ${CONFIG.batchMaxEvents} events` });
+        }
+
+        const statuses = deliveries.map((delivery, index) => {
+            const eventData = EventProcessor.extractEventData(delivery || {});
+            eventData.correlationId = req.correlationId;
 
-        const eventData = req.body;
-        logger.info('Received AEM event', { eventType: eventData.event_type });
+            return { index, eventId: eventData.eventId, assetPath: eventData.assetPath, ...screenEvent(eventData), eventData };
+        });
 
-        // Process only asset-related events
-        if (!eventData.event_type || !EventProcessor.shouldProcessEvent(eventData.event_type)) {
-            logger.info('Non-processable event, ignoring', { eventType: eventData.event_type });
-            return res.status(200).json({ status: 'ignored', reason: 'Event type not supported for MLE synchronization' });
+        // Earlier events for an asset are superseded by the last one in the batch
+        const accepted = statuses.filter(status => status.status === 'accepted');
+        const lastIndex = new Map(accepted.map(status => [status.assetPath, status.index]));
+        accepted
+            .filter(status => lastIndex.get(status.assetPath) !== status.index)
+            .forEach(status => {
+                status.status = 'coalesced';
+                status.supersededBy = lastIndex.get(status.assetPath);
+            });
+
+        const events = accepted.flatMap(status => syncCore.eventProcessor.expandFolderMove(status.eventData) || [status.eventData]);
+        const job = events.length > 0 ? enqueueBatch(events, req.correlationId) : null;
+        if (job) {
+            accepted.forEach(status => {
+                status.jobId = job.id;
+                if (status.idempotencyKey) {
+                    idempotencyStore.remember(status.idempotencyKey, { jobId: job.id });
+                }
+            });
+            await persistAccepted();
         }
 
-        // Process the event
-        const result = await EventProcessor.processAssetEvent(eventData);
-        
-        res.status(200).json({
-            status: 'processed',
-            timestamp: new Date().toISOString(),
-            result
+        res.status(job ? 202 : 200).json({
+            status: job ? 'accepted' : 'ignored',
+            jobId: job ? job.id : null,
+            statusUrl: job ? `/jobs/${job.id}` : undefined,
+            events: statuses.map(({ eventData, idempotencyKey, ...status }) => status),
+            timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        logger.error('Error processing webhook', error);
+        logger.error('Error processing batch webhook', error);
         res.status(500).json({
             error: 'Internal server error',
             timestamp: new Date().toISOString()
@@ -579,15 +417,270 @@ app.post('/webhook/aem-events', async (req, res) => {
     }
 });
 
+// Job status as reported by /jobs/:id and the admin event list
+function toJobStatus(job) {
+    return {
+        jobId: job.id,
+        status: job.status,
+        attempts: job.attempts,
+        eventType: job.payload.eventType,
+        assetPath: job.payload.assetPath,
+        eventCount: job.payload.events ? job.payload.events.length : undefined,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        nextAttemptAt: job.status === 'queued' ? job.nextAttemptAt : undefined,
+        result: job.result
+    };
+}
+
+// Job status endpoint
+app.get('/jobs/:id', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', id: req.params.id });
+    }
+
+    res.status(200).json(toJobStatus(job));
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.status(200).json({
         status: 'healthy',
+        mleCircuit: syncCore.circuitBreaker ? syncCore.circuitBreaker.getStatus() : null,
         timestamp: new Date().toISOString(),
         version: '1.0.0'
     });
 });
 
+// Liveness: the process is up and serving requests; dependencies are not probed so an
+// MLE outage does not get the container restarted
+app.get('/health/live', (req, res) => {
+    res.status(200).json({
+        status: 'alive',
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Readiness: dependency probes, cached for HEALTH_CHECK_CACHE_TTL
+app.get('/health/ready', async (req, res, next) => {
+    try {
+        const report = await healthChecker.check();
+        res.status(report.status === 'ready' ? 200 : 503).json({
+            ...report,
+            mleCircuit: syncCore.circuitBreaker ? syncCore.circuitBreaker.getStatus() : null,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+    res.status(200).type(METRICS_CONTENT_TYPE).send(metrics.registry.render());
+});
+
+// Admin UI; the page itself holds no data, everything below /admin needs ADMIN_TOKEN
+app.get('/admin', (req, res) => {
+    res.status(200).type('html').send(renderAdminPage());
+});
+
+app.use('/admin', createAdminAuth({ token: CONFIG.adminToken, logger }));
+
+// Recent events with their sync results, newest first
+app.get('/admin/events', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    res.status(200).json({
+        events: jobQueue.listJobs(limit).map(toJobStatus),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Retry a failed job now instead of waiting for its backoff
+app.post('/admin/jobs/:id/retry', (req, res) => {
+    const job = jobQueue.retryJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'No job waiting for a retry', id: req.params.id });
+    }
+
+    res.status(202).json({
+        status: 'retrying',
+        jobId: job.id,
+        statusUrl: `/jobs/${job.id}`,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Effective configuration, credentials masked
+app.get('/admin/config', (req, res) => {
+    res.status(200).json({
+        config: maskSecrets(CONFIG),
+        destinations: syncCore.destinations.map(destination => destination.name),
+        tenants: syncCore.tenantRouter.describe(),
+        eventHandlers: syncCore.eventHandlers.describe(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Synchronize one asset on demand with its current AEM metadata
+app.post('/admin/sync', async (req, res, next) => {
+    const { assetPath } = req.body || {};
+
+    if (!assetPath || !assetPath.startsWith(`${DAM_ROOT}/`)) {
+        return res.status(400).json({ error: `assetPath must be an asset below ${DAM_ROOT}` });
+    }
+
+    try {
+        const asset = await aemClient.getAsset(assetPath);
+        if (!asset) {
+            return res.status(404).json({ error: 'Asset not found in AEM', assetPath });
+        }
+
+        const job = jobQueue.enqueue({
+            eventType: MANUAL_SYNC_EVENT_TYPE,
+            assetPath,
+            metadata: asset.metadata,
+            timestamp: new Date().toISOString(),
+            correlationId: req.correlationId
+        });
+        logger.info('Manual sync requested', { assetPath, jobId: job.id });
+        await jobQueue.flush();
+
+        res.status(202).json({
+            status: 'accepted',
+            jobId: job.id,
+            statusUrl: `/jobs/${job.id}`,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Dead-letter store inspection
+app.get('/admin/dlq', (req, res) => {
+    const deadLetters = jobQueue.listDeadLetters();
+    res.status(200).json({
+        count: deadLetters.length,
+        deadLetters,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Replay a dead-lettered job through the job queue
+app.post('/admin/dlq/:id/replay', (req, res) => {
+    const job = jobQueue.replayDeadLetter(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Dead-letter entry not found', id: req.params.id });
+    }
+
+    res.status(202).json({
+        status: 'requeued',
+        jobId: job.id,
+        statusUrl: `/jobs/${job.id}`,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Start a backfill of a DAM folder, or resume an interrupted run
+app.post('/admin/backfill', (req, res) => {
+    const { folderPath, recursive, dryRun, resumeRunId } = req.body || {};
+
+    if (!resumeRunId && (!folderPath || !isDamFolder(folderPath))) {
+        return res.status(400).json({ error: `folderPath must be a DAM folder below ${DAM_ROOT}` });
+    }
+    if (resumeRunId && !backfillRunner.getRun(resumeRunId)) {
+        return res.status(404).json({ error: 'Backfill run not found', id: resumeRunId });
+    }
+    if (backfillRunner.isRunning()) {
+        return res.status(409).json({ error: 'A backfill run is already in progress' });
+    }
+
+    const run = resumeRunId
+        ? backfillRunner.getRun(resumeRunId)
+        : backfillRunner.createRun({ folderPath, recursive, dryRun });
+
+    backfillRunner.run({ resumeRunId: run.id }).catch(error => {
+        logger.error('Backfill run crashed', { runId: run.id, error: error.message });
+    });
+
+    res.status(202).json({
+        status: 'started',
+        runId: run.id,
+        statusUrl: `/admin/backfill/${run.id}`,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Backfill run reports
+app.get('/admin/backfill', (req, res) => {
+    res.status(200).json({
+        runs: backfillRunner.listRuns().map(BackfillRunner.toReport),
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.get('/admin/backfill/:id', (req, res) => {
+    const run = backfillRunner.getRun(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: 'Backfill run not found', id: req.params.id });
+    }
+
+    res.status(200).json(BackfillRunner.toReport(run));
+});
+
+// Start a reconciliation of a DAM folder against MLE
+app.post('/admin/reconcile', (req, res) => {
+    const { folderPath, recursive, fix } = req.body || {};
+
+    if (!folderPath || !isDamFolder(folderPath)) {
+        return res.status(400).json({ error: `folderPath must be a DAM folder below ${DAM_ROOT}` });
+    }
+
+    const entry = reconciliationReports.put({
+        id: crypto.randomUUID(),
+        status: 'running',
+        createdAt: new Date().toISOString(),
+        report: null
+    });
+
+    reconciler.run({ folderPath, recursive, fix })
+        .then(report => reconciliationReports.put({ ...entry, status: 'completed', report }))
+        .catch(error => {
+            logger.error('Reconciliation failed', { reportId: entry.id, error: error.message });
+            reconciliationReports.put({ ...entry, status: 'failed', error: error.message });
+        });
+
+    res.status(202).json({
+        status: 'started',
+        reportId: entry.id,
+        statusUrl: `/admin/reconcile/${entry.id}`,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Reconciliation report as JSON, or CSV with ?format=csv
+app.get('/admin/reconcile/:id', (req, res) => {
+    const entry = reconciliationReports.get(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Reconciliation report not found', id: req.params.id });
+    }
+
+    if (req.query.format === 'csv' && entry.report) {
+        return res.status(200).type('text/csv').send(Reconciler.toCsv(entry.report));
+    }
+
+    res.status(200).json(entry);
+});
+
+// Run the expiry sweep now instead of waiting for EXPIRY_SWEEP_INTERVAL
+app.post('/admin/expiry-sweep', (req, res) => {
+    const summary = expirySweeper.sweep();
+    res.status(200).json({ ...summary, trackedAssets: syncState.size, timestamp: new Date().toISOString() });
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
     logger.error('Unhandled error', error);
@@ -597,16 +690,43 @@ app.use((error, req, res, next) => {
     });
 });
 
-// Start server
-app.listen(CONFIG.port, () => {
-    logger.info(`AEM-MLE Sync Service running on port ${CONFIG.port}`);
-    logger.info('Configuration loaded', {
-        mleApiUrl: CONFIG.mleApiUrl,
-        mleApiVersion: CONFIG.mleApiVersion,
-        aemAuthorUrl: CONFIG.aemAuthorUrl,
-        aemPublishUrl: CONFIG.aemPublishUrl,
-        webhookSecretConfigured: !!CONFIG.aemWebhookSecret
+function startServer() {
+    return app.listen(CONFIG.port, () => {
+        jobQueue.start();
+        if (CONFIG.expirySweepInterval > 0) {
+            expirySweeper.start();
+        }
+        backfillRunner.markInterruptedRuns();
+        logger.info(`AEM-MLE Sync Service running on port ${CONFIG.port}`);
+        logger.info('Configuration loaded', {
+            destinations: syncCore.destinations.map(destination => destination.name),
+            tenants: syncCore.tenantRouter.tenants.map(tenant => tenant.name),
+            renditions: syncCore.renditionSync ? syncCore.renditionSync.renditions : [],
+            mleApiUrl: CONFIG.mleApiUrl,
+            mleApiVersion: CONFIG.mleApiVersion,
+            aemAuthorUrl: CONFIG.aemAuthorUrl,
+            aemPublishUrl: CONFIG.aemPublishUrl,
+            webhookSecretConfigured: !!CONFIG.aemWebhookSecret,
+            adminTokenConfigured: !!CONFIG.adminToken,
+            dataDir: CONFIG.dataDir,
+            revocationAction: CONFIG.revocationAction,
+            retryAttempts: CONFIG.retryAttempts
+        });
     });
-});
+}
+
+// Stops taking work; store changes still being written go to disk before this resolves
+function stop(server, signal) {
+    logger.info('Shutting down', { signal });
+    jobQueue.stop();
+    server.close();
+    return Promise.all([jobQueue.flush(), idempotencyStore.flush(), reconciliationReports.flush(), flushSyncComponents()])
+        .catch(error => logger.error('Unable to write pending store changes', error));
+}
+
+module.exports = { app, CONFIG, syncCore, jobQueue, metrics, createBackfillRunner, reconciler, startServer, stop };
 
-module.exports = app;
+// Start server when run directly; tests and other entrypoints import the app instead
+if (require.main === module) {
+    startService(module.exports);
+}
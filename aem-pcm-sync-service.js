@@ -0,0 +1,19 @@
+/**
+ * AEM Assets to PCM/PIM Synchronization Service
+ * Runs the sync service with the PCM and PIM destinations enabled by default, for
+ * deployments that do not synchronize to MLE. SYNC_DESTINATIONS still takes precedence.
+ *
+ * Usage:
+ *   PCM_API_URL=... PIM_API_URL=... node aem-pcm-sync-service.js [--config <path>] [--check-config]
+ */
+
+process.env.SYNC_DESTINATIONS = process.env.SYNC_DESTINATIONS || 'PCM,PIM';
+
+const { main } = require('./lib/service-main');
+
+// Start server when run directly, like the MLE service; the configuration is checked first
+if (require.main === module) {
+    main(() => require('./aem-mle-sync-service'));
+}
+
+module.exports = { main };
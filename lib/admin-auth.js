@@ -0,0 +1,56 @@
+/**
+ * Admin Access for the Sync Service
+ * Protects the /admin endpoints with a shared admin token, sent as
+ * "Authorization: Bearer <token>" or in the x-admin-token header. Without a configured
+ * token the admin endpoints are disabled rather than left open.
+ */
+
+const crypto = require('crypto');
+const { SETTINGS } = require('./config-schema');
+
+const MASK = '********';
+
+// Configuration keys holding credentials, as flagged in the configuration schema
+const SECRET_KEYS = new Set(SETTINGS.filter(setting => setting.secret).map(setting => setting.key));
+
+// Compare digests so neither the length nor the content of the token leaks through timing
+function tokensMatch(provided, expected) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+function readToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    return req.headers['x-admin-token'] || null;
+}
+
+function createAdminAuth(options) {
+    const { token, logger } = options;
+
+    return (req, res, next) => {
+        if (!token) {
+            return res.status(503).json({ error: 'Admin endpoints are disabled: ADMIN_TOKEN is not configured' });
+        }
+
+        const provided = readToken(req);
+        if (!provided || !tokensMatch(provided, token)) {
+            logger.error('Rejected admin request', { method: req.method, path: req.originalUrl, tokenProvided: !!provided });
+            return res.status(401).json({ error: 'Invalid or missing admin token' });
+        }
+
+        next();
+    };
+}
+
+// Copy of a configuration object with credentials masked; unset credentials stay null
+function maskSecrets(config) {
+    return Object.fromEntries(Object.entries(config).map(([key, value]) => {
+        if (!SECRET_KEYS.has(key)) return [key, value];
+        return [key, value ? MASK : null];
+    }));
+}
+
+module.exports = { createAdminAuth, maskSecrets, MASK };
@@ -0,0 +1,225 @@
+/**
+ * Admin UI for the Sync Service
+ * A single self-contained page served on GET /admin. It holds no data itself: the browser
+ * asks for the admin token, keeps it in sessionStorage and calls the token-protected
+ * /admin JSON endpoints for recent events, dead letters, configuration and manual syncs.
+ */
+
+const ADMIN_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>AEM-MLE Sync Admin</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 0; color: #222; background: #f5f5f5; }
+    header { background: #1d1d1d; color: #fff; padding: 12px 24px; display: flex; justify-content: space-between; align-items: center; }
+    header h1 { font-size: 18px; margin: 0; }
+    main { padding: 16px 24px; }
+    section { background: #fff; border: 1px solid #ddd; border-radius: 4px; padding: 12px 16px; margin-bottom: 16px; }
+    section h2 { font-size: 16px; margin: 0 0 12px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+    td.errors { color: #b30000; max-width: 420px; word-break: break-word; white-space: pre-line; }
+    .status-completed { color: #12805c; }
+    .status-failed, .status-error { color: #b30000; }
+    .status-queued, .status-processing { color: #a05a00; }
+    pre { background: #fafafa; padding: 8px; overflow: auto; font-size: 12px; margin: 0; }
+    input[type=text], input[type=password] { padding: 6px; width: 360px; max-width: 100%; }
+    button { padding: 4px 10px; cursor: pointer; }
+    #message { margin-left: 12px; }
+    [hidden] { display: none !important; }
+</style>
+</head>
+<body>
+<header>
+    <h1>AEM-MLE Sync Admin</h1>
+    <button id="logout" hidden>Sign out</button>
+</header>
+<main>
+    <section id="login">
+        <h2>Admin token</h2>
+        <form id="login-form">
+            <input type="password" id="token" placeholder="ADMIN_TOKEN" autocomplete="current-password" required>
+            <button type="submit">Sign in</button>
+        </form>
+    </section>
+    <div id="console" hidden>
+        <section>
+            <h2>Manual sync</h2>
+            <form id="sync-form">
+                <input type="text" id="asset-path" placeholder="/content/dam/products/camera.jpg" required>
+                <button type="submit">Sync asset</button>
+                <span id="message"></span>
+            </form>
+        </section>
+        <section>
+            <h2>Recent events <button id="refresh">Refresh</button></h2>
+            <table>
+                <thead><tr><th>Received</th><th>Event</th><th>Asset</th><th>Status</th><th>Attempts</th><th>Result</th><th>Errors</th><th></th></tr></thead>
+                <tbody id="events"></tbody>
+            </table>
+        </section>
+        <section>
+            <h2>Dead letters</h2>
+            <table>
+                <thead><tr><th>Failed</th><th>Event</th><th>Asset</th><th>Reason</th><th>Errors</th><th></th></tr></thead>
+                <tbody id="dead-letters"></tbody>
+            </table>
+        </section>
+        <section>
+            <h2>Configuration</h2>
+            <pre id="config"></pre>
+        </section>
+    </div>
+</main>
+<script>
+(function () {
+    var TOKEN_KEY = 'aem-mle-admin-token';
+    var $ = function (id) { return document.getElementById(id); };
+
+    function api(method, path, body) {
+        var options = { method: method, headers: { 'Authorization': 'Bearer ' + sessionStorage.getItem(TOKEN_KEY) } };
+        if (body) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        return fetch(path, options).then(function (response) {
+            return response.json().then(function (data) {
+                if (response.status === 401 || response.status === 503) {
+                    signOut(data.error);
+                }
+                if (!response.ok) throw new Error(data.error || response.statusText);
+                return data;
+            });
+        });
+    }
+
+    function cell(row, text, className) {
+        var td = document.createElement('td');
+        td.textContent = text === undefined || text === null ? '' : String(text);
+        if (className) td.className = className;
+        row.appendChild(td);
+        return td;
+    }
+
+    function button(row, label, onClick) {
+        var td = cell(row, '');
+        var element = document.createElement('button');
+        element.textContent = label;
+        element.addEventListener('click', onClick);
+        td.appendChild(element);
+    }
+
+    function describeErrors(errors) {
+        return (errors || []).map(function (error) {
+            var detail = typeof error.error === 'string' ? error.error : JSON.stringify(error.error);
+            return (error.system ? error.system + ': ' : '') + detail;
+        }).join('\\n');
+    }
+
+    function eventLabel(job) {
+        return job.eventCount ? 'batch (' + job.eventCount + ' events)' : job.eventType;
+    }
+
+    function renderEvents(jobs) {
+        var body = $('events');
+        body.textContent = '';
+        jobs.forEach(function (job) {
+            var row = document.createElement('tr');
+            cell(row, new Date(job.createdAt).toLocaleString());
+            cell(row, eventLabel(job));
+            cell(row, job.assetPath);
+            cell(row, job.status, 'status-' + job.status);
+            cell(row, job.attempts);
+            cell(row, job.result && job.result.status);
+            cell(row, describeErrors(job.result && job.result.errors), 'errors');
+            if (job.status === 'queued' && job.attempts > 0) {
+                button(row, 'Retry now', function () { act('POST', '/admin/jobs/' + job.jobId + '/retry'); });
+            } else {
+                cell(row, '');
+            }
+            body.appendChild(row);
+        });
+    }
+
+    function renderDeadLetters(deadLetters) {
+        var body = $('dead-letters');
+        body.textContent = '';
+        deadLetters.forEach(function (entry) {
+            var row = document.createElement('tr');
+            cell(row, new Date(entry.deadLetteredAt).toLocaleString());
+            cell(row, entry.payload.events ? 'batch (' + entry.payload.events.length + ' events)' : entry.payload.eventType);
+            cell(row, entry.payload.assetPath);
+            cell(row, entry.reason);
+            cell(row, describeErrors(entry.lastError), 'errors');
+            button(row, 'Replay', function () { act('POST', '/admin/dlq/' + entry.id + '/replay'); });
+            body.appendChild(row);
+        });
+    }
+
+    function showMessage(text) {
+        $('message').textContent = text;
+    }
+
+    function act(method, path, body) {
+        return api(method, path, body)
+            .then(function (data) {
+                showMessage(data.jobId ? data.status + ': job ' + data.jobId : data.status);
+                return refresh();
+            })
+            .catch(function (error) { showMessage(error.message); });
+    }
+
+    function refresh() {
+        return Promise.all([api('GET', '/admin/events'), api('GET', '/admin/dlq')])
+            .then(function (results) {
+                renderEvents(results[0].events);
+                renderDeadLetters(results[1].deadLetters);
+            })
+            .catch(function (error) { showMessage(error.message); });
+    }
+
+    function signIn() {
+        $('login').hidden = true;
+        $('console').hidden = false;
+        $('logout').hidden = false;
+        api('GET', '/admin/config')
+            .then(function (data) { $('config').textContent = JSON.stringify(data.config, null, 2); })
+            .then(refresh)
+            .catch(function (error) { showMessage(error.message); });
+    }
+
+    function signOut(reason) {
+        sessionStorage.removeItem(TOKEN_KEY);
+        $('login').hidden = false;
+        $('console').hidden = true;
+        $('logout').hidden = true;
+        if (reason) alert(reason);
+    }
+
+    $('login-form').addEventListener('submit', function (event) {
+        event.preventDefault();
+        sessionStorage.setItem(TOKEN_KEY, $('token').value);
+        $('token').value = '';
+        signIn();
+    });
+    $('sync-form').addEventListener('submit', function (event) {
+        event.preventDefault();
+        act('POST', '/admin/sync', { assetPath: $('asset-path').value.trim() });
+    });
+    $('refresh').addEventListener('click', refresh);
+    $('logout').addEventListener('click', function () { signOut(); });
+
+    if (sessionStorage.getItem(TOKEN_KEY)) signIn();
+})();
+</script>
+</body>
+</html>
+`;
+
+function renderAdminPage() {
+    return ADMIN_PAGE;
+}
+
+module.exports = { renderAdminPage };
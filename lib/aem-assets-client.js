@@ -0,0 +1,176 @@
+/**
+ * AEM Assets HTTP API Client
+ * Lists DAM folders page by page and fetches single assets through the Assets HTTP API
+ * (/api/assets), which exposes folders and assets as Siren entities, and downloads
+ * rendition binaries.
+ */
+
+const axios = require('axios');
+
+const DAM_ROOT = '/content/dam';
+
+// The DAM root or a folder below it; /content/damfoo is neither
+function isDamFolder(folderPath) {
+    return folderPath === DAM_ROOT || folderPath.startsWith(`${DAM_ROOT}/`);
+}
+
+class AemAssetsClient {
+    constructor(options) {
+        this.authorUrl = options.authorUrl;
+        this.accessToken = options.accessToken;
+        this.logger = options.logger;
+        this.timeout = options.timeout || 30000;
+    }
+
+    // /content/dam/brand/folder -> {author}/api/assets/brand/folder.json
+    getFolderEndpoint(folderPath) {
+        const relativePath = folderPath.replace(DAM_ROOT, '').replace(/\/$/, '');
+        return `${this.authorUrl}/api/assets${relativePath}.json`;
+    }
+
+    getHeaders() {
+        const headers = { 'Accept': 'application/json' };
+        if (this.accessToken) {
+            headers['Authorization'] = `Bearer ${this.accessToken}`;
+        }
+        return headers;
+    }
+
+    // Fetch one page of a folder listing
+    async listFolder(folderPath, offset = 0, limit = 20) {
+        const endpoint = this.getFolderEndpoint(folderPath);
+
+        try {
+            const response = await axios.get(endpoint, {
+                headers: this.getHeaders(),
+                params: { offset, limit },
+                timeout: this.timeout
+            });
+
+            const entities = response.data.entities || [];
+            const paging = response.data.properties?.['srn:paging'] || {};
+            const base = folderPath.replace(/\/$/, '');
+
+            const assets = [];
+            const folders = [];
+            entities.forEach(entity => {
+                const classes = entity.class || [];
+                const entityPath = `${base}/${entity.properties.name}`;
+
+                if (classes.includes('assets/folder')) {
+                    folders.push(entityPath);
+                } else if (classes.includes('assets/asset')) {
+                    assets.push({
+                        path: entityPath,
+                        metadata: entity.properties.metadata || {}
+                    });
+                }
+            });
+
+            const total = paging.total !== undefined ? paging.total : offset + entities.length;
+
+            return {
+                assets,
+                folders,
+                total,
+                count: entities.length,
+                nextOffset: offset + entities.length < total && entities.length > 0 ? offset + entities.length : null
+            };
+        } catch (error) {
+            this.logger.error('Failed to list AEM DAM folder', {
+                folderPath,
+                offset,
+                error: error.response?.data || error.message,
+                status: error.response?.status
+            });
+            throw new Error(`Failed to list AEM folder ${folderPath}: ${error.message}`);
+        }
+    }
+
+    // Fetch a single asset with its metadata; null when it does not exist
+    async getAsset(assetPath) {
+        try {
+            const response = await axios.get(this.getFolderEndpoint(assetPath), {
+                headers: this.getHeaders(),
+                timeout: this.timeout
+            });
+
+            return { path: assetPath, metadata: response.data.properties?.metadata || {} };
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            this.logger.error('Failed to fetch AEM asset', {
+                assetPath,
+                error: error.response?.data || error.message,
+                status: error.response?.status
+            });
+            throw new Error(`Failed to fetch AEM asset ${assetPath}: ${error.message}`);
+        }
+    }
+
+    // /content/dam/x.jpg + original -> {author}/content/dam/x.jpg/_jcr_content/renditions/original
+    getRenditionEndpoint(assetPath, renditionName) {
+        return `${this.authorUrl}${assetPath}/_jcr_content/renditions/${renditionName}`;
+    }
+
+    // Download one rendition binary; larger responses than maxBytes are aborted
+    async fetchRendition(assetPath, renditionName, maxBytes = Infinity) {
+        const endpoint = this.getRenditionEndpoint(assetPath, renditionName);
+
+        try {
+            const response = await axios.get(endpoint, {
+                headers: { ...this.getHeaders(), 'Accept': '*/*' },
+                responseType: 'arraybuffer',
+                maxContentLength: maxBytes,
+                timeout: this.timeout
+            });
+
+            const data = Buffer.from(response.data);
+
+            return {
+                name: renditionName,
+                data,
+                size: data.length,
+                contentType: response.headers?.['content-type'] || 'application/octet-stream'
+            };
+        } catch (error) {
+            const failure = new Error(`Failed to fetch rendition ${renditionName} of ${assetPath}: ${error.message}`);
+            failure.status = error.response?.status;
+            failure.tooLarge = /maxContentLength/.test(error.message);
+
+            this.logger.error('Failed to fetch AEM rendition', {
+                assetPath,
+                renditionName,
+                error: error.message,
+                status: failure.status
+            });
+            throw failure;
+        }
+    }
+
+    // Iterate every asset below a folder, page by page
+    async *walkFolder(folderPath, options = {}) {
+        const recursive = options.recursive !== false;
+        const pageSize = options.pageSize || 20;
+        const pendingFolders = [folderPath];
+
+        while (pendingFolders.length > 0) {
+            const currentFolder = pendingFolders.shift();
+            let offset = 0;
+
+            while (offset !== null) {
+                const page = await this.listFolder(currentFolder, offset, pageSize);
+                if (recursive) {
+                    pendingFolders.push(...page.folders);
+                }
+                for (const asset of page.assets) {
+                    yield asset;
+                }
+                offset = page.nextOffset;
+            }
+        }
+    }
+}
+
+module.exports = { AemAssetsClient, DAM_ROOT, isDamFolder };
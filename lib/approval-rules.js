@@ -0,0 +1,273 @@
+/**
+ * Approval Rules for AEM-MLE Synchronization
+ * Decides per asset whether it is synchronized, from a JSON rule set (see
+ * config/approval-rules.json). Every rule in `rules` must pass; the first one that
+ * fails is reported, with the condition that failed, as the reason the asset was skipped.
+ * An asset whose prism:expirationDate or dam:offTime has passed is never approved.
+ *
+ * Rule (and condition) keys:
+ *   name       reported when the rule rejects an asset
+ *   when       condition; the rule (or condition) only applies to assets matching it
+ *   all / any  list of conditions that must all / at least one match
+ *   not        condition that must not match
+ *   field      AEM property, tested with one of: exists (true or false), equals, in,
+ *              matches (regular expression), before / after (ISO date or "now");
+ *              ignoreCase makes string comparisons case-insensitive. Multi-value
+ *              properties match when any of their values does.
+ *   path       glob, or list of globs, the asset path must match ("*" stays within a
+ *              folder, "**" spans folders)
+ *   message    replaces the generated rejection reason
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_APPROVAL_RULES_FILE = path.join(__dirname, '..', 'config', 'approval-rules.json');
+
+// Properties holding the date after which an asset must no longer be published
+const EXPIRY_FIELDS = ['prism:expirationDate', 'dam:offTime'];
+
+const NODE_TYPES = ['all', 'any', 'not', 'field', 'path'];
+const FIELD_TESTS = ['exists', 'equals', 'in', 'matches', 'before', 'after'];
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function format(value) {
+    return isEmpty(value) ? 'nothing' : JSON.stringify(value);
+}
+
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let index = 0; index < glob.length; index += 1) {
+        const char = glob[index];
+        if (char === '*' && glob[index + 1] === '*') {
+            pattern += '.*';
+            index += 1;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+function parseDate(value, now) {
+    if (value === 'now') return now.getTime();
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+// Validate a rule or condition and precompile its patterns; `location` names it in errors
+function compile(node, location) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        throw new Error(`Invalid approval rules at ${location}: expected an object`);
+    }
+
+    const types = NODE_TYPES.filter(type => node[type] !== undefined);
+    if (types.length !== 1) {
+        throw new Error(`Invalid approval rules at ${location}: expected exactly one of ${NODE_TYPES.join(', ')}`);
+    }
+
+    const compiled = { type: types[0], message: node.message };
+    if (node.when !== undefined) {
+        compiled.when = compile(node.when, `${location}.when`);
+    }
+
+    switch (compiled.type) {
+    case 'all':
+    case 'any':
+        if (!Array.isArray(node[compiled.type]) || node[compiled.type].length === 0) {
+            throw new Error(`Invalid approval rules at ${location}: "${compiled.type}" must be a non-empty list`);
+        }
+        compiled.children = node[compiled.type].map((child, index) => compile(child, `${location}.${compiled.type}[${index}]`));
+        break;
+    case 'not':
+        compiled.child = compile(node.not, `${location}.not`);
+        break;
+    case 'path':
+        compiled.globs = toList(node.path);
+        compiled.patterns = compiled.globs.map(glob => globToRegExp(String(glob)));
+        break;
+    default: {
+        if (typeof node.field !== 'string' || !node.field) {
+            throw new Error(`Invalid approval rules at ${location}: "field" must be a property name`);
+        }
+        const tests = FIELD_TESTS.filter(test => node[test] !== undefined);
+        if (tests.length !== 1) {
+            throw new Error(`Invalid approval rules at ${location}: field "${node.field}" needs exactly one of ${FIELD_TESTS.join(', ')}`);
+        }
+        compiled.field = node.field;
+        compiled.test = tests[0];
+        compiled.expected = node[tests[0]];
+        compiled.ignoreCase = !!node.ignoreCase;
+
+        if (compiled.test === 'in' && !Array.isArray(compiled.expected)) {
+            throw new Error(`Invalid approval rules at ${location}: "in" must be a list`);
+        }
+        if (compiled.test === 'matches') {
+            try {
+                compiled.pattern = new RegExp(compiled.expected, compiled.ignoreCase ? 'i' : '');
+            } catch (error) {
+                throw new Error(`Invalid approval rules at ${location}: ${error.message}`);
+            }
+        }
+        if ((compiled.test === 'before' || compiled.test === 'after') && parseDate(compiled.expected, new Date()) === null) {
+            throw new Error(`Invalid approval rules at ${location}: "${compiled.test}" must be an ISO date or "now"`);
+        }
+    }
+    }
+
+    return compiled;
+}
+
+function describe(node) {
+    switch (node.type) {
+    case 'all': return `all of (${node.children.map(describe).join('; ')})`;
+    case 'any': return `any of (${node.children.map(describe).join('; ')})`;
+    case 'not': return `not ${describe(node.child)}`;
+    case 'path': return `path matches ${node.globs.join(' or ')}`;
+    case 'field':
+        if (node.test === 'exists') return `${node.field} ${node.expected ? 'is set' : 'is not set'}`;
+        if (node.test === 'in') return `${node.field} in [${node.expected.join(', ')}]`;
+        if (node.test === 'matches') return `${node.field} matches /${node.expected}/`;
+        if (node.test === 'equals') return `${node.field} equals ${format(node.expected)}`;
+        return `${node.field} ${node.test} ${node.expected}`;
+    default: return node.type;
+    }
+}
+
+function normalize(value, ignoreCase) {
+    return ignoreCase && typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function testValue(node, value, now) {
+    const expected = node.expected;
+
+    switch (node.test) {
+    case 'equals':
+        return normalize(value, node.ignoreCase) === normalize(expected, node.ignoreCase);
+    case 'in':
+        return expected.some(option => normalize(option, node.ignoreCase) === normalize(value, node.ignoreCase));
+    case 'matches':
+        return node.pattern.test(String(value));
+    default: {
+        const time = parseDate(value, now);
+        const bound = parseDate(expected, now);
+        if (time === null) return false;
+        return node.test === 'before' ? time < bound : time > bound;
+    }
+    }
+}
+
+// { matched } or { matched: false, reason }; a node whose "when" does not match passes
+function evaluate(node, context) {
+    if (node.when && !evaluate(node.when, context).matched) {
+        return { matched: true };
+    }
+
+    const outcome = evaluateNode(node, context);
+    return outcome.matched || !node.message ? outcome : { matched: false, reason: node.message };
+}
+
+function evaluateNode(node, context) {
+    switch (node.type) {
+    case 'all': {
+        for (const child of node.children) {
+            const outcome = evaluate(child, context);
+            if (!outcome.matched) return outcome;
+        }
+        return { matched: true };
+    }
+    case 'any': {
+        const reasons = [];
+        for (const child of node.children) {
+            const outcome = evaluate(child, context);
+            if (outcome.matched) return outcome;
+            reasons.push(outcome.reason);
+        }
+        return { matched: false, reason: `none of: ${reasons.join('; ')}` };
+    }
+    case 'not':
+        return evaluate(node.child, context).matched
+            ? { matched: false, reason: `${describe(node)}: it does` }
+            : { matched: true };
+    case 'path':
+        return node.patterns.some(pattern => pattern.test(context.assetPath))
+            ? { matched: true }
+            : { matched: false, reason: `${describe(node)}: got ${format(context.assetPath)}` };
+    default: {
+        const value = context.metadata[node.field];
+        const matched = node.test === 'exists'
+            ? isEmpty(value) !== !!node.expected
+            : !isEmpty(value) && toList(value).some(item => testValue(node, item, context.now));
+
+        return matched ? { matched: true } : { matched: false, reason: `${describe(node)}: got ${format(value)}` };
+    }
+    }
+}
+
+class ApprovalRules {
+    constructor(ruleSet) {
+        if (!ruleSet || !Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+            throw new Error('Invalid approval rules: "rules" must be a non-empty list');
+        }
+
+        this.rules = ruleSet.rules.map((rule, index) => ({
+            name: rule.name || `rule-${index + 1}`,
+            node: compile(rule, `rules[${index}]`)
+        }));
+    }
+
+    static load(filePath = DEFAULT_APPROVAL_RULES_FILE) {
+        let ruleSet;
+        try {
+            ruleSet = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to load approval rules from ${filePath}: ${error.message}`);
+        }
+        return new ApprovalRules(ruleSet);
+    }
+
+    // Earliest expiry date of an asset (ISO string), or null when it does not expire
+    static getExpiry(metadata) {
+        const times = EXPIRY_FIELDS
+            .filter(field => metadata && !isEmpty(metadata[field]))
+            .flatMap(field => toList(metadata[field]))
+            .map(value => Date.parse(value))
+            .filter(time => !Number.isNaN(time));
+
+        return times.length > 0 ? new Date(Math.min(...times)).toISOString() : null;
+    }
+
+    // { approved: true } or { approved: false, rule, reason } naming the first failing
+    // rule; expired assets are reported with rule "expired" and `expired: true`
+    evaluate(metadata, assetPath, now = new Date()) {
+        const context = { metadata: metadata || {}, assetPath: assetPath || '', now };
+
+        for (const { name, node } of this.rules) {
+            const outcome = evaluate(node, context);
+            if (!outcome.matched) {
+                return { approved: false, rule: name, reason: outcome.reason };
+            }
+        }
+
+        const expiresAt = ApprovalRules.getExpiry(metadata);
+        if (expiresAt && Date.parse(expiresAt) <= now.getTime()) {
+            return { approved: false, rule: 'expired', reason: `Expired at ${expiresAt}`, expired: true };
+        }
+
+        return { approved: true };
+    }
+}
+
+module.exports = { ApprovalRules, DEFAULT_APPROVAL_RULES_FILE, EXPIRY_FIELDS };
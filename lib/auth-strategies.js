@@ -0,0 +1,161 @@
+/**
+ * Authentication Strategies
+ * How a TokenManager proves its identity to a destination. OAuth strategies implement
+ * one of the client authentication methods for the client_credentials grant and add
+ * their credentials to the token request; the API key strategy needs no token endpoint
+ * and supplies request headers itself.
+ *
+ * Methods:
+ *   client_secret_post   client id and secret in the form body (default)
+ *   client_secret_basic  client id and secret in an HTTP Basic Authorization header
+ *   private_key_jwt      a JWT client assertion signed with the client's private key (RFC 7523)
+ *   tls_client_auth      the client certificate of the mTLS connection (RFC 8705)
+ *   api_key              a static key sent on every API request
+ */
+
+const fs = require('fs');
+const https = require('https');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const AUTH_METHODS = ['client_secret_post', 'client_secret_basic', 'private_key_jwt', 'tls_client_auth', 'api_key'];
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+const ASSERTION_TTL_SECONDS = 300;
+
+class ClientSecretPost {
+    constructor(options) {
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+    }
+
+    authenticate(request) {
+        request.params.set('client_id', this.clientId);
+        request.params.set('client_secret', this.clientSecret);
+    }
+}
+
+class ClientSecretBasic {
+    constructor(options) {
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+    }
+
+    // Both parts are form-urlencoded before base64, as RFC 6749 section 2.3.1 requires
+    authenticate(request) {
+        const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+        request.headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+}
+
+class PrivateKeyJwt {
+    constructor(options) {
+        this.clientId = options.clientId;
+        // Keys passed inline (Runtime params, env vars) often carry their line breaks as "\n"
+        this.privateKey = options.privateKey
+            ? options.privateKey.replace(/\\n/g, '\n')
+            : options.privateKeyFile && fs.readFileSync(options.privateKeyFile, 'utf8');
+        this.algorithm = options.jwtAlgorithm || 'RS256';
+        this.keyId = options.keyId;
+
+        if (!this.privateKey) {
+            throw new Error('private_key_jwt authentication needs a private key (privateKey or privateKeyFile)');
+        }
+    }
+
+    // A fresh, short-lived assertion per token request; the token URL is its audience
+    authenticate(request, tokenUrl) {
+        const signOptions = {
+            algorithm: this.algorithm,
+            issuer: this.clientId,
+            subject: this.clientId,
+            audience: tokenUrl,
+            expiresIn: ASSERTION_TTL_SECONDS,
+            jwtid: crypto.randomUUID()
+        };
+        if (this.keyId) {
+            signOptions.keyid = this.keyId;
+        }
+
+        request.params.set('client_id', this.clientId);
+        request.params.set('client_assertion_type', CLIENT_ASSERTION_TYPE);
+        request.params.set('client_assertion', jwt.sign({}, this.privateKey, signOptions));
+    }
+}
+
+class TlsClientAuth {
+    constructor(options) {
+        this.clientId = options.clientId;
+
+        if (!options.httpsAgent) {
+            throw new Error('tls_client_auth authentication needs a client certificate and key (tlsCertFile and tlsKeyFile)');
+        }
+    }
+
+    // The certificate itself is presented by the TLS agent the token request runs on
+    authenticate(request) {
+        request.params.set('client_id', this.clientId);
+    }
+}
+
+class ApiKey {
+    constructor(options) {
+        this.apiKey = options.apiKey;
+        this.header = options.apiKeyHeader || 'x-api-key';
+
+        if (!this.apiKey) {
+            throw new Error('api_key authentication needs an API key');
+        }
+    }
+
+    getHeaders() {
+        return { [this.header]: this.apiKey };
+    }
+}
+
+const STRATEGIES = {
+    client_secret_post: ClientSecretPost,
+    client_secret_basic: ClientSecretBasic,
+    private_key_jwt: PrivateKeyJwt,
+    tls_client_auth: TlsClientAuth,
+    api_key: ApiKey
+};
+
+function createAuthStrategy(options) {
+    const method = options.authMethod || 'client_secret_post';
+    const Strategy = STRATEGIES[method];
+    if (!Strategy) {
+        throw new Error(`Unknown auth method: ${method} (expected one of ${AUTH_METHODS.join(', ')})`);
+    }
+    return new Strategy(options);
+}
+
+// Client certificate for mTLS, used for the token request and the API requests alike;
+// null when no certificate is configured
+function createTlsAgent(options) {
+    if (!options.tlsCertFile && !options.tlsKeyFile) {
+        return null;
+    }
+    if (!options.tlsCertFile || !options.tlsKeyFile) {
+        throw new Error('mTLS needs both a client certificate (tlsCertFile) and its key (tlsKeyFile)');
+    }
+
+    return new https.Agent({
+        cert: fs.readFileSync(options.tlsCertFile),
+        key: fs.readFileSync(options.tlsKeyFile),
+        ca: options.tlsCaFile ? fs.readFileSync(options.tlsCaFile) : undefined,
+        passphrase: options.tlsKeyPassphrase,
+        keepAlive: true
+    });
+}
+
+module.exports = {
+    createAuthStrategy,
+    createTlsAgent,
+    AUTH_METHODS,
+    CLIENT_ASSERTION_TYPE,
+    ClientSecretPost,
+    ClientSecretBasic,
+    PrivateKeyJwt,
+    TlsClientAuth,
+    ApiKey
+};
@@ -0,0 +1,248 @@
+/**
+ * Full Resync / Backfill for AEM-MLE Synchronization
+ * Walks a DAM folder through the AEM Assets HTTP API and synchronizes every approved
+ * asset to MLE in throttled batches. Progress is checkpointed after each batch so an
+ * interrupted run can be resumed where it stopped. Resuming a run also retries the assets
+ * that failed in it, fetched again from AEM; those still failing wait for the next resume.
+ */
+
+const crypto = require('crypto');
+
+const BACKFILL_EVENT_TYPE = 'com.adobe.aem.assets.backfill';
+
+class BackfillRunner {
+    constructor(options) {
+        this.aemClient = options.aemClient;
+        this.eventProcessor = options.eventProcessor;
+        this.checkpoints = options.checkpointStore;
+        this.logger = options.logger;
+        this.batchSize = options.batchSize || 20;
+        this.batchDelayMs = options.batchDelayMs !== undefined ? options.batchDelayMs : 1000;
+        this.maxReportedFailures = options.maxReportedFailures || 100;
+    }
+
+    createRun(options) {
+        const now = new Date().toISOString();
+
+        return this.checkpoints.put({
+            id: crypto.randomUUID(),
+            status: 'pending',
+            folderPath: options.folderPath,
+            recursive: options.recursive !== false,
+            dryRun: !!options.dryRun,
+            startedAt: now,
+            updatedAt: now,
+            finishedAt: null,
+            // Walk position: folders still to visit, and the folder/offset being paged through
+            cursor: { pendingFolders: [options.folderPath], currentFolder: null, offset: 0 },
+            summary: { scanned: 0, approved: 0, synced: 0, skipped: 0, failed: 0, batches: 0 },
+            failures: [],
+            // Paths of failed assets, retried when the run is resumed
+            retries: []
+        });
+    }
+
+    getRun(id) {
+        return this.checkpoints.get(id);
+    }
+
+    listRuns() {
+        return this.checkpoints.list()
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    isRunning() {
+        return this.checkpoints.list().some(run => run.status === 'running');
+    }
+
+    // Runs still marked "running" at startup were cut short by a restart
+    markInterruptedRuns() {
+        this.checkpoints.list()
+            .filter(run => run.status === 'running')
+            .forEach(run => {
+                run.status = 'interrupted';
+                run.updatedAt = new Date().toISOString();
+                this.checkpoints.put(run);
+            });
+    }
+
+    // Start a new run, or resume an interrupted one when resumeRunId is given
+    async run(options) {
+        let run;
+        if (options.resumeRunId) {
+            run = this.getRun(options.resumeRunId);
+            if (!run) {
+                throw new Error(`Backfill run not found: ${options.resumeRunId}`);
+            }
+            // Runs checkpointed before failed assets were retried only list the reported failures
+            run.retries = run.retries || run.failures.map(failure => failure.assetPath);
+            if (run.status === 'completed' && run.retries.length === 0) {
+                return run;
+            }
+            delete run.error;
+            this.logger.info('Resuming backfill run', { runId: run.id, cursor: run.cursor });
+        } else {
+            run = this.createRun(options);
+            this.logger.info('Starting backfill run', { runId: run.id, folderPath: run.folderPath, dryRun: run.dryRun });
+        }
+
+        run.status = 'running';
+        await this.save(run);
+
+        try {
+            await this.retryFailed(run);
+            await this.walk(run);
+            run.status = 'completed';
+            run.finishedAt = new Date().toISOString();
+            await this.save(run);
+            this.logger.info('Backfill run completed', { runId: run.id, summary: run.summary });
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+            await this.save(run);
+            this.logger.error('Backfill run failed, resume it to continue from the last checkpoint', {
+                runId: run.id,
+                error: error.message
+            });
+        }
+
+        return run;
+    }
+
+    async walk(run) {
+        const { cursor } = run;
+
+        while (cursor.currentFolder || cursor.pendingFolders.length > 0) {
+            if (!cursor.currentFolder) {
+                cursor.currentFolder = cursor.pendingFolders.shift();
+                cursor.offset = 0;
+            }
+
+            const page = await this.aemClient.listFolder(cursor.currentFolder, cursor.offset, this.batchSize);
+            await this.processBatch(run, page.assets);
+
+            // Advance the cursor only once the batch is done, then checkpoint
+            if (run.recursive) {
+                cursor.pendingFolders.push(...page.folders);
+            }
+            if (page.nextOffset === null) {
+                cursor.currentFolder = null;
+                cursor.offset = 0;
+            } else {
+                cursor.offset = page.nextOffset;
+            }
+            run.summary.batches += 1;
+            await this.save(run);
+
+            if (this.batchDelayMs > 0 && (cursor.currentFolder || cursor.pendingFolders.length > 0)) {
+                await new Promise(resolve => setTimeout(resolve, this.batchDelayMs));
+            }
+        }
+    }
+
+    // Sync the assets that failed before this resume, in batches with a checkpoint after each.
+    // A retried asset's earlier failure is taken out of the summary before its new outcome
+    // is counted; an asset deleted from AEM since is counted as skipped.
+    async retryFailed(run) {
+        let remaining = run.retries.length;
+        if (remaining > 0) {
+            this.logger.info('Retrying failed backfill assets', { runId: run.id, count: remaining });
+        }
+
+        while (remaining > 0) {
+            const paths = run.retries.slice(0, Math.min(this.batchSize, remaining));
+            const results = await Promise.all(paths.map(async assetPath => {
+                const asset = await this.aemClient.getAsset(assetPath);
+                return asset ? this.syncAsset(run, asset) : { asset: { path: assetPath }, status: 'skipped' };
+            }));
+
+            run.retries.splice(0, paths.length);
+            remaining -= paths.length;
+            run.failures = run.failures.filter(failure => !paths.includes(failure.assetPath));
+            results.forEach(result => {
+                run.summary.failed -= 1;
+                run.summary.approved -= 1;
+                this.countResult(run, result);
+            });
+            run.summary.batches += 1;
+            await this.save(run);
+        }
+    }
+
+    async processBatch(run, assets) {
+        const results = await Promise.all(assets.map(asset => this.syncAsset(run, asset)));
+
+        results.forEach(result => {
+            run.summary.scanned += 1;
+            this.countResult(run, result);
+        });
+    }
+
+    countResult(run, { asset, status, errors }) {
+        if (status === 'skipped') {
+            run.summary.skipped += 1;
+            return;
+        }
+
+        run.summary.approved += 1;
+        if (status === 'completed' || status === 'dry-run') {
+            run.summary.synced += 1;
+        } else {
+            run.summary.failed += 1;
+            run.retries.push(asset.path);
+            if (run.failures.length < this.maxReportedFailures) {
+                run.failures.push({ assetPath: asset.path, status, errors });
+            }
+        }
+    }
+
+    async syncAsset(run, asset) {
+        const eventData = {
+            eventType: BACKFILL_EVENT_TYPE,
+            assetPath: asset.path,
+            metadata: asset.metadata,
+            timestamp: new Date().toISOString()
+        };
+
+        if (run.dryRun) {
+            const approved = this.eventProcessor.approvalRules.evaluate(asset.metadata, asset.path).approved;
+            if (approved) {
+                // Transform anyway so mapping problems surface in a dry run
+                this.eventProcessor.transformer.transformForMLE(asset.metadata, asset.path, BACKFILL_EVENT_TYPE);
+            }
+            return { asset, status: approved ? 'dry-run' : 'skipped' };
+        }
+
+        try {
+            const result = await this.eventProcessor.processAssetEvent(eventData);
+            return { asset, status: result.status, errors: result.errors };
+        } catch (error) {
+            return { asset, status: 'error', errors: [{ error: error.message }] };
+        }
+    }
+
+    // Resolves once the checkpoint is on disk
+    async save(run) {
+        run.updatedAt = new Date().toISOString();
+        this.checkpoints.put(run);
+        await this.checkpoints.flush();
+    }
+
+    // Summary report without the walk cursor
+    static toReport(run) {
+        return {
+            runId: run.id,
+            status: run.status,
+            folderPath: run.folderPath,
+            recursive: run.recursive,
+            dryRun: run.dryRun,
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt,
+            summary: run.summary,
+            failures: run.failures,
+            error: run.error
+        };
+    }
+}
+
+module.exports = { BackfillRunner, BACKFILL_EVENT_TYPE };
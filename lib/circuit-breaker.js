@@ -0,0 +1,85 @@
+/**
+ * Circuit Breaker
+ * Stops calling a failing dependency for a while instead of adding load to it.
+ *
+ *   closed     requests flow; consecutive failures are counted
+ *   open       after failureThreshold consecutive failures; requests are rejected
+ *              until resetTimeoutMs has passed
+ *   half_open  up to halfOpenMaxRequests trial requests; a success closes the
+ *              circuit, a failure opens it again
+ */
+
+const STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' };
+
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.name = options.name || 'circuit';
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+        this.halfOpenMaxRequests = options.halfOpenMaxRequests || 1;
+        this.logger = options.logger;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.halfOpenInFlight = 0;
+        this.lastFailureAt = null;
+    }
+
+    transition(state) {
+        if (this.state === state) return;
+
+        this.logger.info(`Circuit breaker ${state}`, { circuit: this.name, from: this.state, consecutiveFailures: this.consecutiveFailures });
+        this.state = state;
+        this.openedAt = state === STATES.OPEN ? Date.now() : null;
+        this.halfOpenInFlight = 0;
+    }
+
+    // Whether a request may go through now; half-open admits a limited number of trials
+    allowRequest() {
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.transition(STATES.HALF_OPEN);
+        }
+        if (this.state === STATES.CLOSED) return true;
+        if (this.state === STATES.HALF_OPEN && this.halfOpenInFlight < this.halfOpenMaxRequests) {
+            this.halfOpenInFlight += 1;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        if (this.state !== STATES.CLOSED) {
+            this.transition(STATES.CLOSED);
+        }
+    }
+
+    recordFailure() {
+        this.consecutiveFailures += 1;
+        this.lastFailureAt = Date.now();
+
+        if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+            this.transition(STATES.OPEN);
+        }
+    }
+
+    // Milliseconds until an open circuit lets a trial request through
+    getRetryAfterMs() {
+        if (this.state !== STATES.OPEN) return 0;
+        return Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAfterMs: this.getRetryAfterMs(),
+            lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = { CircuitBreaker, STATES };
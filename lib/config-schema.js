@@ -0,0 +1,331 @@
+/**
+ * Configuration Schema for AEM-MLE Synchronization
+ * Every setting of the sync service and the I/O Runtime action, typed, with its default.
+ * Values come from environment variables (or Runtime action params), then from an
+ * optional JSON config file keyed by the same names, then from the default.
+ *
+ * Setting keys:
+ *   key        property name on the resolved configuration
+ *   env        environment variable, config file key and Runtime param name
+ *   type       string | url | integer | number | boolean | enum | file | json
+ *   default    value used when the setting is not given
+ *   required   true, or a function of the resolved configuration returning the reason
+ *              the setting is required (falsy when it is not)
+ *   recommended  function of the resolved configuration returning a warning when unset
+ *   values     allowed values of an enum
+ *   min / max  bounds of an integer or number
+ *   secret     masked when the configuration is printed
+ *   scope      'service' (default), 'runtime', or 'both'
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_MAPPING_FILE } = require('./metadata-mapping');
+const { DEFAULT_APPROVAL_RULES_FILE } = require('./approval-rules');
+const { PUBLIC_KEY_BASE_URL } = require('./webhook-verification');
+const { UPLOAD_MODES } = require('./rendition-sync');
+const { parseDestinationList, BUILT_IN_DESTINATION_NAMES } = require('./destinations');
+const { AUTH_METHODS } = require('./auth-strategies');
+
+const OAUTH_METHODS = AUTH_METHODS.filter(method => method !== 'api_key');
+const CLIENT_SECRET_METHODS = ['client_secret_post', 'client_secret_basic'];
+const JWT_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+function destinationsOf(config) {
+    return parseDestinationList(config.syncDestinations);
+}
+
+function requiredForDestination(name) {
+    return config => destinationsOf(config).includes(name) && `the ${name} destination is enabled`;
+}
+
+// A destination's authentication method: its own (PCM and PIM), else the shared one
+function authMethodOf(config, name) {
+    return (name !== 'MLE' && config[`${name.toLowerCase()}AuthMethod`]) || config.authMethod || 'client_secret_post';
+}
+
+// Destinations authenticating with one of `methods` that rely on the shared value of a
+// setting; PCM and PIM can set some of them for themselves (pcmOauthClientId, pimApiKey, ...)
+function sharedUsers(config, methods, ownSetting) {
+    return destinationsOf(config).filter(name => methods.includes(authMethodOf(config, name))
+        && (name === 'MLE' || !ownSetting || !config[`${name.toLowerCase()}${ownSetting}`]));
+}
+
+function describeUsers(users, what) {
+    return users.length > 0 && `${users.join(' and ')} use${users.length === 1 ? 's' : ''} ${what}`;
+}
+
+function requiredForSharedOAuth(ownSetting, methods = OAUTH_METHODS) {
+    return config => describeUsers(sharedUsers(config, methods, ownSetting), 'the shared OAuth client');
+}
+
+const SETTINGS = [
+    { key: 'port', env: 'PORT', type: 'integer', min: 0, max: 65535, default: 3000 },
+    { key: 'logLevel', env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', scope: 'both' },
+    {
+        key: 'aemWebhookSecret', env: 'AEM_WEBHOOK_SECRET', type: 'string', secret: true, scope: 'both',
+        recommended: config => !config.requireDigitalSignature && 'webhooks are accepted without a signature check'
+    },
+    {
+        key: 'adminToken', env: 'ADMIN_TOKEN', type: 'string', secret: true,
+        recommended: () => 'the /admin routes answer 503'
+    },
+
+    { key: 'syncDestinations', env: 'SYNC_DESTINATIONS', type: 'string', default: 'MLE', scope: 'both' },
+    { key: 'mleApiUrl', env: 'MLE_API_URL', type: 'url', required: requiredForDestination('MLE'), scope: 'both' },
+    { key: 'mleApiVersion', env: 'MLE_API_VERSION', type: 'string', default: 'v1', scope: 'both' },
+    { key: 'oauthClientId', env: 'OAUTH_CLIENT_ID', type: 'string', required: requiredForSharedOAuth('OauthClientId'), scope: 'both' },
+    { key: 'oauthClientSecret', env: 'OAUTH_CLIENT_SECRET', type: 'string', secret: true, required: requiredForSharedOAuth('OauthClientSecret', CLIENT_SECRET_METHODS), scope: 'both' },
+    { key: 'oauthTokenUrl', env: 'OAUTH_TOKEN_URL', type: 'url', required: requiredForSharedOAuth('OauthTokenUrl'), scope: 'both' },
+    { key: 'authMethod', env: 'AUTH_METHOD', type: 'enum', values: AUTH_METHODS, default: 'client_secret_post', scope: 'both' },
+    { key: 'oauthScope', env: 'OAUTH_SCOPE', type: 'string', scope: 'both' },
+    { key: 'oauthRefreshMargin', env: 'OAUTH_REFRESH_MARGIN', type: 'integer', min: 0, default: 60000, scope: 'both' },
+    {
+        key: 'oauthPrivateKey', env: 'OAUTH_PRIVATE_KEY', type: 'string', secret: true, scope: 'both',
+        required: config => !config.oauthPrivateKeyFile
+            && describeUsers(sharedUsers(config, ['private_key_jwt']), 'private_key_jwt and OAUTH_PRIVATE_KEY_FILE is not set')
+    },
+    { key: 'oauthPrivateKeyFile', env: 'OAUTH_PRIVATE_KEY_FILE', type: 'file' },
+    { key: 'oauthKeyId', env: 'OAUTH_KEY_ID', type: 'string', scope: 'both' },
+    { key: 'oauthJwtAlgorithm', env: 'OAUTH_JWT_ALGORITHM', type: 'enum', values: JWT_ALGORITHMS, default: 'RS256', scope: 'both' },
+    {
+        key: 'apiKey', env: 'AUTH_API_KEY', type: 'string', secret: true, scope: 'both',
+        required: config => describeUsers(sharedUsers(config, ['api_key'], 'ApiKey'), 'the shared API key')
+    },
+    { key: 'apiKeyHeader', env: 'AUTH_API_KEY_HEADER', type: 'string', default: 'x-api-key', scope: 'both' },
+    {
+        key: 'tlsCertFile', env: 'AUTH_TLS_CERT_FILE', type: 'file',
+        required: config => (config.tlsKeyFile ? 'AUTH_TLS_KEY_FILE is set' : describeUsers(sharedUsers(config, ['tls_client_auth']), 'tls_client_auth'))
+    },
+    {
+        key: 'tlsKeyFile', env: 'AUTH_TLS_KEY_FILE', type: 'file',
+        required: config => (config.tlsCertFile ? 'AUTH_TLS_CERT_FILE is set' : describeUsers(sharedUsers(config, ['tls_client_auth']), 'tls_client_auth'))
+    },
+    { key: 'tlsCaFile', env: 'AUTH_TLS_CA_FILE', type: 'file' },
+    { key: 'tlsKeyPassphrase', env: 'AUTH_TLS_KEY_PASSPHRASE', type: 'string', secret: true },
+    { key: 'pcmApiUrl', env: 'PCM_API_URL', type: 'url', required: requiredForDestination('PCM'), scope: 'both' },
+    { key: 'pcmOauthClientId', env: 'PCM_OAUTH_CLIENT_ID', type: 'string', scope: 'both' },
+    { key: 'pcmOauthClientSecret', env: 'PCM_OAUTH_CLIENT_SECRET', type: 'string', secret: true, scope: 'both' },
+    { key: 'pcmOauthTokenUrl', env: 'PCM_OAUTH_TOKEN_URL', type: 'url', scope: 'both' },
+    { key: 'pcmAuthMethod', env: 'PCM_AUTH_METHOD', type: 'enum', values: AUTH_METHODS, scope: 'both' },
+    { key: 'pcmOauthScope', env: 'PCM_OAUTH_SCOPE', type: 'string', scope: 'both' },
+    { key: 'pcmApiKey', env: 'PCM_AUTH_API_KEY', type: 'string', secret: true, scope: 'both' },
+    { key: 'pimApiUrl', env: 'PIM_API_URL', type: 'url', required: requiredForDestination('PIM'), scope: 'both' },
+    { key: 'pimOauthClientId', env: 'PIM_OAUTH_CLIENT_ID', type: 'string', scope: 'both' },
+    { key: 'pimOauthClientSecret', env: 'PIM_OAUTH_CLIENT_SECRET', type: 'string', secret: true, scope: 'both' },
+    { key: 'pimOauthTokenUrl', env: 'PIM_OAUTH_TOKEN_URL', type: 'url', scope: 'both' },
+    { key: 'pimAuthMethod', env: 'PIM_AUTH_METHOD', type: 'enum', values: AUTH_METHODS, scope: 'both' },
+    { key: 'pimOauthScope', env: 'PIM_OAUTH_SCOPE', type: 'string', scope: 'both' },
+    { key: 'pimApiKey', env: 'PIM_AUTH_API_KEY', type: 'string', secret: true, scope: 'both' },
+
+    { key: 'aemAuthorUrl', env: 'AEM_AUTHOR_URL', type: 'url', required: true, scope: 'both' },
+    { key: 'aemPublishUrl', env: 'AEM_PUBLISH_URL', type: 'url', required: true, scope: 'both' },
+    { key: 'aemAccessToken', env: 'AEM_ACCESS_TOKEN', type: 'string', secret: true, scope: 'both' },
+
+    { key: 'dataDir', env: 'DATA_DIR', type: 'string', default: path.join(__dirname, '..', 'data') },
+    { key: 'retryAttempts', env: 'RETRY_ATTEMPTS', type: 'integer', min: 1, default: 5 },
+    { key: 'retryDelay', env: 'RETRY_DELAY', type: 'integer', min: 0, default: 1000 },
+    { key: 'retryMaxDelay', env: 'RETRY_MAX_DELAY', type: 'integer', min: 0, default: 300000 },
+    { key: 'jobRetention', env: 'JOB_RETENTION', type: 'integer', min: 0, default: 86400000 },
+    { key: 'idempotencyTtl', env: 'IDEMPOTENCY_TTL', type: 'integer', min: 0, default: 86400000 },
+    { key: 'idempotencyStore', env: 'IDEMPOTENCY_STORE', type: 'enum', values: ['file', 'memory'], default: 'file' },
+    { key: 'metadataMappingFile', env: 'METADATA_MAPPING_FILE', type: 'file', default: DEFAULT_MAPPING_FILE },
+    { key: 'approvalRulesFile', env: 'APPROVAL_RULES_FILE', type: 'file', default: DEFAULT_APPROVAL_RULES_FILE },
+    { key: 'tenantsFile', env: 'TENANTS_FILE', type: 'file' },
+    { key: 'tenants', env: 'TENANTS', type: 'json', scope: 'runtime' },
+    { key: 'eventHandlersFile', env: 'EVENT_HANDLERS_FILE', type: 'file' },
+    { key: 'eventHandlers', env: 'EVENT_HANDLERS', type: 'json', scope: 'runtime' },
+    { key: 'metadataMapping', env: 'METADATA_MAPPING', type: 'json', scope: 'runtime' },
+    { key: 'approvalRules', env: 'APPROVAL_RULES', type: 'json', scope: 'runtime' },
+    { key: 'backfillBatchSize', env: 'BACKFILL_BATCH_SIZE', type: 'integer', min: 1, default: 20 },
+    { key: 'backfillBatchDelay', env: 'BACKFILL_BATCH_DELAY', type: 'integer', min: 0, default: 1000 },
+
+    { key: 'mleCircuitFailureThreshold', env: 'MLE_CIRCUIT_FAILURE_THRESHOLD', type: 'integer', min: 0, default: 5 },
+    { key: 'mleCircuitResetTimeout', env: 'MLE_CIRCUIT_RESET_TIMEOUT', type: 'integer', min: 0, default: 30000 },
+    { key: 'mleCircuitHalfOpenRequests', env: 'MLE_CIRCUIT_HALF_OPEN_REQUESTS', type: 'integer', min: 1, default: 1 },
+    { key: 'mleRateLimit', env: 'MLE_RATE_LIMIT', type: 'number', min: 0, default: 0 },
+    { key: 'mleRateLimitBurst', env: 'MLE_RATE_LIMIT_BURST', type: 'integer', min: 0, default: 0 },
+
+    { key: 'requireDigitalSignature', env: 'IO_EVENTS_REQUIRE_DIGITAL_SIGNATURE', type: 'boolean', default: false, scope: 'both' },
+    {
+        // Adobe signs every subscriber's events with the same keys, so signed deliveries must
+        // also name this app as their recipient
+        key: 'ioEventsClientId', env: 'IO_EVENTS_CLIENT_ID', type: 'string', scope: 'both',
+        required: config => config.requireDigitalSignature && !config.aemWebhookSecret
+            && 'IO_EVENTS_REQUIRE_DIGITAL_SIGNATURE is set without AEM_WEBHOOK_SECRET',
+        recommended: config => !config.aemWebhookSecret && 'digitally signed webhooks are rejected'
+    },
+    { key: 'publicKeyBaseUrl', env: 'IO_EVENTS_PUBLIC_KEY_BASE_URL', type: 'url', default: PUBLIC_KEY_BASE_URL, scope: 'both' },
+    { key: 'publicKeyTtl', env: 'IO_EVENTS_PUBLIC_KEY_TTL', type: 'integer', min: 0, default: 86400000, scope: 'both' },
+
+    { key: 'revocationAction', env: 'REVOCATION_ACTION', type: 'enum', values: ['delete', 'status'], default: 'delete' },
+    { key: 'expirySweepInterval', env: 'EXPIRY_SWEEP_INTERVAL', type: 'integer', min: 0, default: 900000 },
+    { key: 'batchMaxEvents', env: 'BATCH_MAX_EVENTS', type: 'integer', min: 1, default: 1000 },
+    { key: 'batchCoalesceWindow', env: 'BATCH_COALESCE_WINDOW', type: 'integer', min: 0, default: 2000 },
+    { key: 'mleBulkSize', env: 'MLE_BULK_SIZE', type: 'integer', min: 1, default: 100 },
+    { key: 'healthCheckTimeout', env: 'HEALTH_CHECK_TIMEOUT', type: 'integer', min: 1, default: 5000 },
+    { key: 'healthCheckCacheTtl', env: 'HEALTH_CHECK_CACHE_TTL', type: 'integer', min: 0, default: 10000 },
+
+    { key: 'mleRenditions', env: 'MLE_RENDITIONS', type: 'string', default: '', scope: 'both' },
+    { key: 'mleRenditionMaxBytes', env: 'MLE_RENDITION_MAX_BYTES', type: 'integer', min: 1, default: 104857600, scope: 'both' },
+    { key: 'mleRenditionUpload', env: 'MLE_RENDITION_UPLOAD', type: 'enum', values: UPLOAD_MODES, default: 'multipart', scope: 'both' }
+];
+
+// Coercions return { value } or { error } naming what was expected
+const TYPES = {
+    string: value => ({ value: String(value) }),
+    url: value => {
+        try {
+            const url = new URL(String(value));
+            if (url.protocol === 'http:' || url.protocol === 'https:') return { value: String(value) };
+        } catch (error) {
+            // Reported below
+        }
+        return { error: 'an http(s) URL' };
+    },
+    integer: value => {
+        const number = Number(value);
+        return value !== '' && Number.isInteger(number) ? { value: number } : { error: 'an integer' };
+    },
+    number: value => {
+        const number = Number(value);
+        return value !== '' && Number.isFinite(number) ? { value: number } : { error: 'a number' };
+    },
+    boolean: value => {
+        const normalized = String(value).toLowerCase();
+        if (['true', '1', 'yes'].includes(normalized)) return { value: true };
+        if (['false', '0', 'no'].includes(normalized)) return { value: false };
+        return { error: 'true or false' };
+    },
+    enum: (value, setting) => (setting.values.includes(String(value))
+        ? { value: String(value) }
+        : { error: `one of ${setting.values.join(', ')}` }),
+    file: value => (fs.existsSync(String(value)) ? { value: String(value) } : { error: 'an existing file' }),
+    json: value => {
+        if (typeof value === 'object') return { value };
+        try {
+            return { value: JSON.parse(value) };
+        } catch (error) {
+            return { error: `JSON (${error.message})` };
+        }
+    }
+};
+
+function settingsFor(deployment) {
+    return SETTINGS.filter(setting => (setting.scope || 'service') === deployment || setting.scope === 'both');
+}
+
+function readConfigFile(filePath) {
+    try {
+        const values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            return { error: `Config file ${filePath} must hold a JSON object of settings` };
+        }
+        return { values };
+    } catch (error) {
+        return { error: `Unable to read config file ${filePath}: ${error.message}` };
+    }
+}
+
+function isUnset(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function coerce(setting, raw) {
+    const outcome = TYPES[setting.type](raw, setting);
+    if (outcome.error) {
+        return { error: `${setting.env} must be ${outcome.error}, got ${JSON.stringify(raw)}` };
+    }
+    if (setting.min !== undefined && outcome.value < setting.min) {
+        return { error: `${setting.env} must be at least ${setting.min}, got ${outcome.value}` };
+    }
+    if (setting.max !== undefined && outcome.value > setting.max) {
+        return { error: `${setting.env} must be at most ${setting.max}, got ${outcome.value}` };
+    }
+    return outcome;
+}
+
+/**
+ * Resolve and validate the settings of one deployment ('service' or 'runtime').
+ * Returns { config, errors, warnings, sources }; config holds defaults for settings
+ * that failed validation, and sources tells where each value came from.
+ */
+function loadConfig(options = {}) {
+    const settings = settingsFor(options.deployment || 'service');
+    const env = options.env || process.env;
+    const errors = [];
+    const warnings = [];
+    const config = {};
+    const sources = {};
+
+    let fileValues = {};
+    if (options.file) {
+        const file = readConfigFile(options.file);
+        if (file.error) {
+            errors.push(file.error);
+        } else {
+            fileValues = file.values;
+            Object.keys(fileValues)
+                .filter(name => !settings.some(setting => setting.env === name))
+                .forEach(name => warnings.push(`Unknown setting ${name} in config file ${options.file}`));
+        }
+    }
+
+    settings.forEach(setting => {
+        const source = !isUnset(env[setting.env]) ? 'env' : (!isUnset(fileValues[setting.env]) ? 'file' : null);
+        const raw = source === 'env' ? env[setting.env] : fileValues[setting.env];
+
+        if (source) {
+            const outcome = coerce(setting, raw);
+            if (!outcome.error) {
+                config[setting.key] = outcome.value;
+                sources[setting.key] = source;
+                return;
+            }
+            errors.push(outcome.error);
+        }
+        config[setting.key] = setting.default;
+        sources[setting.key] = 'default';
+    });
+
+    // Requirements can depend on other settings, so they are checked once all are resolved
+    settings.forEach(setting => {
+        if (!setting.required || !isUnset(config[setting.key])) return;
+        if (sources[setting.key] !== 'default' || errors.some(error => error.startsWith(`${setting.env} `))) return;
+
+        const reason = setting.required === true ? null : setting.required(config);
+        if (setting.required === true || reason) {
+            errors.push(`${setting.env} is required${reason ? ` because ${reason}` : ''}`);
+        }
+    });
+
+    settings.forEach(setting => {
+        if (!setting.recommended || !isUnset(config[setting.key])) return;
+        const consequence = setting.recommended(config);
+        if (consequence) warnings.push(`${setting.env} is not set, so ${consequence}`);
+    });
+
+    const unknown = destinationsOf(config).filter(name => !BUILT_IN_DESTINATION_NAMES.includes(name));
+    if (unknown.length > 0) {
+        errors.push(`SYNC_DESTINATIONS has unknown destinations ${unknown.join(', ')} (expected ${BUILT_IN_DESTINATION_NAMES.join(', ')})`);
+    }
+
+    return { config, errors, warnings, sources };
+}
+
+// One line per setting for --check-config, secrets masked
+function describeConfig(result, deployment = 'service') {
+    return settingsFor(deployment).map(setting => {
+        const value = result.config[setting.key];
+        let shown = isUnset(value) ? '(not set)' : JSON.stringify(value);
+        if (setting.secret && !isUnset(value)) shown = '********';
+        return `${setting.env}=${shown} [${result.sources[setting.key]}]`;
+    });
+}
+
+// The message an invalid configuration stops the service and the CLIs with
+function formatConfigErrors(errors) {
+    return `Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`;
+}
+
+module.exports = { SETTINGS, loadConfig, describeConfig, formatConfigErrors, settingsFor };
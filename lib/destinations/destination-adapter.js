@@ -0,0 +1,138 @@
+/**
+ * Destination Adapter Interface
+ * A destination is a downstream system (MLE, PCM, PIM) that approved AEM assets are
+ * synchronized to. Each adapter owns its payload transformation and authentication,
+ * and resolves every operation to a result object ({ success, ... }) instead of throwing.
+ *
+ * Adapters implement:
+ *   transform(metadata, assetPath, eventType)  build the destination payload
+ *   create(payload), update(payload), remove(payload)
+ * and may override revoke(payload), run when an asset is no longer approved or has
+ * expired (default: remove it), move(payload, previous), run when an asset was moved or
+ * renamed (default: update it in place when it keeps its id),
+ * and syncBatch(items), to send a batch of events in fewer requests.
+ */
+
+const axios = require('axios');
+
+class DestinationAdapter {
+    constructor(options) {
+        this.name = options.name;
+        this.logger = options.logger;
+        this.tokenManager = options.tokenManager;
+        this.timeout = options.timeout || 30000;
+    }
+
+    // Key under which the destination's result is reported (result.mle, result.pcm, ...)
+    get key() {
+        return this.name.toLowerCase();
+    }
+
+    transform() {
+        throw new Error(`${this.name} destination does not implement transform()`);
+    }
+
+    async create() {
+        throw new Error(`${this.name} destination does not implement create()`);
+    }
+
+    async update() {
+        throw new Error(`${this.name} destination does not implement update()`);
+    }
+
+    async remove() {
+        throw new Error(`${this.name} destination does not implement remove()`);
+    }
+
+    revoke(payload) {
+        return this.remove(payload);
+    }
+
+    // An asset that keeps its id (jcr:uuid) gets its path and URLs updated in place. One
+    // whose id came from its old file name is created under the new id, then the record
+    // under the old id is removed.
+    async move(payload, previous) {
+        if (payload.assetId === previous.assetId) {
+            return this.update(payload);
+        }
+
+        const created = await this.create(payload);
+        if (!created.success) {
+            return created;
+        }
+        const removed = await this.remove(previous);
+        return removed.success ? created : removed;
+    }
+
+    // Run an EventProcessor operation (create, update, delete, revoke or move) against this
+    // destination; moves carry the asset's previous path in eventData.previousPath
+    async sync(operation, eventData) {
+        const payload = this.transform(eventData.metadata, eventData.assetPath, eventData.eventType);
+
+        if (operation === 'update') return this.update(payload);
+        if (operation === 'delete') return this.remove(payload);
+        if (operation === 'revoke') return this.revoke(payload);
+        if (operation === 'move') return this.move(payload, this.transform(eventData.metadata, eventData.previousPath, eventData.eventType));
+        return this.create(payload);
+    }
+
+    // Run a batch of { operation, eventData } items; outcomes are returned in item order.
+    // Destinations with a bulk API override this.
+    async syncBatch(items) {
+        return Promise.all(items.map(({ operation, eventData }) => this.sync(operation, eventData)));
+    }
+
+    // Authenticated JSON request with the shared result shape
+    async request(method, url, data, context = {}) {
+        try {
+            const headers = {
+                ...(await this.tokenManager.getAuthHeaders()),
+                'X-Source-System': 'AEM'
+            };
+            if (data !== undefined) {
+                headers['Content-Type'] = 'application/json';
+            }
+
+            const config = { headers, timeout: this.timeout };
+            if (this.tokenManager.httpsAgent) {
+                config.httpsAgent = this.tokenManager.httpsAgent;
+            }
+            const response = data === undefined
+                ? await axios[method](url, config)
+                : await axios[method](url, data, config);
+
+            this.logger.info(`Successfully synchronized asset to ${this.name}`, { ...context, method, status: response.status });
+
+            return {
+                success: true,
+                status: response.data?.status,
+                message: response.data?.message,
+                responseData: response.data
+            };
+        } catch (error) {
+            const errorDetails = {
+                ...context,
+                error: error.response?.data || error.message,
+                status: error.response?.status,
+                endpoint: url
+            };
+
+            this.logger.error(`Failed to synchronize asset to ${this.name}`, errorDetails);
+
+            return {
+                success: false,
+                error: errorDetails,
+                retryable: DestinationAdapter.isRetryableError(error)
+            };
+        }
+    }
+
+    static isRetryableError(error) {
+        if (!error.response) return true; // Network errors are retryable
+
+        const status = error.response.status;
+        return status >= 500 || status === 429; // Server errors and rate limits are retryable
+    }
+}
+
+module.exports = { DestinationAdapter };
@@ -0,0 +1,113 @@
+/**
+ * Sync Destinations
+ * Builds the destination adapters an EventProcessor fans events out to. Built-in
+ * destinations are selected by name (MLE, PCM, PIM); any object implementing the
+ * DestinationAdapter interface can be passed alongside them.
+ */
+
+const { TokenManager } = require('../token-manager');
+const { DestinationAdapter } = require('./destination-adapter');
+const { MLEDestination } = require('./mle-destination');
+const { PCMDestination } = require('./pcm-destination');
+const { PIMDestination } = require('./pim-destination');
+
+const DEFAULT_DESTINATIONS = ['MLE'];
+
+// TokenManager options and the sync core settings they come from
+const AUTH_SETTINGS = {
+    tokenUrl: 'oauthTokenUrl',
+    clientId: 'oauthClientId',
+    clientSecret: 'oauthClientSecret',
+    authMethod: 'authMethod',
+    scope: 'oauthScope',
+    refreshMargin: 'oauthRefreshMargin',
+    privateKey: 'oauthPrivateKey',
+    privateKeyFile: 'oauthPrivateKeyFile',
+    keyId: 'oauthKeyId',
+    jwtAlgorithm: 'oauthJwtAlgorithm',
+    apiKey: 'apiKey',
+    apiKeyHeader: 'apiKeyHeader',
+    tlsCertFile: 'tlsCertFile',
+    tlsKeyFile: 'tlsKeyFile',
+    tlsCaFile: 'tlsCaFile',
+    tlsKeyPassphrase: 'tlsKeyPassphrase'
+};
+const AUTH_SETTING_NAMES = Object.values(AUTH_SETTINGS);
+
+// PCM and PIM can authenticate with their own settings; each unset one falls back to the shared setting
+function createTokenManager(settings, options) {
+    const authOptions = {};
+    Object.entries(AUTH_SETTINGS).forEach(([option, setting]) => {
+        authOptions[option] = settings[setting] || options[setting];
+    });
+
+    return new TokenManager({ ...authOptions, metrics: options.metrics, logger: options.logger });
+}
+
+const BUILT_IN_DESTINATIONS = {
+    MLE: (options, components) => new MLEDestination({
+        transformer: components.transformer,
+        mleClient: components.mleClient,
+        renditionSync: components.renditionSync,
+        bulkSize: options.mleBulkSize,
+        revocationAction: options.revocationAction,
+        tokenManager: components.tokenManager,
+        logger: options.logger
+    }),
+    PCM: (options, components) => new PCMDestination({
+        apiUrl: options.pcm.apiUrl,
+        transformer: components.transformer,
+        tokenManager: createTokenManager(options.pcm, options),
+        logger: options.logger
+    }),
+    PIM: (options, components) => new PIMDestination({
+        apiUrl: options.pim.apiUrl,
+        transformer: components.transformer,
+        tokenManager: createTokenManager(options.pim, options),
+        logger: options.logger
+    })
+};
+
+const BUILT_IN_DESTINATION_NAMES = Object.keys(BUILT_IN_DESTINATIONS);
+
+// Accepts a list or a comma-separated string ("MLE,PCM")
+function parseDestinationList(value) {
+    if (!value) return DEFAULT_DESTINATIONS;
+    const list = Array.isArray(value) ? value : String(value).split(',');
+
+    return list
+        .map(entry => (typeof entry === 'string' ? entry.trim().toUpperCase() : entry))
+        .filter(Boolean);
+}
+
+function createDestinations(options, components) {
+    const settings = { pcm: {}, pim: {}, ...options };
+
+    return parseDestinationList(options.destinations).map(entry => {
+        if (typeof entry !== 'string') return entry;
+
+        const factory = BUILT_IN_DESTINATIONS[entry];
+        if (!factory) {
+            throw new Error(`Unknown sync destination: ${entry} (expected one of ${Object.keys(BUILT_IN_DESTINATIONS).join(', ')})`);
+        }
+        const apiUrl = entry === 'MLE' ? settings.mleApiUrl : settings[entry.toLowerCase()].apiUrl;
+        if (!apiUrl) {
+            throw new Error(`Sync destination ${entry} is enabled but its API URL is not configured`);
+        }
+
+        return factory(settings, components);
+    });
+}
+
+module.exports = {
+    createDestinations,
+    createTokenManager,
+    AUTH_SETTING_NAMES,
+    parseDestinationList,
+    DEFAULT_DESTINATIONS,
+    BUILT_IN_DESTINATION_NAMES,
+    DestinationAdapter,
+    MLEDestination,
+    PCMDestination,
+    PIMDestination
+};
@@ -0,0 +1,118 @@
+/**
+ * MLE Destination
+ * Synchronizes assets to the Media Logic Engine through MLEClient, using the
+ * MetadataTransformer payload. When rendition sync is enabled, rendition binaries are
+ * uploaded once the metadata has been created or updated. Batches use the MLE bulk
+ * upsert endpoint, which also carries the new paths and URLs of moved assets.
+ */
+
+const { DestinationAdapter } = require('./destination-adapter');
+const { MetadataTransformer } = require('../metadata-transformer');
+
+const UPSERT_OPERATIONS = ['create', 'update'];
+
+class MLEDestination extends DestinationAdapter {
+    constructor(options) {
+        super({ ...options, name: 'MLE' });
+        this.transformer = options.transformer;
+        this.mleClient = options.mleClient;
+        this.renditionSync = options.renditionSync;
+        this.bulkSize = options.bulkSize || 100;
+        this.revocationAction = options.revocationAction || 'delete';
+    }
+
+    async sync(operation, eventData) {
+        const result = await super.sync(operation, eventData);
+        // A record created for a renamed asset needs the binaries; one moved in place has them
+        const uploadsRenditions = UPSERT_OPERATIONS.includes(operation) ||
+            (operation === 'move' && !MLEDestination.isInPlaceMove({ operation, eventData }));
+        return uploadsRenditions ? this.syncRenditions(result, eventData) : result;
+    }
+
+    // Creates, updates and moves that keep the asset id go out as bulk upserts of up to
+    // bulkSize assets; deletes, revocations and other moves stay single calls
+    async syncBatch(items) {
+        const outcomes = new Array(items.length);
+        const singles = [];
+        const upserts = [];
+        items.forEach((item, index) => (
+            UPSERT_OPERATIONS.includes(item.operation) || MLEDestination.isInPlaceMove(item) ? upserts : singles
+        ).push({ index, item }));
+
+        await Promise.all(singles.map(async ({ index, item }) => {
+            outcomes[index] = await this.sync(item.operation, item.eventData);
+        }));
+
+        for (let start = 0; start < upserts.length; start += this.bulkSize) {
+            const chunk = upserts.slice(start, start + this.bulkSize);
+            const response = await this.mleClient.bulkUpsertAssets(chunk.map(({ item }) => (
+                this.transform(item.eventData.metadata, item.eventData.assetPath, item.eventData.eventType)
+            )));
+
+            await Promise.all(chunk.map(async ({ index, item }, position) => {
+                // A failed request fails every asset in it
+                const result = response.success ? response.results[position] : response;
+                // A move leaves the binaries as they are
+                outcomes[index] = item.operation === 'move' ? result : await this.syncRenditions(result, item.eventData);
+            }));
+        }
+
+        return outcomes;
+    }
+
+    static isInPlaceMove({ operation, eventData }) {
+        return operation === 'move' &&
+            MetadataTransformer.resolveAssetId(eventData.metadata, eventData.assetPath) ===
+            MetadataTransformer.resolveAssetId(eventData.metadata, eventData.previousPath);
+    }
+
+    // Upload renditions once the metadata has gone through
+    async syncRenditions(result, eventData) {
+        if (!this.renditionSync || !result.success) {
+            return result;
+        }
+
+        const { assetPath, metadata } = eventData;
+        const assetId = MetadataTransformer.resolveAssetId(metadata, assetPath);
+        const renditions = await this.renditionSync.syncAsset(assetId, assetPath, metadata);
+
+        if (renditions.success) {
+            return { ...result, renditions };
+        }
+
+        // Metadata went through; report the failed binaries so the job is retried. MLE answers
+        // the retry's create with 409, which MLEClient turns into an update
+        return {
+            ...result,
+            success: false,
+            renditions,
+            error: { assetId, error: 'Rendition upload failed', renditions: renditions.failed },
+            retryable: renditions.retryable
+        };
+    }
+
+    transform(metadata, assetPath, eventType) {
+        return this.transformer.transformForMLE(metadata, assetPath, eventType);
+    }
+
+    create(payload) {
+        return this.mleClient.sendAssetMetadata(payload);
+    }
+
+    update(payload) {
+        return this.mleClient.updateAssetMetadata(payload.assetId, payload);
+    }
+
+    remove(payload) {
+        return this.mleClient.deleteAsset(payload.assetId);
+    }
+
+    // REVOCATION_ACTION=status keeps the record in MLE, marked as revoked
+    revoke(payload) {
+        return this.revocationAction === 'status'
+            ? this.mleClient.updateAssetStatus(payload.assetId, 'revoked', 'No longer approved in AEM')
+            : this.remove(payload);
+    }
+}
+
+module.exports = { MLEDestination };
@@ -0,0 +1,57 @@
+/**
+ * PCM Destination
+ * Synchronizes approved assets to the Product Content Management system as product
+ * content records (PCM_API_URL/assets), authenticated with its own OAuth client.
+ */
+
+const { DestinationAdapter } = require('./destination-adapter');
+
+class PCMDestination extends DestinationAdapter {
+    constructor(options) {
+        super({ ...options, name: 'PCM' });
+        this.apiUrl = options.apiUrl;
+        this.transformer = options.transformer;
+    }
+
+    // Product content view of the asset, built on the shared metadata mapping
+    transform(metadata, assetPath, eventType) {
+        const asset = this.transformer.transformForMLE(metadata, assetPath, eventType);
+
+        return {
+            assetId: asset.assetId,
+            assetPath: asset.assetPath,
+            assetUrl: asset.assetUrl,
+            publicUrl: asset.publicUrl,
+            sku: metadata['dc:identifier'],
+            productName: asset.title,
+            description: asset.description,
+            brand: asset.brand,
+            productType: asset.productType,
+            category: asset.categories[0],
+            categories: asset.categories,
+            tags: asset.tags,
+            mediaType: asset.mediaType,
+            mimeType: asset.mimeType,
+            altText: asset.altText,
+            usage: asset.usage,
+            approvalStatus: asset.approvalStatus,
+            modifiedDate: asset.modifiedDate,
+            eventType: eventType,
+            sourceSystem: 'AEM'
+        };
+    }
+
+    create(payload) {
+        return this.request('post', `${this.apiUrl}/assets`, payload, { assetId: payload.assetId });
+    }
+
+    update(payload) {
+        return this.request('put', `${this.apiUrl}/assets/${payload.assetId}`, payload, { assetId: payload.assetId });
+    }
+
+    remove(payload) {
+        return this.request('delete', `${this.apiUrl}/assets/${payload.assetId}`, undefined, { assetId: payload.assetId });
+    }
+}
+
+module.exports = { PCMDestination };
@@ -0,0 +1,73 @@
+/**
+ * PIM Destination
+ * Links approved assets to their products in the Product Information Management
+ * system (PIM_API_URL/products/{sku}/assets/{assetId}), authenticated with its own
+ * OAuth client. Assets without a product SKU (dc:identifier) are not linked. Deletes and
+ * revocations take the SKU from the metadata last synchronized (see EventProcessor); one
+ * that cannot be found fails instead of passing as removed.
+ */
+
+const { DestinationAdapter } = require('./destination-adapter');
+
+class PIMDestination extends DestinationAdapter {
+    constructor(options) {
+        super({ ...options, name: 'PIM' });
+        this.apiUrl = options.apiUrl;
+        this.transformer = options.transformer;
+    }
+
+    transform(metadata, assetPath, eventType) {
+        const asset = this.transformer.transformForMLE(metadata, assetPath, eventType);
+
+        return {
+            sku: metadata['dc:identifier'],
+            assetId: asset.assetId,
+            assetUrl: asset.assetUrl,
+            publicUrl: asset.publicUrl,
+            mediaType: asset.mediaType,
+            mimeType: asset.mimeType,
+            title: asset.title,
+            altText: asset.altText,
+            usage: asset.usage,
+            tags: asset.tags,
+            modifiedDate: asset.modifiedDate
+        };
+    }
+
+    getLinkEndpoint(payload) {
+        return `${this.apiUrl}/products/${encodeURIComponent(payload.sku)}/assets/${payload.assetId}`;
+    }
+
+    async sync(operation, eventData) {
+        const payload = this.transform(eventData.metadata, eventData.assetPath, eventData.eventType);
+
+        if (!payload.sku && ['delete', 'revoke'].includes(operation) && !eventData.metadata['jcr:uuid']) {
+            this.logger.error('Asset metadata is unknown, unable to remove its PIM link', { assetPath: eventData.assetPath });
+            return { success: false, retryable: false, error: 'Product SKU (dc:identifier) unknown: the asset was not found in the sync state' };
+        }
+        if (!payload.sku) {
+            this.logger.info('Asset has no product SKU, skipping PIM synchronization', { assetId: payload.assetId });
+            return { success: true, skipped: true, message: 'No product SKU (dc:identifier) on asset' };
+        }
+
+        if (operation === 'delete') return this.remove(payload);
+        if (operation === 'revoke') return this.revoke(payload);
+        if (operation === 'move') return this.move(payload, this.transform(eventData.metadata, eventData.previousPath, eventData.eventType));
+        return this.update(payload);
+    }
+
+    // Links are idempotent, so create and update both upsert the product/asset link
+    create(payload) {
+        return this.update(payload);
+    }
+
+    update(payload) {
+        return this.request('put', this.getLinkEndpoint(payload), payload, { assetId: payload.assetId, sku: payload.sku });
+    }
+
+    remove(payload) {
+        return this.request('delete', this.getLinkEndpoint(payload), undefined, { assetId: payload.assetId, sku: payload.sku });
+    }
+}
+
+module.exports = { PIMDestination };
@@ -0,0 +1,85 @@
+/**
+ * Tenant-Routed Destination
+ * Stands in for one destination (MLE) that exists once per tenant: every event goes to
+ * the instance of the tenant its asset belongs to (lib/tenant-router.js), and batches are
+ * split per tenant. Results keep the destination's name and key, so retries and job
+ * results look the same with or without tenants. Everything the tenant's instance logs
+ * carries the tenant name. An asset moved into another tenant's folder is created on the
+ * new tenant's instance and removed from the old one. Events the event processor routed
+ * (`tenant`, `previousTenant`, from the sync state) go where it says.
+ */
+
+const { DestinationAdapter } = require('./destination-adapter');
+const { withCorrelation } = require('../logger');
+
+class TenantRoutedDestination extends DestinationAdapter {
+    // `destinations` maps tenant names (including "default") to destination instances
+    constructor(options) {
+        super({ name: options.name, logger: options.logger });
+        this.router = options.router;
+        this.destinations = options.destinations;
+    }
+
+    // The tenant the event processor routed the event to, else the one its asset resolves to
+    tenantOf(eventData) {
+        return eventData.tenant || this.router.resolve(eventData.assetPath, eventData.metadata);
+    }
+
+    // Tenant the asset belonged to before a move, when that was another one
+    previousTenantOf(operation, eventData, tenant) {
+        if (operation !== 'move' || !eventData.previousPath) return null;
+        const previous = eventData.previousTenant || this.router.resolve(eventData.previousPath, eventData.metadata);
+        return previous !== tenant ? previous : null;
+    }
+
+    sync(operation, eventData) {
+        const tenant = this.tenantOf(eventData);
+        const previousTenant = this.previousTenantOf(operation, eventData, tenant);
+        if (previousTenant) {
+            return this.moveBetweenTenants(eventData, previousTenant, tenant);
+        }
+        return withCorrelation({ tenant }, () => this.destinations.get(tenant).sync(operation, eventData));
+    }
+
+    async moveBetweenTenants(eventData, previousTenant, tenant) {
+        this.logger.info('Asset moved to another tenant', { assetPath: eventData.assetPath, previousTenant, tenant });
+
+        const created = await withCorrelation({ tenant }, () => this.destinations.get(tenant).sync('create', eventData));
+        if (!created.success) {
+            return created;
+        }
+        const removed = await withCorrelation({ tenant: previousTenant }, () => (
+            this.destinations.get(previousTenant).sync('delete', { ...eventData, assetPath: eventData.previousPath })
+        ));
+        return removed.success ? created : removed;
+    }
+
+    async syncBatch(items) {
+        const outcomes = new Array(items.length);
+        const groups = new Map();
+        const crossTenantMoves = [];
+        items.forEach((item, index) => {
+            const tenant = this.tenantOf(item.eventData);
+            if (this.previousTenantOf(item.operation, item.eventData, tenant)) {
+                crossTenantMoves.push({ index, item });
+                return;
+            }
+            if (!groups.has(tenant)) groups.set(tenant, []);
+            groups.get(tenant).push({ index, item });
+        });
+
+        await Promise.all([
+            ...[...groups].map(([tenant, group]) => withCorrelation({ tenant }, async () => {
+                const results = await this.destinations.get(tenant).syncBatch(group.map(({ item }) => item));
+                group.forEach(({ index }, position) => { outcomes[index] = results[position]; });
+            })),
+            ...crossTenantMoves.map(async ({ index, item }) => {
+                outcomes[index] = await this.sync(item.operation, item.eventData);
+            })
+        ]);
+
+        return outcomes;
+    }
+}
+
+module.exports = { TenantRoutedDestination };
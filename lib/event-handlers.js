@@ -0,0 +1,138 @@
+/**
+ * Event Handler Registry
+ * Maps exact event types to the handlers that synchronize them. Each handler declares its
+ * action, what the event means for the asset, and the destination operation it runs
+ * (create, update or delete; a function of the event for handlers that decide per event):
+ *
+ *   upsert              the asset was created or changed
+ *   delete              the asset was deleted
+ *   move                the asset was moved or renamed; its record is updated in place
+ *   workflow-completed  a workflow on the asset (e.g. approval) finished
+ *
+ * Event types without a handler are unknown and are not synchronized. Handlers marked
+ * `internal` serve events the service raises itself (backfill, manual sync, expiry
+ * sweep) and are not accepted from AEM deliveries.
+ *
+ * A handler table ({ "<event type>": "<action>" | { action, operation } | null }) adds
+ * handlers, replaces built-in ones, or removes them (null); `register` does the same in code.
+ */
+
+const fs = require('fs');
+
+const ACTIONS = ['upsert', 'delete', 'move', 'workflow-completed'];
+const OPERATIONS = ['create', 'update', 'delete'];
+
+// Operation of a handler that names only its action
+const DEFAULT_OPERATIONS = {
+    upsert: 'create',
+    delete: 'delete',
+    move: 'update',
+    'workflow-completed': 'create'
+};
+
+const BUILT_IN_HANDLERS = {
+    // AEM I/O Events
+    'com.adobe.aem.assets.created': { action: 'upsert', operation: 'create' },
+    'com.adobe.aem.assets.published': { action: 'upsert', operation: 'create' },
+    'com.adobe.aem.assets.updated': { action: 'upsert', operation: 'update' },
+    'com.adobe.aem.assets.metadata.updated': { action: 'upsert', operation: 'update' },
+    'com.adobe.aem.assets.deleted': { action: 'delete' },
+    'com.adobe.aem.assets.removed': { action: 'delete' },
+    'com.adobe.aem.assets.moved': { action: 'move' },
+    'com.adobe.aem.workflow.completed': { action: 'workflow-completed' },
+
+    // AEM Assets events of AEM as a Cloud Service (CloudEvents)
+    'aem.assets.asset.created': { action: 'upsert', operation: 'create' },
+    'aem.assets.asset.updated': { action: 'upsert', operation: 'update' },
+    'aem.assets.asset.metadata_updated': { action: 'upsert', operation: 'update' },
+    'aem.assets.asset.deleted': { action: 'delete' },
+
+    // Raised by the service itself
+    'com.adobe.aem.assets.backfill': { action: 'upsert', internal: true },
+    'com.adobe.aem.assets.manual-sync': { action: 'upsert', internal: true },
+    'com.adobe.aem.assets.expired': { action: 'upsert', internal: true }
+};
+
+class EventHandlerRegistry {
+    // `handlers` is a handler table applied on top of the built-in handlers
+    constructor(handlers = {}) {
+        if (!handlers || typeof handlers !== 'object' || Array.isArray(handlers)) {
+            throw new Error('Invalid event handlers: expected an object mapping event types to handlers');
+        }
+
+        this.handlers = new Map();
+        Object.entries(BUILT_IN_HANDLERS).forEach(([eventType, handler]) => this.register(eventType, handler));
+        Object.entries(handlers).forEach(([eventType, handler]) => {
+            if (handler === null) {
+                this.handlers.delete(eventType);
+            } else {
+                this.register(eventType, handler);
+            }
+        });
+    }
+
+    static load(filePath) {
+        let handlers;
+        try {
+            handlers = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to load event handlers from ${filePath}: ${error.message}`);
+        }
+        return new EventHandlerRegistry(handlers);
+    }
+
+    // Add or replace the handler of an event type; a string names the action
+    register(eventType, definition) {
+        const handler = typeof definition === 'string' ? { action: definition } : { ...definition };
+
+        if (!ACTIONS.includes(handler.action)) {
+            throw new Error(`Invalid event handler for ${eventType}: action must be one of ${ACTIONS.join(', ')}, got "${handler.action}"`);
+        }
+        if (handler.operation === undefined) {
+            handler.operation = DEFAULT_OPERATIONS[handler.action];
+        } else if (typeof handler.operation !== 'function' && !OPERATIONS.includes(handler.operation)) {
+            throw new Error(`Invalid event handler for ${eventType}: operation must be one of ${OPERATIONS.join(', ')}, got "${handler.operation}"`);
+        }
+
+        this.handlers.set(eventType, { ...handler, eventType, internal: !!handler.internal });
+        return this;
+    }
+
+    // Handler of an event type, or null when it is unknown
+    get(eventType) {
+        return this.handlers.get(eventType) || null;
+    }
+
+    // Whether events of this type are synchronized when AEM delivers them
+    accepts(eventType) {
+        const handler = this.get(eventType);
+        return !!handler && !handler.internal;
+    }
+
+    // Destination operation the event runs
+    operationFor(eventData) {
+        const handler = this.get(eventData.eventType);
+        if (!handler) {
+            throw new Error(`No handler is registered for event type ${eventData.eventType}`);
+        }
+
+        const operation = typeof handler.operation === 'function' ? handler.operation(eventData) : handler.operation;
+        if (!OPERATIONS.includes(operation)) {
+            throw new Error(`Event handler for ${eventData.eventType} returned an invalid operation "${operation}"`);
+        }
+        return operation;
+    }
+
+    // Event types accepted from AEM, with their actions, for the admin UI and logs
+    describe() {
+        return [...this.handlers.values()]
+            .filter(handler => !handler.internal)
+            .map(handler => ({
+                eventType: handler.eventType,
+                action: handler.action,
+                operation: typeof handler.operation === 'function' ? 'custom' : handler.operation
+            }));
+    }
+}
+
+module.exports = { EventHandlerRegistry, ACTIONS, BUILT_IN_HANDLERS };
@@ -0,0 +1,485 @@
+/**
+ * Event Processor for AEM Asset Synchronization
+ * Decides whether an AEM asset event is synchronized (by its event handler and the
+ * approval rules) and fans it out to the configured destinations (MLE, PCM, PIM), each
+ * running the create, update or delete the handler chose (lib/event-handlers.js).
+ * Assets that were synchronized but are no longer approved, or have expired, are revoked
+ * from the destinations; the optional sync state records which assets the destinations
+ * hold. Moved or renamed assets, named by a move event or found under a new path by their
+ * jcr:uuid, have their destination records moved rather than duplicated. With tenant
+ * routing, results and logs name the tenant each asset belongs to.
+ */
+
+const { MetadataTransformer } = require('./metadata-transformer');
+const { ApprovalRules } = require('./approval-rules');
+const { EventHandlerRegistry } = require('./event-handlers');
+const { withCorrelation } = require('./logger');
+
+const NOT_APPROVED_REASON = 'Asset not approved for publication';
+
+class EventProcessor {
+    constructor(options) {
+        this.transformer = options.transformer;
+        this.destinations = options.destinations;
+        this.approvalRules = options.approvalRules || ApprovalRules.load();
+        this.eventHandlers = options.eventHandlers || new EventHandlerRegistry();
+        this.syncState = options.syncState || null;
+        this.tenantRouter = options.tenantRouter || null;
+        this.logger = options.logger;
+    }
+
+    // Tenant of an asset, or null without tenant routing
+    tenantOf(eventData) {
+        return this.tenantRouter && this.tenantRouter.enabled
+            ? this.tenantRouter.resolve(eventData.assetPath, eventData.metadata)
+            : null;
+    }
+
+    // Normalize an AEM I/O Events delivery (webhook body or Runtime action params) into
+    // the shape processAssetEvent expects. Accepts the legacy payload shape and CloudEvents
+    // 1.0, structured (envelope in the body) or binary (ce-* headers, data in the body).
+    static extractEventData(body, headers = {}) {
+        if (headers['ce-specversion']) {
+            return EventProcessor.extractCloudEventData({
+                specversion: headers['ce-specversion'],
+                id: headers['ce-id'],
+                type: headers['ce-type'],
+                source: headers['ce-source'],
+                time: headers['ce-time'],
+                data: body
+            });
+        }
+        if (body.specversion) {
+            return EventProcessor.extractCloudEventData(body);
+        }
+
+        const payload = body.data?.payload || {};
+
+        return EventProcessor.withPreviousPath({
+            eventId: body.event_id || body.id,
+            eventType: body.event_type || body.eventType || body.type,
+            assetPath: payload.path || payload.assetPath || body.assetPath,
+            metadata: payload.metadata || payload.properties || body.metadata || {},
+            timestamp: body.data?.timestamp || new Date().toISOString()
+        }, payload);
+    }
+
+    static extractCloudEventData(event) {
+        const data = event.data || {};
+        const payload = data.payload || data;
+
+        return EventProcessor.withPreviousPath({
+            eventId: event.id,
+            eventType: event.type,
+            assetPath: payload.path || payload.assetPath || payload.repositoryMetadata?.['repo:path'],
+            metadata: payload.metadata || payload.properties || payload.assetMetadata || {},
+            timestamp: event.time || data.timestamp || new Date().toISOString()
+        }, payload);
+    }
+
+    // Move and rename events name the path the asset or folder had before
+    static withPreviousPath(eventData, payload) {
+        const previousPath = payload.previousPath || payload.oldPath || payload.sourcePath;
+        return previousPath ? { ...eventData, previousPath } : eventData;
+    }
+
+    // Fan the event out to every destination, or only to `options.systems` (e.g. the
+    // systems that failed on a previous attempt). Each destination's result is reported
+    // under its key (result.mle, result.pcm, ...) and each failure in result.errors.
+    async processAssetEvent(eventData, options = {}) {
+        const tenant = this.tenantOf(eventData);
+        return withCorrelation(tenant ? { tenant } : {}, () => this.syncAssetEvent(eventData, options, tenant));
+    }
+
+    async syncAssetEvent(eventData, options, tenant) {
+        const { assetPath, metadata, eventType } = eventData;
+
+        this.logger.info('Processing asset event', { assetPath, eventType });
+        this.logger.debug('Asset metadata', metadata);
+
+        const plan = this.planEvent(eventData);
+        if (plan.skipped) {
+            return EventProcessor.tagTenant(plan.skipped, tenant);
+        }
+
+        // Deletes, revocations and moves may go to another tenant than the event resolves to
+        const { result } = plan;
+        return withCorrelation(result.tenant ? { tenant: result.tenant } : {}, () => this.dispatchEvent(plan, options));
+    }
+
+    async dispatchEvent(plan, options) {
+        const { result } = plan;
+        const { assetPath, eventType } = plan.eventData;
+        const destinations = this.selectDestinations(options.systems);
+
+        this.logger.info('Proceeding with synchronization', {
+            assetPath,
+            eventType,
+            operation: result.operation,
+            systems: destinations.map(destination => destination.name)
+        });
+
+        let unexpectedError = false;
+        const outcomes = await Promise.all(destinations.map(async destination => {
+            try {
+                return await destination.sync(result.operation, plan.eventData);
+            } catch (error) {
+                this.logger.error(`Unexpected error synchronizing asset to ${destination.name}`, error);
+                unexpectedError = true;
+                return { success: false, error: error.message, retryable: true };
+            }
+        }));
+
+        this.completeResult(result, destinations, outcomes, unexpectedError);
+        this.updateSyncState(result, plan.eventData, outcomes);
+        return result;
+    }
+
+    // Run one operation for an asset whatever its event handler and approval would decide,
+    // e.g. a reconciliation fix, on the destinations in `options.systems`. `options.tenant`
+    // picks the tenant instead of routing. The result and sync state are updated as for an event.
+    async runOperation(operation, eventData, options = {}) {
+        const plan = this.routeToTenant(EventProcessor.createResult(eventData, operation), eventData);
+        if (options.tenant && plan.result.tenant) {
+            plan.result.tenant = options.tenant;
+            plan.eventData.tenant = options.tenant;
+        }
+
+        return withCorrelation(plan.result.tenant ? { tenant: plan.result.tenant } : {}, () => this.dispatchEvent(plan, options));
+    }
+
+    // Process a batch of events with one syncBatch call per destination (a bulk upsert
+    // for MLE). `options.systems` maps asset paths to the systems still to sync. Every
+    // event gets the result processAssetEvent would give it, under result.events; the
+    // batch status and errors are aggregated the same way as a single event's.
+    async processAssetEvents(events, options = {}) {
+        this.logger.info('Processing asset event batch', { events: events.length });
+
+        const results = new Array(events.length);
+        const pending = [];
+
+        events.forEach((eventData, index) => {
+            const tenant = this.tenantOf(eventData);
+            const plan = withCorrelation(tenant ? { tenant } : {}, () => this.planEvent(eventData));
+            if (plan.skipped) {
+                results[index] = EventProcessor.tagTenant(plan.skipped, tenant);
+                return;
+            }
+
+            pending.push({
+                index,
+                eventData: plan.eventData,
+                destinations: this.selectDestinations(options.systems && options.systems[eventData.assetPath]),
+                result: plan.result,
+                outcomes: new Map(),
+                unexpectedError: false
+            });
+        });
+
+        await Promise.all(this.destinations.map(async destination => {
+            const items = pending.filter(item => item.destinations.includes(destination));
+            if (items.length === 0) return;
+
+            let outcomes;
+            try {
+                outcomes = await destination.syncBatch(items.map(item => ({ operation: item.result.operation, eventData: item.eventData })));
+            } catch (error) {
+                this.logger.error(`Unexpected error synchronizing asset batch to ${destination.name}`, error);
+                items.forEach(item => { item.unexpectedError = true; });
+                outcomes = items.map(() => ({ success: false, error: error.message, retryable: true }));
+            }
+
+            items.forEach((item, position) => item.outcomes.set(destination, outcomes[position]));
+        }));
+
+        pending.forEach(item => {
+            const outcomes = item.destinations.map(destination => item.outcomes.get(destination));
+            results[item.index] = withCorrelation(item.result.tenant ? { tenant: item.result.tenant } : {},
+                () => this.completeResult(item.result, item.destinations, outcomes, item.unexpectedError));
+            this.updateSyncState(item.result, item.eventData, outcomes);
+        });
+
+        const batch = {
+            status: 'processing',
+            events: results.map((result, index) => ({
+                eventId: events[index].eventId,
+                eventType: events[index].eventType,
+                assetPath: events[index].assetPath,
+                ...result
+            })),
+            errors: []
+        };
+        batch.events.forEach(event => {
+            (event.errors || []).forEach(error => batch.errors.push({ ...error, assetPath: event.assetPath }));
+        });
+
+        if (batch.errors.length === 0) {
+            batch.status = 'completed';
+        } else if (batch.errors.every(error => error.deferred)) {
+            batch.status = 'deferred';
+            batch.retryAfterMs = Math.max(...batch.events.map(event => event.retryAfterMs || 0));
+        } else {
+            batch.status = batch.events.some(event => event.status === 'error') ? 'error' : 'failed';
+        }
+
+        this.logger.info('Asset event batch processed', {
+            status: batch.status,
+            events: events.length,
+            failed: batch.events.filter(event => !['completed', 'skipped'].includes(event.status)).length
+        });
+
+        return batch;
+    }
+
+    // Decide what an event leads to: { result, eventData } with the operation to run and
+    // the event to run it with, or { skipped }. Events without a handler are skipped. A
+    // moved asset runs a move. An asset that is not approved is skipped unless the
+    // destinations may still hold it (it was synchronized, or it has expired); then it is
+    // revoked, or deleted on a delete event. Deletes and revocations carry the metadata last
+    // synchronized, as delete events rarely have any and destinations key on it (jcr:uuid,
+    // the PIM product SKU).
+    planEvent(eventData) {
+        const handler = this.eventHandlers.get(eventData.eventType);
+        if (!handler) {
+            this.logger.info('Unknown event type, skipping synchronization', { assetPath: eventData.assetPath, eventType: eventData.eventType });
+            return { skipped: EventProcessor.createUnknownEventResult(eventData.eventType) };
+        }
+
+        const moved = handler.action === 'delete' ? null : this.resolveMove(eventData);
+        let event = moved || eventData;
+        if (handler.action === 'delete') {
+            event = this.withRecordedMetadata(event);
+        }
+
+        const result = EventProcessor.createResult(event, this.eventHandlers.operationFor(event));
+        if (moved && result.operation !== 'delete') {
+            result.operation = 'move';
+            result.movedFrom = moved.previousPath;
+            const previousAssetId = MetadataTransformer.resolveAssetId(moved.metadata, moved.previousPath);
+            if (previousAssetId !== result.assetId) {
+                result.previousAssetId = previousAssetId;
+            }
+            this.logger.info('Asset moved', { assetPath: event.assetPath, previousPath: moved.previousPath, assetId: result.assetId });
+        }
+
+        const approval = this.approvalRules.evaluate(event.metadata, event.assetPath);
+        if (approval.approved) {
+            return this.routeToTenant(result, event);
+        }
+
+        const context = {
+            assetPath: event.assetPath,
+            eventType: event.eventType,
+            rule: approval.rule,
+            reason: approval.reason
+        };
+
+        if (approval.expired || (this.syncState && this.syncState.isSynced(result.assetId))) {
+            if (result.operation !== 'delete') {
+                result.operation = 'revoke';
+                result.revokedBy = { rule: approval.rule, reason: approval.reason };
+            }
+            this.logger.info('Asset no longer approved, removing it from the destinations', { ...context, operation: result.operation });
+            return this.routeToTenant(result, this.withRecordedMetadata(event));
+        }
+
+        this.logger.info('Asset not approved, skipping synchronization', context);
+        return { skipped: EventProcessor.createSkippedResult(approval) };
+    }
+
+    // With tenant routing, the tenant a planned event is synchronized with: the one its path
+    // or dam:brand resolves to, except that deletes, revocations and moves go to the tenant
+    // the asset was synchronized to, as their events rarely carry the dam:brand that routed
+    // it. The event handed to the destinations names the tenant, and a move the previous one.
+    routeToTenant(result, eventData) {
+        if (!this.tenantRouter || !this.tenantRouter.enabled) {
+            return { result, eventData };
+        }
+
+        const record = this.syncState && (
+            this.syncState.get(result.previousAssetId || result.assetId) ||
+            this.syncState.findByPath(eventData.previousPath || eventData.assetPath)
+        );
+        const recordedTenant = record ? record.tenant : undefined;
+
+        let tenant = this.tenantRouter.resolve(eventData.assetPath, eventData.metadata);
+        if (recordedTenant && ['delete', 'revoke'].includes(result.operation)) {
+            tenant = recordedTenant;
+        }
+
+        const routed = { ...eventData, tenant };
+        if (result.operation === 'move') {
+            routed.previousTenant = recordedTenant || this.tenantRouter.resolve(eventData.previousPath, eventData.metadata);
+        }
+        result.tenant = tenant;
+        return { result, eventData: routed };
+    }
+
+    // The event with the metadata last synchronized for its asset underneath its own, found
+    // by jcr:uuid or else by path; unchanged when the asset was never synchronized
+    withRecordedMetadata(eventData) {
+        if (!this.syncState) {
+            return eventData;
+        }
+
+        const metadata = eventData.metadata || {};
+        const record = (metadata['jcr:uuid'] && this.syncState.get(metadata['jcr:uuid'])) ||
+            this.syncState.findByPath(eventData.assetPath);
+        return record ? { ...eventData, metadata: { ...record.metadata, ...metadata } } : eventData;
+    }
+
+    // A moved or renamed asset: the event names its previous path, or the sync state
+    // holds its jcr:uuid under another path. Move events often carry no metadata, so the
+    // metadata last synchronized (with jcr:uuid) fills in. Returns the event with its
+    // previousPath and metadata, or null when the asset has not moved.
+    resolveMove(eventData) {
+        let { metadata, previousPath } = eventData;
+
+        if (this.syncState && previousPath && !metadata['jcr:uuid']) {
+            // After a partly failed attempt the record may already be at the new path
+            const record = this.syncState.findByPath(previousPath) || this.syncState.findByPath(eventData.assetPath);
+            if (record) {
+                metadata = { ...record.metadata, ...metadata };
+            }
+        }
+        if (this.syncState && !previousPath && metadata['jcr:uuid']) {
+            const record = this.syncState.get(metadata['jcr:uuid']);
+            if (record && record.assetPath !== eventData.assetPath) {
+                previousPath = record.assetPath;
+            }
+        }
+
+        return previousPath && previousPath !== eventData.assetPath
+            ? { ...eventData, metadata, previousPath }
+            : null;
+    }
+
+    // A moved folder, as one move event per asset the destinations hold below its previous
+    // path; null when the event is not a move or nothing is recorded below that path
+    expandFolderMove(eventData) {
+        const handler = this.eventHandlers.get(eventData.eventType);
+        if (!this.syncState || !handler || handler.action !== 'move' || !eventData.previousPath) {
+            return null;
+        }
+
+        const from = eventData.previousPath.replace(/\/+$/, '');
+        const to = eventData.assetPath.replace(/\/+$/, '');
+        const records = this.syncState.listUnder(from);
+        if (records.length === 0) {
+            return null;
+        }
+
+        this.logger.info('Folder moved, moving the assets below it', { previousPath: from, assetPath: to, assets: records.length });
+        return records.map(record => ({
+            eventId: eventData.eventId,
+            eventType: eventData.eventType,
+            assetPath: `${to}${record.assetPath.slice(from.length)}`,
+            previousPath: record.assetPath,
+            metadata: record.metadata,
+            timestamp: eventData.timestamp
+        }));
+    }
+
+    // Assets stay recorded while any destination holds them, under their current path
+    updateSyncState(result, eventData, outcomes) {
+        if (!this.syncState) return;
+
+        if (['create', 'update', 'move'].includes(result.operation)) {
+            if (outcomes.some(outcome => outcome.success)) {
+                this.syncState.recordSync(result.assetId, eventData, result.tenant);
+                if (result.previousAssetId) {
+                    this.syncState.remove(result.previousAssetId);
+                }
+            }
+        } else if (result.status === 'completed') {
+            // Removing a stray copy from another tenant's MLE keeps the asset's own record
+            const record = this.syncState.get(result.assetId);
+            if (record && !(record.tenant && result.tenant && record.tenant !== result.tenant)) {
+                this.syncState.remove(result.assetId);
+            }
+        }
+    }
+
+    static tagTenant(result, tenant) {
+        if (tenant) {
+            result.tenant = tenant;
+        }
+        return result;
+    }
+
+    static createSkippedResult(approval) {
+        return { status: 'skipped', reason: NOT_APPROVED_REASON, rejectedBy: { rule: approval.rule, reason: approval.reason } };
+    }
+
+    static createUnknownEventResult(eventType) {
+        return { status: 'skipped', reason: `No handler is registered for event type ${eventType}`, unknownEventType: eventType };
+    }
+
+    selectDestinations(systems) {
+        return systems
+            ? this.destinations.filter(destination => systems.includes(destination.name))
+            : this.destinations;
+    }
+
+    static createResult(eventData, operation) {
+        return {
+            status: 'processing',
+            operation,
+            errors: [],
+            assetId: MetadataTransformer.resolveAssetId(eventData.metadata, eventData.assetPath)
+        };
+    }
+
+    // Record each destination's outcome on the result and settle its status
+    completeResult(result, destinations, outcomes, unexpectedError) {
+        destinations.forEach((destination, index) => {
+            const outcome = outcomes[index];
+            result[destination.key] = outcome;
+
+            if (!outcome.success) {
+                const failure = {
+                    system: destination.name,
+                    error: outcome.error,
+                    retryable: outcome.retryable
+                };
+                if (outcome.deferred) {
+                    failure.deferred = true;
+                    failure.retryAfterMs = outcome.retryAfterMs;
+                }
+                result.errors.push(failure);
+            }
+        });
+
+        if (result.errors.length === 0) {
+            result.status = 'completed';
+        } else if (result.errors.every(error => error.deferred)) {
+            // Nothing was attempted (e.g. open circuit); try again once the destination recovers
+            result.status = 'deferred';
+            result.retryAfterMs = Math.max(...result.errors.map(error => error.retryAfterMs || 0));
+        } else {
+            result.status = unexpectedError ? 'error' : 'failed';
+        }
+
+        // Log final result
+        if (result.status === 'completed') {
+            this.logger.info('Asset successfully synchronized', {
+                assetId: result.assetId,
+                systems: destinations.map(destination => destination.name)
+            });
+        } else if (result.status === 'deferred') {
+            this.logger.info('Asset synchronization deferred', {
+                assetId: result.assetId,
+                retryAfterMs: result.retryAfterMs
+            });
+        } else {
+            this.logger.error('Asset synchronization failed', {
+                assetId: result.assetId,
+                errors: result.errors
+            });
+        }
+
+        return result;
+    }
+}
+
+module.exports = { EventProcessor };
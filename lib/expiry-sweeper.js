@@ -0,0 +1,68 @@
+/**
+ * Expiry Sweep
+ * AEM sends no event when an asset's prism:expirationDate or dam:offTime passes, so
+ * synchronized assets are checked on a timer. Each expired asset is queued as an
+ * "expired" event carrying its last synchronized metadata; the event processor then
+ * revokes it from the destinations.
+ */
+
+const EXPIRY_EVENT_TYPE = 'com.adobe.aem.assets.expired';
+
+class ExpirySweeper {
+    constructor(options) {
+        this.syncState = options.syncState;
+        this.enqueue = options.enqueue;
+        this.isPending = options.isPending || (() => false);
+        this.intervalMs = options.intervalMs || 15 * 60 * 1000;
+        this.logger = options.logger;
+        this.timer = null;
+    }
+
+    // Queue a revocation for every expired asset that has none pending
+    sweep(now = new Date()) {
+        const expired = this.syncState.listExpired(now);
+        let queued = 0;
+
+        expired.forEach(record => {
+            if (record.revocationJobId && this.isPending(record.revocationJobId)) return;
+
+            const job = this.enqueue({
+                eventType: EXPIRY_EVENT_TYPE,
+                assetPath: record.assetPath,
+                metadata: record.metadata,
+                timestamp: now.toISOString()
+            });
+            this.syncState.markRevocationQueued(record.id, job.id);
+            queued += 1;
+        });
+
+        if (expired.length > 0) {
+            this.logger.info('Expiry sweep finished', { expired: expired.length, queued });
+        }
+
+        return { expired: expired.length, queued, sweptAt: now.toISOString() };
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            try {
+                this.sweep();
+            } catch (error) {
+                this.logger.error('Expiry sweep failed', error);
+            }
+        }, this.intervalMs);
+        this.timer.unref();
+        this.logger.info('Expiry sweep scheduled', { intervalMs: this.intervalMs, trackedAssets: this.syncState.size });
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = { ExpirySweeper, EXPIRY_EVENT_TYPE };
@@ -0,0 +1,326 @@
+/**
+ * Record Stores for the AEM-MLE Sync Service
+ * Small key/value stores keyed on each record's `id`. FileStore keeps its records in
+ * memory and persists them to an append-only log of JSON lines: a put or delete changes
+ * the records at once and appends one line in the background, and the log is compacted to
+ * one line per record once it has grown well past that. Reads never touch the disk; the
+ * log is read again only when it has changed. Writes hold a lock file and first apply what
+ * other processes appended (the backfill and reconcile CLIs share stores with the running
+ * service), so no process overwrites another's writes. `flush()` resolves once every change
+ * is in the log. MemoryStore offers the same interface for state that need not survive
+ * restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Compact once the log holds this many lines and more than COMPACT_RATIO per record
+const COMPACT_MIN_LINES = 1000;
+const COMPACT_RATIO = 4;
+
+const LOCK_TIMEOUT_MS = 5000;
+// A lock this old was left behind by a process that died while holding it
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 5;
+
+// How often the log is checked for lines other processes appended
+const WATCH_INTERVAL_MS = 1000;
+
+const NEWLINE = 0x0a;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// JSON lines log backed key/value store
+class FileStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.lockPath = `${filePath}.lock`;
+        this.compactMinLines = options.compactMinLines || COMPACT_MIN_LINES;
+
+        this.records = new Map();
+        // Log file read so far: its inode, bytes applied and lines applied
+        this.inode = null;
+        this.offset = 0;
+        this.lines = 0;
+        this.legacyRecords = false;
+        // Changes made in memory and not yet appended to the log: { entry, line }
+        this.pending = [];
+        this.writeQueued = false;
+        // File work (reads, appends, compactions) runs one operation at a time, in order
+        this.queue = Promise.resolve();
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.load();
+
+        fs.watchFile(this.filePath, { persistent: false, interval: options.watchIntervalMs || WATCH_INTERVAL_MS }, () => {
+            this.refresh().catch(() => {});
+        });
+    }
+
+    // The log is read once, synchronously, so the store can be used as soon as it exists
+    load() {
+        let fd;
+        try {
+            fd = fs.openSync(this.filePath, 'r');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return;
+        }
+        try {
+            this.inode = fs.fstatSync(fd).ino;
+            this.applyLog(fs.readFileSync(fd));
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // Stores written before the log format hold one JSON array; rewrite them as a log
+        if (this.legacyRecords) {
+            this.enqueue(() => this.withLock(async () => {
+                await this.catchUp();
+                if (this.legacyRecords) {
+                    await this.compact();
+                }
+            })).catch(() => {});
+        }
+    }
+
+    enqueue(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    // Apply the lines appended since the last read, e.g. by another process, without
+    // waiting for the log to be checked
+    refresh() {
+        return this.enqueue(() => this.readLog());
+    }
+
+    // A log replaced by another process's compaction is read again from the start
+    async readLog() {
+        let handle;
+        try {
+            handle = await fs.promises.open(this.filePath, 'r');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            if (this.inode !== null) this.reset(null);
+            return;
+        }
+
+        try {
+            const stat = await handle.stat();
+            if (stat.ino !== this.inode || stat.size < this.offset) {
+                this.reset(stat.ino);
+            }
+            if (stat.size > this.offset) {
+                const buffer = Buffer.alloc(stat.size - this.offset);
+                await handle.read(buffer, 0, buffer.length, this.offset);
+                this.applyLog(buffer);
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Apply the log from the current offset. A line still being written is left for later,
+    // and changes not yet in the log are newer than anything read from it.
+    applyLog(buffer) {
+        if (this.offset === 0 && buffer.toString('utf8').trimStart().startsWith('[')) {
+            JSON.parse(buffer.toString('utf8')).forEach(record => this.records.set(record.id, record));
+            this.legacyRecords = true;
+            this.offset = buffer.length;
+        } else {
+            const end = buffer.lastIndexOf(NEWLINE) + 1;
+            buffer.subarray(0, end).toString('utf8').split('\n')
+                .filter(line => line.trim())
+                .forEach(line => {
+                    this.index(JSON.parse(line));
+                    this.lines += 1;
+                });
+            this.offset += end;
+        }
+        this.pending.forEach(({ entry }) => this.index(entry));
+    }
+
+    // With the lock held nobody else is writing: bytes after the last complete line were
+    // left by a writer that died mid-line and are dropped
+    async catchUp() {
+        await this.readLog();
+        if (this.inode !== null && (await fs.promises.stat(this.filePath)).size > this.offset) {
+            await fs.promises.truncate(this.filePath, this.offset);
+        }
+    }
+
+    reset(inode) {
+        this.records = new Map();
+        this.inode = inode;
+        this.offset = 0;
+        this.lines = 0;
+        this.legacyRecords = false;
+        this.pending.forEach(({ entry }) => this.index(entry));
+    }
+
+    index(entry) {
+        if (entry.delete !== undefined) {
+            this.records.delete(entry.delete);
+        } else {
+            this.records.set(entry.put.id, entry.put);
+        }
+    }
+
+    // Record a change ({ put: record } or { delete: id }) and have it appended to the log
+    stage(entry) {
+        this.pending.push({ entry, line: `${JSON.stringify(entry)}\n` });
+        this.index(entry);
+
+        if (!this.writeQueued) {
+            this.writeQueued = true;
+            this.enqueue(() => {
+                this.writeQueued = false;
+                return this.write();
+            }).catch(() => {});
+        }
+    }
+
+    // Append the pending changes once caught up with other writers. Changes that fail to be
+    // written stay pending for the next write.
+    async write() {
+        const count = this.pending.length;
+        if (count === 0) {
+            return;
+        }
+
+        await this.withLock(async () => {
+            await this.catchUp();
+
+            const content = this.pending.slice(0, count).map(({ line }) => line).join('');
+            await fs.promises.appendFile(this.filePath, content);
+            if (this.inode === null) {
+                this.inode = (await fs.promises.stat(this.filePath)).ino;
+            }
+            this.offset += Buffer.byteLength(content);
+            this.lines += count;
+            this.pending.splice(0, count);
+
+            if (this.lines >= this.compactMinLines && this.lines > COMPACT_RATIO * this.records.size) {
+                await this.compact();
+            }
+        });
+    }
+
+    // Rewrite the log with one line per record, pending changes included. The temporary
+    // file keeps a crash from leaving a truncated store behind; the caller holds the lock.
+    async compact() {
+        const tmpPath = `${this.filePath}.tmp`;
+        const content = [...this.records.values()].map(record => `${JSON.stringify({ put: record })}\n`).join('');
+        await fs.promises.writeFile(tmpPath, content);
+        await fs.promises.rename(tmpPath, this.filePath);
+
+        this.inode = (await fs.promises.stat(this.filePath)).ino;
+        this.offset = Buffer.byteLength(content);
+        this.lines = this.records.size;
+        this.legacyRecords = false;
+        this.pending = [];
+    }
+
+    async withLock(fn) {
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        let handle;
+
+        while (handle === undefined) {
+            try {
+                handle = await fs.promises.open(this.lockPath, 'wx');
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                await this.breakStaleLock();
+                if (Date.now() > deadline) {
+                    throw new Error(`Timed out waiting for the lock on ${this.filePath}`);
+                }
+                await sleep(LOCK_RETRY_MS);
+            }
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await handle.close();
+            await fs.promises.unlink(this.lockPath);
+        }
+    }
+
+    async breakStaleLock() {
+        try {
+            if (Date.now() - (await fs.promises.stat(this.lockPath)).mtimeMs > LOCK_STALE_MS) {
+                await fs.promises.unlink(this.lockPath);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    // Resolves once every change made so far is in the log
+    flush() {
+        return this.enqueue(() => this.write());
+    }
+
+    get(id) {
+        return this.records.get(id) || null;
+    }
+
+    put(record) {
+        this.stage({ put: record });
+        return record;
+    }
+
+    delete(id) {
+        if (!this.records.has(id)) {
+            return false;
+        }
+        this.stage({ delete: id });
+        return true;
+    }
+
+    list() {
+        return [...this.records.values()];
+    }
+
+    get size() {
+        return this.records.size;
+    }
+}
+
+// In-memory key/value store with the FileStore interface
+class MemoryStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    get(id) {
+        return this.records.get(id) || null;
+    }
+
+    put(record) {
+        this.records.set(record.id, record);
+        return record;
+    }
+
+    delete(id) {
+        return this.records.delete(id);
+    }
+
+    list() {
+        return [...this.records.values()];
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    async flush() {}
+
+    async refresh() {}
+}
+
+module.exports = { FileStore, MemoryStore };
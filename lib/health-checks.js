@@ -0,0 +1,78 @@
+/**
+ * Dependency Health Checks
+ * Runs named readiness probes (OAuth token fetch, MLE ping, persistence and queue)
+ * with a per-probe timeout. Results are cached for a short time and concurrent callers
+ * share one in-flight run, so frequent readiness polling does not hammer MLE or the
+ * token endpoint.
+ */
+
+class HealthChecker {
+    constructor(options) {
+        this.checks = options.checks;
+        this.timeoutMs = options.timeoutMs || 5000;
+        this.cacheTtlMs = options.cacheTtlMs !== undefined ? options.cacheTtlMs : 10000;
+        this.logger = options.logger;
+
+        this.cached = null;
+        this.cachedAt = 0;
+        this.inFlight = null;
+    }
+
+    // A probe passes when it resolves; a throw, a { success: false } result or a timeout fails it
+    async runCheck(name, probe) {
+        const startedAt = Date.now();
+        let timer;
+
+        try {
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+                timer.unref();
+            });
+            const result = await Promise.race([probe(), timeout]);
+
+            if (result && result.success === false) {
+                throw new Error(result.error?.error ? JSON.stringify(result.error.error) : (result.message || 'Check failed'));
+            }
+
+            return { status: 'pass', durationMs: Date.now() - startedAt, ...(result && result.details ? { details: result.details } : {}) };
+        } catch (error) {
+            this.logger.error('Health check failed', { check: name, error: error.message });
+            return { status: 'fail', durationMs: Date.now() - startedAt, error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async runAll() {
+        const names = Object.keys(this.checks);
+        const results = await Promise.all(names.map(name => this.runCheck(name, this.checks[name])));
+
+        const checks = {};
+        names.forEach((name, index) => { checks[name] = results[index]; });
+
+        return {
+            status: results.every(result => result.status === 'pass') ? 'ready' : 'not_ready',
+            checkedAt: new Date().toISOString(),
+            checks
+        };
+    }
+
+    async check() {
+        if (this.cached && Date.now() - this.cachedAt < this.cacheTtlMs) {
+            return { ...this.cached, cached: true };
+        }
+        if (!this.inFlight) {
+            this.inFlight = this.runAll()
+                .then(report => {
+                    this.cached = report;
+                    this.cachedAt = Date.now();
+                    return report;
+                })
+                .finally(() => { this.inFlight = null; });
+        }
+
+        return { ...(await this.inFlight), cached: false };
+    }
+}
+
+module.exports = { HealthChecker };
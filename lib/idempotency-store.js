@@ -0,0 +1,77 @@
+/**
+ * Idempotency Store for AEM Webhook Deliveries
+ * Remembers which events have already been accepted so that AEM I/O Events
+ * redeliveries are acknowledged as duplicates instead of reaching MLE twice.
+ */
+
+const { FileStore, MemoryStore } = require('./file-store');
+
+class IdempotencyStore {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+        this.purgeIntervalMs = options.purgeIntervalMs || 60 * 1000;
+        this.store = options.filePath ? new FileStore(options.filePath) : new MemoryStore();
+        this.lastPurge = 0;
+    }
+
+    // Prefer the delivery's event id; fall back to the asset revision it describes
+    static deriveKey(eventData, transformedData) {
+        if (eventData.eventId) {
+            return `event:${eventData.eventId}`;
+        }
+
+        if (transformedData && transformedData.assetId && transformedData.modifiedDate) {
+            return `asset:${eventData.eventType}:${transformedData.assetId}:${transformedData.modifiedDate}`;
+        }
+
+        return null;
+    }
+
+    isExpired(record) {
+        return Date.parse(record.expiresAt) <= Date.now();
+    }
+
+    get(key) {
+        const record = this.store.get(key);
+        if (!record) return null;
+
+        if (this.isExpired(record)) {
+            this.store.delete(key);
+            return null;
+        }
+
+        return record;
+    }
+
+    remember(key, value = {}) {
+        this.purgeExpired();
+
+        const now = Date.now();
+        return this.store.put({
+            ...value,
+            id: key,
+            firstSeenAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.ttlMs).toISOString()
+        });
+    }
+
+    release(key) {
+        return this.store.delete(key);
+    }
+
+    // Resolves once every remembered key is on disk
+    flush() {
+        return this.store.flush();
+    }
+
+    purgeExpired() {
+        if (Date.now() - this.lastPurge < this.purgeIntervalMs) return;
+        this.lastPurge = Date.now();
+
+        this.store.list()
+            .filter(record => this.isExpired(record))
+            .forEach(record => this.store.delete(record.id));
+    }
+}
+
+module.exports = { IdempotencyStore };
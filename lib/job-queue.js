@@ -0,0 +1,326 @@
+/**
+ * Durable Job Queue for AEM-MLE Synchronization
+ * Persists sync jobs to disk, processes them in the background, re-attempts retryable
+ * failures with exponential backoff and jitter, and moves exhausted jobs to a
+ * dead-letter store for inspection and replay.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { FileStore } = require('./file-store');
+const { withCorrelation } = require('./logger');
+
+// Persistent job queue with retries and dead-letter store
+// Job lifecycle: queued -> processing -> completed | failed (retries and deferrals go back to queued)
+class JobQueue {
+    constructor(options) {
+        this.handler = options.handler;
+        this.logger = options.logger;
+        this.maxAttempts = options.maxAttempts || 5;
+        this.baseDelayMs = options.baseDelayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 5 * 60 * 1000;
+        this.pollIntervalMs = options.pollIntervalMs || 1000;
+        this.retentionMs = options.retentionMs || 24 * 60 * 60 * 1000;
+
+        this.jobs = new FileStore(path.join(options.dataDir, 'jobs.json'));
+        this.deadLetters = new FileStore(path.join(options.dataDir, 'dead-letters.json'));
+
+        this.timer = null;
+        this.running = false;
+        this.recoverInterruptedJobs();
+    }
+
+    static isRetryableResult(result) {
+        if (!result || !['failed', 'error'].includes(result.status)) return false;
+        if (!result.errors || result.errors.length === 0) return false;
+
+        return result.errors.every(error => error.retryable);
+    }
+
+    // Jobs left in "processing" by a crash or restart are picked up again
+    recoverInterruptedJobs() {
+        this.jobs.list()
+            .filter(job => job.status === 'processing')
+            .forEach(job => {
+                job.status = 'queued';
+                job.nextAttemptAt = new Date().toISOString();
+                this.jobs.put(job);
+            });
+    }
+
+    // Exponential backoff with full jitter: random delay in [0, min(max, base * 2^attempt))
+    computeBackoff(attempt) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    // `options.delayMs` holds the job back, e.g. so more events can be coalesced into it
+    enqueue(payload, options = {}) {
+        const now = new Date().toISOString();
+
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            payload,
+            attempts: 0,
+            result: null,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now,
+            nextAttemptAt: options.delayMs ? new Date(Date.now() + options.delayMs).toISOString() : now
+        };
+
+        this.jobs.put(job);
+        this.logger.info('Job enqueued for MLE synchronization', { jobId: job.id });
+        this.kick();
+
+        return job;
+    }
+
+    getJob(id) {
+        return this.jobs.get(id);
+    }
+
+    // Most recent jobs first; finished jobs are kept for the retention period
+    listJobs(limit = 50) {
+        return this.jobs.list()
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+
+    // Run a job waiting for its next retry now instead of after the backoff
+    retryJob(id) {
+        const job = this.jobs.get(id);
+        if (!job || job.status !== 'queued') {
+            return null;
+        }
+
+        job.nextAttemptAt = new Date().toISOString();
+        job.updatedAt = job.nextAttemptAt;
+        this.jobs.put(job);
+        this.logger.info('Job retry requested', { jobId: id });
+        this.kick();
+
+        return job;
+    }
+
+    // A job that is queued and has not been attempted yet, so its payload can still change
+    findWaitingJob(predicate) {
+        return this.jobs.list().find(job => job.status === 'queued' && job.attempts === 0 && predicate(job)) || null;
+    }
+
+    updatePayload(id, payload) {
+        const job = this.jobs.get(id);
+        job.payload = payload;
+        job.updatedAt = new Date().toISOString();
+        this.jobs.put(job);
+        return job;
+    }
+
+    getDepth() {
+        return this.jobs.list().filter(job => job.status === 'queued' || job.status === 'processing').length;
+    }
+
+    // Age of the oldest job still waiting to be synchronized, in milliseconds
+    getOldestPendingAge() {
+        const pending = this.jobs.list().filter(job => job.status === 'queued' || job.status === 'processing');
+        if (pending.length === 0) return 0;
+
+        const oldest = pending.reduce((min, job) => (job.createdAt < min ? job.createdAt : min), pending[0].createdAt);
+        return Date.now() - new Date(oldest).getTime();
+    }
+
+    getDeadLetterCount() {
+        return this.deadLetters.size;
+    }
+
+    listDeadLetters() {
+        return this.deadLetters.list()
+            .sort((a, b) => b.deadLetteredAt.localeCompare(a.deadLetteredAt));
+    }
+
+    getDeadLetter(id) {
+        return this.deadLetters.get(id);
+    }
+
+    replayDeadLetter(id) {
+        const deadLetter = this.deadLetters.get(id);
+        if (!deadLetter) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            ...(this.jobs.get(id) || deadLetter),
+            status: 'queued',
+            attempts: 0,
+            result: null,
+            lastError: null,
+            updatedAt: now,
+            nextAttemptAt: now
+        };
+        delete job.reason;
+        delete job.deadLetteredAt;
+
+        this.jobs.put(job);
+        this.deadLetters.delete(id);
+        this.logger.info('Dead-lettered job replayed', { jobId: id });
+        this.kick();
+
+        return job;
+    }
+
+    moveToDeadLetter(job, reason) {
+        job.status = 'failed';
+        this.jobs.put(job);
+
+        const deadLetter = {
+            ...job,
+            reason,
+            deadLetteredAt: new Date().toISOString()
+        };
+        this.deadLetters.put(deadLetter);
+
+        this.logger.error('Job moved to dead-letter store', {
+            jobId: job.id,
+            attempts: job.attempts,
+            reason
+        });
+
+        return deadLetter;
+    }
+
+    // Everything logged while a job runs carries the correlation id it was enqueued with
+    runJob(job) {
+        const correlationId = job.payload?.correlationId || job.id;
+        return withCorrelation({ correlationId, jobId: job.id }, () => this.executeJob(job));
+    }
+
+    async executeJob(job) {
+        job.status = 'processing';
+        job.attempts += 1;
+        job.updatedAt = new Date().toISOString();
+        this.jobs.put(job);
+
+        let result;
+        try {
+            result = await this.handler(job.payload, job);
+        } catch (error) {
+            result = {
+                status: 'error',
+                errors: [{ error: error.message, retryable: true }]
+            };
+        }
+
+        job.result = result;
+        job.updatedAt = new Date().toISOString();
+
+        if (result.status === 'completed' || result.status === 'skipped') {
+            job.status = 'completed';
+            this.jobs.put(job);
+            this.logger.info('Job completed', { jobId: job.id, attempts: job.attempts, result: result.status });
+            return result;
+        }
+
+        job.lastError = result.errors || null;
+
+        // Deferred work (e.g. an open circuit) waits without using up an attempt
+        if (result.status === 'deferred') {
+            job.attempts -= 1;
+            job.status = 'queued';
+            job.nextAttemptAt = new Date(Date.now() + Math.max(result.retryAfterMs || 0, this.baseDelayMs)).toISOString();
+            this.jobs.put(job);
+            this.logger.info('Job deferred', { jobId: job.id, nextAttemptAt: job.nextAttemptAt });
+            return result;
+        }
+
+        if (!JobQueue.isRetryableResult(result)) {
+            this.moveToDeadLetter(job, 'Non-retryable failure');
+        } else if (job.attempts >= this.maxAttempts) {
+            this.moveToDeadLetter(job, `Retry attempts exhausted after ${job.attempts} attempts`);
+        } else {
+            job.status = 'queued';
+            job.nextAttemptAt = new Date(Date.now() + this.computeBackoff(job.attempts)).toISOString();
+            this.jobs.put(job);
+            this.logger.info('Job failed, retry scheduled', {
+                jobId: job.id,
+                attempts: job.attempts,
+                nextAttemptAt: job.nextAttemptAt
+            });
+        }
+
+        return result;
+    }
+
+    // Drop finished jobs once their status no longer needs to be queryable
+    pruneFinishedJobs() {
+        const cutoff = new Date(Date.now() - this.retentionMs).toISOString();
+
+        this.jobs.list()
+            .filter(job => (job.status === 'completed' || job.status === 'failed') && job.updatedAt < cutoff)
+            .forEach(job => this.jobs.delete(job.id));
+    }
+
+    async processDue() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = new Date().toISOString();
+            const dueJobs = this.jobs.list()
+                .filter(job => job.status === 'queued' && job.nextAttemptAt <= now)
+                .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+            for (const job of dueJobs) {
+                await this.runJob(job);
+            }
+
+            this.pruneFinishedJobs();
+        } catch (error) {
+            this.logger.error('Job queue processing failed', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Process newly enqueued work right away instead of waiting for the next poll
+    kick() {
+        if (this.timer) {
+            setImmediate(() => this.processDue());
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+
+        const tick = async () => {
+            await this.processDue();
+            if (this.timer) {
+                this.timer = setTimeout(tick, this.pollIntervalMs);
+                this.timer.unref();
+            }
+        };
+
+        this.timer = setTimeout(tick, this.pollIntervalMs);
+        this.timer.unref();
+        this.logger.info('Job queue worker started', { queueDepth: this.getDepth(), deadLetters: this.deadLetters.size });
+    }
+
+    isStarted() {
+        return this.timer !== null;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Resolves once every job change made so far is on disk
+    flush() {
+        return Promise.all([this.jobs.flush(), this.deadLetters.flush()]);
+    }
+}
+
+module.exports = { JobQueue };
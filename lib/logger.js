@@ -0,0 +1,115 @@
+/**
+ * Structured Logging
+ * JSON log lines (one object per line) with level, timestamp, service and the
+ * correlation id of the request or job being handled. The correlation context is kept
+ * in AsyncLocalStorage, so everything called while handling a webhook or job (event
+ * processor, destination clients, token manager) logs it without passing it along.
+ *
+ * Values under secret-looking keys (tokens, secrets, private keys, passphrases,
+ * signatures, authorization) and bearer credentials inside strings are redacted before
+ * anything is written.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
+const SECRET_KEY_PATTERN = /token|secret|password|passwd|passphrase|private[-_]?key|authorization|signature|api[-_]?key|cookie|credential/i;
+const BEARER_PATTERN = /(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+const correlationStorage = new AsyncLocalStorage();
+
+// Run fn with correlation fields ({ correlationId, jobId, ... }) attached to its logs
+function withCorrelation(context, fn) {
+    const parent = correlationStorage.getStore() || {};
+    return correlationStorage.run({ ...parent, ...context }, fn);
+}
+
+function getCorrelationContext() {
+    return correlationStorage.getStore() || {};
+}
+
+// URLs and file paths name where a secret is sent or kept, not the secret itself
+function isSecretKey(key) {
+    return SECRET_KEY_PATTERN.test(key) && !/(url|file)$/i.test(key);
+}
+
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return value.replace(BEARER_PATTERN, `$1 ${REDACTED}`);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH || seen.has(value)) {
+        return '[Truncated]';
+    }
+    seen.add(value);
+
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redact(value.message, depth + 1, seen),
+            stack: redact(value.stack, depth + 1, seen),
+            status: value.status || value.response?.status
+        };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1, seen));
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[Buffer ${value.length} bytes]`;
+    }
+
+    return Object.keys(value).reduce((result, key) => {
+        const item = value[key];
+        result[key] = isSecretKey(key) && typeof item === 'string' && item
+            ? REDACTED
+            : redact(item, depth + 1, seen);
+        return result;
+    }, {});
+}
+
+function createLogger(options = {}) {
+    const threshold = LEVELS[options.level] !== undefined ? LEVELS[options.level] : LEVELS.info;
+    const baseContext = { service: options.service, ...options.context };
+    const write = options.write || ((level, line) => (LEVELS[level] >= LEVELS.warn ? console.error(line) : console.log(line)));
+
+    function log(level, message, data) {
+        if (LEVELS[level] < threshold) return;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            ...baseContext,
+            ...getCorrelationContext()
+        };
+
+        if (data instanceof Error) {
+            entry.error = redact(data);
+        } else if (data && typeof data === 'object' && !Array.isArray(data)) {
+            // Data fields sit next to the standard ones without replacing them
+            Object.entries(redact(data)).forEach(([key, value]) => {
+                if (!(key in entry)) entry[key] = value;
+            });
+        } else if (data !== undefined && data !== '') {
+            entry.data = redact(data);
+        }
+
+        write(level, JSON.stringify(entry));
+    }
+
+    return {
+        debug: (message, data) => log('debug', message, data),
+        info: (message, data) => log('info', message, data),
+        warn: (message, data) => log('warn', message, data),
+        error: (message, data) => log('error', message, data),
+        // Logger with extra fixed fields, e.g. { component: 'backfill' }
+        child: context => createLogger({ ...options, context: { ...options.context, ...context } })
+    };
+}
+
+module.exports = { createLogger, withCorrelation, getCorrelationContext, redact };
@@ -0,0 +1,190 @@
+/**
+ * Declarative Metadata Mapping for AEM-MLE Synchronization
+ * Applies a JSON mapping configuration (see config/metadata-mapping.json) to AEM asset
+ * metadata: source-path fallbacks, type coercion, default values and value transforms.
+ *
+ * Field definition:
+ *   source     AEM property name, or list of names tried in order
+ *   type       string | number | boolean | date | array
+ *   merge      for arrays, collect values from every source instead of the first match
+ *   default    value used when no source yields a value
+ *   transform  transform name, or list of names applied in order
+ *
+ * The properties a mapping reads are left out of customMetadata, except those listed in
+ * its optional "keepInCustomMetadata".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAPPING_FILE = path.join(__dirname, '..', 'config', 'metadata-mapping.json');
+
+// Type coercions; return undefined when a value cannot be coerced
+const COERCIONS = {
+    string: value => (Array.isArray(value) ? value.join(', ') : String(value)),
+    number: value => {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : undefined;
+    },
+    boolean: value => {
+        if (typeof value === 'boolean') return value;
+        const normalized = String(value).toLowerCase();
+        if (['true', 'yes', '1'].includes(normalized)) return true;
+        if (['false', 'no', '0'].includes(normalized)) return false;
+        return undefined;
+    },
+    date: value => {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+    },
+    array: value => (Array.isArray(value) ? value : [value])
+};
+
+// Value transforms, applied element-wise to arrays unless noted
+const TRANSFORMS = {
+    trim: value => (typeof value === 'string' ? value.trim() : value),
+    lowercase: value => (typeof value === 'string' ? value.toLowerCase() : value),
+    uppercase: value => (typeof value === 'string' ? value.toUpperCase() : value),
+    unique: values => (Array.isArray(values) ? [...new Set(values)] : values),
+    split: value => (typeof value === 'string' ? value.split(',').map(part => part.trim()).filter(Boolean) : value)
+};
+
+const ARRAY_TRANSFORMS = ['unique'];
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+function toList(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function setPath(target, fieldPath, value) {
+    const segments = fieldPath.split('.');
+    const last = segments.pop();
+    let node = target;
+
+    segments.forEach(segment => {
+        if (typeof node[segment] !== 'object' || node[segment] === null) {
+            node[segment] = {};
+        }
+        node = node[segment];
+    });
+
+    node[last] = value;
+}
+
+class MetadataMapper {
+    constructor(mapping) {
+        MetadataMapper.validate(mapping);
+        this.fields = Object.entries(mapping.fields).map(([target, definition]) => ({
+            target,
+            sources: toList(definition.source),
+            type: definition.type,
+            merge: !!definition.merge,
+            default: definition.default,
+            transforms: toList(definition.transform)
+        }));
+        this.keepInCustomMetadata = mapping.keepInCustomMetadata || [];
+    }
+
+    static load(filePath = DEFAULT_MAPPING_FILE) {
+        let mapping;
+        try {
+            mapping = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to load metadata mapping from ${filePath}: ${error.message}`);
+        }
+        return new MetadataMapper(mapping);
+    }
+
+    static validate(mapping) {
+        if (!mapping || !mapping.fields || typeof mapping.fields !== 'object' || Array.isArray(mapping.fields)) {
+            throw new Error('Invalid metadata mapping: "fields" object is required');
+        }
+
+        Object.entries(mapping.fields).forEach(([target, definition]) => {
+            if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+                throw new Error(`Invalid metadata mapping for "${target}": field definition must be an object`);
+            }
+            if (toList(definition.source).length === 0) {
+                throw new Error(`Invalid metadata mapping for "${target}": "source" is required`);
+            }
+            if (definition.type && !COERCIONS[definition.type]) {
+                throw new Error(`Invalid metadata mapping for "${target}": unknown type "${definition.type}"`);
+            }
+            toList(definition.transform).forEach(name => {
+                if (!TRANSFORMS[name]) {
+                    throw new Error(`Invalid metadata mapping for "${target}": unknown transform "${name}"`);
+                }
+            });
+        });
+
+        const keep = mapping.keepInCustomMetadata;
+        if (keep !== undefined && (!Array.isArray(keep) || keep.some(name => typeof name !== 'string'))) {
+            throw new Error('Invalid metadata mapping: "keepInCustomMetadata" must be a list of property names');
+        }
+    }
+
+    // All AEM properties consumed by the mapping
+    getSourceFields() {
+        return [...new Set(this.fields.flatMap(field => field.sources))];
+    }
+
+    // AEM properties consumed by the mapping that are left out of customMetadata
+    getConsumedFields() {
+        return this.getSourceFields().filter(name => !this.keepInCustomMetadata.includes(name));
+    }
+
+    resolveField(field, metadata) {
+        let value;
+
+        if (field.merge) {
+            const values = field.sources
+                .filter(source => !isEmpty(metadata[source]))
+                .flatMap(source => toList(metadata[source]));
+            value = values.length > 0 ? values : undefined;
+        } else {
+            const source = field.sources.find(name => !isEmpty(metadata[name]));
+            value = source ? metadata[source] : undefined;
+        }
+
+        if (value !== undefined && field.type) {
+            value = field.type === 'array'
+                ? COERCIONS.array(value)
+                : COERCIONS[field.type](Array.isArray(value) && field.type !== 'string' ? value[0] : value);
+        }
+
+        if (value !== undefined) {
+            field.transforms.forEach(name => {
+                const transform = TRANSFORMS[name];
+                if (Array.isArray(value) && !ARRAY_TRANSFORMS.includes(name)) {
+                    value = value.flatMap(item => transform(item));
+                } else {
+                    value = transform(value);
+                }
+            });
+        }
+
+        if (isEmpty(value) && field.default !== undefined) {
+            // Copy array/object defaults so callers never share the configured instance
+            value = JSON.parse(JSON.stringify(field.default));
+        }
+
+        return value;
+    }
+
+    apply(metadata) {
+        const result = {};
+
+        this.fields.forEach(field => {
+            setPath(result, field.target, this.resolveField(field, metadata || {}));
+        });
+
+        return result;
+    }
+}
+
+module.exports = { MetadataMapper, DEFAULT_MAPPING_FILE };
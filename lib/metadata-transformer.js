@@ -0,0 +1,132 @@
+/**
+ * Asset Metadata Transformer for MLE
+ * Builds the MLE asset payload from AEM asset metadata. Field mappings come from
+ * the declarative metadata mapping; identification, media type, approval status
+ * and event context are derived here.
+ */
+
+const { MetadataMapper } = require('./metadata-mapping');
+
+// Properties read directly by the transformer rather than through the mapping
+const TRANSFORMER_FIELDS = ['jcr:uuid', 'dc:format', 'dam:status', 'dam:approvalStatus', 'cq:workflowStatus'];
+
+class MetadataTransformer {
+    constructor(options = {}) {
+        this.aemAuthorUrl = options.aemAuthorUrl;
+        this.aemPublishUrl = options.aemPublishUrl;
+        this.apiVersion = options.apiVersion || 'v1';
+        this.mapper = options.mapper || MetadataMapper.load();
+    }
+
+    transformForMLE(aemMetadata, assetPath, eventType) {
+        const mimeType = aemMetadata['dc:format'] || MetadataTransformer.getMimeTypeFromPath(assetPath);
+
+        return {
+            // Core asset identification
+            assetId: MetadataTransformer.resolveAssetId(aemMetadata, assetPath),
+            assetPath: assetPath,
+            assetUrl: this.constructAssetUrl(assetPath),
+            publicUrl: this.constructPublicUrl(assetPath),
+
+            // Media properties
+            mediaType: MetadataTransformer.getMediaType(mimeType),
+            mimeType: mimeType,
+            fileName: MetadataTransformer.extractFileNameFromPath(assetPath),
+
+            // Mapped metadata (config/metadata-mapping.json)
+            ...this.mapper.apply(aemMetadata),
+
+            // Status and workflow
+            approvalStatus: MetadataTransformer.getApprovalStatus(aemMetadata),
+            publishStatus: 'published',
+            publishedDate: new Date().toISOString(),
+
+            // Event context
+            eventType: eventType,
+            sourceSystem: 'AEM',
+            apiVersion: this.apiVersion,
+
+            // Additional metadata
+            customMetadata: this.extractCustomMetadata(aemMetadata)
+        };
+    }
+
+    static resolveAssetId(metadata, assetPath) {
+        return metadata['jcr:uuid'] || MetadataTransformer.extractAssetIdFromPath(assetPath);
+    }
+
+    static getMediaType(mimeType) {
+        if (!mimeType) return 'unknown';
+
+        if (mimeType.startsWith('image/')) return 'image';
+        if (mimeType.startsWith('video/')) return 'video';
+        if (mimeType.startsWith('audio/')) return 'audio';
+        if (mimeType.includes('pdf')) return 'document';
+        if (mimeType.includes('text/')) return 'text';
+
+        return 'other';
+    }
+
+    static getMimeTypeFromPath(assetPath) {
+        const extension = assetPath.split('.').pop().toLowerCase();
+        const mimeTypes = {
+            'jpg': 'image/jpeg',
+            'jpeg': 'image/jpeg',
+            'png': 'image/png',
+            'gif': 'image/gif',
+            'svg': 'image/svg+xml',
+            'mp4': 'video/mp4',
+            'mov': 'video/quicktime',
+            'pdf': 'application/pdf',
+            'txt': 'text/plain'
+        };
+        return mimeTypes[extension] || 'application/octet-stream';
+    }
+
+    static getApprovalStatus(metadata) {
+        const approvalFields = [
+            'dam:status',
+            'dam:approvalStatus',
+            'cq:workflowStatus'
+        ];
+
+        for (const field of approvalFields) {
+            const value = metadata[field];
+            if (value && (value.toLowerCase() === 'approved' || value.toLowerCase() === 'published')) {
+                return 'approved';
+            }
+        }
+        return 'pending';
+    }
+
+    extractCustomMetadata(metadata) {
+        const customFields = {};
+        const standardFields = [...this.mapper.getConsumedFields(), ...TRANSFORMER_FIELDS];
+
+        Object.keys(metadata).forEach(key => {
+            if (!standardFields.includes(key) && !key.startsWith('jcr:') && !key.startsWith('rep:')) {
+                customFields[key] = metadata[key];
+            }
+        });
+
+        return customFields;
+    }
+
+    static extractAssetIdFromPath(assetPath) {
+        return assetPath.split('/').pop().replace(/\.[^/.]+$/, '');
+    }
+
+    static extractFileNameFromPath(assetPath) {
+        return assetPath.split('/').pop();
+    }
+
+    constructAssetUrl(assetPath) {
+        return `${this.aemAuthorUrl}${assetPath}`;
+    }
+
+    constructPublicUrl(assetPath) {
+        return `${this.aemPublishUrl}${assetPath}`;
+    }
+}
+
+module.exports = { MetadataTransformer };
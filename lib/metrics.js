@@ -0,0 +1,184 @@
+/**
+ * Prometheus Metrics
+ * Minimal counter, gauge and histogram types rendered in the Prometheus text
+ * exposition format (version 0.0.4), and the metric set of the sync service.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; MLE calls normally take tens to hundreds of milliseconds
+const LATENCY_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    // Series are keyed by their label values in labelNames order
+    getSeries(labels, create) {
+        const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+        const key = JSON.stringify(values);
+
+        if (!this.series.has(key)) {
+            const labelSet = {};
+            this.labelNames.forEach((name, index) => { labelSet[name] = values[index]; });
+            this.series.set(key, { labels: labelSet, ...create() });
+        }
+
+        return this.series.get(key);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.series.forEach(series => lines.push(...this.renderSeries(series)));
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += value;
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+    }
+}
+
+// Gauges can be set directly or refreshed by a collect callback on every scrape
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        if (this.collect) {
+            this.collect(this);
+        }
+        return super.render();
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+    }
+
+    renderSeries(series) {
+        const lines = this.buckets.map((bound, index) => (
+            `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`
+        ));
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric already registered: ${metric.name}`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        return `${[...this.metrics.values()].map(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+// Metrics shared by the sync pipeline components; queue gauges are added by the service
+function createSyncMetrics() {
+    const registry = new MetricsRegistry();
+
+    return {
+        registry,
+        events: registry.counter(
+            'aem_sync_events_total',
+            'AEM events by type, outcome (received, ignored, duplicate, skipped, processed, failed) and tenant',
+            ['event_type', 'outcome', 'tenant']
+        ),
+        mleRequestDuration: registry.histogram(
+            'aem_sync_mle_request_duration_seconds',
+            'MLE API call latency by operation, outcome and tenant',
+            ['operation', 'outcome', 'tenant']
+        ),
+        mleRequestsRejected: registry.counter(
+            'aem_sync_mle_requests_rejected_total',
+            'MLE calls not made because the circuit breaker was open',
+            ['operation', 'reason', 'tenant']
+        ),
+        oauthTokenRefreshes: registry.counter(
+            'aem_sync_oauth_token_refreshes_total',
+            'OAuth access token requests by outcome',
+            ['outcome']
+        )
+    };
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram,
+    createSyncMetrics,
+    CONTENT_TYPE,
+    LATENCY_BUCKETS
+};
@@ -0,0 +1,547 @@
+/**
+ * MLE API Client
+ * Create, update, bulk upsert, status, delete and list operations against the Media Logic Engine
+ * assets API, plus rendition binary uploads (multipart or through a pre-signed upload URL).
+ * Every operation resolves to a result object ({ success, ... }) instead of throwing,
+ * with `retryable` set on failures that are worth another attempt, and runs behind the
+ * optional circuit breaker and rate limiter. Creating an asset MLE already holds (a
+ * backfill or manual sync, or the retry of a create whose renditions failed) updates it.
+ */
+
+const axios = require('axios');
+
+class MLEClient {
+    constructor(options) {
+        this.apiUrl = options.apiUrl;
+        this.apiVersion = options.apiVersion || 'v1';
+        this.tokenManager = options.tokenManager;
+        // Tenant whose MLE instance this is (lib/tenant-router.js), for metrics
+        this.tenant = options.tenant || 'default';
+        this.logger = options.logger;
+        this.timeout = options.timeout || 30000;
+        this.metrics = options.metrics;
+        this.circuitBreaker = options.circuitBreaker;
+        this.rateLimiter = options.rateLimiter;
+    }
+
+    // Every MLE operation goes through the circuit breaker and rate limiter when they are
+    // configured. An open circuit answers with a deferred, retryable result without calling MLE.
+    async execute(operation, request) {
+        if (this.circuitBreaker && !this.circuitBreaker.allowRequest()) {
+            const retryAfterMs = this.circuitBreaker.getRetryAfterMs();
+            this.logger.info('MLE circuit breaker open, deferring request', { operation, retryAfterMs });
+            if (this.metrics) {
+                this.metrics.mleRequestsRejected.inc({ operation, reason: 'circuit_open', tenant: this.tenant });
+            }
+
+            return {
+                success: false,
+                error: { error: 'MLE circuit breaker is open', circuitState: this.circuitBreaker.state },
+                retryable: true,
+                deferred: true,
+                retryAfterMs
+            };
+        }
+        if (this.rateLimiter) {
+            await this.rateLimiter.acquire();
+        }
+
+        const startedAt = Date.now();
+        const result = await request();
+
+        if (this.metrics) {
+            this.metrics.mleRequestDuration.observe(
+                { operation, outcome: result.success ? 'success' : 'error', tenant: this.tenant },
+                (Date.now() - startedAt) / 1000
+            );
+        }
+        // Only failures that point at MLE itself (network, 5xx, 429) count against the circuit
+        if (this.circuitBreaker) {
+            if (!result.success && result.retryable) {
+                this.circuitBreaker.recordFailure();
+            } else {
+                this.circuitBreaker.recordSuccess();
+            }
+        }
+
+        return result;
+    }
+
+    getEndpoint(assetId) {
+        const base = `${this.apiUrl}/${this.apiVersion}/assets`;
+        return assetId ? `${base}/${assetId}` : base;
+    }
+
+    // The client certificate when the destination authenticates with mTLS
+    get httpsAgent() {
+        return this.tokenManager.httpsAgent || undefined;
+    }
+
+    async getHeaders(includeContentType = true) {
+        const headers = {
+            ...(await this.tokenManager.getAuthHeaders()),
+            'X-API-Version': this.apiVersion,
+            'X-Source-System': 'AEM'
+        };
+        if (includeContentType) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        return headers;
+    }
+
+    async sendAssetMetadata(transformedData) {
+        const result = await this.execute('create', async () => {
+            const endpoint = this.getEndpoint();
+
+            try {
+                const response = await axios.post(endpoint, transformedData, {
+                    headers: await this.getHeaders(),
+                    httpsAgent: this.httpsAgent,
+                    timeout: this.timeout
+                });
+
+                this.logger.info('Successfully sent asset metadata to MLE', {
+                    assetId: transformedData.assetId,
+                    mediaType: transformedData.mediaType,
+                    status: response.status
+                });
+
+                return {
+                    success: true,
+                    mleAssetId: response.data.id || response.data.assetId,
+                    status: response.data.status,
+                    message: response.data.message,
+                    responseData: response.data
+                };
+            } catch (error) {
+                if (error.response?.status === 409) {
+                    this.logger.info('Asset already exists in MLE, updating it', { assetId: transformedData.assetId });
+                    return { success: false, exists: true };
+                }
+
+                const errorDetails = {
+                    assetId: transformedData.assetId,
+                    error: error.response?.data || error.message,
+                    status: error.response?.status,
+                    endpoint
+                };
+
+                this.logger.error('Failed to send asset metadata to MLE', errorDetails);
+
+                return {
+                    success: false,
+                    error: errorDetails,
+                    retryable: MLEClient.isRetryableError(error)
+                };
+            }
+        });
+
+        return result.exists ? this.updateAssetMetadata(transformedData.assetId, transformedData) : result;
+    }
+
+    updateAssetMetadata(assetId, transformedData) {
+        return this.execute('update', async () => {
+            const endpoint = this.getEndpoint(assetId);
+
+            try {
+                const response = await axios.put(endpoint, transformedData, {
+                    headers: await this.getHeaders(),
+                    httpsAgent: this.httpsAgent,
+                    timeout: this.timeout
+                });
+
+                this.logger.info('Successfully updated asset metadata in MLE', {
+                    assetId: assetId,
+                    mediaType: transformedData.mediaType,
+                    status: response.status
+                });
+
+                return {
+                    success: true,
+                    mleAssetId: response.data.id || assetId,
+                    status: response.data.status,
+                    message: response.data.message,
+                    responseData: response.data
+                };
+            } catch (error) {
+                const errorDetails = {
+                    assetId: assetId,
+                    error: error.response?.data || error.message,
+                    status: error.response?.status,
+                    endpoint
+                };
+
+                this.logger.error('Failed to update asset metadata in MLE', errorDetails);
+
+                return {
+                    success: false,
+                    error: errorDetails,
+                    retryable: MLEClient.isRetryableError(error)
+                };
+            }
+        });
+    }
+
+    deleteAsset(assetId) {
+        return this.execute('delete', async () => {
+            const endpoint = this.getEndpoint(assetId);
+
+            try {
+                const response = await axios.delete(endpoint, {
+                    headers: await this.getHeaders(false),
+                    httpsAgent: this.httpsAgent,
+                    timeout: this.timeout
+                });
+
+                this.logger.info('Successfully deleted asset from MLE', {
+                    assetId: assetId,
+                    status: response.status
+                });
+
+                return {
+                    success: true,
+                    message: 'Asset deleted successfully'
+                };
+            } catch (error) {
+                // Deleting is idempotent: an asset MLE does not know is already gone
+                if (error.response?.status === 404) {
+                    this.logger.info('Asset not found in MLE, nothing to delete', { assetId });
+                    return { success: true, message: 'Asset not found in MLE' };
+                }
+
+                const errorDetails = {
+                    assetId: assetId,
+                    error: error.response?.data || error.message,
+                    status: error.response?.status,
+                    endpoint
+                };
+
+                this.logger.error('Failed to delete asset from MLE', errorDetails);
+
+                return {
+                    success: false,
+                    error: errorDetails,
+                    retryable: MLEClient.isRetryableError(error)
+                };
+            }
+        });
+    }
+
+    // Mark an asset with a lifecycle status (e.g. "revoked") instead of deleting it
+    updateAssetStatus(assetId, status, reason) {
+        return this.execute('update_status', async () => {
+            const endpoint = `${this.getEndpoint(assetId)}/status`;
+
+            try {
+                const response = await axios.put(endpoint, { status, reason, sourceSystem: 'AEM' }, {
+                    headers: await this.getHeaders(),
+                    httpsAgent: this.httpsAgent,
+                    timeout: this.timeout
+                });
+
+                this.logger.info('Successfully updated asset status in MLE', { assetId, status: response.status, assetStatus: status });
+
+                return {
+                    success: true,
+                    mleAssetId: assetId,
+                    status: response.data?.status || status,
+                    message: response.data?.message
+                };
+            } catch (error) {
+                if (error.response?.status === 404) {
+                    this.logger.info('Asset not found in MLE, no status to update', { assetId });
+                    return { success: true, message: 'Asset not found in MLE' };
+                }
+
+                const errorDetails = {
+                    assetId,
+                    error: error.response?.data || error.message,
+                    status: error.response?.status,
+                    endpoint
+                };
+
+                this.logger.error('Failed to update asset status in MLE', errorDetails);
+
+                return {
+                    success: false,
+                    error: errorDetails,
+                    retryable: MLEClient.isRetryableError(error)
+                };
+            }
+        });
+    }
+
+    // Create or update many assets in one request. MLE reports an outcome per asset;
+    // results come back in the order of the payloads, each shaped like a single-asset result.
+    bulkUpsertAssets(transformedData) {
+        return this.execute('bulk_upsert', async () => {
+            const endpoint = `${this.getEndpoint()}/bulk`;
+
+            try {
+                const response = await axios.post(endpoint, { assets: transformedData }, {
+                    headers: await this.getHeaders(),
+                    httpsAgent: this.httpsAgent,
+                    timeout: this.timeout
+                });
+
+                const items = response.data?.results || [];
+                const byAssetId = new Map(items.map(item => [item.assetId, item]));
+
+                const results = transformedData.map(payload => {
+                    const item = byAssetId.get(payload.assetId);
+                    if (!item) {
+                        return {
+                            success: false,
+                            error: { assetId: payload.assetId, error: 'Missing from bulk upsert response', endpoint },
+                            retryable: true
+                        };
+                    }
+                    if (item.error || item.statusCode >= 400) {
+                        return {
+                            success: false,
+                            error: { assetId: payload.assetId, error: item.error, status: item.statusCode, endpoint },
+                            retryable: item.retryable !== undefined
+                                ? !!item.retryable
+                                : !item.statusCode || item.statusCode >= 500 || item.statusCode === 429
+                        };
+                    }
+
+                    return {
+                        success: true,
+                        mleAssetId: item.id || payload.assetId,
+                        status: item.status,
+                        message: item.message
+                    };
+                });
+
+                const failed = results.filter(result => !result.success).length;
+                this.logger.info('Bulk upserted asset metadata to MLE', {
+                    assets: transformedData.length,
+                    failed,
+                    status: response.status
+                });
+
+                return { success: true, results };
+            } catch (error) {
+                const errorDetails = {
+                    assets: transformedData.length,
+                    error: error.response?.data || error.message,
+                    status: error.response?.status,
+                    endpoint
+                };
+
+                this.logger.error('Failed to bulk upsert asset metadata to MLE', errorDetails);
+
+                return {
+                    success: false,
+                    error: errorDetails,
+                    retryable: MLEClient.isRetryableError(error)
+                };
+            }
+        });
+    }
+
+    // List one page of MLE asset records originating from AEM
+    listAssets(offset = 0, limit = 100) {
+        return this.execute('list', async () => {
+            const endpoint = this.getEndpoint();
+
+            try {
+                const response = await axios.get(endpoint, {
+                    headers: await this.getHeaders(false),
+                    httpsAgent: this.httpsAgent,
+                    params: { offset, limit, sourceSystem: 'AEM' },
+                    timeout: this.timeout
+                });
+
+                const data = response.data;
+                const assets = Array.isArray(data) ? data : (data.assets || data.items || []);
+                const total = data.total !== undefined ? data.total : offset + assets.length;
+
+                return {
+                    success: true,
+                    assets,
+                    total,
+                    nextOffset: assets.length > 0 && offset + assets.length < total ? offset + assets.length : null
+                };
+            } catch (error) {
+                const errorDetails = {
+                    error: error.response?.data || error.message,
+                    status: error.response?.status,
+                    endpoint
+                };
+
+                this.logger.error('Failed to list assets in MLE', errorDetails);
+
+                return {
+                    success: false,
+                    error: errorDetails,
+                    retryable: MLEClient.isRetryableError(error)
+                };
+            }
+        });
+    }
+
+    // Cheapest authenticated request, used by the readiness check
+    async ping() {
+        const page = await this.listAssets(0, 1);
+        return page.success ? { success: true } : page;
+    }
+
+    // Renditions MLE holds for an asset, with the sha1 of the AEM original they were made from
+    listRenditions(assetId) {
+        return this.execute('list_renditions', async () => {
+            const endpoint = `${this.getEndpoint(assetId)}/renditions`;
+
+            try {
+                const response = await axios.get(endpoint, {
+                    headers: await this.getHeaders(false),
+                    httpsAgent: this.httpsAgent,
+                    timeout: this.timeout
+                });
+
+                const data = response.data;
+                return {
+                    success: true,
+                    renditions: Array.isArray(data) ? data : (data.renditions || [])
+                };
+            } catch (error) {
+                // No renditions uploaded yet
+                if (error.response?.status === 404) {
+                    return { success: true, renditions: [] };
+                }
+
+                const errorDetails = {
+                    assetId,
+                    error: error.response?.data || error.message,
+                    status: error.response?.status,
+                    endpoint
+                };
+
+                this.logger.error('Failed to list asset renditions in MLE', errorDetails);
+
+                return {
+                    success: false,
+                    error: errorDetails,
+                    retryable: MLEClient.isRetryableError(error)
+                };
+            }
+        });
+    }
+
+    // Upload one rendition ({ name, data, size, contentType, sha1, sourceSha1 });
+    // the checksum MLE reports back, when it reports one, must match what was sent
+    uploadRendition(assetId, rendition, mode = 'multipart') {
+        return this.execute('upload_rendition', async () => {
+            const endpoint = `${this.getEndpoint(assetId)}/renditions`;
+
+            try {
+                const responseData = mode === 'presigned'
+                    ? await this.uploadPresigned(endpoint, rendition)
+                    : await this.uploadMultipart(endpoint, rendition);
+
+                const checksum = responseData?.sha1 || responseData?.checksum;
+                if (checksum && checksum !== rendition.sha1) {
+                    this.logger.error('Rendition checksum mismatch after upload to MLE', {
+                        assetId,
+                        rendition: rendition.name,
+                        expected: rendition.sha1,
+                        actual: checksum
+                    });
+
+                    return {
+                        success: false,
+                        error: { assetId, rendition: rendition.name, error: 'Checksum mismatch after upload', endpoint },
+                        retryable: true
+                    };
+                }
+
+                this.logger.info('Successfully uploaded rendition to MLE', {
+                    assetId,
+                    rendition: rendition.name,
+                    size: rendition.size,
+                    mode
+                });
+
+                return { success: true, name: rendition.name, size: rendition.size, sha1: rendition.sha1 };
+            } catch (error) {
+                const errorDetails = {
+                    assetId,
+                    rendition: rendition.name,
+                    error: error.response?.data || error.message,
+                    status: error.response?.status,
+                    endpoint
+                };
+
+                this.logger.error('Failed to upload rendition to MLE', errorDetails);
+
+                return {
+                    success: false,
+                    error: errorDetails,
+                    retryable: MLEClient.isRetryableError(error)
+                };
+            }
+        });
+    }
+
+    async uploadMultipart(endpoint, rendition) {
+        const form = new FormData();
+        form.append('name', rendition.name);
+        form.append('sha1', rendition.sha1);
+        if (rendition.sourceSha1) {
+            form.append('sourceSha1', rendition.sourceSha1);
+        }
+        form.append('file', new Blob([rendition.data], { type: rendition.contentType }), rendition.name);
+
+        const response = await axios.post(endpoint, form, {
+            headers: await this.getHeaders(false),
+            httpsAgent: this.httpsAgent,
+            maxBodyLength: Infinity,
+            timeout: this.timeout
+        });
+
+        return response.data;
+    }
+
+    // Request an upload URL, PUT the binary there, then tell MLE the upload is complete
+    async uploadPresigned(endpoint, rendition) {
+        const description = {
+            name: rendition.name,
+            size: rendition.size,
+            mimeType: rendition.contentType,
+            sha1: rendition.sha1,
+            sourceSha1: rendition.sourceSha1
+        };
+
+        const initiated = await axios.post(`${endpoint}/uploads`, description, {
+            headers: await this.getHeaders(),
+            httpsAgent: this.httpsAgent,
+            timeout: this.timeout
+        });
+        const { uploadId, uploadUrl, headers: uploadHeaders } = initiated.data;
+
+        await axios.put(uploadUrl, rendition.data, {
+            headers: { 'Content-Type': rendition.contentType, ...uploadHeaders },
+            maxBodyLength: Infinity,
+            timeout: this.timeout
+        });
+
+        const completed = await axios.post(`${endpoint}/uploads/${uploadId}/complete`, description, {
+            headers: await this.getHeaders(),
+            httpsAgent: this.httpsAgent,
+            timeout: this.timeout
+        });
+
+        return completed.data;
+    }
+
+    static isRetryableError(error) {
+        if (!error.response) return true; // Network errors are retryable
+
+        const status = error.response.status;
+        return status >= 500 || status === 429; // Server errors and rate limits are retryable
+    }
+}
+
+module.exports = { MLEClient };
@@ -0,0 +1,54 @@
+/**
+ * Token Bucket Rate Limiter
+ * Allows bursts of up to `burst` requests and a sustained `ratePerSecond`. Callers
+ * await acquire(), which resolves once a token is available, in arrival order.
+ */
+
+class TokenBucket {
+    constructor(options) {
+        this.ratePerSecond = options.ratePerSecond;
+        this.burst = options.burst || Math.max(1, Math.ceil(options.ratePerSecond));
+
+        this.tokens = this.burst;
+        this.lastRefillAt = Date.now();
+        this.waiters = [];
+        this.timer = null;
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefillAt) / 1000) * this.ratePerSecond);
+        this.lastRefillAt = now;
+    }
+
+    acquire() {
+        return new Promise(resolve => {
+            this.waiters.push(resolve);
+            this.drain();
+        });
+    }
+
+    drain() {
+        this.refill();
+
+        while (this.waiters.length > 0 && this.tokens >= 1) {
+            this.tokens -= 1;
+            this.waiters.shift()();
+        }
+
+        if (this.waiters.length > 0 && !this.timer) {
+            const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, waitMs);
+        }
+    }
+
+    // Requests waiting for a token
+    getPending() {
+        return this.waiters.length;
+    }
+}
+
+module.exports = { TokenBucket };
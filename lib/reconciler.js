@@ -0,0 +1,275 @@
+/**
+ * Reconciliation Between AEM and MLE
+ * Lists the assets of a DAM folder and the MLE records for the same path, then diffs
+ * them field by field against the payload transformForMLE would send today.
+ *
+ *   missing   approved in AEM, no MLE record
+ *   orphaned  MLE record whose asset no longer exists or is no longer approved in AEM
+ *   stale     MLE record whose fields differ from the current AEM metadata
+ *
+ * With REVOCATION_ACTION=status, records of assets that are not approved are expected
+ * to stay in MLE marked as revoked; only those not marked yet are orphaned.
+ *
+ * With `fix` enabled the corrective create, update, revoke and delete operations run
+ * through the event processor, so the sync state tracks what they create and removes what
+ * they revoke or delete, and revocations follow `revocationAction`.
+ *
+ * With tenant routing every tenant's MLE is compared against the AEM assets routed to it,
+ * using that tenant's mapping; tenants whose MLE settings point at the same instance share
+ * its records. Findings name their tenant.
+ */
+
+const { DEFAULT_TENANT } = require('./tenant-router');
+
+const RECONCILIATION_EVENT_TYPE = 'com.adobe.aem.assets.reconciliation';
+
+// Fields that legitimately differ between syncs and are not compared
+const IGNORED_FIELDS = ['publishedDate', 'eventType', 'apiVersion'];
+
+// Stable serialization so key order does not count as drift
+function canonical(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonical).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class Reconciler {
+    // `tenants` maps tenant names to their { mleClient, transformer } (createSyncCore's
+    // `tenants`); without it `mleClient` and `transformer` serve the default tenant
+    constructor(options) {
+        this.aemClient = options.aemClient;
+        this.tenants = options.tenants || new Map([[DEFAULT_TENANT, { mleClient: options.mleClient, transformer: options.transformer }]]);
+        this.tenantRouter = options.tenantRouter && options.tenantRouter.enabled ? options.tenantRouter : null;
+        this.approvalRules = options.approvalRules;
+        this.eventProcessor = options.eventProcessor;
+        this.revocationAction = options.revocationAction || 'delete';
+        this.logger = options.logger;
+        this.pageSize = options.pageSize || 100;
+    }
+
+    // Compare only the fields the sync would send; MLE may add fields of its own
+    static diffRecords(expected, actual) {
+        return Object.keys(expected)
+            .filter(field => !IGNORED_FIELDS.includes(field))
+            .filter(field => canonical(expected[field]) !== canonical(actual[field]))
+            .map(field => ({ field, aem: expected[field], mle: actual[field] }));
+    }
+
+    static isBelowFolder(assetPath, folderPath, recursive) {
+        const prefix = `${folderPath.replace(/\/$/, '')}/`;
+        if (!assetPath || !assetPath.startsWith(prefix)) return false;
+
+        return recursive || !assetPath.slice(prefix.length).includes('/');
+    }
+
+    // AEM assets by asset id, each with its tenant and the payload its tenant's mapping builds
+    async listAemAssets(folderPath, recursive) {
+        const assets = new Map();
+
+        for await (const asset of this.aemClient.walkFolder(folderPath, { recursive, pageSize: this.pageSize })) {
+            const tenant = this.tenantRouter ? this.tenantRouter.resolve(asset.path, asset.metadata) : DEFAULT_TENANT;
+            const payload = this.tenants.get(tenant).transformer.transformForMLE(asset.metadata, asset.path, RECONCILIATION_EVENT_TYPE);
+            assets.set(payload.assetId, {
+                assetPath: asset.path,
+                metadata: asset.metadata,
+                tenant,
+                approved: this.approvalRules.evaluate(asset.metadata, asset.path).approved,
+                payload
+            });
+        }
+
+        return assets;
+    }
+
+    // Tenants grouped by the MLE instance (API URL and version) they synchronize to
+    listMleInstances() {
+        const instances = new Map();
+
+        this.tenants.forEach(({ mleClient }, tenant) => {
+            const key = `${mleClient.apiUrl}|${mleClient.apiVersion}`;
+            if (!instances.has(key)) {
+                instances.set(key, { mleClient, tenants: [] });
+            }
+            instances.get(key).tenants.push(tenant);
+        });
+
+        return [...instances.values()];
+    }
+
+    async listMleAssets(mleClient, folderPath, recursive) {
+        const records = new Map();
+        let offset = 0;
+
+        while (offset !== null) {
+            const page = await mleClient.listAssets(offset, this.pageSize);
+            if (!page.success) {
+                throw new Error(`Failed to list MLE assets: ${JSON.stringify(page.error.error)}`);
+            }
+
+            page.assets
+                .filter(record => Reconciler.isBelowFolder(record.assetPath, folderPath, recursive))
+                .forEach(record => records.set(record.assetId || record.id, record));
+            offset = page.nextOffset;
+        }
+
+        return records;
+    }
+
+    async run(options) {
+        const folderPath = options.folderPath;
+        const recursive = options.recursive !== false;
+
+        const report = {
+            folderPath,
+            recursive,
+            fix: !!options.fix,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            summary: { aemAssets: 0, approved: 0, mleAssets: 0, inSync: 0, revoked: 0, missing: 0, orphaned: 0, stale: 0, fixed: 0, fixFailed: 0 },
+            missing: [],
+            orphaned: [],
+            stale: [],
+            fixes: []
+        };
+
+        this.logger.info('Starting AEM/MLE reconciliation', { folderPath, recursive, fix: report.fix });
+
+        const aemAssets = await this.listAemAssets(folderPath, recursive);
+        report.summary.aemAssets = aemAssets.size;
+
+        for (const instance of this.listMleInstances()) {
+            const mleAssets = await this.listMleAssets(instance.mleClient, folderPath, recursive);
+            report.summary.mleAssets += mleAssets.size;
+            this.compare(report, aemAssets, mleAssets, instance.tenants);
+        }
+
+        report.summary.missing = report.missing.length;
+        report.summary.orphaned = report.orphaned.length;
+        report.summary.stale = report.stale.length;
+
+        if (report.fix) {
+            await this.applyFixes(report, aemAssets);
+        }
+
+        report.finishedAt = new Date().toISOString();
+        this.logger.info('AEM/MLE reconciliation completed', { folderPath, summary: report.summary });
+
+        return report;
+    }
+
+    // Compare the records of one MLE instance with the AEM assets of the tenants it serves
+    compare(report, aemAssets, mleAssets, tenants) {
+        aemAssets.forEach((aemAsset, assetId) => {
+            if (!aemAsset.approved || !tenants.includes(aemAsset.tenant)) return;
+            report.summary.approved += 1;
+
+            const record = mleAssets.get(assetId);
+            if (!record) {
+                report.missing.push(this.withTenant({ assetId, assetPath: aemAsset.assetPath }, aemAsset.tenant));
+                return;
+            }
+
+            const differences = Reconciler.diffRecords(aemAsset.payload, record);
+            if (differences.length > 0) {
+                report.stale.push(this.withTenant({ assetId, assetPath: aemAsset.assetPath, differences }, aemAsset.tenant));
+            } else {
+                report.summary.inSync += 1;
+            }
+        });
+
+        mleAssets.forEach((record, assetId) => {
+            const aemAsset = aemAssets.get(assetId);
+            const ownTenant = aemAsset && tenants.includes(aemAsset.tenant);
+
+            // `action` is the fix: revoke what is no longer approved, delete the rest
+            let orphan = null;
+            if (!aemAsset) {
+                orphan = { reason: 'Asset not found in AEM', action: 'delete' };
+            } else if (!ownTenant) {
+                orphan = { reason: `Asset belongs to tenant ${aemAsset.tenant}`, action: 'delete' };
+            } else if (!aemAsset.approved) {
+                if (this.revocationAction === 'status' && record.status === 'revoked') {
+                    report.summary.revoked += 1;
+                    return;
+                }
+                orphan = { reason: 'Asset not approved in AEM', action: 'revoke' };
+            }
+
+            if (orphan) {
+                report.orphaned.push(this.withTenant({ assetId, assetPath: record.assetPath, ...orphan }, ownTenant ? aemAsset.tenant : tenants[0]));
+            }
+        });
+    }
+
+    // Findings name their tenant with tenant routing
+    withTenant(entry, tenant) {
+        return this.tenantRouter ? { ...entry, tenant } : entry;
+    }
+
+    // Fixes go to MLE only, on the tenant of each finding
+    async applyFixes(report, aemAssets) {
+        if (!this.eventProcessor) {
+            throw new Error('Reconciliation fixes need an event processor');
+        }
+
+        const fix = async (type, entry) => {
+            const aemAsset = aemAssets.get(entry.assetId);
+            const eventData = {
+                eventType: RECONCILIATION_EVENT_TYPE,
+                assetPath: entry.assetPath,
+                // Records whose asset is gone are removed under their MLE id
+                metadata: aemAsset ? aemAsset.metadata : { 'jcr:uuid': entry.assetId },
+                timestamp: new Date().toISOString()
+            };
+            const result = await this.eventProcessor.runOperation(type, eventData, { systems: ['MLE'], tenant: entry.tenant });
+
+            const success = result.status === 'completed';
+            report.fixes.push(this.withTenant({
+                type,
+                assetId: entry.assetId,
+                assetPath: entry.assetPath,
+                success,
+                error: success ? undefined : result.errors.map(error => error.error)
+            }, entry.tenant));
+            report.summary[success ? 'fixed' : 'fixFailed'] += 1;
+        };
+
+        for (const entry of report.missing) {
+            await fix('create', entry);
+        }
+        for (const entry of report.stale) {
+            await fix('update', entry);
+        }
+        for (const entry of report.orphaned) {
+            await fix(entry.action, entry);
+        }
+    }
+
+    // One row per finding; stale records get one row per differing field
+    static toCsv(report) {
+        const rows = [['type', 'assetId', 'assetPath', 'field', 'aemValue', 'mleValue', 'reason', 'tenant']];
+
+        report.missing.forEach(entry => rows.push(['missing', entry.assetId, entry.assetPath, '', '', '', '', entry.tenant]));
+        report.orphaned.forEach(entry => rows.push(['orphaned', entry.assetId, entry.assetPath, '', '', '', entry.reason, entry.tenant]));
+        report.stale.forEach(entry => entry.differences.forEach(difference => {
+            rows.push(['stale', entry.assetId, entry.assetPath, difference.field, difference.aem, difference.mle, '', entry.tenant]);
+        }));
+
+        return `${rows.map(row => row.map(csvCell).join(',')).join('\n')}\n`;
+    }
+}
+
+module.exports = { Reconciler, RECONCILIATION_EVENT_TYPE };
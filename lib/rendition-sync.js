@@ -0,0 +1,129 @@
+/**
+ * Rendition Sync to MLE
+ * Downloads selected AEM renditions and uploads the binaries to MLE after the asset
+ * metadata has been synchronized. Renditions are named either by preset (original,
+ * web, thumbnail) or by their AEM rendition node name.
+ *
+ * Every uploaded rendition is tagged with the asset's dam:sha1, so renditions MLE
+ * already holds for the same original binary are skipped. The original is verified
+ * against dam:sha1 after download, and binaries larger than maxBytes are skipped.
+ */
+
+const crypto = require('crypto');
+
+const RENDITION_PRESETS = {
+    original: 'original',
+    web: 'cq5dam.web.1280.1280.jpeg',
+    thumbnail: 'cq5dam.thumbnail.319.319.png'
+};
+
+const UPLOAD_MODES = ['multipart', 'presigned'];
+
+class RenditionSync {
+    constructor(options) {
+        this.aemClient = options.aemClient;
+        this.mleClient = options.mleClient;
+        this.logger = options.logger;
+        this.renditions = RenditionSync.parseRenditionList(options.renditions);
+        this.maxBytes = options.maxBytes || 100 * 1024 * 1024;
+        this.uploadMode = options.uploadMode || 'multipart';
+
+        if (!UPLOAD_MODES.includes(this.uploadMode)) {
+            throw new Error(`Unsupported rendition upload mode: ${this.uploadMode} (expected ${UPLOAD_MODES.join(' or ')})`);
+        }
+    }
+
+    // "original,web,cq5dam.thumbnail.140.100.png" -> AEM rendition names
+    static parseRenditionList(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(',');
+
+        return list
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => RENDITION_PRESETS[entry] || entry);
+    }
+
+    static sha1(data) {
+        return crypto.createHash('sha1').update(data).digest('hex');
+    }
+
+    // Renditions are processed one at a time to keep a single binary in memory
+    async syncAsset(assetId, assetPath, metadata) {
+        const sourceSha1 = metadata['dam:sha1'];
+        const summary = { uploaded: [], skipped: [], failed: [] };
+
+        const existing = new Map();
+        if (sourceSha1) {
+            const listing = await this.mleClient.listRenditions(assetId);
+            if (listing.success) {
+                listing.renditions.forEach(rendition => existing.set(rendition.name, rendition));
+            }
+        }
+
+        for (const name of this.renditions) {
+            if (sourceSha1 && existing.get(name)?.sourceSha1 === sourceSha1) {
+                summary.skipped.push({ name, reason: 'Unchanged since last upload' });
+                continue;
+            }
+            if (name === 'original' && Number(metadata['dam:size']) > this.maxBytes) {
+                summary.skipped.push({ name, reason: `Larger than ${this.maxBytes} bytes` });
+                continue;
+            }
+
+            const outcome = await this.syncRendition(assetId, assetPath, name, sourceSha1);
+            summary[outcome.list].push(outcome.entry);
+        }
+
+        const result = {
+            success: summary.failed.length === 0,
+            ...summary
+        };
+        if (!result.success) {
+            result.retryable = summary.failed.every(entry => entry.retryable);
+        }
+
+        this.logger.info('Rendition sync finished', {
+            assetId,
+            uploaded: summary.uploaded.length,
+            skipped: summary.skipped.length,
+            failed: summary.failed.length
+        });
+
+        return result;
+    }
+
+    async syncRendition(assetId, assetPath, name, sourceSha1) {
+        let rendition;
+        try {
+            rendition = await this.aemClient.fetchRendition(assetPath, name, this.maxBytes);
+        } catch (error) {
+            if (error.tooLarge) {
+                return { list: 'skipped', entry: { name, reason: `Larger than ${this.maxBytes} bytes` } };
+            }
+            if (error.status === 404) {
+                return { list: 'skipped', entry: { name, reason: 'Rendition not found in AEM' } };
+            }
+            return { list: 'failed', entry: { name, error: error.message, retryable: true } };
+        }
+
+        rendition.sha1 = RenditionSync.sha1(rendition.data);
+        rendition.sourceSha1 = sourceSha1;
+
+        // A mismatch usually means the binary changed while it was being read
+        if (name === 'original' && sourceSha1 && rendition.sha1 !== sourceSha1) {
+            return {
+                list: 'failed',
+                entry: { name, error: `Checksum mismatch: expected dam:sha1 ${sourceSha1}, got ${rendition.sha1}`, retryable: true }
+            };
+        }
+
+        const upload = await this.mleClient.uploadRendition(assetId, rendition, this.uploadMode);
+        if (!upload.success) {
+            return { list: 'failed', entry: { name, error: upload.error, retryable: upload.retryable } };
+        }
+
+        return { list: 'uploaded', entry: { name, size: rendition.size, sha1: rendition.sha1 } };
+    }
+}
+
+module.exports = { RenditionSync, RENDITION_PRESETS, UPLOAD_MODES };
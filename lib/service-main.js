@@ -0,0 +1,53 @@
+/**
+ * Sync Service Entry Point
+ * Shared by aem-mle-sync-service.js and aem-pcm-sync-service.js. The configuration is
+ * resolved and checked before the service module is loaded, as loading it builds every
+ * component from the configuration: --check-config prints the configuration and exits,
+ * and an invalid configuration exits with status 1 and one line per problem. A started
+ * service writes out its pending store changes on SIGTERM or SIGINT.
+ */
+
+const { loadConfig, describeConfig, formatConfigErrors } = require('./config-schema');
+
+// Environment variables, then the JSON file named by --config <path> or CONFIG_FILE, then
+// the defaults in lib/config-schema.js
+function loadServiceConfig(argv = process.argv) {
+    const index = argv.indexOf('--config');
+    return loadConfig({ file: (index === -1 ? undefined : argv[index + 1]) || process.env.CONFIG_FILE });
+}
+
+// Exits on --check-config, with 1 when the configuration is invalid, and on an invalid configuration
+function checkConfig(argv = process.argv) {
+    const configResult = loadServiceConfig(argv);
+
+    if (argv.includes('--check-config')) {
+        describeConfig(configResult).forEach(line => console.log(line));
+        configResult.warnings.forEach(warning => console.log(`WARNING: ${warning}`));
+        configResult.errors.forEach(error => console.log(`ERROR: ${error}`));
+        console.log(configResult.errors.length === 0 ? 'Configuration is valid' : `Configuration has ${configResult.errors.length} error(s)`);
+        process.exit(configResult.errors.length === 0 ? 0 : 1);
+    }
+    if (configResult.errors.length > 0) {
+        console.error(formatConfigErrors(configResult.errors));
+        process.exit(1);
+    }
+}
+
+// Start a loaded service module and stop it cleanly on SIGTERM or SIGINT
+function startService(service) {
+    const server = service.startServer();
+
+    ['SIGTERM', 'SIGINT'].forEach(signal => process.once(signal, () => {
+        service.stop(server, signal).finally(() => process.exit(0));
+    }));
+
+    return server;
+}
+
+// `loadService` requires the service module once its configuration has been checked
+function main(loadService, argv = process.argv) {
+    checkConfig(argv);
+    return startService(loadService());
+}
+
+module.exports = { main, checkConfig, startService, loadServiceConfig };
@@ -0,0 +1,146 @@
+/**
+ * Sync Components Built From the Service Configuration
+ * What the sync service and its backfill and reconcile CLIs share: the sync state, the sync
+ * core with its destinations and tenants, the AEM Assets client, backfill runners and the
+ * reconciler, all built from one resolved configuration (lib/config-schema.js). The service
+ * adds its job queue, idempotency store and routes on top. The CLIs use these components
+ * alone: loading the service module would start a second job queue, whose recovery re-queues
+ * the jobs the running service is working on.
+ */
+
+const path = require('path');
+const { createSyncCore, EventHandlerRegistry, MetadataMapper, ApprovalRules } = require('./sync-core');
+const { FileStore } = require('./file-store');
+const { SyncState } = require('./sync-state');
+const { AemAssetsClient } = require('./aem-assets-client');
+const { BackfillRunner } = require('./backfill');
+const { Reconciler } = require('./reconciler');
+const { TenantRouter } = require('./tenant-router');
+const { loadConfig, formatConfigErrors } = require('./config-schema');
+const { createLogger } = require('./logger');
+
+// `metrics` (lib/metrics.js createSyncMetrics) is optional
+function createSyncComponents(config, options) {
+    const { logger, metrics } = options;
+
+    // Assets the destinations hold, for revocations and the expiry sweep
+    const syncState = new SyncState({ store: new FileStore(path.join(config.dataDir, 'sync-state.json')) });
+
+    // Shared synchronization pipeline, fanning events out to the configured destinations
+    const syncCore = createSyncCore({
+        destinations: config.syncDestinations,
+        mleApiUrl: config.mleApiUrl,
+        mleApiVersion: config.mleApiVersion,
+        oauthClientId: config.oauthClientId,
+        oauthClientSecret: config.oauthClientSecret,
+        oauthTokenUrl: config.oauthTokenUrl,
+        authMethod: config.authMethod,
+        oauthScope: config.oauthScope,
+        oauthRefreshMargin: config.oauthRefreshMargin,
+        oauthPrivateKey: config.oauthPrivateKey,
+        oauthPrivateKeyFile: config.oauthPrivateKeyFile,
+        oauthKeyId: config.oauthKeyId,
+        oauthJwtAlgorithm: config.oauthJwtAlgorithm,
+        apiKey: config.apiKey,
+        apiKeyHeader: config.apiKeyHeader,
+        tlsCertFile: config.tlsCertFile,
+        tlsKeyFile: config.tlsKeyFile,
+        tlsCaFile: config.tlsCaFile,
+        tlsKeyPassphrase: config.tlsKeyPassphrase,
+        aemAuthorUrl: config.aemAuthorUrl,
+        aemPublishUrl: config.aemPublishUrl,
+        aemAccessToken: config.aemAccessToken,
+        renditions: config.mleRenditions,
+        renditionMaxBytes: config.mleRenditionMaxBytes,
+        renditionUploadMode: config.mleRenditionUpload,
+        mleBulkSize: config.mleBulkSize,
+        revocationAction: config.revocationAction,
+        syncState,
+        pcm: {
+            apiUrl: config.pcmApiUrl,
+            oauthClientId: config.pcmOauthClientId,
+            oauthClientSecret: config.pcmOauthClientSecret,
+            oauthTokenUrl: config.pcmOauthTokenUrl,
+            authMethod: config.pcmAuthMethod,
+            oauthScope: config.pcmOauthScope,
+            apiKey: config.pcmApiKey
+        },
+        pim: {
+            apiUrl: config.pimApiUrl,
+            oauthClientId: config.pimOauthClientId,
+            oauthClientSecret: config.pimOauthClientSecret,
+            oauthTokenUrl: config.pimOauthTokenUrl,
+            authMethod: config.pimAuthMethod,
+            oauthScope: config.pimOauthScope,
+            apiKey: config.pimApiKey
+        },
+        mapper: MetadataMapper.load(config.metadataMappingFile),
+        approvalRules: ApprovalRules.load(config.approvalRulesFile),
+        tenants: config.tenantsFile ? TenantRouter.load(config.tenantsFile) : undefined,
+        eventHandlers: config.eventHandlersFile ? EventHandlerRegistry.load(config.eventHandlersFile) : undefined,
+        // A failure threshold of 0 disables the breaker; a rate of 0 disables the limiter
+        mleCircuitBreaker: config.mleCircuitFailureThreshold > 0 ? {
+            failureThreshold: config.mleCircuitFailureThreshold,
+            resetTimeoutMs: config.mleCircuitResetTimeout,
+            halfOpenMaxRequests: config.mleCircuitHalfOpenRequests
+        } : null,
+        mleRateLimit: { ratePerSecond: config.mleRateLimit, burst: config.mleRateLimitBurst || undefined },
+        metrics,
+        logger
+    });
+
+    // AEM Assets HTTP API client for folder walks
+    const aemClient = new AemAssetsClient({
+        authorUrl: config.aemAuthorUrl,
+        accessToken: config.aemAccessToken,
+        logger
+    });
+
+    // The admin route and the CLI keep backfill runs in one checkpoint file; FileStore's lock
+    // and catch-up before each write keep them from overwriting each other's runs
+    const backfillRuns = new FileStore(path.join(config.dataDir, 'backfill-runs.json'));
+
+    function createBackfillRunner(overrides = {}) {
+        return new BackfillRunner({
+            aemClient,
+            eventProcessor: syncCore.eventProcessor,
+            checkpointStore: backfillRuns,
+            batchSize: config.backfillBatchSize,
+            batchDelayMs: config.backfillBatchDelay,
+            logger,
+            ...overrides
+        });
+    }
+
+    // AEM/MLE drift detection
+    const reconciler = new Reconciler({
+        aemClient,
+        tenants: syncCore.tenants,
+        tenantRouter: syncCore.tenantRouter,
+        approvalRules: syncCore.approvalRules,
+        eventProcessor: syncCore.eventProcessor,
+        revocationAction: config.revocationAction,
+        logger
+    });
+
+    // Resolves once the sync state and backfill runs are on disk, e.g. before a CLI exits
+    function flush() {
+        return Promise.all([syncState.flush(), backfillRuns.flush()]);
+    }
+
+    return { syncState, syncCore, aemClient, createBackfillRunner, reconciler, flush };
+}
+
+// Components for a CLI: the configuration from the environment and CONFIG_FILE, and JSON
+// logs on stderr so stdout carries only the command's output
+function loadSyncComponents(service) {
+    const { config, errors } = loadConfig({ file: process.env.CONFIG_FILE });
+    if (errors.length > 0) {
+        throw new Error(formatConfigErrors(errors));
+    }
+
+    const logger = createLogger({ level: config.logLevel, service, write: (level, line) => console.error(line) });
+    return { config, ...createSyncComponents(config, { logger }) };
+}
+
+module.exports = { createSyncComponents, loadSyncComponents };
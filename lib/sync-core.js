@@ -0,0 +1,182 @@
+/**
+ * AEM-MLE Sync Core
+ * Shared synchronization pipeline used by both deployments: the Express service
+ * (aem-mle-sync-service.js) and the Adobe I/O Runtime action (adobe-io-runtime-action.js).
+ * Each entrypoint maps its own configuration source (environment variables or action
+ * params) onto createSyncCore and wraps the returned components.
+ *
+ * `destinations` selects the systems events are fanned out to (default: MLE only);
+ * PCM and PIM read their settings from `pcm` and `pim` ({ apiUrl, oauth* overrides }).
+ * `authMethod` picks how destinations authenticate (lib/auth-strategies.js), with its
+ * material in `oauthScope`, `oauthPrivateKey(File)`, `apiKey`, `tlsCertFile`/`tlsKeyFile`
+ * and the other settings listed in lib/destinations/index.js.
+ * `renditions` lists the AEM renditions uploaded to MLE with the metadata (default: none).
+ * `approvalRules` (lib/approval-rules.js) decides which assets are synchronized; the
+ * default rule set is config/approval-rules.json.
+ * `eventHandlers` (lib/event-handlers.js, a registry or a handler table) decides which
+ * event types are synchronized and with which operation.
+ * `syncState` (lib/sync-state.js) records the assets the destinations hold, so that
+ * assets losing their approval are revoked; `revocationAction` (delete or status)
+ * chooses how MLE revokes them.
+ * `mleBulkSize` caps the assets per MLE bulk upsert when events are processed in batches.
+ * `tenants` (lib/tenant-router.js, a TenantRouter or its routing table) sends the assets
+ * of each tenant to its own MLE instance; the returned `tenants` map holds every tenant's
+ * MLE components, and the top-level ones are the default tenant's.
+ * `metrics` (lib/metrics.js createSyncMetrics) is optional and records MLE latency and
+ * OAuth refreshes. `mleCircuitBreaker` ({ failureThreshold, resetTimeoutMs,
+ * halfOpenMaxRequests }) and `mleRateLimit` ({ ratePerSecond, burst }) guard MLE calls.
+ */
+
+const { TokenManager } = require('./token-manager');
+const { MetadataMapper } = require('./metadata-mapping');
+const { MetadataTransformer } = require('./metadata-transformer');
+const { ApprovalRules } = require('./approval-rules');
+const { MLEClient } = require('./mle-client');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { TokenBucket } = require('./rate-limiter');
+const { EventProcessor } = require('./event-processor');
+const { EventHandlerRegistry } = require('./event-handlers');
+const { AemAssetsClient } = require('./aem-assets-client');
+const { RenditionSync } = require('./rendition-sync');
+const { createDestinations, createTokenManager, AUTH_SETTING_NAMES, MLEDestination } = require('./destinations');
+const { TenantRoutedDestination } = require('./destinations/tenant-routed-destination');
+const { TenantRouter, DEFAULT_TENANT } = require('./tenant-router');
+
+// MLE settings a tenant can override, by their name in the routing table
+const TENANT_MLE_SETTINGS = { apiUrl: 'mleApiUrl', apiVersion: 'mleApiVersion' };
+AUTH_SETTING_NAMES.forEach(name => { TENANT_MLE_SETTINGS[name] = name; });
+
+function tenantOptions(options, tenant) {
+    const overrides = {};
+    Object.entries(tenant.mle).forEach(([key, value]) => {
+        if (!TENANT_MLE_SETTINGS[key]) {
+            throw new Error(`Invalid tenant routing: tenant "${tenant.name}" has unknown mle setting "${key}"`);
+        }
+        overrides[TENANT_MLE_SETTINGS[key]] = value;
+    });
+    return { ...options, ...overrides };
+}
+
+// Token manager, transformer and MLE client (with its circuit breaker, rate limiter and
+// rendition sync) of one tenant
+function createMleComponents(options, tenant, mapper) {
+    const { logger } = options;
+
+    const tokenManager = createTokenManager({}, options);
+
+    const transformer = new MetadataTransformer({
+        aemAuthorUrl: options.aemAuthorUrl,
+        aemPublishUrl: options.aemPublishUrl,
+        apiVersion: options.mleApiVersion,
+        mapper
+    });
+
+    const circuitBreaker = options.mleCircuitBreaker
+        ? new CircuitBreaker({ name: tenant === DEFAULT_TENANT ? 'mle' : `mle:${tenant}`, ...options.mleCircuitBreaker, logger })
+        : null;
+    const rateLimiter = options.mleRateLimit && options.mleRateLimit.ratePerSecond > 0
+        ? new TokenBucket(options.mleRateLimit)
+        : null;
+
+    const mleClient = new MLEClient({
+        apiUrl: options.mleApiUrl,
+        apiVersion: options.mleApiVersion,
+        tokenManager,
+        tenant,
+        metrics: options.metrics,
+        circuitBreaker,
+        rateLimiter,
+        logger
+    });
+
+    let renditionSync = null;
+    if (RenditionSync.parseRenditionList(options.renditions).length > 0) {
+        renditionSync = new RenditionSync({
+            aemClient: new AemAssetsClient({
+                authorUrl: options.aemAuthorUrl,
+                accessToken: options.aemAccessToken,
+                logger
+            }),
+            mleClient,
+            renditions: options.renditions,
+            maxBytes: options.renditionMaxBytes,
+            uploadMode: options.renditionUploadMode,
+            logger
+        });
+    }
+
+    return { tenant, tokenManager, transformer, mleClient, circuitBreaker, rateLimiter, renditionSync };
+}
+
+function createSyncCore(options) {
+    const { logger } = options;
+
+    const mapper = options.mapper || MetadataMapper.load();
+    const tenantRouter = options.tenants instanceof TenantRouter ? options.tenants : new TenantRouter(options.tenants || undefined);
+
+    const defaults = createMleComponents(options, DEFAULT_TENANT, mapper);
+    const tenants = new Map([[DEFAULT_TENANT, defaults]]);
+    let destinations = createDestinations(options, defaults);
+
+    // With tenants, MLE is one destination per tenant behind a router
+    if (tenantRouter.enabled) {
+        destinations = destinations.map(destination => {
+            if (!(destination instanceof MLEDestination)) return destination;
+
+            const routed = new Map([[DEFAULT_TENANT, destination]]);
+            tenantRouter.tenants.forEach(tenant => {
+                const settings = tenantOptions(options, tenant);
+                const components = createMleComponents(settings, tenant.name, tenant.mapper || mapper);
+                tenants.set(tenant.name, components);
+                routed.set(tenant.name, createDestinations({ ...settings, destinations: ['MLE'] }, components)[0]);
+            });
+            return new TenantRoutedDestination({ name: destination.name, router: tenantRouter, destinations: routed, logger });
+        });
+    }
+
+    const tokenManagers = [...new Set([
+        ...[...tenants.values()].map(components => components.tokenManager),
+        ...destinations.map(destination => destination.tokenManager)
+    ])].filter(Boolean);
+
+    const approvalRules = options.approvalRules || ApprovalRules.load();
+    const eventHandlers = options.eventHandlers instanceof EventHandlerRegistry
+        ? options.eventHandlers
+        : new EventHandlerRegistry(options.eventHandlers || undefined);
+    const eventProcessor = new EventProcessor({
+        transformer: defaults.transformer,
+        destinations,
+        approvalRules,
+        eventHandlers,
+        tenantRouter,
+        syncState: options.syncState,
+        logger
+    });
+
+    return {
+        tokenManager: defaults.tokenManager,
+        transformer: defaults.transformer,
+        mleClient: defaults.mleClient,
+        circuitBreaker: defaults.circuitBreaker,
+        rateLimiter: defaults.rateLimiter,
+        renditionSync: defaults.renditionSync,
+        approvalRules,
+        eventHandlers,
+        destinations,
+        eventProcessor,
+        tenantRouter,
+        tenants,
+        tokenManagers
+    };
+}
+
+module.exports = {
+    createSyncCore,
+    TokenManager,
+    MetadataMapper,
+    MetadataTransformer,
+    ApprovalRules,
+    EventHandlerRegistry,
+    MLEClient,
+    EventProcessor
+};
@@ -0,0 +1,74 @@
+/**
+ * Synchronized Asset State
+ * Records the assets the destinations currently hold, with the metadata they were last
+ * synchronized with, their expiry date and, with tenant routing, their tenant. The event
+ * processor uses it to recognize assets that lose their approval or change their path, and
+ * to send their deletes to the right tenant; the expiry sweep uses it to find assets whose
+ * prism:expirationDate or dam:offTime passes without any AEM event.
+ */
+
+const { ApprovalRules } = require('./approval-rules');
+
+class SyncState {
+    constructor(options) {
+        this.store = options.store;
+    }
+
+    get(assetId) {
+        return this.store.get(assetId);
+    }
+
+    isSynced(assetId) {
+        return !!this.store.get(assetId);
+    }
+
+    findByPath(assetPath) {
+        return this.store.list().find(record => record.assetPath === assetPath) || null;
+    }
+
+    // Assets recorded anywhere below a DAM folder
+    listUnder(folderPath) {
+        const prefix = `${folderPath.replace(/\/+$/, '')}/`;
+        return this.store.list().filter(record => record.assetPath && record.assetPath.startsWith(prefix));
+    }
+
+    // `tenant` is the tenant the asset was synchronized to, with tenant routing
+    recordSync(assetId, eventData, tenant) {
+        return this.store.put({
+            id: assetId,
+            assetPath: eventData.assetPath,
+            metadata: eventData.metadata,
+            tenant: tenant || undefined,
+            expiresAt: ApprovalRules.getExpiry(eventData.metadata),
+            syncedAt: new Date().toISOString()
+        });
+    }
+
+    remove(assetId) {
+        return this.store.delete(assetId);
+    }
+
+    listExpired(now = new Date()) {
+        const cutoff = now.toISOString();
+        return this.store.list().filter(record => record.expiresAt && record.expiresAt <= cutoff);
+    }
+
+    // Remember the job revoking an expired asset so later sweeps do not queue it again
+    markRevocationQueued(assetId, jobId) {
+        const record = this.store.get(assetId);
+        if (record) {
+            this.store.put({ ...record, revocationJobId: jobId });
+        }
+    }
+
+    get size() {
+        return this.store.size;
+    }
+
+    // Resolves once every recorded change is on disk
+    flush() {
+        return this.store.flush();
+    }
+}
+
+module.exports = { SyncState };
@@ -0,0 +1,148 @@
+/**
+ * Tenant Routing
+ * Maps assets to tenants (brands sharing one AEM program) so each is synchronized to its
+ * own MLE instance. The routing table lists tenants in order; the first whose `match`
+ * fits an asset wins, and assets no tenant matches go to the "default" tenant, the MLE
+ * configured by MLE_API_URL and the OAUTH_* settings.
+ *
+ *   {
+ *     "tenants": [
+ *       {
+ *         "name": "brand-a",
+ *         "match": { "paths": ["/content/dam/brand-a"], "brands": ["Brand A"] },
+ *         "mle": { "apiUrl": "https://mle-a.example.com/api", "apiVersion": "v2",
+ *                  "oauthClientId": "brand-a", "oauthClientSecret": "${BRAND_A_MLE_SECRET}" },
+ *         "mapping": "metadata-mapping.brand-a.json"
+ *       }
+ *     ]
+ *   }
+ *
+ * `match.paths` are DAM folder prefixes and `match.brands` values of dam:brand (compared
+ * case-insensitively); either one matching is enough. `mle` overrides the shared MLE
+ * settings (apiUrl, apiVersion and the auth settings of lib/destinations/index.js) and
+ * `mapping` names the tenant's metadata mapping profile, a file or an inline mapping.
+ * String values of the form "${NAME}" are read from the environment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MetadataMapper } = require('./metadata-mapping');
+
+const DEFAULT_TENANT = 'default';
+const BRAND_FIELD = 'dam:brand';
+const ENV_REFERENCE = /^\$\{(\w+)\}$/;
+
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// "/content/dam/brand-a/" and "/content/dam/brand-a" both match the folder and below
+function normalizePrefix(prefix) {
+    return String(prefix).replace(/\/+$/, '');
+}
+
+function resolveReferences(value, env, location) {
+    if (typeof value === 'string') {
+        const reference = value.match(ENV_REFERENCE);
+        if (!reference) return value;
+        if (env[reference[1]] === undefined) {
+            throw new Error(`Invalid tenant routing: ${location} refers to ${reference[1]}, which is not set`);
+        }
+        return env[reference[1]];
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => resolveReferences(item, env, `${location}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .map(([key, item]) => [key, resolveReferences(item, env, `${location}.${key}`)]));
+    }
+    return value;
+}
+
+class TenantRouter {
+    // `options.env` resolves "${NAME}" references; `options.baseDir` resolves mapping files
+    constructor(table = { tenants: [] }, options = {}) {
+        if (!table || !Array.isArray(table.tenants)) {
+            throw new Error('Invalid tenant routing: "tenants" must be a list');
+        }
+
+        const env = options.env || process.env;
+        const baseDir = options.baseDir || process.cwd();
+        const names = new Set([DEFAULT_TENANT]);
+
+        this.tenants = table.tenants.map((definition, index) => {
+            const location = `tenants[${index}]`;
+            const tenant = resolveReferences(definition, env, location);
+
+            if (!tenant.name || names.has(tenant.name)) {
+                throw new Error(`Invalid tenant routing: ${location} needs a unique "name" other than "${DEFAULT_TENANT}"`);
+            }
+            names.add(tenant.name);
+
+            const match = tenant.match || {};
+            const paths = toList(match.paths).map(normalizePrefix);
+            const brands = toList(match.brands).map(brand => String(brand).toLowerCase());
+            if (paths.length === 0 && brands.length === 0) {
+                throw new Error(`Invalid tenant routing: tenant "${tenant.name}" needs match.paths or match.brands`);
+            }
+
+            return {
+                name: tenant.name,
+                paths,
+                brands,
+                mle: tenant.mle || {},
+                mapper: TenantRouter.loadMapper(tenant.mapping, baseDir)
+            };
+        });
+    }
+
+    static loadMapper(mapping, baseDir) {
+        if (!mapping) return null;
+        return typeof mapping === 'string'
+            ? MetadataMapper.load(path.resolve(baseDir, mapping))
+            : new MetadataMapper(mapping);
+    }
+
+    // Mapping files named in the table are resolved relative to it
+    static load(filePath, env = process.env) {
+        let table;
+        try {
+            table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to load tenant routing from ${filePath}: ${error.message}`);
+        }
+        return new TenantRouter(table, { env, baseDir: path.dirname(filePath) });
+    }
+
+    get enabled() {
+        return this.tenants.length > 0;
+    }
+
+    // Name of the tenant an asset belongs to
+    resolve(assetPath, metadata = {}) {
+        const brands = toList(metadata && metadata[BRAND_FIELD]).map(brand => String(brand).toLowerCase());
+
+        const tenant = this.tenants.find(candidate => (
+            candidate.paths.some(prefix => assetPath === prefix || (assetPath || '').startsWith(`${prefix}/`)) ||
+            candidate.brands.some(brand => brands.includes(brand))
+        ));
+
+        return tenant ? tenant.name : DEFAULT_TENANT;
+    }
+
+    // Routing table without credentials, for the admin UI and logs
+    describe() {
+        return this.tenants.map(tenant => ({
+            name: tenant.name,
+            paths: tenant.paths,
+            brands: tenant.brands,
+            mleApiUrl: tenant.mle.apiUrl || null,
+            mleApiVersion: tenant.mle.apiVersion || null,
+            mappingProfile: !!tenant.mapper
+        }));
+    }
+}
+
+module.exports = { TenantRouter, DEFAULT_TENANT };
@@ -0,0 +1,122 @@
+/**
+ * OAuth 2.0 Token Management
+ * Obtains and caches client_credentials access tokens for a destination API, with the
+ * client authentication method chosen by `authMethod` (see lib/auth-strategies.js).
+ * Tokens are refreshed in the background once they enter the refresh margin, and
+ * concurrent callers share a single token request.
+ */
+
+const axios = require('axios');
+const { createAuthStrategy, createTlsAgent } = require('./auth-strategies');
+
+const DEFAULT_SCOPE = 'api:write';
+const DEFAULT_REFRESH_MARGIN = 60000;
+// Tokens are treated as expired slightly early to allow for clock skew and request time
+const EXPIRY_SKEW_MS = 5000;
+
+// Scopes can be given as a list or a space- or comma-separated string
+function normalizeScope(scope) {
+    if (scope === undefined || scope === null) return DEFAULT_SCOPE;
+    const scopes = Array.isArray(scope) ? scope : String(scope).split(/[\s,]+/);
+    return scopes.filter(Boolean).join(' ');
+}
+
+class TokenManager {
+    constructor(options) {
+        this.tokenUrl = options.tokenUrl;
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+        this.authMethod = options.authMethod || 'client_secret_post';
+        this.scope = normalizeScope(options.scope);
+        this.refreshMargin = options.refreshMargin !== undefined ? options.refreshMargin : DEFAULT_REFRESH_MARGIN;
+        this.logger = options.logger;
+        this.metrics = options.metrics;
+
+        // API requests of the destination reuse the agent, so mTLS covers them too
+        this.httpsAgent = createTlsAgent(options);
+        this.strategy = createAuthStrategy({ ...options, httpsAgent: this.httpsAgent });
+
+        this.accessToken = null;
+        this.tokenExpiry = null;
+        this.refreshAt = null;
+        this.pendingRefresh = null;
+    }
+
+    recordRefresh(outcome) {
+        if (this.metrics) {
+            this.metrics.oauthTokenRefreshes.inc({ outcome });
+        }
+    }
+
+    // Headers that authenticate an API request: the static API key, or the bearer token
+    async getAuthHeaders() {
+        if (this.strategy.getHeaders) {
+            return this.strategy.getHeaders();
+        }
+        return { 'Authorization': `Bearer ${await this.getAccessToken()}` };
+    }
+
+    async getAccessToken() {
+        if (this.strategy.getHeaders) {
+            throw new Error(`${this.authMethod} authentication does not use access tokens`);
+        }
+
+        const now = Date.now();
+        if (this.accessToken && now < this.tokenExpiry) {
+            // Still valid: callers keep the current token while a new one is fetched
+            if (now >= this.refreshAt) {
+                this.refresh().catch(() => {});
+            }
+            return this.accessToken;
+        }
+
+        return this.refresh();
+    }
+
+    // Single flight: concurrent callers wait on the same token request
+    refresh() {
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this.requestToken().finally(() => {
+                this.pendingRefresh = null;
+            });
+        }
+        return this.pendingRefresh;
+    }
+
+    async requestToken() {
+        const request = {
+            params: new URLSearchParams({ grant_type: 'client_credentials' }),
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        };
+        if (this.scope) {
+            request.params.set('scope', this.scope);
+        }
+
+        try {
+            this.strategy.authenticate(request, this.tokenUrl);
+
+            const config = { headers: request.headers };
+            if (this.httpsAgent) {
+                config.httpsAgent = this.httpsAgent;
+            }
+            const response = await axios.post(this.tokenUrl, request.params.toString(), config);
+
+            const lifetime = (response.data.expires_in || 3600) * 1000;
+            const issuedAt = Date.now();
+            this.accessToken = response.data.access_token;
+            this.tokenExpiry = issuedAt + lifetime - EXPIRY_SKEW_MS;
+            // Short-lived tokens are refreshed halfway through rather than on every call
+            this.refreshAt = this.tokenExpiry - Math.min(this.refreshMargin, lifetime / 2);
+
+            this.recordRefresh('success');
+            this.logger.info('OAuth token refreshed successfully', { authMethod: this.authMethod });
+            return this.accessToken;
+        } catch (error) {
+            this.recordRefresh('error');
+            this.logger.error('Failed to obtain OAuth token', error.response?.data || error.message);
+            throw new Error('Authentication failed');
+        }
+    }
+}
+
+module.exports = { TokenManager, normalizeScope };
@@ -0,0 +1,163 @@
+/**
+ * Adobe I/O Events Webhook Verification
+ * Verifies webhook deliveries against the exact bytes that were signed (the raw request
+ * body, never a re-serialized JSON object).
+ *
+ *   digital signatures  x-adobe-digital-signature-1/2: RSA-SHA256 over the raw body,
+ *                       checked with the public keys named by x-adobe-public-key1/2-path.
+ *                       Keys are fetched from the I/O Events key host and cached locally.
+ *   shared secret       x-adobe-signature: HMAC-SHA256 of the raw body (hex or base64),
+ *                       the legacy scheme used when AEM_WEBHOOK_SECRET is configured.
+ *                       A configured secret is checked on every delivery.
+ *
+ * Adobe signs the events of every I/O Events subscriber with the same keys, so a digital
+ * signature only shows that Adobe sent the delivery, not that it was meant for this app.
+ * The recipient_client_id of each event must therefore match the configured client id
+ * (IO_EVENTS_CLIENT_ID); digitally signed deliveries are rejected when neither that nor a
+ * shared secret is configured.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const PUBLIC_KEY_BASE_URL = 'https://static.adobeioevents.com';
+
+const DIGITAL_SIGNATURES = [
+    { signatureHeader: 'x-adobe-digital-signature-1', keyPathHeader: 'x-adobe-public-key1-path' },
+    { signatureHeader: 'x-adobe-digital-signature-2', keyPathHeader: 'x-adobe-public-key2-path' }
+];
+
+// Key paths come from request headers, so only plain .pem paths on the key host are fetched
+const KEY_PATH_PATTERN = /^\/[A-Za-z0-9._\-/]+\.pem$/;
+
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function verifyHmacSignature(rawBody, signature, secret) {
+    const digest = crypto.createHmac('sha256', secret).update(rawBody).digest();
+
+    return safeEqual(Buffer.from(signature, 'hex'), digest) ||
+        safeEqual(Buffer.from(signature, 'base64'), digest);
+}
+
+// Public keys by path, cached in a record store for ttlMs. A stale key is still used
+// when the key host cannot be reached.
+class PublicKeyCache {
+    constructor(options) {
+        this.baseUrl = options.baseUrl || PUBLIC_KEY_BASE_URL;
+        this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+        this.store = options.store;
+        this.logger = options.logger;
+        this.timeout = options.timeout || 5000;
+    }
+
+    async getKey(keyPath) {
+        if (!KEY_PATH_PATTERN.test(keyPath) || keyPath.includes('..')) {
+            throw new Error(`Invalid public key path: ${keyPath}`);
+        }
+
+        const cached = this.store.get(keyPath);
+        if (cached && Date.now() - Date.parse(cached.fetchedAt) < this.ttlMs) {
+            return cached.pem;
+        }
+
+        try {
+            const response = await axios.get(`${this.baseUrl}${keyPath}`, { responseType: 'text', timeout: this.timeout });
+            this.store.put({ id: keyPath, pem: response.data, fetchedAt: new Date().toISOString() });
+            this.logger.info('Fetched I/O Events public key', { keyPath });
+            return response.data;
+        } catch (error) {
+            if (cached) {
+                this.logger.error('Failed to refresh I/O Events public key, using cached copy', { keyPath, error: error.message });
+                return cached.pem;
+            }
+            throw new Error(`Failed to fetch public key ${keyPath}: ${error.message}`);
+        }
+    }
+}
+
+class WebhookVerifier {
+    constructor(options) {
+        this.hmacSecret = options.hmacSecret;
+        this.clientId = options.clientId;
+        this.requireDigitalSignature = !!options.requireDigitalSignature;
+        this.publicKeys = options.publicKeys;
+        this.logger = options.logger;
+    }
+
+    static hasDigitalSignature(headers) {
+        return DIGITAL_SIGNATURES.some(({ signatureHeader }) => headers[signatureHeader]);
+    }
+
+    // Valid when either digital signature verifies with its public key
+    async verifyDigitalSignatures(rawBody, headers) {
+        for (const { signatureHeader, keyPathHeader } of DIGITAL_SIGNATURES) {
+            const signature = headers[signatureHeader];
+            const keyPath = headers[keyPathHeader];
+            if (!signature || !keyPath) continue;
+
+            try {
+                const publicKey = await this.publicKeys.getKey(keyPath);
+                if (crypto.verify('sha256', rawBody, publicKey, Buffer.from(signature, 'base64'))) {
+                    return true;
+                }
+            } catch (error) {
+                this.logger.error('Digital signature check failed', { signatureHeader, keyPath, error: error.message });
+            }
+        }
+
+        return false;
+    }
+
+    // Recipient client ids of the events in a delivery: one event, a batch (an array or
+    // { events }), or a binary mode CloudEvent naming it in a header
+    static recipientsOf(rawBody, headers) {
+        if (headers['ce-recipientclientid']) {
+            return [headers['ce-recipientclientid']];
+        }
+
+        let body;
+        try {
+            body = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            return [undefined];
+        }
+        const events = Array.isArray(body) ? body : (Array.isArray(body?.events) ? body.events : [body]);
+        return events.map(event => event?.recipient_client_id || event?.recipientclientid);
+    }
+
+    // Resolves to { valid, method } or { valid: false, error }
+    async verify(rawBody, headers) {
+        const body = rawBody || Buffer.alloc(0);
+        let method = 'none';
+
+        if (WebhookVerifier.hasDigitalSignature(headers)) {
+            if (!await this.verifyDigitalSignatures(body, headers)) {
+                return { valid: false, error: 'Invalid digital signature' };
+            }
+            if (!this.clientId && !this.hmacSecret) {
+                return { valid: false, error: 'No client id or shared secret configured to check the recipient of a signed delivery' };
+            }
+            method = 'digital-signature';
+        } else if (this.requireDigitalSignature) {
+            return { valid: false, error: 'Missing digital signature' };
+        }
+
+        if (this.hmacSecret) {
+            const signature = headers['x-adobe-signature'];
+            if (!signature || !verifyHmacSignature(body, signature, this.hmacSecret)) {
+                return { valid: false, error: 'Invalid signature' };
+            }
+            if (method === 'none') method = 'hmac';
+        }
+
+        if (this.clientId && !WebhookVerifier.recipientsOf(body, headers).every(recipient => recipient === this.clientId)) {
+            return { valid: false, error: 'Delivery is addressed to another client' };
+        }
+
+        return { valid: true, method };
+    }
+}
+
+module.exports = { WebhookVerifier, PublicKeyCache, verifyHmacSignature, PUBLIC_KEY_BASE_URL, DIGITAL_SIGNATURES };
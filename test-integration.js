@@ -10,7 +10,8 @@ const crypto = require('crypto');
 const TEST_CONFIG = {
     serviceUrl: process.env.SERVICE_URL || 'http://localhost:3000',
     webhookSecret: process.env.AEM_WEBHOOK_SECRET || 'test-secret',
-    testTimeout: 30000
+    testTimeout: 30000,
+    jobPollInterval: 500
 };
 
 // Test data
@@ -57,6 +58,25 @@ function createTestHeaders(payload) {
     };
 }
 
+// Poll the job status endpoint until the job reaches a final state
+async function waitForJob(jobId) {
+    const deadline = Date.now() + TEST_CONFIG.testTimeout;
+
+    while (Date.now() < deadline) {
+        const response = await axios.get(`${TEST_CONFIG.serviceUrl}/jobs/${jobId}`, {
+            timeout: 5000
+        });
+
+        if (response.data.status === 'completed' || response.data.status === 'failed') {
+            return response.data;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, TEST_CONFIG.jobPollInterval));
+    }
+
+    throw new Error(`Job ${jobId} did not finish within ${TEST_CONFIG.testTimeout}ms`);
+}
+
 // Test functions
 async function testHealthEndpoint() {
     console.log('\n🔍 Testing health endpoint...');
@@ -93,8 +113,8 @@ async function testWebhookEndpoint() {
             }
         );
         
-        if (response.status === 200) {
-            console.log('✅ Webhook endpoint responded successfully');
+        if (response.status === 202 && response.data.jobId) {
+            console.log('✅ Webhook endpoint accepted the event');
             console.log('📄 Response:', JSON.stringify(response.data, null, 2));
             return true;
         } else {
@@ -206,11 +226,17 @@ async function testUnapprovedAsset() {
             }
         );
         
-        if (response.status === 200 && response.data.status === 'skipped') {
+        if (response.status !== 202) {
+            console.log('❌ Unapproved asset event not accepted:', response.status, response.data);
+            return false;
+        }
+
+        const job = await waitForJob(response.data.jobId);
+        if (job.status === 'completed' && job.result?.status === 'skipped') {
             console.log('✅ Unapproved asset correctly skipped');
             return true;
         } else {
-            console.log('❌ Unapproved asset not properly handled:', response.data);
+            console.log('❌ Unapproved asset not properly handled:', job);
             return false;
         }
     } catch (error) {
@@ -235,12 +261,18 @@ async function testMetadataTransformation() {
             }
         );
         
-        if (response.status === 200 && response.data.result) {
+        if (response.status !== 202) {
+            console.log('❌ Metadata transformation event not accepted:', response.status, response.data);
+            return false;
+        }
+
+        const job = await waitForJob(response.data.jobId);
+        if (job.result) {
             console.log('✅ Metadata transformation completed');
             
             // Check for expected result structure
-            const result = response.data.result;
-            if (result.hasOwnProperty('pcm') && result.hasOwnProperty('pim')) {
+            const result = job.result;
+            if (result.hasOwnProperty('mle') && result.hasOwnProperty('errors')) {
                 console.log('✅ Result structure is correct');
                 
                 if (result.errors && result.errors.length > 0) {
@@ -253,7 +285,7 @@ async function testMetadataTransformation() {
                 return false;
             }
         } else {
-            console.log('❌ Metadata transformation failed:', response.data);
+            console.log('❌ Metadata transformation failed:', job);
             return false;
         }
     } catch (error) {
@@ -299,14 +331,14 @@ async function testConcurrentRequests() {
     
     try {
         const responses = await Promise.allSettled(concurrentRequests);
-        const successful = responses.filter(r => r.status === 'fulfilled' && r.value.status === 200);
+        const successful = responses.filter(r => r.status === 'fulfilled' && r.value.status === 202);
         
         console.log(`✅ ${successful.length}/${numRequests} concurrent requests succeeded`);
         
         if (successful.length === numRequests) {
             return true;
         } else {
-            const failed = responses.filter(r => r.status === 'rejected' || r.value.status !== 200);
+            const failed = responses.filter(r => r.status === 'rejected' || r.value.status !== 202);
             console.log('❌ Some concurrent requests failed:', failed.length);
             return false;
         }
@@ -383,5 +415,6 @@ module.exports = {
     runAllTests,
     testHealthEndpoint,
     testWebhookEndpoint,
+    waitForJob,
     TEST_CONFIG
 };
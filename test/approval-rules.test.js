@@ -0,0 +1,96 @@
+/**
+ * Approval rules: the JSON rule set decides which assets are synchronized, and skipped
+ * assets report the rule that rejected them.
+ */
+
+jest.mock('axios');
+
+const { ApprovalRules } = require('../lib/approval-rules');
+const { createSyncCore } = require('../lib/sync-core');
+
+const NOW = new Date('2026-06-01T00:00:00Z');
+
+const BRAND_RULES = new ApprovalRules({
+    rules: [
+        { name: 'approved-status', field: 'dam:status', in: ['approved', 'published'], ignoreCase: true },
+        {
+            name: 'not-expired',
+            any: [
+                { field: 'prism:expirationDate', exists: false },
+                { field: 'prism:expirationDate', after: 'now' }
+            ]
+        },
+        { name: 'brand-b-rights', when: { path: '/content/dam/brand-b/**' }, field: 'xmpRights:UsageTerms', exists: true },
+        { name: 'no-drafts', not: { path: '/content/dam/**/drafts/*' }, message: 'Drafts folders are never synchronized' }
+    ]
+});
+
+test('the default rule set accepts approved or published status in any approval field', () => {
+    const rules = ApprovalRules.load();
+
+    expect(rules.evaluate({ 'dam:status': 'Approved' }, '/content/dam/a.jpg').approved).toBe(true);
+    expect(rules.evaluate({ 'cq:workflowStatus': 'published' }, '/content/dam/a.jpg').approved).toBe(true);
+    expect(rules.evaluate({ 'dam:status': 'draft' }, '/content/dam/a.jpg')).toEqual({
+        approved: false,
+        rule: 'approved-status',
+        reason: expect.stringContaining('dam:status in [approved, published]: got "draft"')
+    });
+});
+
+test('combines all, any, not, when and path globs', () => {
+    const approved = { 'dam:status': 'approved' };
+
+    expect(BRAND_RULES.evaluate(approved, '/content/dam/brand-a/shoe.jpg', NOW)).toEqual({ approved: true });
+    expect(BRAND_RULES.evaluate({ ...approved, 'prism:expirationDate': '2026-12-31' }, '/content/dam/brand-a/shoe.jpg', NOW).approved).toBe(true);
+
+    expect(BRAND_RULES.evaluate({ ...approved, 'prism:expirationDate': '2026-01-01' }, '/content/dam/brand-a/shoe.jpg', NOW))
+        .toEqual(expect.objectContaining({ approved: false, rule: 'not-expired' }));
+    expect(BRAND_RULES.evaluate(approved, '/content/dam/brand-b/shoe.jpg', NOW)).toEqual({
+        approved: false,
+        rule: 'brand-b-rights',
+        reason: 'xmpRights:UsageTerms is set: got nothing'
+    });
+    expect(BRAND_RULES.evaluate({ ...approved, 'xmpRights:UsageTerms': 'Web only' }, '/content/dam/brand-b/shoe.jpg', NOW).approved).toBe(true);
+    expect(BRAND_RULES.evaluate(approved, '/content/dam/brand-a/drafts/shoe.jpg', NOW)).toEqual({
+        approved: false,
+        rule: 'no-drafts',
+        reason: 'Drafts folders are never synchronized'
+    });
+    // "*" stays within one folder
+    expect(BRAND_RULES.evaluate(approved, '/content/dam/brand-a/drafts/old/shoe.jpg', NOW).approved).toBe(true);
+});
+
+test('matches multi-value properties on any value', () => {
+    const rules = new ApprovalRules({ rules: [{ field: 'cq:tags', matches: '^brand:acme' }] });
+
+    expect(rules.evaluate({ 'cq:tags': ['product:shoe', 'brand:acme/outdoor'] }, '/a.jpg').approved).toBe(true);
+    expect(rules.evaluate({ 'cq:tags': ['product:shoe'] }, '/a.jpg')).toEqual({ approved: false, rule: 'rule-1', reason: expect.any(String) });
+});
+
+test('rejects invalid rule sets with the location of the problem', () => {
+    expect(() => new ApprovalRules({ rules: [] })).toThrow('"rules" must be a non-empty list');
+    expect(() => new ApprovalRules({ rules: [{ any: [{ field: 'dam:status' }] }] }))
+        .toThrow('Invalid approval rules at rules[0].any[0]: field "dam:status" needs exactly one of');
+    expect(() => new ApprovalRules({ rules: [{ field: 'a', exists: true, path: '/x' }] })).toThrow('rules[0]: expected exactly one of');
+    expect(() => new ApprovalRules({ rules: [{ field: 'a', after: 'tomorrow' }] })).toThrow('must be an ISO date or "now"');
+});
+
+test('skipped events report the rule that rejected them', async () => {
+    const core = createSyncCore({
+        mleApiUrl: 'https://mle.example.com/api',
+        approvalRules: BRAND_RULES,
+        logger: { info: () => {}, error: () => {}, debug: () => {} }
+    });
+
+    const result = await core.eventProcessor.processAssetEvent({
+        eventType: 'com.adobe.aem.assets.updated',
+        assetPath: '/content/dam/brand-b/shoe.jpg',
+        metadata: { 'dam:status': 'approved' }
+    });
+
+    expect(result).toEqual({
+        status: 'skipped',
+        reason: 'Asset not approved for publication',
+        rejectedBy: { rule: 'brand-b-rights', reason: 'xmpRights:UsageTerms is set: got nothing' }
+    });
+});
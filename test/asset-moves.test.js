@@ -0,0 +1,149 @@
+/**
+ * Asset moves and renames: the MLE record of a moved asset gets its new path and URLs
+ * instead of a duplicate, whether the move arrives as a move event or is noticed through
+ * jcr:uuid, and a moved folder moves every asset synchronized below it.
+ */
+
+const { axios, TOKEN_URL, createCore: createSyncCore, tokenResponse, mockApis } = require('./helpers/sync-core');
+const { EventProcessor } = require('../lib/sync-core');
+const { SyncState } = require('../lib/sync-state');
+const { MemoryStore } = require('../lib/file-store');
+
+const ASSETS_URL = 'https://mle.example.com/api/v1/assets';
+const MOVED_EVENT_TYPE = 'com.adobe.aem.assets.moved';
+
+// Assets without a jcr:uuid are only known by their path
+function createEvent(assetPath, metadata, eventType = 'com.adobe.aem.assets.updated') {
+    return {
+        eventType,
+        assetPath,
+        metadata: { 'dam:status': 'approved', 'dc:format': 'image/jpeg', ...metadata }
+    };
+}
+
+function createCore(syncState) {
+    return createSyncCore({ aemPublishUrl: 'https://publish.example.com', syncState });
+}
+
+function mleCalls(method) {
+    return axios[method].mock.calls.filter(([url]) => url.startsWith(ASSETS_URL));
+}
+
+let syncState;
+let core;
+
+beforeEach(async () => {
+    mockApis();
+    axios.post.mockImplementation(async (url, body) => {
+        if (url === TOKEN_URL) return tokenResponse(body);
+        if (url.endsWith('/bulk')) {
+            return { status: 200, data: { results: body.assets.map(asset => ({ assetId: asset.assetId, status: 'upserted' })) } };
+        }
+        return { status: 201, data: { id: 'created' } };
+    });
+
+    syncState = new SyncState({ store: new MemoryStore() });
+    core = createCore(syncState);
+    await core.eventProcessor.processAssetEvent(createEvent('/content/dam/products/camera.jpg', { 'jcr:uuid': 'uuid-001' }, 'com.adobe.aem.assets.created'));
+    jest.clearAllMocks();
+});
+
+test('move events carry the previous path of the asset', () => {
+    const eventData = EventProcessor.extractEventData({
+        event_type: MOVED_EVENT_TYPE,
+        data: { payload: { path: '/content/dam/archive/camera.jpg', oldPath: '/content/dam/products/camera.jpg' } }
+    });
+
+    expect(eventData).toMatchObject({ assetPath: '/content/dam/archive/camera.jpg', previousPath: '/content/dam/products/camera.jpg', metadata: {} });
+});
+
+test('a move event updates the existing record with the new path and URLs', async () => {
+    // Move events name both paths but carry no metadata; jcr:uuid comes from the sync state
+    const result = await core.eventProcessor.processAssetEvent({
+        eventType: MOVED_EVENT_TYPE,
+        assetPath: '/content/dam/archive/camera-2023.jpg',
+        previousPath: '/content/dam/products/camera.jpg',
+        metadata: {}
+    });
+
+    expect(result).toMatchObject({ status: 'completed', operation: 'move', assetId: 'uuid-001', movedFrom: '/content/dam/products/camera.jpg' });
+    expect(mleCalls('post')).toHaveLength(0);
+    const [[url, body]] = mleCalls('put');
+    expect(url).toBe(`${ASSETS_URL}/uuid-001`);
+    expect(body).toMatchObject({
+        assetId: 'uuid-001',
+        assetPath: '/content/dam/archive/camera-2023.jpg',
+        assetUrl: 'https://author.example.com/content/dam/archive/camera-2023.jpg',
+        publicUrl: 'https://publish.example.com/content/dam/archive/camera-2023.jpg',
+        fileName: 'camera-2023.jpg'
+    });
+    expect(syncState.get('uuid-001').assetPath).toBe('/content/dam/archive/camera-2023.jpg');
+});
+
+test('an asset seen under a new path with a known jcr:uuid is moved, not created again', async () => {
+    const result = await core.eventProcessor.processAssetEvent(
+        createEvent('/content/dam/archive/camera.jpg', { 'jcr:uuid': 'uuid-001' }, 'com.adobe.aem.assets.created')
+    );
+
+    expect(result).toMatchObject({ status: 'completed', operation: 'move', movedFrom: '/content/dam/products/camera.jpg' });
+    expect(mleCalls('post')).toHaveLength(0);
+    expect(mleCalls('put').map(([url]) => url)).toEqual([`${ASSETS_URL}/uuid-001`]);
+    expect(syncState.size).toBe(1);
+});
+
+test('renaming an asset whose id comes from its file name replaces the stale record', async () => {
+    await core.eventProcessor.processAssetEvent(createEvent('/content/dam/products/lens.jpg', {}, 'com.adobe.aem.assets.created'));
+    jest.clearAllMocks();
+
+    const result = await core.eventProcessor.processAssetEvent({
+        eventType: MOVED_EVENT_TYPE,
+        assetPath: '/content/dam/products/lens-50mm.jpg',
+        previousPath: '/content/dam/products/lens.jpg',
+        metadata: {}
+    });
+
+    expect(result).toMatchObject({ status: 'completed', operation: 'move', assetId: 'lens-50mm', previousAssetId: 'lens' });
+    expect(mleCalls('post')).toEqual([[ASSETS_URL, expect.objectContaining({ assetId: 'lens-50mm' }), expect.anything()]]);
+    expect(mleCalls('delete').map(([url]) => url)).toEqual([`${ASSETS_URL}/lens`]);
+    expect(syncState.isSynced('lens')).toBe(false);
+    expect(syncState.get('lens-50mm').assetPath).toBe('/content/dam/products/lens-50mm.jpg');
+});
+
+test('a moved folder moves every asset synchronized below it in one bulk upsert', async () => {
+    await core.eventProcessor.processAssetEvent(createEvent('/content/dam/products/bags/tote.jpg', { 'jcr:uuid': 'uuid-002' }, 'com.adobe.aem.assets.created'));
+    await core.eventProcessor.processAssetEvent(createEvent('/content/dam/products-old/sneaker.jpg', { 'jcr:uuid': 'uuid-003' }, 'com.adobe.aem.assets.created'));
+    jest.clearAllMocks();
+
+    const events = core.eventProcessor.expandFolderMove({
+        eventId: 'evt-folder',
+        eventType: MOVED_EVENT_TYPE,
+        assetPath: '/content/dam/catalog/',
+        previousPath: '/content/dam/products',
+        metadata: {}
+    });
+
+    expect(events.map(event => [event.previousPath, event.assetPath])).toEqual([
+        ['/content/dam/products/camera.jpg', '/content/dam/catalog/camera.jpg'],
+        ['/content/dam/products/bags/tote.jpg', '/content/dam/catalog/bags/tote.jpg']
+    ]);
+
+    const batch = await core.eventProcessor.processAssetEvents(events);
+
+    expect(batch.status).toBe('completed');
+    expect(batch.events.map(event => event.operation)).toEqual(['move', 'move']);
+    const [[url, body]] = mleCalls('post');
+    expect(url).toBe(`${ASSETS_URL}/bulk`);
+    expect(body.assets.map(asset => [asset.assetId, asset.assetPath])).toEqual([
+        ['uuid-001', '/content/dam/catalog/camera.jpg'],
+        ['uuid-002', '/content/dam/catalog/bags/tote.jpg']
+    ]);
+    expect(syncState.listUnder('/content/dam/catalog')).toHaveLength(2);
+    expect(syncState.listUnder('/content/dam/products')).toHaveLength(0);
+});
+
+test('move events that are not folder moves are not expanded', () => {
+    const asset = { eventType: MOVED_EVENT_TYPE, assetPath: '/content/dam/archive/camera.jpg', previousPath: '/content/dam/products/camera.jpg', metadata: {} };
+
+    expect(core.eventProcessor.expandFolderMove(asset)).toBeNull();
+    expect(core.eventProcessor.expandFolderMove({ ...asset, eventType: 'com.adobe.aem.assets.updated', previousPath: '/content/dam/products' })).toBeNull();
+});
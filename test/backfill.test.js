@@ -0,0 +1,153 @@
+/**
+ * Backfill: folder walks are checkpointed after every batch, an interrupted run resumes
+ * from its checkpoint without syncing assets again, and resuming retries failed assets.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BackfillRunner, BACKFILL_EVENT_TYPE } = require('../lib/backfill');
+const { FileStore } = require('../lib/file-store');
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const FOLDER = '/content/dam/products';
+
+let checkpointFile;
+
+function createAsset(name, folder = FOLDER) {
+    return { path: `${folder}/${name}`, metadata: { 'dam:status': 'approved', 'dc:title': name } };
+}
+
+// AEM Assets client paging through folders ({ path: { assets, folders } })
+function createAemClient(folders) {
+    return {
+        listFolder: jest.fn(async (folder, offset, limit) => {
+            const { assets, folders: subfolders = [] } = folders[folder];
+            const nextOffset = offset + limit < assets.length ? offset + limit : null;
+            return { assets: assets.slice(offset, offset + limit), folders: offset === 0 ? subfolders : [], nextOffset };
+        }),
+        getAsset: jest.fn(async assetPath => Object.values(folders)
+            .flatMap(folder => folder.assets)
+            .find(asset => asset.path === assetPath) || null)
+    };
+}
+
+function createEventProcessor(statusOf = () => 'completed') {
+    return {
+        processAssetEvent: jest.fn(async eventData => {
+            const status = statusOf(eventData.assetPath);
+            return status === 'failed'
+                ? { status, errors: [{ system: 'MLE', error: 'HTTP 503', retryable: true }] }
+                : { status };
+        })
+    };
+}
+
+// Each runner opens the checkpoint file afresh, like a CLI started after the last one
+function createRunner(aemClient, eventProcessor) {
+    return new BackfillRunner({
+        aemClient,
+        eventProcessor,
+        checkpointStore: new FileStore(checkpointFile),
+        batchSize: 2,
+        batchDelayMs: 0,
+        logger
+    });
+}
+
+function syncedPaths(eventProcessor) {
+    return eventProcessor.processAssetEvent.mock.calls.map(([eventData]) => eventData.assetPath);
+}
+
+beforeEach(() => {
+    checkpointFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-')), 'backfill-runs.json');
+});
+
+test('every batch of a folder walk is synced and checkpointed', async () => {
+    const assets = ['a.jpg', 'b.jpg', 'c.jpg'].map(name => createAsset(name));
+    const nested = createAsset('d.jpg', `${FOLDER}/shoes`);
+    const aemClient = createAemClient({
+        [FOLDER]: { assets, folders: [`${FOLDER}/shoes`] },
+        [`${FOLDER}/shoes`]: { assets: [nested] }
+    });
+    const eventProcessor = createEventProcessor();
+    const checkpoints = [];
+    const runner = createRunner(aemClient, eventProcessor);
+    const put = runner.checkpoints.put.bind(runner.checkpoints);
+    runner.checkpoints.put = run => {
+        checkpoints.push(structuredClone(run));
+        return put(run);
+    };
+
+    const run = await runner.run({ folderPath: FOLDER });
+
+    expect(run.status).toBe('completed');
+    expect(run.summary).toEqual({ scanned: 4, approved: 4, synced: 4, skipped: 0, failed: 0, batches: 3 });
+    expect(syncedPaths(eventProcessor)).toEqual([...assets, nested].map(asset => asset.path));
+    expect(eventProcessor.processAssetEvent.mock.calls[0][0].eventType).toBe(BACKFILL_EVENT_TYPE);
+    expect(checkpoints.filter(checkpoint => checkpoint.status === 'running').map(checkpoint => checkpoint.cursor)).toEqual([
+        { pendingFolders: [FOLDER], currentFolder: null, offset: 0 },
+        { pendingFolders: [`${FOLDER}/shoes`], currentFolder: FOLDER, offset: 2 },
+        { pendingFolders: [`${FOLDER}/shoes`], currentFolder: null, offset: 0 },
+        { pendingFolders: [], currentFolder: null, offset: 0 }
+    ]);
+    expect(createRunner(aemClient, eventProcessor).getRun(run.id)).toMatchObject({ status: 'completed', summary: run.summary });
+});
+
+test('an interrupted run resumes from its checkpoint without syncing assets again', async () => {
+    const assets = ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg', 'e.jpg'].map(name => createAsset(name));
+    const aemClient = createAemClient({ [FOLDER]: { assets } });
+    const listFolder = aemClient.listFolder.getMockImplementation();
+    aemClient.listFolder
+        .mockImplementationOnce(listFolder)
+        .mockRejectedValueOnce(new Error('AEM unavailable'));
+    const eventProcessor = createEventProcessor();
+
+    const failed = await createRunner(aemClient, eventProcessor).run({ folderPath: FOLDER });
+
+    expect(failed).toMatchObject({ status: 'failed', error: 'AEM unavailable', cursor: { currentFolder: FOLDER, offset: 2 } });
+    expect(failed.summary).toMatchObject({ scanned: 2, synced: 2, batches: 1 });
+
+    const resumed = await createRunner(aemClient, eventProcessor).run({ resumeRunId: failed.id });
+
+    expect(resumed.id).toBe(failed.id);
+    expect(resumed).toMatchObject({ status: 'completed', summary: { scanned: 5, synced: 5, failed: 0, batches: 3 } });
+    expect(resumed).not.toHaveProperty('error');
+    expect(syncedPaths(eventProcessor)).toEqual(assets.map(asset => asset.path));
+});
+
+test('resuming a run retries its failed assets and corrects the summary', async () => {
+    const assets = ['a.jpg', 'b.jpg', 'c.jpg', 'gone.jpg'].map(name => createAsset(name));
+    const aemClient = createAemClient({ [FOLDER]: { assets } });
+    const failing = new Set([`${FOLDER}/a.jpg`, `${FOLDER}/c.jpg`, `${FOLDER}/gone.jpg`]);
+    const eventProcessor = createEventProcessor(assetPath => (failing.has(assetPath) ? 'failed' : 'completed'));
+
+    const run = await createRunner(aemClient, eventProcessor).run({ folderPath: FOLDER });
+
+    expect(run).toMatchObject({ status: 'completed', summary: { scanned: 4, approved: 4, synced: 1, failed: 3 } });
+    expect(run.retries).toEqual([`${FOLDER}/a.jpg`, `${FOLDER}/c.jpg`, `${FOLDER}/gone.jpg`]);
+    expect(run.failures.map(failure => failure.assetPath)).toEqual(run.retries);
+
+    // a.jpg syncs now, c.jpg still fails and gone.jpg was deleted from AEM
+    failing.delete(`${FOLDER}/a.jpg`);
+    assets.pop();
+    eventProcessor.processAssetEvent.mockClear();
+
+    const retried = await createRunner(aemClient, eventProcessor).run({ resumeRunId: run.id });
+
+    expect(aemClient.getAsset.mock.calls.map(([assetPath]) => assetPath)).toEqual(run.retries);
+    expect(syncedPaths(eventProcessor)).toEqual([`${FOLDER}/a.jpg`, `${FOLDER}/c.jpg`]);
+    expect(retried).toMatchObject({ status: 'completed', summary: { scanned: 4, approved: 3, synced: 2, skipped: 1, failed: 1 } });
+    expect(retried.retries).toEqual([`${FOLDER}/c.jpg`]);
+    expect(retried.failures).toEqual([expect.objectContaining({ assetPath: `${FOLDER}/c.jpg`, status: 'failed' })]);
+
+    // Once nothing is left to retry, resuming a completed run does nothing
+    failing.clear();
+    await createRunner(aemClient, eventProcessor).run({ resumeRunId: run.id });
+    eventProcessor.processAssetEvent.mockClear();
+
+    const done = await createRunner(aemClient, eventProcessor).run({ resumeRunId: run.id });
+
+    expect(done).toMatchObject({ summary: { synced: 3, failed: 0 }, retries: [], failures: [] });
+    expect(eventProcessor.processAssetEvent).not.toHaveBeenCalled();
+});
@@ -0,0 +1,105 @@
+/**
+ * Batch synchronization: a batch of events goes to MLE as bulk upserts, with results,
+ * failures and retries tracked per asset.
+ */
+
+const { axios, TOKEN_URL, createEvent: createAssetEvent, createCore, tokenResponse, mockApis } = require('./helpers/sync-core');
+
+const BULK_URL = 'https://mle.example.com/api/v1/assets/bulk';
+
+function createEvent(id, status = 'approved', eventType = 'com.adobe.aem.assets.updated') {
+    return createAssetEvent({ 'jcr:uuid': id, 'dam:status': status }, {
+        eventId: `evt-${id}`,
+        eventType,
+        assetPath: `/content/dam/products/${id}.jpg`
+    });
+}
+
+// MLE answers every bulk item with success unless its asset id is listed in `failures`
+function mockBulkUpsert(failures = {}) {
+    axios.post.mockImplementation(async (url, body) => {
+        if (url === TOKEN_URL) return tokenResponse(body);
+        if (url === BULK_URL) {
+            return {
+                status: 200,
+                data: {
+                    results: body.assets.map(asset => (failures[asset.assetId]
+                        ? { assetId: asset.assetId, statusCode: failures[asset.assetId], error: 'Rejected' }
+                        : { assetId: asset.assetId, id: `mle-${asset.assetId}`, status: 'upserted' }))
+                }
+            };
+        }
+        return { status: 201, data: {} };
+    });
+}
+
+function bulkRequests() {
+    return axios.post.mock.calls
+        .filter(([url]) => url === BULK_URL)
+        .map(([, body]) => body.assets.map(asset => asset.assetId));
+}
+
+beforeEach(() => mockApis());
+
+test('sends creates and updates as bulk upserts of at most mleBulkSize assets', async () => {
+    mockBulkUpsert();
+
+    const events = [createEvent('a'), createEvent('b'), createEvent('c', 'approved', 'com.adobe.aem.assets.created')];
+    const result = await createCore({ mleBulkSize: 2 }).eventProcessor.processAssetEvents(events);
+
+    expect(result.status).toBe('completed');
+    expect(bulkRequests()).toEqual([['a', 'b'], ['c']]);
+    expect(result.events.map(event => [event.assetPath, event.status])).toEqual([
+        ['/content/dam/products/a.jpg', 'completed'],
+        ['/content/dam/products/b.jpg', 'completed'],
+        ['/content/dam/products/c.jpg', 'completed']
+    ]);
+    expect(result.events[0].mle).toEqual(expect.objectContaining({ success: true, mleAssetId: 'mle-a' }));
+});
+
+test('skips unapproved events and deletes assets one by one', async () => {
+    mockBulkUpsert();
+
+    const events = [createEvent('a', 'draft'), createEvent('b', 'approved', 'com.adobe.aem.assets.deleted')];
+    const result = await createCore().eventProcessor.processAssetEvents(events);
+
+    expect(result.status).toBe('completed');
+    expect(result.events.map(event => event.status)).toEqual(['skipped', 'completed']);
+    expect(bulkRequests()).toEqual([]);
+    expect(axios.delete).toHaveBeenCalledWith('https://mle.example.com/api/v1/assets/b', expect.anything());
+});
+
+test('reports per-asset failures and retries only the failed systems of failed assets', async () => {
+    mockBulkUpsert({ b: 503, c: 400 });
+
+    const core = createCore();
+    const result = await core.eventProcessor.processAssetEvents([createEvent('a'), createEvent('b'), createEvent('c')]);
+
+    expect(result.status).toBe('failed');
+    expect(result.events.map(event => event.status)).toEqual(['completed', 'failed', 'failed']);
+    expect(result.errors).toEqual([
+        expect.objectContaining({ system: 'MLE', assetPath: '/content/dam/products/b.jpg', retryable: true }),
+        expect.objectContaining({ system: 'MLE', assetPath: '/content/dam/products/c.jpg', retryable: false })
+    ]);
+
+    mockBulkUpsert();
+    const retry = await core.eventProcessor.processAssetEvents([createEvent('b')], {
+        systems: { '/content/dam/products/b.jpg': ['MLE'] }
+    });
+
+    expect(retry.status).toBe('completed');
+    expect(bulkRequests()).toEqual([['a', 'b', 'c'], ['b']]);
+});
+
+test('fails every asset of a bulk request MLE could not process', async () => {
+    axios.post.mockImplementation(async (url, body) => {
+        if (url === TOKEN_URL) return tokenResponse(body);
+        throw Object.assign(new Error('Service Unavailable'), { response: { status: 503, data: 'busy' } });
+    });
+
+    const result = await createCore().eventProcessor.processAssetEvents([createEvent('a'), createEvent('b')]);
+
+    expect(result.status).toBe('failed');
+    expect(result.errors).toHaveLength(2);
+    expect(result.errors.every(error => error.retryable)).toBe(true);
+});
@@ -0,0 +1,123 @@
+/**
+ * MLE protection: circuit breaker transitions, token bucket pacing, and deferral of
+ * jobs while the circuit is open without using up retry attempts.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const { CircuitBreaker } = require('../lib/circuit-breaker');
+const { TokenBucket } = require('../lib/rate-limiter');
+const { JobQueue } = require('../lib/job-queue');
+const { createSyncCore } = require('../lib/sync-core');
+
+const TOKEN_URL = 'https://auth.example.com/oauth/token';
+const logger = { info: () => {}, error: () => {}, debug: () => {} };
+
+const EVENT = {
+    eventType: 'com.adobe.aem.assets.created',
+    assetPath: '/content/dam/products/camera.jpg',
+    metadata: { 'jcr:uuid': 'uuid-001', 'dam:status': 'approved' }
+};
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.resetAllMocks();
+});
+
+describe('CircuitBreaker', () => {
+    test('opens after the failure threshold and half-opens after the reset timeout', () => {
+        jest.useFakeTimers();
+        const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, logger });
+
+        breaker.recordFailure();
+        expect(breaker.state).toBe('closed');
+        breaker.recordFailure();
+        expect(breaker.state).toBe('open');
+        expect(breaker.allowRequest()).toBe(false);
+
+        jest.advanceTimersByTime(1000);
+        expect(breaker.allowRequest()).toBe(true);
+        expect(breaker.state).toBe('half_open');
+        expect(breaker.allowRequest()).toBe(false);
+
+        breaker.recordSuccess();
+        expect(breaker.state).toBe('closed');
+    });
+
+    test('reopens when the half-open trial fails', () => {
+        jest.useFakeTimers();
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, logger });
+
+        breaker.recordFailure();
+        jest.advanceTimersByTime(1000);
+        breaker.allowRequest();
+        breaker.recordFailure();
+
+        expect(breaker.state).toBe('open');
+        expect(breaker.getRetryAfterMs()).toBe(1000);
+    });
+});
+
+test('TokenBucket paces requests beyond the burst', async () => {
+    jest.useFakeTimers();
+    const bucket = new TokenBucket({ ratePerSecond: 2, burst: 2 });
+    const acquired = [];
+
+    [1, 2, 3].forEach(n => bucket.acquire().then(() => acquired.push(n)));
+    await Promise.resolve();
+    expect(acquired).toEqual([1, 2]);
+    expect(bucket.getPending()).toBe(1);
+
+    jest.advanceTimersByTime(500);
+    await Promise.resolve();
+    expect(acquired).toEqual([1, 2, 3]);
+});
+
+test('an open MLE circuit defers the event instead of failing it', async () => {
+    axios.post.mockImplementation(async url => {
+        if (url === TOKEN_URL) return { status: 200, data: { access_token: 'token', expires_in: 3600 } };
+        throw Object.assign(new Error('Unavailable'), { response: { status: 503, data: {} } });
+    });
+
+    const core = createSyncCore({
+        mleApiUrl: 'https://mle.example.com/api',
+        oauthTokenUrl: TOKEN_URL,
+        mleCircuitBreaker: { failureThreshold: 1, resetTimeoutMs: 60000 },
+        logger
+    });
+
+    const failed = await core.eventProcessor.processAssetEvent(EVENT);
+    expect(failed.status).toBe('failed');
+    expect(core.circuitBreaker.state).toBe('open');
+
+    const mleCalls = axios.post.mock.calls.length;
+    const deferred = await core.eventProcessor.processAssetEvent(EVENT);
+
+    expect(axios.post.mock.calls.length).toBe(mleCalls);
+    expect(deferred.status).toBe('deferred');
+    expect(deferred.retryAfterMs).toBeGreaterThan(59000);
+    expect(deferred.errors).toEqual([expect.objectContaining({ system: 'MLE', deferred: true })]);
+});
+
+test('deferred jobs are requeued without using up an attempt', async () => {
+    const queue = new JobQueue({
+        dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'aem-mle-breaker-')),
+        maxAttempts: 1,
+        handler: async () => ({ status: 'deferred', retryAfterMs: 5000, errors: [{ system: 'MLE', deferred: true, retryable: true }] }),
+        logger
+    });
+
+    const job = queue.enqueue(EVENT);
+    await queue.processDue();
+
+    const stored = queue.getJob(job.id);
+    expect(stored.status).toBe('queued');
+    expect(stored.attempts).toBe(0);
+    expect(new Date(stored.nextAttemptAt).getTime()).toBeGreaterThan(Date.now() + 4000);
+    expect(queue.listDeadLetters()).toEqual([]);
+});
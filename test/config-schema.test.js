@@ -0,0 +1,231 @@
+/**
+ * Configuration schema: settings resolve from the environment, the config file and
+ * defaults, invalid values are reported all at once, and both entrypoints refuse to run
+ * with them.
+ */
+
+jest.mock('axios');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, describeConfig } = require('../lib/config-schema');
+
+const BASE_ENV = {
+    MLE_API_URL: 'https://mle.example.com/api',
+    OAUTH_CLIENT_ID: 'client-id',
+    OAUTH_CLIENT_SECRET: 'client-secret',
+    OAUTH_TOKEN_URL: 'https://auth.example.com/oauth/token',
+    AEM_AUTHOR_URL: 'https://author.example.com',
+    AEM_PUBLISH_URL: 'https://publish.example.com',
+    AEM_WEBHOOK_SECRET: 'webhook-secret',
+    ADMIN_TOKEN: 'admin-token'
+};
+
+function writeConfigFile(contents) {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'config-schema-')), 'service.json');
+    fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return filePath;
+}
+
+test('a complete environment resolves to typed values and defaults', () => {
+    const { config, errors, warnings, sources } = loadConfig({ env: { ...BASE_ENV, PORT: '8080', RETRY_ATTEMPTS: '3', IO_EVENTS_REQUIRE_DIGITAL_SIGNATURE: 'true' } });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(config.port).toBe(8080);
+    expect(config.retryAttempts).toBe(3);
+    expect(config.requireDigitalSignature).toBe(true);
+    expect(config.retryDelay).toBe(1000);
+    expect(config.syncDestinations).toBe('MLE');
+    expect(sources.retryAttempts).toBe('env');
+    expect(sources.retryDelay).toBe('default');
+});
+
+test('every invalid value is reported, not just the first', () => {
+    const { errors } = loadConfig({
+        env: {
+            ...BASE_ENV,
+            RETRY_ATTEMPTS: 'five',
+            PORT: '70000',
+            MLE_API_URL: 'mle.example.com',
+            REVOCATION_ACTION: 'archive',
+            IO_EVENTS_REQUIRE_DIGITAL_SIGNATURE: 'sometimes'
+        }
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+        'RETRY_ATTEMPTS must be an integer, got "five"',
+        'PORT must be at most 65535, got 70000',
+        'MLE_API_URL must be an http(s) URL, got "mle.example.com"',
+        'REVOCATION_ACTION must be one of delete, status, got "archive"',
+        'IO_EVENTS_REQUIRE_DIGITAL_SIGNATURE must be true or false, got "sometimes"'
+    ]));
+    expect(errors).toHaveLength(5);
+});
+
+test('required settings follow the enabled destinations', () => {
+    const pcmWithoutUrl = loadConfig({ env: { ...BASE_ENV, SYNC_DESTINATIONS: 'MLE,PCM' } });
+    expect(pcmWithoutUrl.errors).toEqual(['PCM_API_URL is required because the PCM destination is enabled']);
+
+    const missingAem = loadConfig({ env: { ...BASE_ENV, AEM_AUTHOR_URL: '' } });
+    expect(missingAem.errors).toEqual(['AEM_AUTHOR_URL is required']);
+
+    const missingShared = loadConfig({ env: { ...BASE_ENV, OAUTH_CLIENT_SECRET: undefined } });
+    expect(missingShared.errors).toEqual(['OAUTH_CLIENT_SECRET is required because MLE uses the shared OAuth client']);
+});
+
+test('PCM with its own OAuth client does not need the shared one', () => {
+    const env = {
+        ...BASE_ENV,
+        SYNC_DESTINATIONS: 'PCM',
+        MLE_API_URL: undefined,
+        OAUTH_CLIENT_ID: undefined,
+        OAUTH_CLIENT_SECRET: undefined,
+        OAUTH_TOKEN_URL: undefined,
+        PCM_API_URL: 'https://pcm.example.com/api'
+    };
+
+    expect(loadConfig({ env }).errors).toEqual([
+        'OAUTH_CLIENT_ID is required because PCM uses the shared OAuth client',
+        'OAUTH_CLIENT_SECRET is required because PCM uses the shared OAuth client',
+        'OAUTH_TOKEN_URL is required because PCM uses the shared OAuth client'
+    ]);
+
+    const ownClient = loadConfig({
+        env: {
+            ...env,
+            PCM_OAUTH_CLIENT_ID: 'pcm-client',
+            PCM_OAUTH_CLIENT_SECRET: 'pcm-secret',
+            PCM_OAUTH_TOKEN_URL: 'https://pcm-auth.example.com/oauth/token'
+        }
+    });
+    expect(ownClient.errors).toEqual([]);
+});
+
+test('required credentials follow the authentication method', () => {
+    const apiKeyOnly = loadConfig({
+        env: { ...BASE_ENV, AUTH_METHOD: 'api_key', OAUTH_CLIENT_ID: '', OAUTH_CLIENT_SECRET: '', OAUTH_TOKEN_URL: '' }
+    });
+    expect(apiKeyOnly.errors).toEqual(['AUTH_API_KEY is required because MLE uses the shared API key']);
+
+    const jwtWithoutKey = loadConfig({ env: { ...BASE_ENV, AUTH_METHOD: 'private_key_jwt', OAUTH_CLIENT_SECRET: '' } });
+    expect(jwtWithoutKey.errors).toEqual(['OAUTH_PRIVATE_KEY is required because MLE uses private_key_jwt and OAUTH_PRIVATE_KEY_FILE is not set']);
+
+    const tlsWithoutCertificate = loadConfig({ env: { ...BASE_ENV, AUTH_METHOD: 'tls_client_auth' } });
+    expect(tlsWithoutCertificate.errors).toEqual([
+        'AUTH_TLS_CERT_FILE is required because MLE uses tls_client_auth',
+        'AUTH_TLS_KEY_FILE is required because MLE uses tls_client_auth'
+    ]);
+});
+
+test('unknown destinations are rejected', () => {
+    const { errors } = loadConfig({ env: { ...BASE_ENV, SYNC_DESTINATIONS: 'MLE,ERP' } });
+
+    expect(errors).toEqual(['SYNC_DESTINATIONS has unknown destinations ERP (expected MLE, PCM, PIM)']);
+});
+
+test('the config file fills in settings the environment leaves unset', () => {
+    const file = writeConfigFile({ RETRY_ATTEMPTS: 3, LOG_LEVEL: 'debug', MLE_BULK_SIZE: 'lots', UNKNOWN_SETTING: true });
+    const { config, errors, warnings, sources } = loadConfig({ env: { ...BASE_ENV, LOG_LEVEL: 'warn' }, file });
+
+    expect(config.retryAttempts).toBe(3);
+    expect(sources.retryAttempts).toBe('file');
+    expect(config.logLevel).toBe('warn');
+    expect(sources.logLevel).toBe('env');
+    expect(errors).toEqual(['MLE_BULK_SIZE must be an integer, got "lots"']);
+    expect(warnings).toEqual([`Unknown setting UNKNOWN_SETTING in config file ${file}`]);
+});
+
+test('an unreadable config file is an error', () => {
+    const file = writeConfigFile('{ not json');
+
+    expect(loadConfig({ env: BASE_ENV, file }).errors[0]).toMatch(/^Unable to read config file .*service\.json/);
+    expect(loadConfig({ env: BASE_ENV, file: '/nonexistent/service.json' }).errors).toHaveLength(1);
+});
+
+test('missing webhook secret, client id and admin token only warn', () => {
+    const { errors, warnings } = loadConfig({ env: { ...BASE_ENV, AEM_WEBHOOK_SECRET: '', ADMIN_TOKEN: '' } });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+        'AEM_WEBHOOK_SECRET is not set, so webhooks are accepted without a signature check',
+        'ADMIN_TOKEN is not set, so the /admin routes answer 503',
+        'IO_EVENTS_CLIENT_ID is not set, so digitally signed webhooks are rejected'
+    ]);
+});
+
+test('requiring digital signatures without a webhook secret requires the client id', () => {
+    const env = { ...BASE_ENV, AEM_WEBHOOK_SECRET: '', IO_EVENTS_REQUIRE_DIGITAL_SIGNATURE: 'true' };
+
+    expect(loadConfig({ env }).errors).toEqual([
+        'IO_EVENTS_CLIENT_ID is required because IO_EVENTS_REQUIRE_DIGITAL_SIGNATURE is set without AEM_WEBHOOK_SECRET'
+    ]);
+    expect(loadConfig({ env: { ...env, IO_EVENTS_CLIENT_ID: 'aem-mle-sync' } }).errors).toEqual([]);
+});
+
+test('the printed configuration masks secrets and names sources', () => {
+    const lines = describeConfig(loadConfig({ env: BASE_ENV }));
+
+    expect(lines).toContain('OAUTH_CLIENT_SECRET=******** [env]');
+    expect(lines).toContain('MLE_API_URL="https://mle.example.com/api" [env]');
+    expect(lines).toContain('RETRY_ATTEMPTS=5 [default]');
+    expect(lines).toContain('PCM_API_URL=(not set) [default]');
+    expect(lines.join('\n')).not.toContain('client-secret');
+});
+
+test('the Runtime action rejects invalid params with every problem listed', async () => {
+    const { main } = require('../adobe-io-runtime-action');
+
+    const response = await main({
+        ...BASE_ENV,
+        MLE_API_URL: undefined,
+        AUTH_METHOD: 'password',
+        METADATA_MAPPING: '{ not json',
+        type: 'com.adobe.aem.assets.updated',
+        data: { payload: { path: '/content/dam/test.jpg', metadata: {} } }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.error).toContain('MLE_API_URL is required because the MLE destination is enabled');
+    expect(response.body.error).toContain('AUTH_METHOD must be one of');
+    expect(response.body.error).toContain('METADATA_MAPPING must be JSON');
+});
+
+test('the service refuses to load with an invalid configuration', () => {
+    const original = process.env;
+    process.env = { ...original, ...BASE_ENV, RETRY_ATTEMPTS: 'five', IDEMPOTENCY_STORE: 'redis' };
+
+    try {
+        jest.isolateModules(() => {
+            expect(() => require('../aem-mle-sync-service')).toThrow(
+                'Invalid configuration:\n  - RETRY_ATTEMPTS must be an integer, got "five"\n  - IDEMPOTENCY_STORE must be one of file, memory, got "redis"'
+            );
+        });
+    } finally {
+        process.env = original;
+    }
+});
+
+test('the PCM entrypoint checks its configuration before loading the service', () => {
+    const original = process.env;
+    process.env = { ...original, ...BASE_ENV, PCM_API_URL: 'https://pcm.example.com/api' };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation(code => { throw new Error(`exit ${code}`); });
+    const { main } = require('../aem-pcm-sync-service');
+    const loadService = jest.fn();
+
+    try {
+        process.env.SYNC_DESTINATIONS = 'PCM,PIM';
+        expect(() => main(loadService, ['node', 'aem-pcm-sync-service.js', '--check-config'])).toThrow('exit 1');
+        expect(console.log).toHaveBeenCalledWith('ERROR: PIM_API_URL is required because the PIM destination is enabled');
+
+        expect(() => main(loadService, ['node', 'aem-pcm-sync-service.js'])).toThrow('exit 1');
+        expect(console.error).toHaveBeenCalledWith('Invalid configuration:\n  - PIM_API_URL is required because the PIM destination is enabled');
+        expect(loadService).not.toHaveBeenCalled();
+    } finally {
+        process.env = original;
+        jest.restoreAllMocks();
+    }
+});
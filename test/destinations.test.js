@@ -0,0 +1,119 @@
+/**
+ * Multi-destination fan-out: one approved AEM event is synchronized to MLE, PCM and
+ * PIM, with failures reported per system and retries limited to the failed systems.
+ */
+
+const { axios, TOKEN_URL, logger, createEvent, createCore: createSyncCoreWith, tokenResponse, mockApis } = require('./helpers/sync-core');
+const { createSyncCore } = require('../lib/sync-core');
+const { SyncState } = require('../lib/sync-state');
+const { MemoryStore } = require('../lib/file-store');
+
+const EVENT = createEvent({
+    'dc:title': 'Camera',
+    'dc:identifier': 'CAM-001',
+    'dc:subject': ['Cameras']
+}, { eventType: 'com.adobe.aem.assets.created' });
+
+function createCore(destinations, syncState) {
+    return createSyncCoreWith({
+        destinations,
+        syncState,
+        pcm: { apiUrl: 'https://pcm.example.com/api' },
+        pim: { apiUrl: 'https://pim.example.com/api', oauthClientId: 'pim-client' }
+    });
+}
+
+function requestedUrls(method) {
+    return axios[method].mock.calls.map(([url]) => url).filter(url => url !== TOKEN_URL);
+}
+
+beforeEach(() => mockApis({ id: 'record-001' }));
+
+test('fans an approved event out to every configured destination', async () => {
+    const result = await createCore('MLE,PCM,PIM').eventProcessor.processAssetEvent(EVENT);
+
+    expect(result.status).toBe('completed');
+    expect(result.errors).toEqual([]);
+    expect(Object.keys(result)).toEqual(expect.arrayContaining(['mle', 'pcm', 'pim']));
+    expect(requestedUrls('post')).toEqual(expect.arrayContaining([
+        'https://mle.example.com/api/v1/assets',
+        'https://pcm.example.com/api/assets'
+    ]));
+    expect(requestedUrls('put')).toEqual(['https://pim.example.com/api/products/CAM-001/assets/uuid-001']);
+
+    const pcmPayload = axios.post.mock.calls.find(([url]) => url.startsWith('https://pcm.')).at(1);
+    expect(pcmPayload).toMatchObject({ sku: 'CAM-001', productName: 'Camera', category: 'Cameras' });
+});
+
+test('authenticates each destination with its own OAuth client', async () => {
+    await createCore(['MLE', 'PIM']).eventProcessor.processAssetEvent(EVENT);
+
+    const clients = axios.post.mock.calls
+        .filter(([url]) => url === TOKEN_URL)
+        .map(([, body]) => new URLSearchParams(body).get('client_id'));
+    expect(clients.sort()).toEqual(['client', 'pim-client']);
+});
+
+test('reports a failing destination under its own system', async () => {
+    axios.post.mockImplementation(async (url, body) => {
+        if (url === TOKEN_URL) return tokenResponse(body);
+        if (url.startsWith('https://pcm.')) throw Object.assign(new Error('Unavailable'), { response: { status: 503, data: {} } });
+        return { status: 201, data: { id: 'record-001' } };
+    });
+
+    const result = await createCore('MLE,PCM').eventProcessor.processAssetEvent(EVENT);
+
+    expect(result.status).toBe('failed');
+    expect(result.mle.success).toBe(true);
+    expect(result.pcm.success).toBe(false);
+    expect(result.errors).toEqual([expect.objectContaining({ system: 'PCM', retryable: true })]);
+});
+
+test('limits a retry to the given systems', async () => {
+    const result = await createCore('MLE,PCM').eventProcessor.processAssetEvent(EVENT, { systems: ['PCM'] });
+
+    expect(result.status).toBe('completed');
+    expect(result).not.toHaveProperty('mle');
+    expect(requestedUrls('post')).toEqual(['https://pcm.example.com/api/assets']);
+});
+
+test('skips PIM for assets without a product SKU', async () => {
+    const metadata = { ...EVENT.metadata };
+    delete metadata['dc:identifier'];
+
+    const result = await createCore('PIM').eventProcessor.processAssetEvent({ ...EVENT, metadata });
+
+    expect(result.status).toBe('completed');
+    expect(result.pim.skipped).toBe(true);
+    expect(axios.put).not.toHaveBeenCalled();
+});
+
+test('removes the PIM link of a deleted asset with the SKU it was synchronized with', async () => {
+    const core = createCore('PIM', new SyncState({ store: new MemoryStore() }));
+    await core.eventProcessor.processAssetEvent(EVENT);
+
+    const result = await core.eventProcessor.processAssetEvent({
+        eventType: 'com.adobe.aem.assets.deleted',
+        assetPath: EVENT.assetPath,
+        metadata: {}
+    });
+
+    expect(result.status).toBe('completed');
+    expect(requestedUrls('delete')).toEqual(['https://pim.example.com/api/products/CAM-001/assets/uuid-001']);
+});
+
+test('fails a PIM unlink whose SKU is unknown instead of reporting it removed', async () => {
+    const result = await createCore('PIM').destinations[0].sync('delete', {
+        eventType: 'com.adobe.aem.assets.deleted',
+        assetPath: EVENT.assetPath,
+        metadata: {}
+    });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, retryable: false }));
+    expect(axios.delete).not.toHaveBeenCalled();
+});
+
+test('rejects unknown or unconfigured destinations', () => {
+    expect(() => createCore('MLE,DAM')).toThrow('Unknown sync destination: DAM');
+    expect(() => createSyncCore({ destinations: 'PCM', logger })).toThrow('PCM is enabled but its API URL is not configured');
+});
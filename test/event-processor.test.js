@@ -0,0 +1,303 @@
+/**
+ * EventProcessor: which AEM events are synchronized, the handler and operation each event
+ * type maps to, approval with the default rules, and the fan-out to destinations. The routing is
+ * checked through both deployments, which must import without starting a server.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const { EventProcessor } = require('../lib/event-processor');
+const { EventHandlerRegistry } = require('../lib/event-handlers');
+const { MetadataTransformer } = require('../lib/metadata-transformer');
+
+const SETTINGS = {
+    MLE_API_URL: 'https://mle.example.com/api',
+    OAUTH_CLIENT_ID: 'client',
+    OAUTH_CLIENT_SECRET: 'secret',
+    OAUTH_TOKEN_URL: 'https://auth.example.com/oauth/token',
+    AEM_AUTHOR_URL: 'https://author.example.com',
+    AEM_PUBLISH_URL: 'https://publish.example.com'
+};
+
+const ASSET_PATH = '/content/dam/products/camera.jpg';
+const logger = { info: () => {}, error: () => {}, debug: () => {} };
+
+function createDestination(name, outcome = { success: true }) {
+    return {
+        name,
+        key: name.toLowerCase(),
+        calls: [],
+        async sync(operation, eventData) {
+            this.calls.push({ operation, assetPath: eventData.assetPath });
+            return outcome;
+        }
+    };
+}
+
+function createProcessor(destinations) {
+    return new EventProcessor({
+        transformer: new MetadataTransformer({ aemAuthorUrl: SETTINGS.AEM_AUTHOR_URL, aemPublishUrl: SETTINGS.AEM_PUBLISH_URL }),
+        destinations,
+        logger
+    });
+}
+
+function createEvent(eventType, metadata = { 'jcr:uuid': 'uuid-001', 'dam:status': 'approved' }) {
+    return { eventType, assetPath: ASSET_PATH, metadata };
+}
+
+describe('event handlers', () => {
+    const registry = new EventHandlerRegistry();
+
+    test.each([
+        ['com.adobe.aem.assets.created', 'upsert', 'create'],
+        ['com.adobe.aem.assets.published', 'upsert', 'create'],
+        ['com.adobe.aem.assets.updated', 'upsert', 'update'],
+        ['com.adobe.aem.assets.metadata.updated', 'upsert', 'update'],
+        ['aem.assets.asset.metadata_updated', 'upsert', 'update'],
+        ['com.adobe.aem.assets.deleted', 'delete', 'delete'],
+        ['com.adobe.aem.assets.removed', 'delete', 'delete'],
+        ['com.adobe.aem.assets.moved', 'move', 'update'],
+        ['com.adobe.aem.workflow.completed', 'workflow-completed', 'create']
+    ])('%s is an %s running %s', (eventType, action, operation) => {
+        expect(registry.accepts(eventType)).toBe(true);
+        expect(registry.get(eventType).action).toBe(action);
+        expect(registry.operationFor({ eventType })).toBe(operation);
+    });
+
+    // Substring matching used to accept these because they end in "updated" or "completed"
+    test.each([
+        'com.adobe.aem.page.published',
+        'com.adobe.aem.page.updated',
+        'com.adobe.aem.workflow.started',
+        'com.adobe.aem.assets.tags.updated',
+        'aem.assets.asset.processing_completed',
+        'aem.assets.asset.modified'
+    ])('does not accept %s', eventType => {
+        expect(registry.accepts(eventType)).toBe(false);
+        expect(registry.get(eventType)).toBeNull();
+    });
+
+    test('events the service raises itself are handled but not accepted from AEM', () => {
+        expect(registry.accepts('com.adobe.aem.assets.backfill')).toBe(false);
+        expect(registry.operationFor({ eventType: 'com.adobe.aem.assets.backfill' })).toBe('create');
+        expect(registry.describe().map(handler => handler.eventType)).not.toContain('com.adobe.aem.assets.backfill');
+    });
+
+    test('a handler table adds, replaces and removes handlers', () => {
+        const custom = new EventHandlerRegistry({
+            'com.acme.dam.asset.approved': 'upsert',
+            'com.adobe.aem.assets.published': { action: 'upsert', operation: 'update' },
+            'com.adobe.aem.workflow.completed': null
+        });
+
+        expect(custom.get('com.acme.dam.asset.approved')).toMatchObject({ action: 'upsert', operation: 'create' });
+        expect(custom.operationFor({ eventType: 'com.adobe.aem.assets.published' })).toBe('update');
+        expect(custom.accepts('com.adobe.aem.workflow.completed')).toBe(false);
+        expect(registry.accepts('com.adobe.aem.workflow.completed')).toBe(true);
+    });
+
+    test('custom handlers can choose the operation per event', () => {
+        const custom = new EventHandlerRegistry().register('com.acme.dam.asset.changed', {
+            action: 'upsert',
+            operation: eventData => (eventData.metadata.isNew ? 'create' : 'update')
+        });
+
+        expect(custom.operationFor({ eventType: 'com.acme.dam.asset.changed', metadata: { isNew: true } })).toBe('create');
+        expect(custom.operationFor({ eventType: 'com.acme.dam.asset.changed', metadata: {} })).toBe('update');
+        expect(custom.describe()).toContainEqual({ eventType: 'com.acme.dam.asset.changed', action: 'upsert', operation: 'custom' });
+    });
+
+    test('invalid handlers are rejected', () => {
+        expect(() => new EventHandlerRegistry({ 'com.acme.asset': 'archive' }))
+            .toThrow('Invalid event handler for com.acme.asset: action must be one of upsert, delete, move, workflow-completed, got "archive"');
+        expect(() => new EventHandlerRegistry({ 'com.acme.asset': { action: 'upsert', operation: 'patch' } }))
+            .toThrow('operation must be one of create, update, delete, got "patch"');
+        expect(() => new EventHandlerRegistry(['com.acme.asset'])).toThrow('expected an object mapping event types to handlers');
+    });
+});
+
+describe('extractEventData', () => {
+    test('reads the legacy webhook payload', () => {
+        expect(EventProcessor.extractEventData({
+            event_id: 'event-1',
+            event_type: 'com.adobe.aem.assets.updated',
+            data: { timestamp: '2024-01-15T10:30:00.000Z', payload: { path: ASSET_PATH, metadata: { 'dam:status': 'approved' } } }
+        })).toEqual({
+            eventId: 'event-1',
+            eventType: 'com.adobe.aem.assets.updated',
+            assetPath: ASSET_PATH,
+            metadata: { 'dam:status': 'approved' },
+            timestamp: '2024-01-15T10:30:00.000Z'
+        });
+    });
+
+    test('reads Runtime action parameters and payload properties', () => {
+        const eventData = EventProcessor.extractEventData({
+            type: 'com.adobe.aem.assets.created',
+            data: { payload: { assetPath: ASSET_PATH, properties: { 'dc:title': 'Camera' } } }
+        });
+
+        expect(eventData).toMatchObject({ eventType: 'com.adobe.aem.assets.created', assetPath: ASSET_PATH, metadata: { 'dc:title': 'Camera' } });
+    });
+});
+
+describe('approval with the default rules', () => {
+    test.each([
+        ['dam:status', 'approved'],
+        ['dam:approvalStatus', 'Published'],
+        ['cq:workflowStatus', 'APPROVED'],
+        ['jcr:content/metadata/dam:status', 'approved']
+    ])('synchronizes assets with %s %s', async (field, value) => {
+        const mle = createDestination('MLE');
+        const result = await createProcessor([mle]).processAssetEvent(createEvent('com.adobe.aem.assets.updated', { [field]: value }));
+
+        expect(result.status).toBe('completed');
+        expect(mle.calls).toHaveLength(1);
+    });
+
+    test('skips assets without an approved status and reports the rule', async () => {
+        const mle = createDestination('MLE');
+        const result = await createProcessor([mle]).processAssetEvent(createEvent('com.adobe.aem.assets.updated', { 'dam:status': 'draft' }));
+
+        expect(result).toMatchObject({
+            status: 'skipped',
+            reason: 'Asset not approved for publication',
+            rejectedBy: { rule: 'approved-status' }
+        });
+        expect(mle.calls).toEqual([]);
+    });
+});
+
+describe('processAssetEvent', () => {
+    test('runs the event operation on every destination', async () => {
+        const destinations = [createDestination('MLE'), createDestination('PIM')];
+        const result = await createProcessor(destinations).processAssetEvent(createEvent('com.adobe.aem.assets.deleted'));
+
+        expect(result).toMatchObject({ status: 'completed', operation: 'delete', assetId: 'uuid-001', errors: [] });
+        expect(result.mle).toEqual({ success: true });
+        expect(result.pim).toEqual({ success: true });
+        destinations.forEach(destination => expect(destination.calls).toEqual([{ operation: 'delete', assetPath: ASSET_PATH }]));
+    });
+
+    test('reports each failing destination and runs only the requested systems on retry', async () => {
+        const mle = createDestination('MLE');
+        const pim = createDestination('PIM', { success: false, error: 'PIM unavailable', retryable: true });
+        const processor = createProcessor([mle, pim]);
+
+        const failed = await processor.processAssetEvent(createEvent('com.adobe.aem.assets.created'));
+        expect(failed.status).toBe('failed');
+        expect(failed.errors).toEqual([{ system: 'PIM', error: 'PIM unavailable', retryable: true }]);
+
+        const retried = await processor.processAssetEvent(createEvent('com.adobe.aem.assets.created'), { systems: ['PIM'] });
+        expect(retried.mle).toBeUndefined();
+        expect(mle.calls).toHaveLength(1);
+        expect(pim.calls).toHaveLength(2);
+    });
+
+    test('reports a destination that throws as an error', async () => {
+        const mle = createDestination('MLE');
+        mle.sync = async () => { throw new Error('boom'); };
+
+        const result = await createProcessor([mle]).processAssetEvent(createEvent('com.adobe.aem.assets.updated'));
+
+        expect(result.status).toBe('error');
+        expect(result.errors).toEqual([expect.objectContaining({ system: 'MLE' })]);
+    });
+
+    test('skips event types without a handler and runs custom handlers', async () => {
+        const mle = createDestination('MLE');
+        const processor = new EventProcessor({
+            transformer: new MetadataTransformer({ aemAuthorUrl: SETTINGS.AEM_AUTHOR_URL, aemPublishUrl: SETTINGS.AEM_PUBLISH_URL }),
+            destinations: [mle],
+            eventHandlers: new EventHandlerRegistry({ 'com.acme.dam.asset.retired': 'delete' }),
+            logger
+        });
+
+        const unknown = await processor.processAssetEvent(createEvent('com.adobe.aem.page.updated'));
+        expect(unknown).toEqual({
+            status: 'skipped',
+            reason: 'No handler is registered for event type com.adobe.aem.page.updated',
+            unknownEventType: 'com.adobe.aem.page.updated'
+        });
+        expect(mle.calls).toHaveLength(0);
+
+        const retired = await processor.processAssetEvent(createEvent('com.acme.dam.asset.retired'));
+        expect(retired.status).toBe('completed');
+        expect(mle.calls).toEqual([{ operation: 'delete', assetPath: ASSET_PATH }]);
+    });
+});
+
+describe('both deployments', () => {
+    let service;
+    let action;
+    let listen;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        Object.assign(process.env, SETTINGS, {
+            DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'aem-mle-processor-')),
+            IDEMPOTENCY_STORE: 'memory'
+        });
+
+        listen = jest.spyOn(http.Server.prototype, 'listen');
+        service = require('../aem-mle-sync-service');
+        action = require('../adobe-io-runtime-action');
+    });
+
+    afterAll(() => jest.restoreAllMocks());
+
+    beforeEach(() => {
+        axios.post.mockImplementation(async url => (url === SETTINGS.OAUTH_TOKEN_URL
+            ? { status: 200, data: { access_token: 'token', expires_in: 3600 } }
+            : { status: 201, data: { id: 'uuid-001' } }));
+        axios.put.mockResolvedValue({ status: 200, data: {} });
+        axios.delete.mockResolvedValue({ status: 204, data: {} });
+    });
+
+    afterEach(() => jest.clearAllMocks());
+
+    test('import without listening or starting background work', () => {
+        expect(listen).not.toHaveBeenCalled();
+        expect(service.jobQueue.isStarted()).toBe(false);
+        expect(typeof service.app).toBe('function');
+        expect(typeof action.main).toBe('function');
+    });
+
+    test.each([
+        ['com.adobe.aem.assets.created', 'create', 'post'],
+        ['com.adobe.aem.assets.metadata.updated', 'update', 'put'],
+        ['com.adobe.aem.assets.removed', 'delete', 'delete']
+    ])('route %s to %s', async (eventType, operation, method) => {
+        const metadata = { 'jcr:uuid': 'uuid-001', 'dam:status': 'approved' };
+
+        const serviceResult = await service.syncCore.eventProcessor.processAssetEvent(createEvent(eventType, metadata));
+        const response = await action.main({ ...SETTINGS, type: eventType, data: { payload: { path: ASSET_PATH, metadata } } });
+
+        expect(serviceResult.operation).toBe(operation);
+        expect(response.body.data.operation).toBe(operation);
+        const mleCalls = axios[method].mock.calls.filter(([url]) => url.startsWith(SETTINGS.MLE_API_URL));
+        expect(mleCalls).toHaveLength(2);
+    });
+
+    test('only the service revokes an asset whose approval is withdrawn, as the action keeps no sync state', async () => {
+        const sync = status => ({ 'jcr:uuid': 'uuid-002', 'dam:status': status });
+        const actionEvent = metadata => ({ ...SETTINGS, type: 'com.adobe.aem.assets.updated', data: { payload: { path: ASSET_PATH, metadata } } });
+
+        await service.syncCore.eventProcessor.processAssetEvent(createEvent('com.adobe.aem.assets.created', sync('approved')));
+        const serviceResult = await service.syncCore.eventProcessor.processAssetEvent(createEvent('com.adobe.aem.assets.updated', sync('rejected')));
+        expect(serviceResult).toMatchObject({ status: 'completed', operation: 'revoke' });
+
+        await action.main(actionEvent(sync('approved')));
+        const response = await action.main(actionEvent(sync('rejected')));
+        expect(response.body.status).toBe('skipped');
+        expect(axios.delete).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * File store: puts and deletes append to a JSON lines log that is compacted as it grows,
+ * stores written as one JSON array are migrated, processes sharing a store see each
+ * other's writes instead of overwriting them, and reads are served from memory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('../lib/file-store');
+
+let filePath;
+
+function logLines() {
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+beforeEach(() => {
+    filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-')), 'data', 'records.json');
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('puts and deletes append one line each and survive a reload', async () => {
+    const store = new FileStore(filePath);
+    store.put({ id: 'a', value: 1 });
+    store.put({ id: 'b', value: 2 });
+    store.put({ id: 'a', value: 3 });
+
+    expect(store.delete('b')).toBe(true);
+    expect(store.delete('missing')).toBe(false);
+    expect(store.list()).toEqual([{ id: 'a', value: 3 }]);
+
+    await store.flush();
+    expect(logLines()).toEqual([
+        { put: { id: 'a', value: 1 } },
+        { put: { id: 'b', value: 2 } },
+        { put: { id: 'a', value: 3 } },
+        { delete: 'b' }
+    ]);
+
+    const reloaded = new FileStore(filePath);
+    expect(reloaded.list()).toEqual([{ id: 'a', value: 3 }]);
+    expect(reloaded.size).toBe(1);
+    expect(fs.existsSync(`${filePath}.lock`)).toBe(false);
+});
+
+test('reads are served from memory and never touch the disk', async () => {
+    const store = new FileStore(filePath);
+    store.put({ id: 'a', value: 1 });
+    await store.flush();
+    const spies = ['statSync', 'readSync', 'readFileSync', 'openSync'].map(name => jest.spyOn(fs, name));
+
+    expect(store.get('a')).toEqual({ id: 'a', value: 1 });
+    expect(store.list()).toHaveLength(1);
+    expect(store.size).toBe(1);
+    spies.forEach(spy => expect(spy).not.toHaveBeenCalled());
+});
+
+test('the log is compacted to one line per record once it has grown', async () => {
+    const store = new FileStore(filePath, { compactMinLines: 10 });
+    for (let i = 0; i < 9; i++) {
+        store.put({ id: 'job', attempt: i });
+    }
+    await store.flush();
+    expect(logLines()).toHaveLength(9);
+
+    store.put({ id: 'job', attempt: 9 });
+    await store.flush();
+
+    expect(logLines()).toEqual([{ put: { id: 'job', attempt: 9 } }]);
+    expect(new FileStore(filePath).get('job')).toEqual({ id: 'job', attempt: 9 });
+});
+
+test('a store written as one JSON array is migrated to the log', async () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify([{ id: 'a', value: 1 }, { id: 'b', value: 2 }], null, 2));
+
+    const store = new FileStore(filePath);
+    store.put({ id: 'c', value: 3 });
+    await store.flush();
+
+    expect(store.list().map(record => record.id)).toEqual(['a', 'b', 'c']);
+    expect(logLines()).toEqual([
+        { put: { id: 'a', value: 1 } },
+        { put: { id: 'b', value: 2 } },
+        { put: { id: 'c', value: 3 } }
+    ]);
+});
+
+test('stores sharing a file see each other\'s writes and keep them', async () => {
+    // e.g. the running service and the backfill CLI
+    const service = new FileStore(filePath, { compactMinLines: 4 });
+    const cli = new FileStore(filePath, { compactMinLines: 4 });
+
+    service.put({ id: 'a', value: 1 });
+    await service.flush();
+    cli.put({ id: 'b', value: 2 });
+    await cli.flush();
+    service.put({ id: 'c', value: 3 });
+    await service.flush();
+    await cli.refresh();
+    expect(cli.delete('a')).toBe(true);
+    await cli.flush();
+    await service.refresh();
+
+    expect(service.list().map(record => record.id).sort()).toEqual(['b', 'c']);
+    expect(cli.list().map(record => record.id).sort()).toEqual(['b', 'c']);
+
+    // The service compacts; the CLI notices the replaced log and reads it again
+    for (let value = 4; value <= 8; value++) {
+        service.put({ id: 'c', value });
+    }
+    await service.flush();
+    expect(logLines()).toHaveLength(2);
+    cli.put({ id: 'd', value: 6 });
+    await cli.flush();
+    await service.refresh();
+
+    expect(service.get('d')).toEqual({ id: 'd', value: 6 });
+    expect(cli.get('c')).toEqual({ id: 'c', value: 8 });
+    expect(new FileStore(filePath).list().sort((x, y) => x.id.localeCompare(y.id))).toEqual([
+        { id: 'b', value: 2 },
+        { id: 'c', value: 8 },
+        { id: 'd', value: 6 }
+    ]);
+});
+
+test('changes appended by another process are picked up once the log changes', async () => {
+    const service = new FileStore(filePath, { watchIntervalMs: 10 });
+    const cli = new FileStore(filePath);
+
+    cli.put({ id: 'a', value: 1 });
+    await cli.flush();
+
+    const deadline = Date.now() + 5000;
+    while (!service.get('a') && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(service.get('a')).toEqual({ id: 'a', value: 1 });
+});
+
+test('a line left half written by a crashed writer is dropped by the next write', async () => {
+    const store = new FileStore(filePath);
+    store.put({ id: 'a', value: 1 });
+    await store.flush();
+    fs.appendFileSync(filePath, '{"put":{"id":"b","va');
+
+    const reopened = new FileStore(filePath);
+    expect(reopened.list()).toEqual([{ id: 'a', value: 1 }]);
+
+    reopened.put({ id: 'c', value: 3 });
+    await reopened.flush();
+    expect(new FileStore(filePath).list().map(record => record.id)).toEqual(['a', 'c']);
+});
+
+test('a lock left behind by a dead process is broken once it is stale', async () => {
+    const store = new FileStore(filePath);
+    fs.writeFileSync(`${filePath}.lock`, '');
+    const staleTime = new Date(Date.now() - 60000);
+    fs.utimesSync(`${filePath}.lock`, staleTime, staleTime);
+
+    store.put({ id: 'a', value: 1 });
+    await store.flush();
+
+    expect(new FileStore(filePath).get('a')).toEqual({ id: 'a', value: 1 });
+});
+
+test('waiting for a held lock does not block the event loop', async () => {
+    const store = new FileStore(filePath);
+    fs.writeFileSync(`${filePath}.lock`, '');
+    let ticks = 0;
+    const timer = setInterval(() => { ticks += 1; }, 5);
+
+    store.put({ id: 'a', value: 1 });
+    const flushed = store.flush();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.unlinkSync(`${filePath}.lock`);
+    await flushed;
+    clearInterval(timer);
+
+    expect(ticks).toBeGreaterThan(5);
+    expect(new FileStore(filePath).get('a')).toEqual({ id: 'a', value: 1 });
+});
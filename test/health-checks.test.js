@@ -0,0 +1,56 @@
+/**
+ * Readiness probes: failures and timeouts mark the service not ready, and results are
+ * cached so repeated polling does not re-run every probe.
+ */
+
+const { HealthChecker } = require('../lib/health-checks');
+
+const logger = { info: () => {}, error: () => {}, debug: () => {} };
+
+test('is ready when every probe passes', async () => {
+    const checker = new HealthChecker({
+        logger,
+        checks: {
+            oauth: async () => 'token',
+            queue: async () => ({ details: { queueDepth: 2 } })
+        }
+    });
+
+    const report = await checker.check();
+
+    expect(report.status).toBe('ready');
+    expect(report.checks.oauth.status).toBe('pass');
+    expect(report.checks.queue).toMatchObject({ status: 'pass', details: { queueDepth: 2 } });
+});
+
+test('fails probes that throw, report failure or time out', async () => {
+    const checker = new HealthChecker({
+        logger,
+        timeoutMs: 20,
+        checks: {
+            oauth: async () => { throw new Error('Authentication failed'); },
+            mle: async () => ({ success: false, error: { error: { message: 'Unauthorized' } } }),
+            queue: () => new Promise(() => {})
+        }
+    });
+
+    const report = await checker.check();
+
+    expect(report.status).toBe('not_ready');
+    expect(report.checks.oauth).toMatchObject({ status: 'fail', error: 'Authentication failed' });
+    expect(report.checks.mle).toMatchObject({ status: 'fail', error: '{"message":"Unauthorized"}' });
+    expect(report.checks.queue).toMatchObject({ status: 'fail', error: 'Timed out after 20ms' });
+});
+
+test('caches results and shares concurrent runs', async () => {
+    const probe = jest.fn(async () => true);
+    const checker = new HealthChecker({ logger, cacheTtlMs: 60000, checks: { mle: probe } });
+
+    const [first, second] = await Promise.all([checker.check(), checker.check()]);
+    const third = await checker.check();
+
+    expect(probe).toHaveBeenCalledTimes(1);
+    expect(first.cached).toBe(false);
+    expect(second.cached).toBe(false);
+    expect(third.cached).toBe(true);
+});
@@ -0,0 +1,56 @@
+/**
+ * Sync Core Test Helpers
+ * What the sync core tests share: a mocked axios answering token, create, update and
+ * delete requests, a quiet logger, approved asset events and a sync core pointed at the
+ * example MLE, OAuth and AEM URLs.
+ *
+ * Require it before the modules under test, so that they load the mocked axios.
+ */
+
+jest.mock('axios');
+const axios = require('axios');
+
+const { createSyncCore } = require('../../lib/sync-core');
+
+const TOKEN_URL = 'https://auth.example.com/oauth/token';
+const MLE_API_URL = 'https://mle.example.com/api';
+const ASSET_PATH = '/content/dam/products/camera.jpg';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+// An approved asset update; `overrides` replaces the event type, asset path or event id
+function createEvent(metadata = {}, overrides = {}) {
+    return {
+        eventType: 'com.adobe.aem.assets.updated',
+        assetPath: ASSET_PATH,
+        ...overrides,
+        metadata: { 'jcr:uuid': 'uuid-001', 'dam:status': 'approved', 'dc:format': 'image/jpeg', ...metadata }
+    };
+}
+
+function createCore(options = {}) {
+    return createSyncCore({
+        mleApiUrl: MLE_API_URL,
+        oauthClientId: 'client',
+        oauthClientSecret: 'secret',
+        oauthTokenUrl: TOKEN_URL,
+        aemAuthorUrl: 'https://author.example.com',
+        logger,
+        ...options
+    });
+}
+
+// Access tokens are named after the client they were issued to: `token-<client id>`
+function tokenResponse(body) {
+    return { status: 200, data: { access_token: `token-${new URLSearchParams(body).get('client_id')}`, expires_in: 3600 } };
+}
+
+// Reset axios: tokens are issued, creates answer 201 with `created`, updates 200 and deletes 204
+function mockApis(created = {}) {
+    jest.resetAllMocks();
+    axios.post.mockImplementation(async (url, body) => (url === TOKEN_URL ? tokenResponse(body) : { status: 201, data: created }));
+    axios.put.mockResolvedValue({ status: 200, data: {} });
+    axios.delete.mockResolvedValue({ status: 204, data: {} });
+}
+
+module.exports = { axios, TOKEN_URL, MLE_API_URL, ASSET_PATH, logger, createEvent, createCore, tokenResponse, mockApis };
@@ -0,0 +1,95 @@
+/**
+ * Idempotency store: keys derived from the delivery's event id or the asset revision,
+ * records forgotten after their TTL, and released keys accepting a redelivery.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IdempotencyStore } = require('../lib/idempotency-store');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2024-06-01T12:00:00.000Z');
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+function setNow(time) {
+    jest.spyOn(Date, 'now').mockReturnValue(time);
+}
+
+describe('key derivation', () => {
+    const eventData = { eventType: 'com.adobe.aem.assets.updated', assetPath: '/content/dam/a.jpg' };
+    const transformed = { assetId: 'uuid-1', modifiedDate: '2024-06-01T10:00:00.000Z' };
+
+    test('uses the delivery\'s event id when there is one', () => {
+        expect(IdempotencyStore.deriveKey({ ...eventData, eventId: 'evt-1' }, transformed)).toBe('event:evt-1');
+    });
+
+    test('falls back to the event type, asset id and modification date', () => {
+        expect(IdempotencyStore.deriveKey(eventData, transformed))
+            .toBe('asset:com.adobe.aem.assets.updated:uuid-1:2024-06-01T10:00:00.000Z');
+        // A new revision of the asset is a new event
+        expect(IdempotencyStore.deriveKey(eventData, { ...transformed, modifiedDate: '2024-06-01T11:00:00.000Z' }))
+            .not.toBe(IdempotencyStore.deriveKey(eventData, transformed));
+    });
+
+    test('gives no key without an event id or an asset revision', () => {
+        expect(IdempotencyStore.deriveKey(eventData, { assetId: 'uuid-1' })).toBeNull();
+        expect(IdempotencyStore.deriveKey(eventData, { modifiedDate: transformed.modifiedDate })).toBeNull();
+        expect(IdempotencyStore.deriveKey(eventData, null)).toBeNull();
+    });
+});
+
+test('remembered keys are found until their TTL has passed', () => {
+    setNow(START);
+    const store = new IdempotencyStore({ ttlMs: HOUR });
+
+    expect(store.remember('event:evt-1', { jobId: 'job-1' })).toEqual({
+        id: 'event:evt-1',
+        jobId: 'job-1',
+        firstSeenAt: '2024-06-01T12:00:00.000Z',
+        expiresAt: '2024-06-01T13:00:00.000Z'
+    });
+
+    setNow(START + HOUR - 1);
+    expect(store.get('event:evt-1')).toMatchObject({ jobId: 'job-1' });
+
+    setNow(START + HOUR);
+    expect(store.get('event:evt-1')).toBeNull();
+    expect(store.store.size).toBe(0);
+});
+
+test('expired keys are purged when new ones are remembered', () => {
+    setNow(START);
+    const store = new IdempotencyStore({ ttlMs: HOUR, purgeIntervalMs: 1000 });
+    store.remember('event:old', { jobId: 'job-1' });
+
+    setNow(START + 2 * HOUR);
+    store.remember('event:new', { jobId: 'job-2' });
+
+    expect(store.store.list().map(record => record.id)).toEqual(['event:new']);
+});
+
+test('a released key lets a redelivery of a failed event through', () => {
+    const store = new IdempotencyStore();
+    store.remember('event:evt-1', { jobId: 'job-1' });
+    expect(store.get('event:evt-1')).not.toBeNull();
+
+    // The service releases the key once the job for the first delivery has failed
+    expect(store.release('event:evt-1')).toBe(true);
+    expect(store.get('event:evt-1')).toBeNull();
+
+    store.remember('event:evt-1', { jobId: 'job-2' });
+    expect(store.get('event:evt-1')).toMatchObject({ jobId: 'job-2' });
+});
+
+test('a file-backed store remembers keys across restarts', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-')), 'idempotency.json');
+    const store = new IdempotencyStore({ filePath });
+    store.remember('event:evt-1', { jobId: 'job-1' });
+    await store.flush();
+
+    expect(new IdempotencyStore({ filePath }).get('event:evt-1')).toMatchObject({ jobId: 'job-1' });
+});
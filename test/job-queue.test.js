@@ -0,0 +1,165 @@
+/**
+ * Job queue: retries with exponential backoff and full jitter, dead-lettering of
+ * exhausted and non-retryable jobs, replay, and recovery of jobs cut short by a restart.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('../lib/job-queue');
+
+const logger = { info: () => {}, error: () => {}, debug: () => {} };
+
+let dataDir;
+
+function createQueue(handler, options = {}) {
+    return new JobQueue({ dataDir, handler, logger, maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 10000, ...options });
+}
+
+// Make a job due now instead of after its backoff
+function makeDue(queue, id) {
+    const job = queue.getJob(id);
+    job.nextAttemptAt = new Date(0).toISOString();
+    queue.jobs.put(job);
+}
+
+const retryableFailure = { status: 'failed', errors: [{ system: 'MLE', error: 'HTTP 503', retryable: true }] };
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('backoff is a random delay below the exponential ceiling, capped at the maximum delay', () => {
+    const queue = createQueue(async () => ({ status: 'completed' }));
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    expect(queue.computeBackoff(1)).toBe(1000);
+    expect(queue.computeBackoff(2)).toBe(2000);
+    expect(queue.computeBackoff(10)).toBe(5000);
+
+    Math.random.mockReturnValue(0.999);
+    expect(queue.computeBackoff(1)).toBeLessThan(2000);
+    expect(queue.computeBackoff(20)).toBeLessThan(10000);
+});
+
+test('retryable failures are scheduled again after the backoff', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const handler = jest.fn()
+        .mockResolvedValueOnce(retryableFailure)
+        .mockResolvedValueOnce({ status: 'completed' });
+    const queue = createQueue(handler);
+    const job = queue.enqueue({ assetPath: '/content/dam/a.jpg' });
+
+    const before = Date.now();
+    await queue.processDue();
+
+    const retried = queue.getJob(job.id);
+    expect(retried).toMatchObject({ status: 'queued', attempts: 1, lastError: retryableFailure.errors });
+    expect(Date.parse(retried.nextAttemptAt)).toBeGreaterThanOrEqual(before + 1000);
+
+    // Not due yet
+    await queue.processDue();
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    makeDue(queue, job.id);
+    await queue.processDue();
+    expect(queue.getJob(job.id)).toMatchObject({ status: 'completed', attempts: 2 });
+});
+
+test('jobs are dead-lettered once their attempts are exhausted', async () => {
+    const queue = createQueue(async () => retryableFailure);
+    const job = queue.enqueue({ assetPath: '/content/dam/a.jpg' });
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        makeDue(queue, job.id);
+        await queue.processDue();
+    }
+
+    expect(queue.getJob(job.id)).toMatchObject({ status: 'failed', attempts: 3 });
+    expect(queue.getDeadLetter(job.id)).toMatchObject({ reason: 'Retry attempts exhausted after 3 attempts' });
+    expect(queue.getDeadLetterCount()).toBe(1);
+});
+
+test('non-retryable failures and thrown errors are handled by their retryability', async () => {
+    const handler = jest.fn()
+        .mockResolvedValueOnce({ status: 'failed', errors: [{ system: 'MLE', error: 'HTTP 400', retryable: false }] })
+        .mockRejectedValueOnce(new Error('socket hang up'));
+    const queue = createQueue(handler);
+    const rejected = queue.enqueue({ assetPath: '/content/dam/a.jpg' });
+    await queue.processDue();
+    const crashed = queue.enqueue({ assetPath: '/content/dam/b.jpg' });
+    await queue.processDue();
+
+    expect(queue.getDeadLetter(rejected.id)).toMatchObject({ reason: 'Non-retryable failure', attempts: 1 });
+    expect(queue.getJob(crashed.id)).toMatchObject({ status: 'queued', lastError: [{ error: 'socket hang up', retryable: true }] });
+});
+
+test('deferred jobs wait without using up an attempt', async () => {
+    const queue = createQueue(async () => ({ status: 'deferred', retryAfterMs: 30000, errors: [{ system: 'MLE', deferred: true }] }));
+    const job = queue.enqueue({ assetPath: '/content/dam/a.jpg' });
+
+    const before = Date.now();
+    await queue.processDue();
+
+    const deferred = queue.getJob(job.id);
+    expect(deferred).toMatchObject({ status: 'queued', attempts: 0 });
+    expect(Date.parse(deferred.nextAttemptAt)).toBeGreaterThanOrEqual(before + 30000);
+});
+
+test('replaying a dead letter queues the job afresh and clears its last error', async () => {
+    const handler = jest.fn()
+        .mockResolvedValueOnce({ status: 'failed', errors: [{ system: 'MLE', error: 'HTTP 400', retryable: false }] })
+        .mockResolvedValueOnce({ status: 'completed' });
+    const queue = createQueue(handler);
+    const job = queue.enqueue({ assetPath: '/content/dam/a.jpg' });
+    await queue.processDue();
+
+    const replayed = queue.replayDeadLetter(job.id);
+
+    expect(replayed).toMatchObject({ id: job.id, status: 'queued', attempts: 0, result: null, lastError: null });
+    expect(replayed).not.toHaveProperty('reason');
+    expect(queue.getDeadLetterCount()).toBe(0);
+    expect(queue.replayDeadLetter(job.id)).toBeNull();
+
+    await queue.processDue();
+    expect(queue.getJob(job.id)).toMatchObject({ status: 'completed', attempts: 1, lastError: null });
+});
+
+test('jobs cut short by a restart are queued again, and queued jobs survive it', async () => {
+    const queue = createQueue(async () => ({ status: 'completed' }));
+    const interrupted = queue.enqueue({ assetPath: '/content/dam/a.jpg' });
+    const waiting = queue.enqueue({ assetPath: '/content/dam/b.jpg' }, { delayMs: 60000 });
+    const job = queue.getJob(interrupted.id);
+    job.status = 'processing';
+    job.attempts = 1;
+    queue.jobs.put(job);
+    await queue.flush();
+
+    const handler = jest.fn(async () => ({ status: 'completed' }));
+    const restarted = createQueue(handler);
+
+    expect(restarted.getJob(interrupted.id)).toMatchObject({ status: 'queued', attempts: 1 });
+    expect(restarted.getJob(waiting.id)).toMatchObject({ status: 'queued', payload: { assetPath: '/content/dam/b.jpg' } });
+    expect(restarted.getDepth()).toBe(2);
+
+    await restarted.processDue();
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(restarted.getJob(interrupted.id)).toMatchObject({ status: 'completed', attempts: 2 });
+});
+
+test('finished jobs are pruned after the retention period', async () => {
+    const queue = createQueue(async () => ({ status: 'completed' }), { retentionMs: 1000 });
+    const job = queue.enqueue({ assetPath: '/content/dam/a.jpg' });
+    await queue.processDue();
+
+    const finished = queue.getJob(job.id);
+    finished.updatedAt = new Date(Date.now() - 2000).toISOString();
+    queue.jobs.put(finished);
+    await queue.processDue();
+
+    expect(queue.getJob(job.id)).toBeNull();
+});
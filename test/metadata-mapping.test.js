@@ -0,0 +1,132 @@
+/**
+ * Metadata mapping: source fallbacks and merges, type coercion, defaults and transforms
+ * from a JSON mapping, and rejection of invalid mappings.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MetadataMapper } = require('../lib/metadata-mapping');
+
+function map(fields, metadata) {
+    return new MetadataMapper({ fields }).apply(metadata);
+}
+
+test('takes the first source with a value, or merges every source', () => {
+    const fields = {
+        title: { source: ['dc:title', 'jcr:title'] },
+        tags: { source: ['cq:tags', 'dam:tags'], type: 'array', merge: true }
+    };
+
+    expect(map(fields, { 'dc:title': '', 'jcr:title': 'Fallback', 'cq:tags': ['a', 'b'], 'dam:tags': 'c' }))
+        .toEqual({ title: 'Fallback', tags: ['a', 'b', 'c'] });
+    expect(map(fields, {})).toEqual({ title: undefined, tags: undefined });
+});
+
+test('coerces values to the configured type', () => {
+    const fields = {
+        size: { source: 'dam:size', type: 'number' },
+        width: { source: 'tiff:ImageWidth', type: 'number' },
+        flagged: { source: 'dam:flagged', type: 'boolean' },
+        hidden: { source: 'dam:hidden', type: 'boolean' },
+        created: { source: 'jcr:created', type: 'date' },
+        keywords: { source: 'dc:keywords', type: 'string' },
+        formats: { source: 'dc:format', type: 'array' }
+    };
+
+    expect(map(fields, {
+        'dam:size': '2048',
+        'tiff:ImageWidth': ['1920', '1080'],
+        'dam:flagged': 'Yes',
+        'dam:hidden': '0',
+        'jcr:created': '2024-06-01T12:00:00+02:00',
+        'dc:keywords': ['camera', 'lens'],
+        'dc:format': 'image/jpeg'
+    })).toEqual({
+        size: 2048,
+        width: 1920,
+        flagged: true,
+        hidden: false,
+        created: '2024-06-01T10:00:00.000Z',
+        keywords: 'camera, lens',
+        formats: ['image/jpeg']
+    });
+});
+
+test('values that cannot be coerced fall back to the default', () => {
+    const fields = {
+        size: { source: 'dam:size', type: 'number', default: 0 },
+        flagged: { source: 'dam:flagged', type: 'boolean' },
+        created: { source: 'jcr:created', type: 'date' }
+    };
+
+    expect(map(fields, { 'dam:size': 'large', 'dam:flagged': 'maybe', 'jcr:created': 'yesterday' }))
+        .toEqual({ size: 0, flagged: undefined, created: undefined });
+});
+
+test('defaults fill empty fields and are never shared between results', () => {
+    const mapper = new MetadataMapper({
+        fields: {
+            usage: { source: 'dam:usage', default: 'web' },
+            tags: { source: 'cq:tags', type: 'array', default: [] }
+        }
+    });
+
+    const first = mapper.apply({ 'dam:usage': 'print' });
+    expect(first).toEqual({ usage: 'print', tags: [] });
+
+    first.tags.push('changed');
+    expect(mapper.apply({ 'cq:tags': [] })).toEqual({ usage: 'web', tags: [] });
+});
+
+test('applies transforms in order, element-wise on arrays', () => {
+    const fields = {
+        brand: { source: 'dam:brand', transform: ['trim', 'uppercase'] },
+        keywords: { source: 'dc:keywords', type: 'array', transform: ['split', 'lowercase', 'unique'] },
+        'dimensions.width': { source: 'tiff:ImageWidth', type: 'number' }
+    };
+
+    expect(map(fields, { 'dam:brand': '  acme ', 'dc:keywords': ['Camera, Lens', 'camera'], 'tiff:ImageWidth': '800' }))
+        .toEqual({ brand: 'ACME', keywords: ['camera', 'lens'], dimensions: { width: 800 } });
+});
+
+test('lists the AEM properties the mapping reads', () => {
+    const mapper = new MetadataMapper({
+        fields: { title: { source: ['dc:title', 'jcr:title'] }, altText: { source: ['dam:altText', 'dc:title'] } }
+    });
+
+    expect(mapper.getSourceFields()).toEqual(['dc:title', 'jcr:title', 'dam:altText']);
+});
+
+test('properties listed in keepInCustomMetadata are not consumed by the mapping', () => {
+    const mapper = new MetadataMapper({
+        fields: { tags: { source: ['cq:tags', 'dam:tags'], type: 'array', merge: true } },
+        keepInCustomMetadata: ['dam:tags']
+    });
+
+    expect(mapper.getConsumedFields()).toEqual(['cq:tags']);
+});
+
+test.each([
+    ['no mapping', undefined, 'Invalid metadata mapping: "fields" object is required'],
+    ['no fields', {}, 'Invalid metadata mapping: "fields" object is required'],
+    ['null fields', { fields: null }, 'Invalid metadata mapping: "fields" object is required'],
+    ['fields as a list', { fields: [{ source: 'dc:title' }] }, 'Invalid metadata mapping: "fields" object is required'],
+    ['a null field definition', { fields: { title: null } }, 'Invalid metadata mapping for "title": field definition must be an object'],
+    ['a field without a source', { fields: { title: { type: 'string' } } }, 'Invalid metadata mapping for "title": "source" is required'],
+    ['an unknown type', { fields: { title: { source: 'dc:title', type: 'text' } } }, 'Invalid metadata mapping for "title": unknown type "text"'],
+    ['an unknown transform', { fields: { title: { source: 'dc:title', transform: ['trim', 'slug'] } } },
+        'Invalid metadata mapping for "title": unknown transform "slug"'],
+    ['keepInCustomMetadata that is not a list', { fields: { title: { source: 'dc:title' } }, keepInCustomMetadata: 'dam:tags' },
+        'Invalid metadata mapping: "keepInCustomMetadata" must be a list of property names']
+])('rejects a mapping with %s', (description, mapping, message) => {
+    expect(() => new MetadataMapper(mapping)).toThrow(message);
+});
+
+test('loads the bundled mapping and reports unreadable files', () => {
+    expect(MetadataMapper.load().getSourceFields()).toEqual(expect.arrayContaining(['dc:title', 'cq:tags', 'jcr:lastModified']));
+
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-mapping-')), 'mapping.json');
+    fs.writeFileSync(filePath, '{ "fields": ');
+    expect(() => MetadataMapper.load(filePath)).toThrow(`Unable to load metadata mapping from ${filePath}`);
+});
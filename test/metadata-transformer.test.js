@@ -0,0 +1,152 @@
+/**
+ * MetadataTransformer: the MLE payload built from AEM metadata with the default mapping,
+ * including field fallbacks, list extraction, media types and custom metadata.
+ */
+
+const { MetadataTransformer } = require('../lib/metadata-transformer');
+
+const ASSET_PATH = '/content/dam/products/cameras/camera-001.jpg';
+
+function createTransformer() {
+    return new MetadataTransformer({
+        aemAuthorUrl: 'https://author.example.com',
+        aemPublishUrl: 'https://publish.example.com',
+        apiVersion: 'v2'
+    });
+}
+
+function transform(metadata, assetPath = ASSET_PATH) {
+    return createTransformer().transformForMLE(metadata, assetPath, 'com.adobe.aem.assets.updated');
+}
+
+describe('transformForMLE', () => {
+    test('identifies the asset and builds its URLs', () => {
+        const payload = transform({ 'jcr:uuid': 'uuid-001', 'dc:format': 'image/jpeg' });
+
+        expect(payload).toMatchObject({
+            assetId: 'uuid-001',
+            assetPath: ASSET_PATH,
+            assetUrl: `https://author.example.com${ASSET_PATH}`,
+            publicUrl: `https://publish.example.com${ASSET_PATH}`,
+            fileName: 'camera-001.jpg',
+            mimeType: 'image/jpeg',
+            mediaType: 'image',
+            eventType: 'com.adobe.aem.assets.updated',
+            sourceSystem: 'AEM',
+            apiVersion: 'v2',
+            publishStatus: 'published'
+        });
+        expect(Number.isNaN(Date.parse(payload.publishedDate))).toBe(false);
+    });
+
+    test('falls back to the file name for the id and the extension for the MIME type', () => {
+        const payload = transform({}, '/content/dam/docs/brochure.final.pdf');
+
+        expect(payload.assetId).toBe('brochure.final');
+        expect(payload.mimeType).toBe('application/pdf');
+        expect(payload.mediaType).toBe('document');
+    });
+
+    test.each([
+        ['title', { 'dc:title': 'DC title', 'jcr:title': 'JCR title' }, 'DC title'],
+        ['title', { 'jcr:title': 'JCR title' }, 'JCR title'],
+        ['altText', { 'dam:altText': 'Alt', 'dc:title': 'DC title' }, 'Alt'],
+        ['altText', { 'dc:title': 'DC title' }, 'DC title'],
+        ['modifiedDate', { 'dam:lastModified': '2024-01-15T10:00:00Z' }, '2024-01-15T10:00:00.000Z'],
+        ['createdDate', { 'jcr:created': 'not a date' }, undefined],
+        ['usage', {}, 'web'],
+        ['usage', { 'dam:usage': 'print' }, 'print']
+    ])('maps %s from %j', (field, metadata, expected) => {
+        expect(transform(metadata)[field]).toEqual(expected);
+    });
+
+    test('reads dimensions and file size as numbers, preferring TIFF over EXIF properties', () => {
+        expect(transform({ 'tiff:ImageWidth': '1920', 'exif:PixelXDimension': 800, 'exif:PixelYDimension': '1080', 'dam:size': '2048576' }))
+            .toMatchObject({ dimensions: { width: 1920, height: 1080 }, fileSize: 2048576 });
+        expect(transform({ 'dam:size': 'unknown' }).fileSize).toBeUndefined();
+    });
+
+    test('merges tags and categories from every source without duplicates', () => {
+        const payload = transform({
+            'cq:tags': ['product:camera', 'brand:acme'],
+            'dam:tags': 'product:camera',
+            'dc:subject': 'Electronics',
+            'dam:category': ['Cameras', 'Electronics']
+        });
+
+        expect(payload.tags).toEqual(['product:camera', 'brand:acme']);
+        expect(payload.categories).toEqual(['Electronics', 'Cameras']);
+    });
+
+    test('turns single keywords into lists and defaults missing lists to empty', () => {
+        expect(transform({ 'dc:keywords': 'camera' }).keywords).toEqual(['camera']);
+        expect(transform({ 'dc:keywords': ['camera', 'lens', 'camera'] }).keywords).toEqual(['camera', 'lens']);
+
+        const empty = transform({});
+        expect(empty.tags).toEqual([]);
+        expect(empty.categories).toEqual([]);
+        expect(empty.keywords).toEqual([]);
+    });
+
+    test('reports the approval status from any of the status properties', () => {
+        expect(transform({ 'dam:status': 'Approved' }).approvalStatus).toBe('approved');
+        expect(transform({ 'cq:workflowStatus': 'published' }).approvalStatus).toBe('approved');
+        expect(transform({ 'dam:status': 'draft', 'dam:approvalStatus': 'rejected' }).approvalStatus).toBe('pending');
+    });
+
+    test('keeps unmapped properties as custom metadata, except JCR and repository internals', () => {
+        const payload = transform({
+            'jcr:uuid': 'uuid-001',
+            'jcr:primaryType': 'dam:Asset',
+            'rep:policy': 'deny',
+            'dam:status': 'approved',
+            'dc:title': 'Camera',
+            'acme:sku': 'CAM-001',
+            'acme:warehouse': ['A1', 'B2']
+        });
+
+        expect(payload.customMetadata).toEqual({ 'acme:sku': 'CAM-001', 'acme:warehouse': ['A1', 'B2'] });
+    });
+
+    test('keeps the DAM tags, categories and dates in custom metadata as well as in the mapped fields', () => {
+        const payload = transform({
+            'cq:tags': ['product:camera'],
+            'dam:tags': ['brand:acme'],
+            'dam:category': 'Cameras',
+            'dam:created': '2024-06-01T10:00:00.000Z',
+            'dam:lastModified': '2024-06-02T10:00:00.000Z'
+        });
+
+        expect(payload).toMatchObject({ tags: ['product:camera', 'brand:acme'], categories: ['Cameras'], createdDate: '2024-06-01T10:00:00.000Z' });
+        expect(payload.customMetadata).toEqual({
+            'dam:tags': ['brand:acme'],
+            'dam:category': 'Cameras',
+            'dam:created': '2024-06-01T10:00:00.000Z',
+            'dam:lastModified': '2024-06-02T10:00:00.000Z'
+        });
+    });
+});
+
+describe('media types', () => {
+    test.each([
+        ['image/png', 'image'],
+        ['video/mp4', 'video'],
+        ['audio/mpeg', 'audio'],
+        ['application/pdf', 'document'],
+        ['text/plain', 'text'],
+        ['application/zip', 'other'],
+        [undefined, 'unknown']
+    ])('getMediaType(%s) is %s', (mimeType, mediaType) => {
+        expect(MetadataTransformer.getMediaType(mimeType)).toBe(mediaType);
+    });
+
+    test.each([
+        ['photo.JPG', 'image/jpeg'],
+        ['logo.svg', 'image/svg+xml'],
+        ['clip.mov', 'video/quicktime'],
+        ['notes.txt', 'text/plain'],
+        ['archive.tar.gz', 'application/octet-stream']
+    ])('getMimeTypeFromPath(%s) is %s', (fileName, mimeType) => {
+        expect(MetadataTransformer.getMimeTypeFromPath(`/content/dam/${fileName}`)).toBe(mimeType);
+    });
+});
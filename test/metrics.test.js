@@ -0,0 +1,60 @@
+/**
+ * Prometheus metrics: text exposition format, MLE latency per operation and OAuth
+ * refresh counts recorded by the sync core.
+ */
+
+jest.mock('axios');
+const axios = require('axios');
+
+const { MetricsRegistry, createSyncMetrics } = require('../lib/metrics');
+const { createSyncCore } = require('../lib/sync-core');
+
+const TOKEN_URL = 'https://auth.example.com/oauth/token';
+const logger = { info: () => {}, error: () => {}, debug: () => {} };
+
+test('renders counters, gauges and histograms in the text format', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('events_total', 'Events', ['event_type']).inc({ event_type: 'com.adobe "quoted"' }, 2);
+    registry.gauge('queue_depth', 'Depth', [], gauge => gauge.set({}, 7));
+    registry.histogram('latency_seconds', 'Latency', ['operation'], [0.1, 1]).observe({ operation: 'create' }, 0.5);
+
+    expect(registry.render()).toBe([
+        '# HELP events_total Events',
+        '# TYPE events_total counter',
+        'events_total{event_type="com.adobe \\"quoted\\""} 2',
+        '# HELP queue_depth Depth',
+        '# TYPE queue_depth gauge',
+        'queue_depth 7',
+        '# HELP latency_seconds Latency',
+        '# TYPE latency_seconds histogram',
+        'latency_seconds_bucket{operation="create",le="0.1"} 0',
+        'latency_seconds_bucket{operation="create",le="1"} 1',
+        'latency_seconds_bucket{operation="create",le="+Inf"} 1',
+        'latency_seconds_sum{operation="create"} 0.5',
+        'latency_seconds_count{operation="create"} 1',
+        ''
+    ].join('\n'));
+});
+
+test('records MLE latency per operation and OAuth refreshes', async () => {
+    axios.post.mockImplementation(async url => (url === TOKEN_URL
+        ? { status: 200, data: { access_token: 'token', expires_in: 3600 } }
+        : { status: 201, data: { id: 'mle-001' } }));
+    axios.delete.mockRejectedValue(Object.assign(new Error('Server error'), { response: { status: 500 } }));
+
+    const metrics = createSyncMetrics();
+    const core = createSyncCore({
+        mleApiUrl: 'https://mle.example.com/api',
+        oauthTokenUrl: TOKEN_URL,
+        metrics,
+        logger
+    });
+
+    await core.mleClient.sendAssetMetadata({ assetId: 'a1' });
+    await core.mleClient.deleteAsset('a1');
+
+    const output = metrics.registry.render();
+    expect(output).toContain('aem_sync_mle_request_duration_seconds_count{operation="create",outcome="success",tenant="default"} 1');
+    expect(output).toContain('aem_sync_mle_request_duration_seconds_count{operation="delete",outcome="error",tenant="default"} 1');
+    expect(output).toContain('aem_sync_oauth_token_refreshes_total{outcome="success"} 1');
+});
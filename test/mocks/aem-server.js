@@ -0,0 +1,106 @@
+/**
+ * Mock AEM Assets HTTP API
+ * Serves the assets added with addAsset as Siren entities on /api/assets/{path}.json,
+ * folders paged with offset and limit like the real API, and rendition binaries on
+ * {assetPath}/_jcr_content/renditions/{name}. Set `accessToken` to require it.
+ */
+
+const { MockServer } = require('./mock-server');
+
+const DAM_ROOT = '/content/dam';
+
+class MockAemServer extends MockServer {
+    constructor(options = {}) {
+        super('aem', options);
+        this.accessToken = options.accessToken || null;
+        this.assets = new Map();
+
+        this.app.use((req, res, next) => {
+            if (this.accessToken && req.headers.authorization !== `Bearer ${this.accessToken}`) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+            next();
+        });
+
+        this.app.get(/^\/api\/assets(\/.*)?\.json$/, (req, res) => {
+            const damPath = `${DAM_ROOT}${req.params[0] || ''}`;
+
+            const asset = this.assets.get(damPath);
+            if (asset) {
+                return res.status(200).json(MockAemServer.toEntity(damPath, asset));
+            }
+
+            const children = this.listChildren(damPath);
+            if (children.length === 0 && damPath !== DAM_ROOT) {
+                return res.status(404).json({ error: 'Not found' });
+            }
+
+            const offset = parseInt(req.query.offset || '0', 10);
+            const limit = parseInt(req.query.limit || '20', 10);
+            res.status(200).json({
+                class: ['assets/folder'],
+                properties: {
+                    name: damPath.split('/').pop(),
+                    'srn:paging': { offset, limit, total: children.length }
+                },
+                entities: children.slice(offset, offset + limit)
+            });
+        });
+
+        this.app.get(/^(\/content\/dam\/.+)\/_jcr_content\/renditions\/([^/]+)$/, (req, res) => {
+            const asset = this.assets.get(req.params[0]);
+            const rendition = asset && asset.renditions[req.params[1]];
+            if (!rendition) {
+                return res.status(404).end();
+            }
+            res.status(200).type(asset.metadata['dc:format'] || 'application/octet-stream').send(rendition);
+        });
+    }
+
+    static toEntity(assetPath, asset) {
+        return {
+            class: ['assets/asset'],
+            properties: { name: assetPath.split('/').pop(), metadata: asset.metadata }
+        };
+    }
+
+    // Renditions default to an "original" holding a few bytes derived from the path
+    addAsset(assetPath, metadata, renditions = { original: Buffer.from(`binary of ${assetPath}`) }) {
+        this.assets.set(assetPath, { metadata, renditions });
+        return this;
+    }
+
+    removeAsset(assetPath) {
+        this.assets.delete(assetPath);
+        return this;
+    }
+
+    // Direct subfolders and assets of a folder, folders first
+    listChildren(folderPath) {
+        const prefix = `${folderPath}/`;
+        const folders = new Set();
+        const assets = [];
+
+        [...this.assets.keys()].sort().forEach(assetPath => {
+            if (!assetPath.startsWith(prefix)) return;
+            const rest = assetPath.slice(prefix.length);
+            if (rest.includes('/')) {
+                folders.add(rest.split('/')[0]);
+            } else {
+                assets.push(MockAemServer.toEntity(assetPath, this.assets.get(assetPath)));
+            }
+        });
+
+        return [
+            ...[...folders].map(name => ({ class: ['assets/folder'], properties: { name } })),
+            ...assets
+        ];
+    }
+
+    reset() {
+        super.reset();
+        this.assets.clear();
+    }
+}
+
+module.exports = { MockAemServer };
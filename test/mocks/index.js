@@ -0,0 +1,63 @@
+/**
+ * Offline Mock Servers for Integration Testing
+ * Starts the mock OAuth token server, MLE Assets API and AEM Assets HTTP API on local
+ * ports. `env` holds the settings that point the sync service at them.
+ *
+ * In Jest: start them in beforeAll, assign `env` to process.env, then require the service.
+ * From the command line (fixed ports 4001-4003, or MOCK_*_PORT):
+ *
+ *   node test/mocks/index.js
+ *
+ * prints the environment to start the service with; test-integration.js can then run
+ * against that service without a real MLE or identity provider.
+ */
+
+const { MockOAuthServer } = require('./oauth-server');
+const { MockMleServer } = require('./mle-server');
+const { MockAemServer } = require('./aem-server');
+
+async function startMockServers(options = {}) {
+    const ports = options.ports || {};
+
+    const oauth = await new MockOAuthServer(options.oauth).start(ports.oauth);
+    const mle = await new MockMleServer({ isValidToken: token => oauth.isIssued(token), ...options.mle }).start(ports.mle);
+    const aem = await new MockAemServer(options.aem).start(ports.aem);
+
+    const env = {
+        OAUTH_TOKEN_URL: oauth.tokenUrl,
+        OAUTH_CLIENT_ID: oauth.clientId,
+        OAUTH_CLIENT_SECRET: oauth.clientSecret,
+        MLE_API_URL: `${mle.url}/api`,
+        MLE_API_VERSION: mle.apiVersion,
+        AEM_AUTHOR_URL: aem.url,
+        AEM_PUBLISH_URL: aem.url,
+        AEM_ACCESS_TOKEN: aem.accessToken || ''
+    };
+
+    return {
+        oauth,
+        mle,
+        aem,
+        env,
+        reset: () => [oauth, mle, aem].forEach(server => server.reset()),
+        stop: () => Promise.all([oauth.stop(), mle.stop(), aem.stop()])
+    };
+}
+
+if (require.main === module) {
+    startMockServers({
+        ports: {
+            oauth: parseInt(process.env.MOCK_OAUTH_PORT || '4001', 10),
+            mle: parseInt(process.env.MOCK_MLE_PORT || '4002', 10),
+            aem: parseInt(process.env.MOCK_AEM_PORT || '4003', 10)
+        }
+    }).then(mocks => {
+        console.log('Mock servers running. Start the sync service with:\n');
+        Object.entries(mocks.env).forEach(([key, value]) => console.log(`${key}=${value}`));
+    }).catch(error => {
+        console.error('Failed to start mock servers:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { startMockServers, MockOAuthServer, MockMleServer, MockAemServer };
@@ -0,0 +1,115 @@
+/**
+ * Mock MLE Assets API
+ * Keeps asset records in memory behind the endpoints MLEClient calls, under
+ * /api/{version}/assets: create, update, delete, status, bulk upsert, list and
+ * multipart rendition uploads. Creating an existing asset answers 409. Requests need a bearer token; pass `isValidToken` to
+ * accept only tokens the mock OAuth server issued.
+ */
+
+const { MockServer } = require('./mock-server');
+
+class MockMleServer extends MockServer {
+    constructor(options = {}) {
+        super('mle', options);
+        this.apiVersion = options.apiVersion || 'v1';
+        this.isValidToken = options.isValidToken || (() => true);
+        this.assets = new Map();
+        this.renditions = new Map();
+
+        const base = `/api/${this.apiVersion}/assets`;
+
+        this.app.use(base, (req, res, next) => this.authenticate(req, res, next));
+
+        this.app.get(base, (req, res) => {
+            const offset = parseInt(req.query.offset || '0', 10);
+            const limit = parseInt(req.query.limit || '100', 10);
+            const records = [...this.assets.values()];
+            res.status(200).json({ assets: records.slice(offset, offset + limit), total: records.length });
+        });
+
+        this.app.post(`${base}/bulk`, (req, res) => {
+            const results = (req.body.assets || []).map(payload => {
+                if (!payload.assetId) {
+                    return { assetId: payload.assetId, statusCode: 400, error: 'assetId is required' };
+                }
+                const created = !this.assets.has(payload.assetId);
+                this.store(payload);
+                return { assetId: payload.assetId, id: payload.assetId, statusCode: created ? 201 : 200, status: created ? 'created' : 'updated' };
+            });
+            res.status(200).json({ results });
+        });
+
+        this.app.post(base, (req, res) => {
+            if (!req.body || !req.body.assetId) {
+                return res.status(400).json({ error: 'assetId is required' });
+            }
+            if (this.assets.has(req.body.assetId)) {
+                return res.status(409).json({ error: 'Asset already exists' });
+            }
+            this.store(req.body);
+            res.status(201).json({ id: req.body.assetId, status: 'created' });
+        });
+
+        // Updates of unknown assets create them, as MLE upserts on PUT
+        this.app.put(`${base}/:id`, (req, res) => {
+            this.store({ ...req.body, assetId: req.params.id });
+            res.status(200).json({ id: req.params.id, status: 'updated' });
+        });
+
+        this.app.put(`${base}/:id/status`, (req, res) => {
+            const record = this.assets.get(req.params.id);
+            if (!record) {
+                return res.status(404).json({ error: 'Asset not found' });
+            }
+            record.status = req.body.status;
+            record.statusReason = req.body.reason;
+            res.status(200).json({ id: req.params.id, status: record.status });
+        });
+
+        this.app.delete(`${base}/:id`, (req, res) => {
+            if (!this.assets.delete(req.params.id)) {
+                return res.status(404).json({ error: 'Asset not found' });
+            }
+            this.renditions.delete(req.params.id);
+            res.status(204).end();
+        });
+
+        this.app.get(`${base}/:id/renditions`, (req, res) => {
+            res.status(200).json({ renditions: this.renditions.get(req.params.id) || [] });
+        });
+
+        // Multipart bodies are not parsed; the upload is recorded with its size
+        this.app.post(`${base}/:id/renditions`, (req, res) => {
+            const uploads = this.renditions.get(req.params.id) || [];
+            uploads.push({ bytes: req.body.length, uploadedAt: new Date().toISOString() });
+            this.renditions.set(req.params.id, uploads);
+            res.status(201).json({ status: 'uploaded' });
+        });
+    }
+
+    authenticate(req, res, next) {
+        const authorization = req.headers.authorization || '';
+        const token = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : null;
+
+        if (!token || !this.isValidToken(token)) {
+            return res.status(401).json({ error: 'Invalid or missing access token' });
+        }
+        next();
+    }
+
+    store(payload) {
+        this.assets.set(payload.assetId, { ...payload, id: payload.assetId });
+    }
+
+    getAsset(assetId) {
+        return this.assets.get(assetId) || null;
+    }
+
+    reset() {
+        super.reset();
+        this.assets.clear();
+        this.renditions.clear();
+    }
+}
+
+module.exports = { MockMleServer };
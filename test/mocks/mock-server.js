@@ -0,0 +1,128 @@
+/**
+ * Base for the Offline Mock Servers
+ * An Express app on a local port that records every request and can be told to answer
+ * with injected faults (status, body, headers) and added latency. Tests drive it through
+ * its methods; a mock started from the command line is driven over HTTP instead:
+ *
+ *   GET  /__mock/requests   recorded requests
+ *   POST /__mock/faults     { status, count, body, headers, method, path, latencyMs }
+ *   POST /__mock/reset      clear requests, faults, latency and stored data
+ */
+
+const express = require('express');
+
+class MockServer {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.latencyMs = options.latencyMs || 0;
+        this.requests = [];
+        this.faults = [];
+        this.server = null;
+        this.url = null;
+
+        this.app = express();
+        this.app.use(express.json({ limit: '50mb', type: ['application/json', 'application/*+json'] }));
+        this.app.use(express.urlencoded({ extended: false }));
+        this.app.use(express.raw({ type: () => true, limit: '200mb' }));
+
+        this.app.get('/__mock/requests', (req, res) => res.status(200).json({ requests: this.requests }));
+        this.app.post('/__mock/faults', (req, res) => {
+            const { latencyMs, ...fault } = req.body || {};
+            if (latencyMs !== undefined) this.setLatency(latencyMs);
+            if (fault.status) this.failNext(fault);
+            res.status(200).json({ faults: this.faults, latencyMs: this.latencyMs });
+        });
+        this.app.post('/__mock/reset', (req, res) => {
+            this.reset();
+            res.status(200).json({ reset: true });
+        });
+
+        this.app.use((req, res, next) => this.intercept(req, res, next));
+    }
+
+    // Record the request, wait out the latency, then answer with the first matching fault
+    async intercept(req, res, next) {
+        this.requests.push({
+            method: req.method,
+            path: req.path,
+            query: req.query,
+            headers: req.headers,
+            body: Buffer.isBuffer(req.body) ? { bytes: req.body.length } : req.body,
+            receivedAt: new Date().toISOString()
+        });
+
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+
+        const fault = this.faults.find(candidate => MockServer.matches(candidate, req));
+        if (!fault) return next();
+
+        fault.count -= 1;
+        if (fault.count <= 0) {
+            this.faults.splice(this.faults.indexOf(fault), 1);
+        }
+        res.set(fault.headers || {}).status(fault.status).json(fault.body || { error: `Injected ${fault.status} from mock ${this.name}` });
+    }
+
+    static matches(fault, req) {
+        if (fault.method && fault.method.toUpperCase() !== req.method) return false;
+        if (!fault.path) return true;
+        return fault.path instanceof RegExp ? fault.path.test(req.path) : req.path.includes(fault.path);
+    }
+
+    // Answer the next `count` matching requests (any method and path by default) with `status`
+    failNext(fault) {
+        this.faults.push({ count: 1, ...fault });
+        return this;
+    }
+
+    rateLimit(count = 1, retryAfterSeconds = 1, match = {}) {
+        return this.failNext({
+            ...match,
+            count,
+            status: 429,
+            headers: { 'Retry-After': String(retryAfterSeconds) },
+            body: { error: 'Too Many Requests' }
+        });
+    }
+
+    setLatency(ms) {
+        this.latencyMs = ms;
+        return this;
+    }
+
+    requestsTo(method, path) {
+        return this.requests.filter(request => request.method === method &&
+            (path instanceof RegExp ? path.test(request.path) : request.path === path));
+    }
+
+    reset() {
+        this.requests = [];
+        this.faults = [];
+        this.latencyMs = 0;
+    }
+
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    // Keep-alive connections from the service would otherwise hold the server open
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+            this.server = null;
+        });
+    }
+}
+
+module.exports = { MockServer };
@@ -0,0 +1,51 @@
+/**
+ * Mock OAuth 2.0 Token Server
+ * Issues client_credentials access tokens on POST /oauth/token, rejecting unknown
+ * clients with 401 like a real identity provider. Issued tokens are remembered so the
+ * mock MLE API can accept only those.
+ */
+
+const crypto = require('crypto');
+const { MockServer } = require('./mock-server');
+
+class MockOAuthServer extends MockServer {
+    constructor(options = {}) {
+        super('oauth', options);
+        this.clientId = options.clientId || 'mock-client';
+        this.clientSecret = options.clientSecret || 'mock-secret';
+        this.expiresIn = options.expiresIn || 3600;
+        this.issuedTokens = new Set();
+
+        this.app.post('/oauth/token', (req, res) => {
+            const params = req.body || {};
+
+            if (params.grant_type !== 'client_credentials') {
+                return res.status(400).json({ error: 'unsupported_grant_type' });
+            }
+            if (params.client_id !== this.clientId || params.client_secret !== this.clientSecret) {
+                return res.status(401).json({ error: 'invalid_client' });
+            }
+
+            const token = `mock-token-${crypto.randomUUID()}`;
+            this.issuedTokens.add(token);
+            res.status(200).json({ access_token: token, token_type: 'bearer', expires_in: this.expiresIn, scope: params.scope });
+        });
+    }
+
+    get tokenUrl() {
+        return `${this.url}/oauth/token`;
+    }
+
+    isIssued(token) {
+        return this.issuedTokens.has(token);
+    }
+
+    // Issued tokens survive reset(), as the service keeps using its cached token;
+    // revoke them to make the MLE mock answer 401
+    revokeTokens() {
+        this.issuedTokens.clear();
+        return this;
+    }
+}
+
+module.exports = { MockOAuthServer };
@@ -0,0 +1,236 @@
+/**
+ * Offline end-to-end sync: the service runs against the bundled OAuth, MLE and AEM mock
+ * servers, and every assertion is made on the requests the mocks received.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startMockServers } = require('./mocks');
+
+const WEBHOOK_SECRET = 'offline-webhook-secret';
+const ADMIN_TOKEN = 'offline-admin-token';
+
+let mocks;
+let service;
+let server;
+let serviceUrl;
+
+function buildEvent(eventType, metadata, assetPath = '/content/dam/e2e/camera.jpg') {
+    return {
+        event_id: crypto.randomUUID(),
+        event_type: eventType,
+        data: {
+            timestamp: new Date().toISOString(),
+            payload: { path: assetPath, metadata }
+        }
+    };
+}
+
+function approvedMetadata(uuid, overrides = {}) {
+    return {
+        'jcr:uuid': uuid,
+        'dam:status': 'approved',
+        'dc:title': `Camera ${uuid}`,
+        'dc:format': 'image/jpeg',
+        'cq:tags': ['product:camera'],
+        ...overrides
+    };
+}
+
+async function postWebhook(event) {
+    const body = JSON.stringify(event);
+    const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+
+    const response = await fetch(`${serviceUrl}/webhook/aem-events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-adobe-signature': signature },
+        body
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function waitForJob(jobId, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+        const job = await (await fetch(`${serviceUrl}/jobs/${jobId}`)).json();
+        if (job.status === 'completed' || job.status === 'failed') {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+
+    throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+async function syncEvent(event) {
+    const accepted = await postWebhook(event);
+    expect(accepted.status).toBe(202);
+    return waitForJob(accepted.body.jobId);
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mocks = await startMockServers();
+    Object.assign(process.env, mocks.env, {
+        PORT: '0',
+        DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'aem-mle-offline-')),
+        IDEMPOTENCY_STORE: 'memory',
+        AEM_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        ADMIN_TOKEN,
+        RETRY_DELAY: '10',
+        RETRY_MAX_DELAY: '50',
+        EXPIRY_SWEEP_INTERVAL: '0'
+    });
+
+    service = require('../aem-mle-sync-service');
+    server = service.startServer();
+    await new Promise(resolve => server.once('listening', resolve));
+    serviceUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    service.jobQueue.stop();
+    await new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+    });
+    await mocks.stop();
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => mocks.reset());
+
+test('synchronizes a signed webhook event to MLE with an issued OAuth token', async () => {
+    const job = await syncEvent(buildEvent('com.adobe.aem.assets.created', approvedMetadata('e2e-001')));
+
+    expect(job.status).toBe('completed');
+    expect(job.result.mle.success).toBe(true);
+
+    const [token] = mocks.oauth.requestsTo('POST', '/oauth/token');
+    expect(token.body).toMatchObject({ grant_type: 'client_credentials', client_id: mocks.env.OAUTH_CLIENT_ID });
+
+    const [create] = mocks.mle.requestsTo('POST', '/api/v1/assets');
+    expect(mocks.oauth.isIssued(create.headers.authorization.replace('Bearer ', ''))).toBe(true);
+    expect(create.headers['x-source-system']).toBe('AEM');
+    expect(create.body).toMatchObject({
+        assetId: 'e2e-001',
+        title: 'Camera e2e-001',
+        assetUrl: `${mocks.aem.url}/content/dam/e2e/camera.jpg`,
+        mediaType: 'image',
+        tags: ['product:camera']
+    });
+    expect(mocks.mle.getAsset('e2e-001')).toMatchObject({ assetId: 'e2e-001', title: 'Camera e2e-001' });
+});
+
+test('retries through MLE rate limiting and latency', async () => {
+    mocks.mle.setLatency(50).rateLimit(2, 0, { method: 'POST', path: '/api/v1/assets' });
+
+    const job = await syncEvent(buildEvent('com.adobe.aem.assets.created', approvedMetadata('e2e-002')));
+
+    expect(job.status).toBe('completed');
+    expect(job.attempts).toBe(3);
+    expect(mocks.mle.requestsTo('POST', '/api/v1/assets')).toHaveLength(3);
+    expect(mocks.mle.getAsset('e2e-002')).not.toBeNull();
+});
+
+test('dead-letters events MLE rejects as invalid', async () => {
+    mocks.mle.failNext({ status: 422, method: 'POST', body: { error: 'Unsupported media type' } });
+
+    const job = await syncEvent(buildEvent('com.adobe.aem.assets.created', approvedMetadata('e2e-003')));
+
+    expect(job.status).toBe('failed');
+    expect(job.attempts).toBe(1);
+    expect(job.result.errors).toEqual([expect.objectContaining({ system: 'MLE', retryable: false })]);
+
+    const dlq = await (await fetch(`${serviceUrl}/admin/dlq`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } })).json();
+    expect(dlq.deadLetters.map(entry => entry.id)).toContain(job.jobId);
+});
+
+test('redeliveries are acknowledged as duplicates unless the first delivery failed', async () => {
+    const event = buildEvent('com.adobe.aem.assets.created', approvedMetadata('e2e-006'));
+    mocks.mle.failNext({ status: 422, method: 'POST', body: { error: 'Unsupported media type' } });
+
+    const failed = await syncEvent(event);
+    expect(failed.status).toBe('failed');
+
+    const redelivered = await syncEvent(event);
+    expect(redelivered.jobId).not.toBe(failed.jobId);
+    expect(redelivered.status).toBe('completed');
+
+    const duplicate = await postWebhook(event);
+    expect(duplicate).toMatchObject({ status: 200, body: { status: 'duplicate', jobId: redelivered.jobId } });
+    expect(mocks.mle.requestsTo('POST', '/api/v1/assets')).toHaveLength(2);
+});
+
+test('deletes the MLE record when the asset is deleted in AEM', async () => {
+    await syncEvent(buildEvent('com.adobe.aem.assets.created', approvedMetadata('e2e-004')));
+    const job = await syncEvent(buildEvent('com.adobe.aem.assets.deleted', approvedMetadata('e2e-004')));
+
+    expect(job.status).toBe('completed');
+    expect(mocks.mle.requestsTo('DELETE', '/api/v1/assets/e2e-004')).toHaveLength(1);
+    expect(mocks.mle.getAsset('e2e-004')).toBeNull();
+});
+
+test('manual syncs read the asset from the AEM Assets API', async () => {
+    mocks.aem.addAsset('/content/dam/e2e/lenses/lens.jpg', approvedMetadata('e2e-005', { 'dc:title': 'Lens' }));
+
+    const response = await fetch(`${serviceUrl}/admin/sync`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_TOKEN}` },
+        body: JSON.stringify({ assetPath: '/content/dam/e2e/lenses/lens.jpg' })
+    });
+    expect(response.status).toBe(202);
+    const job = await waitForJob((await response.json()).jobId);
+
+    expect(job.status).toBe('completed');
+    expect(mocks.aem.requestsTo('GET', '/api/assets/e2e/lenses/lens.jpg.json')).toHaveLength(1);
+    expect(mocks.mle.getAsset('e2e-005')).toMatchObject({ title: 'Lens' });
+});
+
+test('manual syncs of an asset MLE already holds update its record', async () => {
+    const metadata = approvedMetadata('e2e-007');
+    await syncEvent(buildEvent('com.adobe.aem.assets.created', metadata, '/content/dam/e2e/strap.jpg'));
+    mocks.aem.addAsset('/content/dam/e2e/strap.jpg', { ...metadata, 'dc:title': 'Strap' });
+
+    const response = await fetch(`${serviceUrl}/admin/sync`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_TOKEN}` },
+        body: JSON.stringify({ assetPath: '/content/dam/e2e/strap.jpg' })
+    });
+    const job = await waitForJob((await response.json()).jobId);
+
+    expect(job.status).toBe('completed');
+    expect(mocks.mle.requestsTo('POST', '/api/v1/assets')).toHaveLength(2);
+    expect(mocks.mle.requestsTo('PUT', '/api/v1/assets/e2e-007')).toHaveLength(1);
+    expect(mocks.mle.getAsset('e2e-007')).toMatchObject({ title: 'Strap' });
+});
+
+test('backfills only walk folders below /content/dam', async () => {
+    const response = await fetch(`${serviceUrl}/admin/backfill`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_TOKEN}` },
+        body: JSON.stringify({ folderPath: '/content/damfoo' })
+    });
+
+    expect(response.status).toBe(400);
+    await expect(require('../aem-mle-backfill').runBackfill(['--folder', '/content/damfoo']))
+        .rejects.toThrow('--folder must be a DAM folder below /content/dam');
+});
+
+test('reconciliation only covers folders below /content/dam', async () => {
+    const response = await fetch(`${serviceUrl}/admin/reconcile`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_TOKEN}` },
+        body: JSON.stringify({ folderPath: '/content/damfoo' })
+    });
+
+    expect(response.status).toBe(400);
+    await expect(require('../aem-mle-reconcile').runReconciliation(['--folder', '/content/damfoo']))
+        .rejects.toThrow('--folder must be a DAM folder below /content/dam');
+});
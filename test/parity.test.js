@@ -0,0 +1,181 @@
+/**
+ * Parity tests for the two deployments of the AEM-MLE sync: the Express service and
+ * the Adobe I/O Runtime action must send the same MLE payload with the same operation
+ * for the same AEM event.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const SETTINGS = {
+    MLE_API_URL: 'https://mle.example.com/api',
+    MLE_API_VERSION: 'v2',
+    OAUTH_CLIENT_ID: 'parity-client',
+    OAUTH_CLIENT_SECRET: 'parity-secret',
+    OAUTH_TOKEN_URL: 'https://auth.example.com/oauth/token',
+    AEM_AUTHOR_URL: 'https://author.example.com',
+    AEM_PUBLISH_URL: 'https://publish.example.com'
+};
+
+Object.assign(process.env, SETTINGS, {
+    DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'aem-mle-parity-')),
+    IDEMPOTENCY_STORE: 'memory'
+});
+
+const { syncCore } = require('../aem-mle-sync-service');
+const { EventProcessor } = require('../lib/sync-core');
+const { main } = require('../adobe-io-runtime-action');
+
+const APPROVED_METADATA = {
+    'jcr:uuid': 'parity-uuid-001',
+    'dam:status': 'approved',
+    'dc:title': 'Parity Camera',
+    'dc:description': 'Camera used to compare both deployments',
+    'dc:format': 'image/jpeg',
+    'dc:subject': ['Electronics', 'Cameras'],
+    'dc:keywords': 'camera',
+    'cq:tags': ['product:camera', 'brand:acme'],
+    'dam:tags': 'product:camera',
+    'dam:brand': 'Acme',
+    'dam:size': '2048576',
+    'tiff:ImageWidth': 1920,
+    'exif:PixelYDimension': '1080',
+    'jcr:lastModified': '2024-01-15T10:00:00.000Z',
+    'acme:sku': 'CAM-001'
+};
+
+function buildEvent(eventType, metadata = APPROVED_METADATA) {
+    return {
+        event_type: eventType,
+        type: eventType,
+        data: {
+            timestamp: '2024-01-15T10:30:00.000Z',
+            payload: {
+                path: '/content/dam/products/parity-camera.jpg',
+                metadata
+            }
+        }
+    };
+}
+
+function mockHttp() {
+    axios.post.mockImplementation(async url => (url === SETTINGS.OAUTH_TOKEN_URL
+        ? { status: 200, data: { access_token: 'parity-token', expires_in: 3600 } }
+        : { status: 201, data: { id: 'mle-001' } }));
+    axios.put.mockResolvedValue({ status: 200, data: { id: 'mle-001' } });
+    axios.delete.mockResolvedValue({ status: 204, data: {} });
+}
+
+// Collect every MLE request made, ignoring OAuth token requests
+function collectMleCalls() {
+    const calls = [];
+
+    axios.post.mock.calls
+        .filter(([url]) => url !== SETTINGS.OAUTH_TOKEN_URL)
+        .forEach(([url, data, config]) => calls.push({ method: 'POST', url, data, headers: config.headers }));
+    axios.put.mock.calls
+        .forEach(([url, data, config]) => calls.push({ method: 'PUT', url, data, headers: config.headers }));
+    axios.delete.mock.calls
+        .forEach(([url, config]) => calls.push({ method: 'DELETE', url, data: undefined, headers: config.headers }));
+
+    return calls;
+}
+
+async function runService(event) {
+    jest.clearAllMocks();
+    mockHttp();
+
+    const result = await syncCore.eventProcessor.processAssetEvent(EventProcessor.extractEventData(event));
+    return { result, calls: collectMleCalls() };
+}
+
+async function runAction(event) {
+    jest.clearAllMocks();
+    mockHttp();
+
+    const response = await main({ ...event, ...SETTINGS });
+    return { response, calls: collectMleCalls() };
+}
+
+describe('Express service and I/O Runtime action parity', () => {
+    beforeAll(() => {
+        jest.useFakeTimers({ now: new Date('2024-01-15T10:30:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test.each([
+        ['com.adobe.aem.assets.created', 'POST', 'create'],
+        ['com.adobe.aem.assets.updated', 'PUT', 'update'],
+        ['com.adobe.aem.assets.metadata.updated', 'PUT', 'update'],
+        ['com.adobe.aem.assets.deleted', 'DELETE', 'delete'],
+        ['com.adobe.aem.workflow.completed', 'POST', 'create']
+    ])('%s produces the same MLE request in both deployments', async (eventType, method, operation) => {
+        const service = await runService(buildEvent(eventType));
+        const action = await runAction(buildEvent(eventType));
+
+        expect(service.calls).toHaveLength(1);
+        expect(action.calls).toEqual(service.calls);
+        expect(service.calls[0].method).toBe(method);
+
+        expect(service.result.operation).toBe(operation);
+        expect(action.response.body.data.operation).toBe(operation);
+        expect(action.response.body.data).toEqual(service.result);
+    });
+
+    test('payload carries the same mapped, derived and custom fields', async () => {
+        const { calls } = await runAction(buildEvent('com.adobe.aem.assets.created'));
+        const payload = calls[0].data;
+
+        expect(calls[0].url).toBe('https://mle.example.com/api/v2/assets');
+        expect(payload).toMatchObject({
+            assetId: 'parity-uuid-001',
+            assetUrl: 'https://author.example.com/content/dam/products/parity-camera.jpg',
+            publicUrl: 'https://publish.example.com/content/dam/products/parity-camera.jpg',
+            mediaType: 'image',
+            fileSize: 2048576,
+            dimensions: { width: 1920, height: 1080 },
+            tags: ['product:camera', 'brand:acme'],
+            categories: ['Electronics', 'Cameras'],
+            keywords: ['camera'],
+            apiVersion: 'v2',
+            customMetadata: { 'acme:sku': 'CAM-001' }
+        });
+    });
+
+    test('unapproved assets are skipped by both deployments without calling MLE', async () => {
+        // A different asset: the service revokes assets it has synchronized before
+        const event = buildEvent('com.adobe.aem.assets.updated', { ...APPROVED_METADATA, 'jcr:uuid': 'parity-uuid-002', 'dam:status': 'draft' });
+
+        const service = await runService(event);
+        const action = await runAction(event);
+
+        expect(service.result.status).toBe('skipped');
+        expect(action.response.body.status).toBe('skipped');
+        expect(service.calls).toHaveLength(0);
+        expect(action.calls).toHaveLength(0);
+    });
+
+    test('unsupported event types are ignored by both deployments', async () => {
+        const event = buildEvent('com.adobe.aem.page.published');
+
+        expect(syncCore.eventHandlers.accepts(event.event_type)).toBe(false);
+
+        const service = await runService(event);
+        const action = await runAction(event);
+        expect(service.result).toMatchObject({ status: 'skipped', unknownEventType: 'com.adobe.aem.page.published' });
+        expect(action.response.body.status).toBe('ignored');
+        expect(action.response.body.message).toBe('No handler is registered for event type com.adobe.aem.page.published');
+        expect(service.calls).toHaveLength(0);
+        expect(action.calls).toHaveLength(0);
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * Reconciliation: AEM assets of a folder are compared with the MLE records below the same
+ * path, per tenant MLE instance, and reported as missing, orphaned or stale. Fixes run
+ * through the event processor, so the sync state and REVOCATION_ACTION apply to them.
+ */
+
+const { axios, TOKEN_URL, logger, createCore, mockApis } = require('./helpers/sync-core');
+const { TenantRouter } = require('../lib/tenant-router');
+const { Reconciler } = require('../lib/reconciler');
+const { SyncState } = require('../lib/sync-state');
+const { MemoryStore } = require('../lib/file-store');
+
+const DEFAULT_ASSETS_URL = 'https://mle.example.com/api/v1/assets';
+const BRAND_A_ASSETS_URL = 'https://mle-a.example.com/api/v1/assets';
+
+const TENANTS = {
+    tenants: [
+        { name: 'brand-a', match: { brands: ['Brand A'] }, mle: { apiUrl: 'https://mle-a.example.com/api' } },
+        // Keeps the shared MLE instance
+        { name: 'brand-b', match: { paths: ['/content/dam/products/brand-b'] } }
+    ]
+};
+
+function createAsset(id, assetPath, metadata = {}) {
+    return {
+        path: assetPath,
+        metadata: { 'jcr:uuid': id, 'dam:status': 'approved', 'dc:title': `Title ${id}`, ...metadata }
+    };
+}
+
+function createReconciler(syncCore, assets, options = {}) {
+    return new Reconciler({
+        aemClient: { async *walkFolder() { yield* assets; } },
+        tenants: syncCore.tenants,
+        tenantRouter: syncCore.tenantRouter,
+        approvalRules: syncCore.approvalRules,
+        eventProcessor: syncCore.eventProcessor,
+        logger,
+        ...options
+    });
+}
+
+// The MLE record the sync would have written for an asset
+function recordOf(syncCore, asset, tenant = 'default') {
+    return syncCore.tenants.get(tenant).transformer.transformForMLE(asset.metadata, asset.path, 'com.adobe.aem.assets.updated');
+}
+
+function mockMleRecords(recordsByUrl) {
+    axios.get.mockImplementation(async url => ({ status: 200, data: { assets: recordsByUrl[url] || [], total: (recordsByUrl[url] || []).length } }));
+}
+
+function mleCalls(method) {
+    return axios[method].mock.calls.filter(([url]) => url !== TOKEN_URL).map(([url]) => url);
+}
+
+beforeEach(() => mockApis({ id: 'created' }));
+
+// In sync, missing, stale, orphaned by deletion and orphaned by a withdrawn approval
+function createDrift(syncCore) {
+    const inSync = createAsset('uuid-1', '/content/dam/products/in-sync.jpg');
+    const missing = createAsset('uuid-2', '/content/dam/products/missing.jpg');
+    const stale = createAsset('uuid-3', '/content/dam/products/stale.jpg');
+    const rejected = createAsset('uuid-4', '/content/dam/products/rejected.jpg', { 'dam:status': 'rejected' });
+    const outside = createAsset('uuid-6', '/content/dam/campaigns/other.jpg');
+
+    mockMleRecords({
+        [DEFAULT_ASSETS_URL]: [
+            recordOf(syncCore, inSync),
+            { ...recordOf(syncCore, stale), title: 'Old title' },
+            recordOf(syncCore, { ...rejected, metadata: { ...rejected.metadata, 'dam:status': 'approved' } }),
+            { assetId: 'uuid-5', assetPath: '/content/dam/products/deleted.jpg' },
+            // Below another folder: not part of this reconciliation
+            recordOf(syncCore, outside)
+        ]
+    });
+
+    return [inSync, missing, stale, rejected];
+}
+
+test('reports missing, orphaned and stale records as JSON and CSV', async () => {
+    const syncCore = createCore();
+
+    const report = await createReconciler(syncCore, createDrift(syncCore)).run({ folderPath: '/content/dam/products' });
+
+    expect(report.summary).toEqual({
+        aemAssets: 4, approved: 3, mleAssets: 4, inSync: 1, revoked: 0, missing: 1, orphaned: 2, stale: 1, fixed: 0, fixFailed: 0
+    });
+    expect(report.missing).toEqual([{ assetId: 'uuid-2', assetPath: '/content/dam/products/missing.jpg' }]);
+    expect(report.stale).toEqual([{
+        assetId: 'uuid-3',
+        assetPath: '/content/dam/products/stale.jpg',
+        differences: [{ field: 'title', aem: 'Title uuid-3', mle: 'Old title' }]
+    }]);
+    expect(report.orphaned).toEqual([
+        { assetId: 'uuid-4', assetPath: '/content/dam/products/rejected.jpg', reason: 'Asset not approved in AEM', action: 'revoke' },
+        { assetId: 'uuid-5', assetPath: '/content/dam/products/deleted.jpg', reason: 'Asset not found in AEM', action: 'delete' }
+    ]);
+    expect(report.fixes).toEqual([]);
+    expect(mleCalls('post')).toEqual([]);
+
+    expect(Reconciler.toCsv(report).split('\n')).toEqual([
+        'type,assetId,assetPath,field,aemValue,mleValue,reason,tenant',
+        'missing,uuid-2,/content/dam/products/missing.jpg,,,,,',
+        'orphaned,uuid-4,/content/dam/products/rejected.jpg,,,,Asset not approved in AEM,',
+        'orphaned,uuid-5,/content/dam/products/deleted.jpg,,,,Asset not found in AEM,',
+        'stale,uuid-3,/content/dam/products/stale.jpg,title,Title uuid-3,Old title,,',
+        ''
+    ]);
+});
+
+test('fixes run through the event processor and keep the sync state in step', async () => {
+    const syncState = new SyncState({ store: new MemoryStore() });
+    const syncCore = createCore({ syncState });
+    syncState.recordSync('uuid-4', createAsset('uuid-4', '/content/dam/products/rejected.jpg'));
+
+    const report = await createReconciler(syncCore, createDrift(syncCore)).run({ folderPath: '/content/dam/products', fix: true });
+
+    expect(report.summary).toMatchObject({ fixed: 4, fixFailed: 0 });
+    expect(report.fixes.map(fix => [fix.type, fix.assetId, fix.success])).toEqual([
+        ['create', 'uuid-2', true],
+        ['update', 'uuid-3', true],
+        ['revoke', 'uuid-4', true],
+        ['delete', 'uuid-5', true]
+    ]);
+    expect(mleCalls('post')).toEqual([DEFAULT_ASSETS_URL]);
+    expect(mleCalls('put')).toEqual([`${DEFAULT_ASSETS_URL}/uuid-3`]);
+    expect(mleCalls('delete')).toEqual([`${DEFAULT_ASSETS_URL}/uuid-4`, `${DEFAULT_ASSETS_URL}/uuid-5`]);
+
+    // Created and updated records are tracked, so later revocations and expiry reach them
+    expect(syncState.get('uuid-2').assetPath).toBe('/content/dam/products/missing.jpg');
+    expect(syncState.isSynced('uuid-3')).toBe(true);
+    expect(syncState.isSynced('uuid-4')).toBe(false);
+});
+
+test('with REVOCATION_ACTION=status revoked records are kept and unrevoked ones are marked', async () => {
+    const syncCore = createCore({ revocationAction: 'status' });
+    const rejected = createAsset('uuid-4', '/content/dam/products/rejected.jpg', { 'dam:status': 'rejected' });
+    const withdrawn = createAsset('uuid-7', '/content/dam/products/withdrawn.jpg', { 'dam:status': 'rejected' });
+    mockMleRecords({
+        [DEFAULT_ASSETS_URL]: [
+            { ...recordOf(syncCore, rejected), status: 'revoked' },
+            recordOf(syncCore, withdrawn)
+        ]
+    });
+
+    const report = await createReconciler(syncCore, [rejected, withdrawn], { revocationAction: 'status' })
+        .run({ folderPath: '/content/dam/products', fix: true });
+
+    expect(report.summary).toMatchObject({ revoked: 1, orphaned: 1, fixed: 1 });
+    expect(report.orphaned).toEqual([expect.objectContaining({ assetId: 'uuid-7', action: 'revoke' })]);
+    expect(mleCalls('delete')).toEqual([]);
+    expect(mleCalls('put')).toEqual([`${DEFAULT_ASSETS_URL}/uuid-7/status`]);
+});
+
+test('each tenant\'s MLE is compared with the AEM assets routed to it', async () => {
+    const syncCore = createCore({ tenants: new TenantRouter(TENANTS) });
+    const shared = createAsset('d-1', '/content/dam/products/shared.jpg');
+    const brandA = createAsset('a-1', '/content/dam/products/a.jpg', { 'dam:brand': 'Brand A' });
+    const brandB = createAsset('b-1', '/content/dam/products/brand-b/b.jpg');
+    const missingA = createAsset('a-2', '/content/dam/products/a2.jpg', { 'dam:brand': 'Brand A' });
+
+    mockMleRecords({
+        [DEFAULT_ASSETS_URL]: [
+            recordOf(syncCore, shared),
+            recordOf(syncCore, brandB, 'brand-b'),
+            // A copy of a brand A asset left on the shared instance
+            recordOf(syncCore, missingA)
+        ],
+        [BRAND_A_ASSETS_URL]: [recordOf(syncCore, brandA, 'brand-a')]
+    });
+
+    const report = await createReconciler(syncCore, [shared, brandA, brandB, missingA]).run({ folderPath: '/content/dam/products' });
+
+    expect(axios.get.mock.calls.map(([url]) => url)).toEqual([DEFAULT_ASSETS_URL, BRAND_A_ASSETS_URL]);
+    expect(report.summary).toMatchObject({ aemAssets: 4, approved: 4, mleAssets: 4, inSync: 3, missing: 1, orphaned: 1, stale: 0 });
+    expect(report.missing).toEqual([{ assetId: 'a-2', assetPath: '/content/dam/products/a2.jpg', tenant: 'brand-a' }]);
+    expect(report.orphaned).toEqual([{
+        assetId: 'a-2',
+        assetPath: '/content/dam/products/a2.jpg',
+        tenant: 'default',
+        reason: 'Asset belongs to tenant brand-a',
+        action: 'delete'
+    }]);
+    expect(Reconciler.toCsv(report).split('\n')[1]).toBe('missing,a-2,/content/dam/products/a2.jpg,,,,,brand-a');
+});
+
+test('a stray copy on another tenant\'s MLE is deleted there and the asset stays tracked', async () => {
+    const syncState = new SyncState({ store: new MemoryStore() });
+    const syncCore = createCore({ tenants: new TenantRouter(TENANTS), syncState });
+    const brandA = createAsset('a-1', '/content/dam/products/a.jpg', { 'dam:brand': 'Brand A' });
+    syncState.recordSync('a-1', { assetPath: brandA.path, metadata: brandA.metadata }, 'brand-a');
+    mockMleRecords({
+        [DEFAULT_ASSETS_URL]: [recordOf(syncCore, brandA)],
+        [BRAND_A_ASSETS_URL]: [recordOf(syncCore, brandA, 'brand-a')]
+    });
+
+    const report = await createReconciler(syncCore, [brandA]).run({ folderPath: '/content/dam/products', fix: true });
+
+    expect(report.fixes).toEqual([expect.objectContaining({ type: 'delete', assetId: 'a-1', tenant: 'default', success: true })]);
+    expect(mleCalls('delete')).toEqual([`${DEFAULT_ASSETS_URL}/a-1`]);
+    expect(syncState.get('a-1').tenant).toBe('brand-a');
+});
@@ -0,0 +1,130 @@
+/**
+ * Rendition sync: selected AEM renditions are uploaded to MLE after the metadata,
+ * unchanged binaries are skipped by dam:sha1 and size/checksum limits are enforced.
+ */
+
+const crypto = require('crypto');
+
+const { axios, TOKEN_URL, ASSET_PATH, createEvent: createAssetEvent, createCore: createSyncCore, tokenResponse, mockApis } = require('./helpers/sync-core');
+
+const RENDITIONS = `https://author.example.com${ASSET_PATH}/_jcr_content/renditions`;
+const MLE_RENDITIONS = 'https://mle.example.com/api/v1/assets/uuid-001/renditions';
+
+const ORIGINAL = Buffer.from('original-binary');
+const ORIGINAL_SHA1 = crypto.createHash('sha1').update(ORIGINAL).digest('hex');
+
+function createEvent(metadata = {}) {
+    return createAssetEvent({ 'dam:sha1': ORIGINAL_SHA1, ...metadata });
+}
+
+function createCore(options = {}) {
+    return createSyncCore({ aemAccessToken: 'aem-token', renditions: 'original,thumbnail', ...options });
+}
+
+function mockRenditions(existing = []) {
+    axios.get.mockImplementation(async url => {
+        if (url === MLE_RENDITIONS) return { status: 200, data: { renditions: existing } };
+        if (url === `${RENDITIONS}/original`) return { status: 200, data: ORIGINAL, headers: { 'content-type': 'image/jpeg' } };
+        if (url === `${RENDITIONS}/cq5dam.thumbnail.319.319.png`) return { status: 200, data: Buffer.from('thumb'), headers: { 'content-type': 'image/png' } };
+        throw Object.assign(new Error('Not found'), { response: { status: 404 } });
+    });
+}
+
+function uploadedRenditionNames() {
+    return axios.post.mock.calls
+        .filter(([url]) => url === MLE_RENDITIONS)
+        .map(([, form]) => form.get('name'));
+}
+
+beforeEach(() => mockApis());
+
+test('uploads the selected renditions after the metadata', async () => {
+    mockRenditions();
+
+    const result = await createCore().eventProcessor.processAssetEvent(createEvent());
+
+    expect(result.status).toBe('completed');
+    expect(uploadedRenditionNames()).toEqual(['original', 'cq5dam.thumbnail.319.319.png']);
+    expect(result.mle.renditions.uploaded).toEqual([
+        { name: 'original', size: ORIGINAL.length, sha1: ORIGINAL_SHA1 },
+        expect.objectContaining({ name: 'cq5dam.thumbnail.319.319.png' })
+    ]);
+});
+
+test('skips renditions MLE already holds for the same dam:sha1', async () => {
+    mockRenditions([{ name: 'original', sourceSha1: ORIGINAL_SHA1 }, { name: 'cq5dam.thumbnail.319.319.png', sourceSha1: 'older' }]);
+
+    const result = await createCore().eventProcessor.processAssetEvent(createEvent());
+
+    expect(uploadedRenditionNames()).toEqual(['cq5dam.thumbnail.319.319.png']);
+    expect(result.mle.renditions.skipped).toEqual([{ name: 'original', reason: 'Unchanged since last upload' }]);
+});
+
+test('skips originals above the size limit without downloading them', async () => {
+    mockRenditions();
+
+    const core = createCore({ renditions: 'original', renditionMaxBytes: 1024 });
+    const result = await core.eventProcessor.processAssetEvent(createEvent({ 'dam:size': '4096' }));
+
+    expect(result.status).toBe('completed');
+    expect(result.mle.renditions.skipped).toEqual([{ name: 'original', reason: 'Larger than 1024 bytes' }]);
+    expect(axios.get).not.toHaveBeenCalledWith(`${RENDITIONS}/original`, expect.anything());
+});
+
+test('fails the MLE result when the original does not match dam:sha1', async () => {
+    mockRenditions();
+
+    const result = await createCore({ renditions: 'original' }).eventProcessor.processAssetEvent(createEvent({ 'dam:sha1': 'stale-sha1' }));
+
+    expect(result.status).toBe('failed');
+    expect(uploadedRenditionNames()).toEqual([]);
+    expect(result.errors).toEqual([expect.objectContaining({ system: 'MLE', retryable: true })]);
+    expect(result.mle.renditions.failed[0].error).toMatch('Checksum mismatch');
+});
+
+test('uploads through a pre-signed URL', async () => {
+    mockRenditions();
+    axios.post.mockImplementation(async (url, body) => {
+        if (url === TOKEN_URL) return tokenResponse(body);
+        if (url === `${MLE_RENDITIONS}/uploads`) return { status: 201, data: { uploadId: 'up-1', uploadUrl: 'https://storage.example.com/up-1' } };
+        if (url === `${MLE_RENDITIONS}/uploads/up-1/complete`) return { status: 200, data: { sha1: ORIGINAL_SHA1 } };
+        return { status: 201, data: {} };
+    });
+
+    const core = createCore({ renditions: 'original', renditionUploadMode: 'presigned' });
+    const result = await core.eventProcessor.processAssetEvent(createEvent());
+
+    expect(result.status).toBe('completed');
+    expect(axios.put).toHaveBeenCalledWith('https://storage.example.com/up-1', ORIGINAL, expect.objectContaining({
+        headers: expect.objectContaining({ 'Content-Type': 'image/jpeg' })
+    }));
+});
+
+test('retrying a create whose renditions failed updates the record and uploads them', async () => {
+    mockRenditions();
+    const created = new Set();
+    let uploads = 0;
+    axios.post.mockImplementation(async (url, body) => {
+        if (url === TOKEN_URL) return tokenResponse(body);
+        if (url === MLE_RENDITIONS) {
+            uploads += 1;
+            if (uploads === 1) throw Object.assign(new Error('Service Unavailable'), { response: { status: 503 } });
+            return { status: 201, data: {} };
+        }
+        if (created.has(url)) throw Object.assign(new Error('Conflict'), { response: { status: 409, data: { error: 'Asset already exists' } } });
+        created.add(url);
+        return { status: 201, data: { id: 'uuid-001' } };
+    });
+    const core = createCore({ renditions: 'original' });
+    const event = { ...createEvent(), eventType: 'com.adobe.aem.assets.created' };
+
+    const failed = await core.eventProcessor.processAssetEvent(event);
+    expect(failed.status).toBe('failed');
+    expect(failed.errors).toEqual([expect.objectContaining({ system: 'MLE', retryable: true })]);
+
+    const retried = await core.eventProcessor.processAssetEvent(event);
+
+    expect(retried.status).toBe('completed');
+    expect(axios.put).toHaveBeenCalledWith('https://mle.example.com/api/v1/assets/uuid-001', expect.anything(), expect.anything());
+    expect(uploadedRenditionNames()).toEqual(['original', 'original']);
+});
@@ -0,0 +1,104 @@
+/**
+ * Revocation: synchronized assets that lose their approval or expire are removed from
+ * (or marked revoked in) MLE, and the expiry sweep catches expirations without events.
+ */
+
+const { axios, logger, createEvent, createCore, mockApis } = require('./helpers/sync-core');
+const { SyncState } = require('../lib/sync-state');
+const { ExpirySweeper, EXPIRY_EVENT_TYPE } = require('../lib/expiry-sweeper');
+const { MemoryStore } = require('../lib/file-store');
+
+const ASSET_URL = 'https://mle.example.com/api/v1/assets/uuid-001';
+
+beforeEach(() => mockApis({ id: 'uuid-001' }));
+
+test('deletes a synchronized asset from MLE once its approval is withdrawn', async () => {
+    const syncState = new SyncState({ store: new MemoryStore() });
+    const core = createCore({ syncState });
+
+    await core.eventProcessor.processAssetEvent(createEvent({ 'dam:status': 'approved' }));
+    expect(syncState.isSynced('uuid-001')).toBe(true);
+
+    const result = await core.eventProcessor.processAssetEvent(createEvent({ 'dam:status': 'rejected' }));
+
+    expect(result.status).toBe('completed');
+    expect(result.operation).toBe('revoke');
+    expect(result.revokedBy).toEqual(expect.objectContaining({ rule: 'approved-status' }));
+    expect(axios.delete).toHaveBeenCalledWith(ASSET_URL, expect.anything());
+    expect(syncState.isSynced('uuid-001')).toBe(false);
+});
+
+test('deletes a synchronized asset on a delete event without metadata', async () => {
+    const syncState = new SyncState({ store: new MemoryStore() });
+    const core = createCore({ syncState });
+    await core.eventProcessor.processAssetEvent(createEvent({ 'dam:status': 'approved' }));
+
+    const result = await core.eventProcessor.processAssetEvent({
+        eventType: 'com.adobe.aem.assets.deleted',
+        assetPath: '/content/dam/products/camera.jpg',
+        metadata: {}
+    });
+
+    expect(result).toMatchObject({ status: 'completed', operation: 'delete', assetId: 'uuid-001' });
+    expect(axios.delete).toHaveBeenCalledWith(ASSET_URL, expect.anything());
+    expect(syncState.isSynced('uuid-001')).toBe(false);
+});
+
+test('skips unapproved assets that were never synchronized', async () => {
+    const core = createCore({ syncState: new SyncState({ store: new MemoryStore() }) });
+
+    const result = await core.eventProcessor.processAssetEvent(createEvent({ 'dam:status': 'rejected' }));
+
+    expect(result.status).toBe('skipped');
+    expect(axios.delete).not.toHaveBeenCalled();
+});
+
+test('revokes expired assets even without sync state, by status update when configured', async () => {
+    const core = createCore({ revocationAction: 'status' });
+
+    const result = await core.eventProcessor.processAssetEvent(createEvent({
+        'dam:status': 'approved',
+        'dam:offTime': '2020-01-01T00:00:00.000Z'
+    }));
+
+    expect(result.status).toBe('completed');
+    expect(result.revokedBy).toEqual({ rule: 'expired', reason: 'Expired at 2020-01-01T00:00:00.000Z' });
+    expect(axios.put).toHaveBeenCalledWith(`${ASSET_URL}/status`, expect.objectContaining({ status: 'revoked' }), expect.anything());
+    expect(axios.delete).not.toHaveBeenCalled();
+});
+
+test('treats assets MLE no longer knows as deleted', async () => {
+    axios.delete.mockRejectedValue(Object.assign(new Error('Not Found'), { response: { status: 404 } }));
+
+    const result = await createCore().eventProcessor.processAssetEvent(createEvent({ 'dam:status': 'approved', 'prism:expirationDate': '2020-01-01' }));
+
+    expect(result.status).toBe('completed');
+    expect(result.mle).toEqual(expect.objectContaining({ success: true, message: 'Asset not found in MLE' }));
+});
+
+test('the expiry sweep queues each expired asset once', () => {
+    const syncState = new SyncState({ store: new MemoryStore() });
+    syncState.recordSync('uuid-001', createEvent({ 'dam:status': 'approved', 'prism:expirationDate': '2026-03-01T00:00:00Z' }));
+    syncState.recordSync('uuid-002', { assetPath: '/content/dam/other.jpg', metadata: { 'jcr:uuid': 'uuid-002' } });
+
+    const jobs = [];
+    const sweeper = new ExpirySweeper({
+        syncState,
+        enqueue: eventData => {
+            jobs.push(eventData);
+            return { id: `job-${jobs.length}` };
+        },
+        isPending: jobId => jobId === 'job-1',
+        logger
+    });
+
+    expect(sweeper.sweep(new Date('2026-02-01T00:00:00Z')).queued).toBe(0);
+    expect(sweeper.sweep(new Date('2026-04-01T00:00:00Z'))).toEqual(expect.objectContaining({ expired: 1, queued: 1 }));
+    expect(sweeper.sweep(new Date('2026-04-02T00:00:00Z')).queued).toBe(0);
+
+    expect(jobs).toEqual([expect.objectContaining({
+        eventType: EXPIRY_EVENT_TYPE,
+        assetPath: '/content/dam/products/camera.jpg',
+        metadata: expect.objectContaining({ 'prism:expirationDate': '2026-03-01T00:00:00Z' })
+    })]);
+});
@@ -0,0 +1,206 @@
+/**
+ * Tenant routing: assets are matched to tenants by DAM path or dam:brand and synchronized
+ * to their tenant's MLE instance, with its credentials, API version and mapping profile;
+ * results, logs and metrics name the tenant.
+ */
+
+const { axios, TOKEN_URL, createEvent: createAssetEvent, createCore: createSyncCore, tokenResponse, mockApis } = require('./helpers/sync-core');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TenantRouter } = require('../lib/tenant-router');
+const { createSyncMetrics } = require('../lib/metrics');
+const { createLogger } = require('../lib/logger');
+const { SyncState } = require('../lib/sync-state');
+const { MemoryStore } = require('../lib/file-store');
+
+const TENANT_A_URL = 'https://mle-a.example.com/api';
+
+const TABLE = {
+    tenants: [
+        {
+            name: 'brand-a',
+            match: { paths: ['/content/dam/brand-a/'], brands: ['Brand A'] },
+            mle: { apiUrl: TENANT_A_URL, apiVersion: 'v2', oauthClientId: 'brand-a-client', oauthClientSecret: '${BRAND_A_SECRET}' },
+            mapping: { fields: { headline: { source: 'dc:title' } } }
+        },
+        { name: 'brand-b', match: { paths: '/content/dam/shared/brand-b' } }
+    ]
+};
+const ENV = { BRAND_A_SECRET: 'brand-a-secret' };
+
+function createEvent(id, assetPath, metadata = {}) {
+    return createAssetEvent({ 'jcr:uuid': id, 'dc:title': `Title ${id}`, ...metadata }, {
+        eventId: `evt-${id}`,
+        eventType: 'com.adobe.aem.assets.created',
+        assetPath
+    });
+}
+
+function createCore(options = {}) {
+    return createSyncCore({ tenants: new TenantRouter(TABLE, { env: ENV }), ...options });
+}
+
+function mleRequests() {
+    return axios.post.mock.calls.filter(([url]) => url !== TOKEN_URL);
+}
+
+function tokenClients() {
+    return axios.post.mock.calls
+        .filter(([url]) => url === TOKEN_URL)
+        .map(([, body]) => new URLSearchParams(body).get('client_id'));
+}
+
+beforeEach(() => {
+    mockApis();
+    axios.post.mockImplementation(async (url, body) => {
+        if (url === TOKEN_URL) return tokenResponse(body);
+        if (url.endsWith('/bulk')) {
+            return { status: 200, data: { results: body.assets.map(asset => ({ assetId: asset.assetId, id: `mle-${asset.assetId}`, status: 'upserted' })) } };
+        }
+        return { status: 201, data: { id: 'mle-1', status: 'created' } };
+    });
+});
+
+test('assets resolve to the first tenant whose path prefix or brand matches', () => {
+    const router = new TenantRouter({
+        tenants: [...TABLE.tenants, { name: 'brand-b-by-brand', match: { brands: 'Brand B' } }]
+    }, { env: ENV });
+
+    expect(router.resolve('/content/dam/brand-a/shoes/hero.jpg')).toBe('brand-a');
+    expect(router.resolve('/content/dam/brand-a')).toBe('brand-a');
+    expect(router.resolve('/content/dam/brand-ab/hero.jpg')).toBe('default');
+    expect(router.resolve('/content/dam/campaigns/hero.jpg', { 'dam:brand': 'BRAND A' })).toBe('brand-a');
+    expect(router.resolve('/content/dam/shared/brand-b/hero.jpg', { 'dam:brand': 'Brand B' })).toBe('brand-b');
+    expect(router.resolve('/content/dam/campaigns/hero.jpg', { 'dam:brand': ['Other', 'Brand B'] })).toBe('brand-b-by-brand');
+    expect(router.resolve('/content/dam/campaigns/hero.jpg', {})).toBe('default');
+});
+
+test('invalid routing tables are rejected', () => {
+    expect(() => new TenantRouter({})).toThrow('"tenants" must be a list');
+    expect(() => new TenantRouter({ tenants: [{ name: 'default', match: { paths: ['/content/dam/a'] } }] }))
+        .toThrow('tenants[0] needs a unique "name" other than "default"');
+    expect(() => new TenantRouter({ tenants: [{ name: 'a', match: { paths: ['/a'] } }, { name: 'a', match: { paths: ['/b'] } }] }))
+        .toThrow('tenants[1] needs a unique "name"');
+    expect(() => new TenantRouter({ tenants: [{ name: 'a' }] })).toThrow('tenant "a" needs match.paths or match.brands');
+    expect(() => new TenantRouter(TABLE, { env: {} }))
+        .toThrow('tenants[0].mle.oauthClientSecret refers to BRAND_A_SECRET, which is not set');
+    expect(() => createCore({ tenants: { tenants: [{ name: 'a', match: { paths: ['/a'] }, mle: { url: 'https://mle-a.example.com' } }] } }))
+        .toThrow('tenant "a" has unknown mle setting "url"');
+});
+
+test('a routing file resolves environment references and mapping files next to it', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tenant-routing-'));
+    fs.writeFileSync(path.join(directory, 'mapping.brand-a.json'), JSON.stringify({ fields: { headline: { source: 'dc:title' } } }));
+    fs.writeFileSync(path.join(directory, 'tenants.json'), JSON.stringify({
+        tenants: [{ ...TABLE.tenants[0], mapping: 'mapping.brand-a.json' }]
+    }));
+
+    const router = TenantRouter.load(path.join(directory, 'tenants.json'), ENV);
+
+    expect(router.tenants[0].mle.oauthClientSecret).toBe('brand-a-secret');
+    expect(router.tenants[0].mapper.apply({ 'dc:title': 'Hero' })).toEqual({ headline: 'Hero' });
+    expect(router.describe()).toEqual([{
+        name: 'brand-a',
+        paths: ['/content/dam/brand-a'],
+        brands: ['brand a'],
+        mleApiUrl: TENANT_A_URL,
+        mleApiVersion: 'v2',
+        mappingProfile: true
+    }]);
+    expect(() => TenantRouter.load(path.join(directory, 'missing.json'))).toThrow('Unable to load tenant routing');
+});
+
+test('each tenant is synchronized to its own MLE with its credentials, API version and mapping', async () => {
+    const syncCore = createCore();
+
+    const tenantResult = await syncCore.eventProcessor.processAssetEvent(createEvent('a-1', '/content/dam/brand-a/hero.jpg'));
+    const defaultResult = await syncCore.eventProcessor.processAssetEvent(createEvent('d-1', '/content/dam/campaigns/hero.jpg'));
+
+    expect(tenantResult).toMatchObject({ status: 'completed', tenant: 'brand-a' });
+    expect(defaultResult).toMatchObject({ status: 'completed', tenant: 'default' });
+
+    const [[tenantUrl, tenantBody, tenantConfig], [defaultUrl, defaultBody, defaultConfig]] = mleRequests();
+    expect(tenantUrl).toBe(`${TENANT_A_URL}/v2/assets`);
+    expect(tenantConfig.headers.Authorization).toBe('Bearer token-brand-a-client');
+    expect(tenantConfig.headers['X-API-Version']).toBe('v2');
+    expect(tenantBody.headline).toBe('Title a-1');
+    expect(tenantBody).not.toHaveProperty('title');
+
+    expect(defaultUrl).toBe('https://mle.example.com/api/v1/assets');
+    expect(defaultConfig.headers.Authorization).toBe('Bearer token-client');
+    expect(defaultBody.title).toBe('Title d-1');
+
+    expect(tokenClients()).toEqual(['brand-a-client', 'client']);
+    expect([...syncCore.tenants.keys()]).toEqual(['default', 'brand-a', 'brand-b']);
+});
+
+test('without a routing table results carry no tenant', async () => {
+    const syncCore = createCore({ tenants: undefined });
+
+    const result = await syncCore.eventProcessor.processAssetEvent(createEvent('a-1', '/content/dam/brand-a/hero.jpg'));
+
+    expect(result.status).toBe('completed');
+    expect(result).not.toHaveProperty('tenant');
+    expect(syncCore.tenantRouter.enabled).toBe(false);
+});
+
+test('batches are split into one bulk upsert per tenant', async () => {
+    const syncCore = createCore();
+
+    const batch = await syncCore.eventProcessor.processAssetEvents([
+        createEvent('a-1', '/content/dam/brand-a/1.jpg'),
+        createEvent('d-1', '/content/dam/campaigns/1.jpg'),
+        createEvent('a-2', '/content/dam/campaigns/2.jpg', { 'dam:brand': 'Brand A' }),
+        createEvent('b-1', '/content/dam/shared/brand-b/1.jpg')
+    ]);
+
+    expect(batch.status).toBe('completed');
+    expect(batch.events.map(event => event.tenant)).toEqual(['brand-a', 'default', 'brand-a', 'brand-b']);
+
+    // brand-b keeps the shared MLE settings but is still a tenant of its own
+    const bulk = mleRequests().map(([url, body]) => [url, body.assets.map(asset => asset.assetId)]);
+    expect(bulk).toEqual(expect.arrayContaining([
+        [`${TENANT_A_URL}/v2/assets/bulk`, ['a-1', 'a-2']],
+        ['https://mle.example.com/api/v1/assets/bulk', ['d-1']],
+        ['https://mle.example.com/api/v1/assets/bulk', ['b-1']]
+    ]));
+    expect(bulk).toHaveLength(3);
+});
+
+test('deletes of brand-routed assets go to the tenant the asset was synchronized to', async () => {
+    axios.delete.mockResolvedValue({ status: 204, data: {} });
+    const syncState = new SyncState({ store: new MemoryStore() });
+    const syncCore = createCore({ syncState });
+
+    await syncCore.eventProcessor.processAssetEvent(createEvent('u1', '/content/dam/campaigns/hero.jpg', { 'dam:brand': 'Brand A' }));
+    expect(syncState.get('u1').tenant).toBe('brand-a');
+
+    // Delete events carry no dam:brand
+    const result = await syncCore.eventProcessor.processAssetEvent({
+        eventType: 'com.adobe.aem.assets.deleted',
+        assetPath: '/content/dam/campaigns/hero.jpg',
+        metadata: { 'jcr:uuid': 'u1' }
+    });
+
+    expect(result).toMatchObject({ status: 'completed', operation: 'delete', tenant: 'brand-a' });
+    expect(axios.delete.mock.calls.map(([url]) => url)).toEqual([`${TENANT_A_URL}/v2/assets/u1`]);
+    expect(syncState.isSynced('u1')).toBe(false);
+});
+
+test('logs and MLE metrics are tagged with the tenant', async () => {
+    const lines = [];
+    const logger = createLogger({ level: 'info', service: 'test-service', write: (level, line) => lines.push(JSON.parse(line)) });
+    const metrics = createSyncMetrics();
+    const syncCore = createCore({ logger, metrics });
+
+    await syncCore.eventProcessor.processAssetEvent(createEvent('a-1', '/content/dam/brand-a/hero.jpg'));
+
+    const synchronized = lines.find(line => line.message === 'Asset successfully synchronized');
+    expect(synchronized).toMatchObject({ tenant: 'brand-a', assetId: 'a-1' });
+    expect(lines.filter(line => line.message === 'Processing asset event').map(line => line.tenant)).toEqual(['brand-a']);
+
+    const exposition = metrics.registry.render();
+    expect(exposition).toContain('aem_sync_mle_request_duration_seconds_count{operation="create",outcome="success",tenant="brand-a"} 1');
+});
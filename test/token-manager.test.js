@@ -0,0 +1,216 @@
+/**
+ * Token manager: each auth strategy authenticates the token request (or API requests)
+ * its own way, scopes are configurable, tokens are refreshed ahead of expiry, and
+ * concurrent callers share one token request.
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { TokenManager, normalizeScope } = require('../lib/token-manager');
+const { CLIENT_ASSERTION_TYPE } = require('../lib/auth-strategies');
+const { createSyncCore } = require('../lib/sync-core');
+
+const TOKEN_URL = 'https://auth.example.com/oauth/token';
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+function createTokenManager(options = {}) {
+    return new TokenManager({ tokenUrl: TOKEN_URL, clientId: 'client-id', clientSecret: 'client-secret', logger, ...options });
+}
+
+function tokenRequests() {
+    return axios.post.mock.calls.filter(([url]) => url === TOKEN_URL);
+}
+
+function tokenParams(call = 0) {
+    return Object.fromEntries(new URLSearchParams(tokenRequests()[call][1]));
+}
+
+let issued;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    issued = 0;
+    axios.post.mockImplementation(async url => (url === TOKEN_URL
+        ? { status: 200, data: { access_token: `token-${++issued}`, expires_in: 3600 } }
+        : { status: 201, data: { id: 'mle-1', status: 'created' } }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('client_secret_post sends the credentials and scopes as a form body', async () => {
+    const tokenManager = createTokenManager({ scope: ['assets:read', 'assets:write'] });
+
+    await expect(tokenManager.getAccessToken()).resolves.toBe('token-1');
+
+    const [, body, config] = tokenRequests()[0];
+    expect(config.headers['Content-Type']).toBe('application/x-www-form-urlencoded');
+    expect(typeof body).toBe('string');
+    expect(tokenParams()).toEqual({
+        grant_type: 'client_credentials',
+        scope: 'assets:read assets:write',
+        client_id: 'client-id',
+        client_secret: 'client-secret'
+    });
+});
+
+test('scopes default to api:write and accept comma- or space-separated lists', () => {
+    expect(normalizeScope(undefined)).toBe('api:write');
+    expect(normalizeScope('assets:read, assets:write')).toBe('assets:read assets:write');
+    expect(normalizeScope('')).toBe('');
+});
+
+test('client_secret_basic sends the credentials in a Basic Authorization header', async () => {
+    const tokenManager = createTokenManager({ authMethod: 'client_secret_basic', clientId: 'client:id' });
+
+    await tokenManager.getAccessToken();
+
+    const [, , config] = tokenRequests()[0];
+    expect(config.headers.Authorization).toBe(`Basic ${Buffer.from('client%3Aid:client-secret').toString('base64')}`);
+    expect(tokenParams()).toEqual({ grant_type: 'client_credentials', scope: 'api:write' });
+});
+
+test('private_key_jwt signs a client assertion the token endpoint can verify', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    // Inline keys with escaped line breaks, as they arrive from env vars and Runtime params
+    const tokenManager = createTokenManager({ authMethod: 'private_key_jwt', privateKey: pem.replace(/\n/g, '\\n'), keyId: 'key-1', clientSecret: undefined });
+
+    await tokenManager.getAccessToken();
+
+    const params = tokenParams();
+    expect(params.client_id).toBe('client-id');
+    expect(params.client_assertion_type).toBe(CLIENT_ASSERTION_TYPE);
+    expect(params.client_secret).toBeUndefined();
+
+    const assertion = jwt.verify(params.client_assertion, publicKey, { algorithms: ['RS256'], audience: TOKEN_URL, complete: true });
+    expect(assertion.header.kid).toBe('key-1');
+    expect(assertion.payload).toMatchObject({ iss: 'client-id', sub: 'client-id' });
+    expect(assertion.payload.exp - assertion.payload.iat).toBe(300);
+    expect(assertion.payload.jti).toEqual(expect.any(String));
+});
+
+test('tls_client_auth presents the client certificate on the token and API requests', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-'));
+    const certFile = path.join(directory, 'client.crt');
+    const keyFile = path.join(directory, 'client.key');
+    fs.writeFileSync(certFile, 'client certificate');
+    fs.writeFileSync(keyFile, 'client key');
+
+    const syncCore = createSyncCore({
+        mleApiUrl: 'https://mle.example.com/api',
+        oauthTokenUrl: TOKEN_URL,
+        oauthClientId: 'client-id',
+        authMethod: 'tls_client_auth',
+        tlsCertFile: certFile,
+        tlsKeyFile: keyFile,
+        aemAuthorUrl: 'https://author.example.com',
+        aemPublishUrl: 'https://publish.example.com',
+        logger
+    });
+
+    await syncCore.mleClient.sendAssetMetadata({ assetId: 'asset-1' });
+
+    const agent = syncCore.tokenManager.httpsAgent;
+    expect(agent.options.cert.toString()).toBe('client certificate');
+    expect(tokenRequests()[0][2].httpsAgent).toBe(agent);
+    expect(tokenParams()).toEqual({ grant_type: 'client_credentials', scope: 'api:write', client_id: 'client-id' });
+
+    const [, , mleConfig] = axios.post.mock.calls.find(([url]) => url !== TOKEN_URL);
+    expect(mleConfig.httpsAgent).toBe(agent);
+    expect(mleConfig.headers.Authorization).toBe('Bearer token-1');
+});
+
+test('tls_client_auth without a certificate is rejected at construction', () => {
+    expect(() => createTokenManager({ authMethod: 'tls_client_auth' })).toThrow('tls_client_auth authentication needs a client certificate');
+    expect(() => createTokenManager({ tlsCertFile: '/tmp/client.crt' })).toThrow('mTLS needs both');
+    expect(() => createTokenManager({ authMethod: 'saml' })).toThrow('Unknown auth method: saml');
+});
+
+test('api_key authenticates API requests with a static header and never calls a token URL', async () => {
+    const syncCore = createSyncCore({
+        destinations: 'PCM',
+        authMethod: 'api_key',
+        apiKey: 'shared-key',
+        pcm: { apiUrl: 'https://pcm.example.com/api', apiKey: 'pcm-key' },
+        aemAuthorUrl: 'https://author.example.com',
+        aemPublishUrl: 'https://publish.example.com',
+        apiKeyHeader: 'x-gw-api-key',
+        logger
+    });
+    const [pcm] = syncCore.destinations;
+
+    await expect(pcm.tokenManager.getAuthHeaders()).resolves.toEqual({ 'x-gw-api-key': 'pcm-key' });
+    await expect(pcm.tokenManager.getAccessToken()).rejects.toThrow('api_key authentication does not use access tokens');
+
+    await pcm.request('post', 'https://pcm.example.com/api/products', { sku: 'sku-1' });
+
+    const [, , config] = axios.post.mock.calls[0];
+    expect(config.headers['x-gw-api-key']).toBe('pcm-key');
+    expect(config.headers.Authorization).toBeUndefined();
+    expect(tokenRequests()).toHaveLength(0);
+});
+
+test('concurrent callers share a single token request', async () => {
+    let resolveToken;
+    axios.post.mockImplementation(() => new Promise(resolve => {
+        resolveToken = () => resolve({ status: 200, data: { access_token: 'shared-token', expires_in: 3600 } });
+    }));
+    const tokenManager = createTokenManager();
+
+    const pending = Array.from({ length: 5 }, () => tokenManager.getAccessToken());
+    resolveToken();
+
+    await expect(Promise.all(pending)).resolves.toEqual(Array(5).fill('shared-token'));
+    expect(axios.post).toHaveBeenCalledTimes(1);
+});
+
+test('tokens are refreshed in the background once they enter the refresh margin', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const tokenManager = createTokenManager({ refreshMargin: 120000 });
+
+    await expect(tokenManager.getAccessToken()).resolves.toBe('token-1');
+
+    // Outside the margin: the cached token, no request
+    now.mockReturnValue(1000000 + 3000000);
+    await expect(tokenManager.getAccessToken()).resolves.toBe('token-1');
+    expect(tokenRequests()).toHaveLength(1);
+
+    // Inside the margin: still the current token, with one refresh started for all callers
+    now.mockReturnValue(1000000 + 3500000);
+    await expect(Promise.all([tokenManager.getAccessToken(), tokenManager.getAccessToken()])).resolves.toEqual(['token-1', 'token-1']);
+    await tokenManager.pendingRefresh;
+    expect(tokenRequests()).toHaveLength(2);
+
+    await expect(tokenManager.getAccessToken()).resolves.toBe('token-2');
+});
+
+test('expired tokens are fetched before the call returns', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const tokenManager = createTokenManager();
+
+    await tokenManager.getAccessToken();
+    now.mockReturnValue(1000000 + 3600000);
+
+    await expect(tokenManager.getAccessToken()).resolves.toBe('token-2');
+});
+
+test('a failed token request reports the failure and the next call retries', async () => {
+    const metrics = { oauthTokenRefreshes: { inc: jest.fn() } };
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('Request failed'), { response: { status: 401, data: { error: 'invalid_client' } } }));
+    const tokenManager = createTokenManager({ metrics });
+
+    await expect(tokenManager.getAccessToken()).rejects.toThrow('Authentication failed');
+    expect(metrics.oauthTokenRefreshes.inc).toHaveBeenCalledWith({ outcome: 'error' });
+    expect(logger.error).toHaveBeenCalledWith('Failed to obtain OAuth token', { error: 'invalid_client' });
+
+    await expect(tokenManager.getAccessToken()).resolves.toBe('token-1');
+    expect(metrics.oauthTokenRefreshes.inc).toHaveBeenLastCalledWith({ outcome: 'success' });
+});
@@ -0,0 +1,224 @@
+/**
+ * Webhook verification: I/O Events digital signatures and the shared-secret HMAC are
+ * checked against the raw body, deliveries must be addressed to this app's client id, and
+ * CloudEvents deliveries are normalized like the legacy payload.
+ */
+
+const crypto = require('crypto');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const { WebhookVerifier, PublicKeyCache } = require('../lib/webhook-verification');
+const { MemoryStore } = require('../lib/file-store');
+const { EventProcessor } = require('../lib/event-processor');
+const { main } = require('../adobe-io-runtime-action');
+
+const KEY_PATH = '/prod/keys/pub-key-abc.pem';
+const CLIENT_ID = 'aem-mle-sync';
+const logger = { info: () => {}, error: () => {}, debug: () => {} };
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PUBLIC_PEM = publicKey.export({ type: 'spki', format: 'pem' });
+
+const rawBody = Buffer.from(`{"event_id":"evt-1","recipient_client_id":"${CLIENT_ID}","data":{"payload":{"path":"/content/dam/a.jpg"}}}`);
+
+function sign(body) {
+    return crypto.sign('sha256', body, privateKey).toString('base64');
+}
+
+function createVerifier(options = {}) {
+    return new WebhookVerifier({
+        publicKeys: new PublicKeyCache({ store: new MemoryStore(), logger }),
+        clientId: CLIENT_ID,
+        logger,
+        ...options
+    });
+}
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    axios.get.mockResolvedValue({ status: 200, data: PUBLIC_PEM });
+});
+
+test('accepts a digital signature over the raw body and caches the public key', async () => {
+    const verifier = createVerifier();
+    const headers = { 'x-adobe-digital-signature-1': sign(rawBody), 'x-adobe-public-key1-path': KEY_PATH };
+
+    expect(await verifier.verify(rawBody, headers)).toEqual({ valid: true, method: 'digital-signature' });
+    expect(await verifier.verify(rawBody, headers)).toEqual({ valid: true, method: 'digital-signature' });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get).toHaveBeenCalledWith(`https://static.adobeioevents.com${KEY_PATH}`, expect.anything());
+});
+
+test('rejects deliveries addressed to another client', async () => {
+    const verifier = createVerifier();
+    const signed = body => ({ 'x-adobe-digital-signature-1': sign(body), 'x-adobe-public-key1-path': KEY_PATH });
+    const otherApp = Buffer.from('{"event_id":"evt-1","recipient_client_id":"other-app"}');
+    const batch = Buffer.from(`[{"recipient_client_id":"${CLIENT_ID}"},{"recipient_client_id":"other-app"}]`);
+    const unaddressed = Buffer.from('{"event_id":"evt-1"}');
+
+    for (const body of [otherApp, batch, unaddressed]) {
+        expect(await verifier.verify(body, signed(body))).toEqual({ valid: false, error: 'Delivery is addressed to another client' });
+    }
+    expect(await verifier.verify(rawBody, { ...signed(rawBody), 'ce-recipientclientid': 'other-app' }))
+        .toEqual({ valid: false, error: 'Delivery is addressed to another client' });
+});
+
+test('rejects signed deliveries when there is no client id or secret to check them against', async () => {
+    const headers = { 'x-adobe-digital-signature-1': sign(rawBody), 'x-adobe-public-key1-path': KEY_PATH };
+
+    expect((await createVerifier({ clientId: undefined }).verify(rawBody, headers)).valid).toBe(false);
+    expect(await createVerifier({ clientId: undefined, hmacSecret: 'shh' }).verify(rawBody, {
+        ...headers,
+        'x-adobe-signature': crypto.createHmac('sha256', 'shh').update(rawBody).digest('hex')
+    })).toEqual({ valid: true, method: 'digital-signature' });
+});
+
+test('checks the configured HMAC secret on digitally signed deliveries too', async () => {
+    const verifier = createVerifier({ hmacSecret: 'shh' });
+    const headers = { 'x-adobe-digital-signature-1': sign(rawBody), 'x-adobe-public-key1-path': KEY_PATH };
+
+    expect(await verifier.verify(rawBody, headers)).toEqual({ valid: false, error: 'Invalid signature' });
+    expect(await verifier.verify(rawBody, { ...headers, 'x-adobe-signature': 'bad' })).toEqual({ valid: false, error: 'Invalid signature' });
+});
+
+test('rejects a digital signature over different bytes', async () => {
+    const headers = { 'x-adobe-digital-signature-1': sign(Buffer.from('{}')), 'x-adobe-public-key1-path': KEY_PATH };
+
+    expect(await createVerifier().verify(rawBody, headers)).toEqual({ valid: false, error: 'Invalid digital signature' });
+});
+
+test('never fetches key paths outside the key host', async () => {
+    const headers = { 'x-adobe-digital-signature-1': sign(rawBody), 'x-adobe-public-key1-path': '/../evil.pem' };
+
+    expect((await createVerifier().verify(rawBody, headers)).valid).toBe(false);
+    expect(axios.get).not.toHaveBeenCalled();
+});
+
+test('uses a stale cached key when the key host is unreachable', async () => {
+    const store = new MemoryStore();
+    store.put({ id: KEY_PATH, pem: PUBLIC_PEM, fetchedAt: '2020-01-01T00:00:00.000Z' });
+    axios.get.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const cache = new PublicKeyCache({ store, logger });
+
+    await expect(cache.getKey(KEY_PATH)).resolves.toBe(PUBLIC_PEM);
+});
+
+test('checks the HMAC signature in hex or base64', async () => {
+    const verifier = createVerifier({ hmacSecret: 'shh' });
+    const digest = crypto.createHmac('sha256', 'shh').update(rawBody).digest();
+    const hex = digest.toString('hex');
+    const base64 = digest.toString('base64');
+
+    expect(await verifier.verify(rawBody, { 'x-adobe-signature': hex })).toEqual({ valid: true, method: 'hmac' });
+    expect(await verifier.verify(rawBody, { 'x-adobe-signature': base64 })).toEqual({ valid: true, method: 'hmac' });
+    expect(await verifier.verify(rawBody, { 'x-adobe-signature': 'bad' })).toEqual({ valid: false, error: 'Invalid signature' });
+    expect((await verifier.verify(rawBody, {})).valid).toBe(false);
+});
+
+test('requires a digital signature when configured', async () => {
+    const verifier = createVerifier({ hmacSecret: 'shh', requireDigitalSignature: true });
+
+    expect(await verifier.verify(rawBody, {})).toEqual({ valid: false, error: 'Missing digital signature' });
+});
+
+describe('CloudEvents extraction', () => {
+    const data = { path: '/content/dam/a.jpg', metadata: { 'dc:title': 'A' } };
+
+    test('reads structured mode deliveries', () => {
+        const eventData = EventProcessor.extractEventData({
+            specversion: '1.0',
+            id: 'evt-1',
+            type: 'aem.assets.asset.metadata_updated',
+            time: '2026-01-01T00:00:00Z',
+            data
+        });
+
+        expect(eventData).toEqual(expect.objectContaining({
+            eventId: 'evt-1',
+            eventType: 'aem.assets.asset.metadata_updated',
+            assetPath: '/content/dam/a.jpg',
+            metadata: { 'dc:title': 'A' },
+            timestamp: '2026-01-01T00:00:00Z'
+        }));
+    });
+
+    test('reads binary mode deliveries from ce-* headers', () => {
+        const eventData = EventProcessor.extractEventData(data, {
+            'ce-specversion': '1.0',
+            'ce-id': 'evt-2',
+            'ce-type': 'aem.assets.asset.created'
+        });
+
+        expect(eventData).toEqual(expect.objectContaining({
+            eventId: 'evt-2',
+            eventType: 'aem.assets.asset.created',
+            assetPath: '/content/dam/a.jpg'
+        }));
+    });
+});
+
+describe('Runtime action', () => {
+    const SETTINGS = {
+        MLE_API_URL: 'https://mle.example.com/api',
+        OAUTH_CLIENT_ID: 'runtime-client',
+        OAUTH_CLIENT_SECRET: 'runtime-secret',
+        OAUTH_TOKEN_URL: 'https://auth.example.com/oauth/token',
+        AEM_AUTHOR_URL: 'https://author.example.com',
+        AEM_PUBLISH_URL: 'https://publish.example.com',
+        AEM_WEBHOOK_SECRET: 'shh',
+        IO_EVENTS_CLIENT_ID: CLIENT_ID,
+        LOG_LEVEL: 'error'
+    };
+    const body = JSON.stringify({
+        event_id: 'evt-1',
+        event_type: 'com.adobe.aem.assets.created',
+        recipient_client_id: CLIENT_ID,
+        data: { payload: { path: '/content/dam/a.jpg', metadata: { 'jcr:uuid': 'uuid-1', 'dam:status': 'approved' } } }
+    });
+
+    function webRequest(headers, requestBody = body) {
+        return { ...SETTINGS, __ow_method: 'post', __ow_headers: { 'content-type': 'application/json', ...headers }, __ow_body: requestBody };
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        axios.post.mockImplementation(async url => (url === SETTINGS.OAUTH_TOKEN_URL
+            ? { status: 200, data: { access_token: 'token', expires_in: 3600 } }
+            : { status: 201, data: { id: 'uuid-1' } }));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('verifies web deliveries over the raw body before syncing them', async () => {
+        const signature = crypto.createHmac('sha256', 'shh').update(body).digest('hex');
+
+        const response = await main(webRequest({ 'x-adobe-signature': signature }));
+
+        expect(response).toMatchObject({ statusCode: 200, body: { status: 'completed' } });
+        expect(axios.post).toHaveBeenCalledWith(`${SETTINGS.MLE_API_URL}/v1/assets`, expect.anything(), expect.anything());
+    });
+
+    test('rejects unsigned, tampered and misaddressed web deliveries', async () => {
+        const signature = crypto.createHmac('sha256', 'shh').update(body).digest('hex');
+        const otherApp = body.replace(CLIENT_ID, 'other-app');
+
+        expect(await main(webRequest({}))).toMatchObject({ statusCode: 401, body: { error: 'Invalid signature' } });
+        expect(await main(webRequest({ 'x-adobe-signature': signature }, body.replace('a.jpg', 'b.jpg'))))
+            .toMatchObject({ statusCode: 401, body: { error: 'Invalid signature' } });
+        expect(await main(webRequest({ 'x-adobe-signature': crypto.createHmac('sha256', 'shh').update(otherApp).digest('hex') }, otherApp)))
+            .toMatchObject({ statusCode: 401, body: { error: 'Delivery is addressed to another client' } });
+        // The request cannot swap the verification settings for its own
+        expect(await main({ ...webRequest({}), __ow_query: 'AEM_WEBHOOK_SECRET=&IO_EVENTS_CLIENT_ID=other-app' }))
+            .toMatchObject({ statusCode: 401 });
+        expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('answers the registration challenge', async () => {
+        const response = await main({ ...SETTINGS, __ow_method: 'get', __ow_headers: {}, __ow_query: 'challenge=abc' });
+
+        expect(response).toEqual({ statusCode: 200, body: { challenge: 'abc' } });
+    });
+});